@@ -13,14 +13,14 @@
  * rendering, and follows the MVC (Model-View-Controller) pattern for organization.
  * Users can interact with the book collection through a user-friendly web interface
  * that displays book information and provides forms for data manipulation.
+ *
+ * Running and importing:
+ * Running this file (npm start) checks and migrates the database and starts
+ * the server on the configured PORT. Requiring it starts nothing: it exports
+ * createApp, which builds the Express application without listening, so the
+ * tests can mount it with supertest against a database of their own.
  */
 
-// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
-// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
-// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
-
-const PORT = 3000; // The port number on which the server will listen for incoming requests
-
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
@@ -49,21 +49,199 @@ const path = require("path");
  */
 const bodyParser = require("body-parser");
 
+/**
+ * Method-Override - Middleware that lets an HTML form, which can only send
+ * GET and POST, ask for PUT or DELETE through a hidden _method field
+ */
+const methodOverride = require("method-override");
+
+/**
+ * Express-Session - Middleware that keeps a login session for each visitor,
+ * identified by a signed cookie
+ */
+const session = require("express-session");
+
+/**
+ * Session Store - Keeps the sessions in the SQLite database, so logins
+ * survive a server restart
+ */
+const SequelizeStore = require("connect-session-sequelize")(session.Store);
+
 /**
  * Books Router - A modular router that contains all routes and handlers
  * for book-related operations in the application
  */
 const booksRouter = require("./routes/books");
 
-// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
-// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
-// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+/**
+ * Auth Router - The registration, login and logout pages
+ */
+const authRouter = require("./routes/auth");
+
+/**
+ * Import/Export Router - The routes for downloading the list as CSV or JSON
+ * and for importing books from a CSV file
+ */
+const importExportRouter = require("./routes/importExport");
+
+/**
+ * Shelves Router - The routes for creating, renaming and deleting shelves
+ * and for putting books on them
+ */
+const shelvesRouter = require("./routes/shelves");
+
+/**
+ * Stats Router - The reading statistics page
+ */
+const statsRouter = require("./routes/stats");
+
+/**
+ * Budget Router - The budget page and the user's money settings
+ */
+const budgetRouter = require("./routes/budget");
+
+/**
+ * Admin Router - The administrators' page for the shopping link checks
+ */
+const adminRouter = require("./routes/admin");
+
+/**
+ * Trash Router - The trash page, where deleted books are restored or purged
+ */
+const trashRouter = require("./routes/trash");
+
+/**
+ * Shares Router - The page where users create and revoke share links
+ */
+const sharesRouter = require("./routes/shares");
+
+/**
+ * Shared Router - The read-only pages a share link opens, without a login
+ */
+const sharedRouter = require("./routes/shared");
+
+/**
+ * Feeds Router - The page where users turn their feeds on, reset or turn them off
+ */
+const feedsRouter = require("./routes/feeds");
+
+/**
+ * Feed Documents Router - The Atom, RSS and iCalendar feeds, opened by the
+ * token in their address without a login
+ */
+const feedDocumentsRouter = require("./routes/feedDocuments");
+
+/**
+ * Webhooks Router - The page where users add and delete webhooks and read
+ * their delivery history
+ */
+const webhooksRouter = require("./routes/webhooks");
+
+/**
+ * Uploads Router - Reads the multipart body of the forms that upload a file,
+ * before the CSRF check looks for the token in it
+ */
+const uploadsRouter = require("./routes/uploads");
+
+/**
+ * API Router - The versioned JSON API that exposes the same book operations
+ * to scripts and the mobile client
+ */
+const apiV1Router = require("./routes/api/v1");
+
+/**
+ * Database - The module that owns the SQLite connection and applies the
+ * versioned migrations before the server starts accepting requests
+ */
+const db = require("./db");
+
+/**
+ * Database Backup - Repairs a missing or damaged database from the newest
+ * backup at startup and writes a new backup before the migrations run
+ */
+const databaseBackup = require("./db/backup");
+
+/**
+ * View Helpers - The Handlebars helpers available to every template, such
+ * as the one that formats costs
+ */
+const viewHelpers = require("./utils/viewHelpers");
+
+/**
+ * Config - The application settings, including the port, the CSV import
+ * size limit and the session cookie settings
+ */
+const config = require("./config");
+
+/**
+ * Auth Middleware - Loads the logged-in user and guards the pages that need one
+ */
+const { loadCurrentUser, requireLogin, requireAdmin } = require("./middleware/auth");
+
+/**
+ * CSRF Middleware - Gives every form a secret token and refuses form posts
+ * that do not send it back
+ */
+const { provideCsrfToken, provideUserCsrfToken, verifyCsrfToken } = require("./middleware/csrf");
+
+/**
+ * Flash Middleware - Shows the notice a handler left for the next page, such
+ * as the "Undo" offer after a book is deleted
+ */
+const { provideFlash } = require("./middleware/flash");
+
+/**
+ * Request Logger - Gives every request an ID and logs it with its status and
+ * how long it took
+ */
+const { requestLogger } = require("./middleware/requestLogger");
 
 /**
- * app - The main Express application instance that will handle
- * all incoming HTTP requests and responses
+ * Error Handler - Answers unknown paths and failed requests with an error
+ * page, or with a JSON error for JSON clients
  */
-const app = express();
+const { notFound, handleError } = require("./middleware/errorHandler");
+
+/**
+ * Cover Images - Where the uploaded cover images are served from
+ */
+const coverImages = require("./services/coverImages");
+
+/**
+ * Logger - Writes the structured JSON log lines
+ */
+const logger = require("./utils/logger");
+
+/**
+ * Link Check Job - Checks the books' shopping links in the background on a schedule
+ */
+const linkCheckJob = require("./services/linkCheckJob");
+
+/**
+ * Trash Purge Job - Purges the books that have been in the trash for longer
+ * than the retention period
+ */
+const trashPurgeJob = require("./services/trashPurgeJob");
+
+/**
+ * Backup Job - Backs up the database on a schedule while the server runs
+ */
+const backupJob = require("./services/backupJob");
+
+/**
+ * Webhook Job - Queues a delivery to each subscribed webhook when a book
+ * changes, and sends and retries them in the background
+ */
+const webhookJob = require("./services/webhookJob");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * API_PATH - Where the versioned JSON API is mounted
+ */
+const API_PATH = "/api/v1";
 
 // METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
 // METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
@@ -73,12 +251,13 @@ const app = express();
  * configureViewEngine
  * 
  * This function sets up Handlebars as the template engine for rendering views.
- * It configures the engine with the .hbs file extension for template files.
+ * It configures the engine with the .hbs file extension for template files
+ * and registers the shared view helpers.
  * 
  * @param {Object} app - The Express application instance
  */
 function configureViewEngine(app) {
-  app.engine("hbs", exphbs.engine({ extname: ".hbs" }));
+  app.engine("hbs", exphbs.engine({ extname: ".hbs", helpers: viewHelpers }));
   app.set("view engine", "hbs");
 }
 
@@ -86,28 +265,130 @@ function configureViewEngine(app) {
  * configureMiddleware
  * 
  * This function sets up the middleware stack for the Express application.
- * It includes body parsing for form submissions and static file serving.
+ * It includes request IDs and logging, body parsing for form submissions,
+ * method overrides, static file serving (including the uploaded cover
+ * images), login sessions and the notices shown after a redirect.
  * 
  * @param {Object} app - The Express application instance
  */
 function configureMiddleware(app) {
-  // Parse application/x-www-form-urlencoded form data
-  app.use(bodyParser.urlencoded({ extended: true }));
+  // Give every request an ID and log it once it has been answered
+  app.use(requestLogger);
+
+  // Parse application/x-www-form-urlencoded form data. The import steps carry
+  // the uploaded CSV in a form field, and URL encoding can triple its size.
+  app.use(bodyParser.urlencoded({ extended: true, limit: config.import.maxBytes * 3 + 64 * 1024 }));
+
+  // Turn a form post with a hidden _method field into a PUT or DELETE request.
+  // The JSON API is left out: its requests always use their real method
+  app.use(methodOverride(readMethodField));
   
   // Serve static files from the 'public' directory
   app.use(express.static("public"));
+
+  // Serve the uploaded cover images and their thumbnails. A replaced image
+  // gets a new name, so browsers may keep each file for good
+  app.use(coverImages.COVERS_PATH, express.static(config.covers.dir, { index: false, maxAge: "1y", immutable: true }));
+
+  // Keep a login session for each visitor and load the logged-in user
+  configureSessions(app);
+  app.use(loadCurrentUser);
+
+  // Pass the notice left by the previous request on to the page
+  app.use(provideFlash);
+}
+
+/**
+ * readMethodField
+ * 
+ * This function reads the _method field of a submitted form for
+ * method-override and removes it, so the controllers never see it. A
+ * multipart form (a file upload), whose fields are only parsed later by its
+ * route, asks for its method in the _method query parameter instead.
+ * 
+ * Requests to the JSON API are never overridden. The API has no CSRF token,
+ * so a form on another site could otherwise post _method=DELETE and have it
+ * treated as a DELETE request that sends no body to check.
+ * 
+ * @param {Object} req - The Express request object, with the parsed form in req.body
+ * @returns {String|undefined} - The requested method, e.g. "DELETE", or undefined
+ */
+function readMethodField(req) {
+  if (req.path === API_PATH || req.path.startsWith(`${API_PATH}/`)) return undefined;
+  if (req.body && typeof req.body === "object" && "_method" in req.body) {
+    const method = req.body._method;
+    delete req.body._method;
+    return method;
+  }
+  if (req.query && typeof req.query._method === "string") return req.query._method;
+  return undefined;
+}
+
+/**
+ * configureSessions
+ * 
+ * This function sets up login sessions. The session cookie holds only a
+ * signed session ID; the session itself is kept in the Sessions table. The
+ * cookie is hidden from page scripts and not sent with cross-site form posts.
+ * 
+ * @param {Object} app - The Express application instance
+ */
+function configureSessions(app) {
+  app.use(
+    session({
+      secret: config.session.secret,
+      store: new SequelizeStore({ db: db.connect(), tableName: "Sessions" }),
+      resave: false,
+      saveUninitialized: false,
+      cookie: {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: config.session.secureCookie,
+        maxAge: config.session.maxAgeMs,
+      },
+    })
+  );
 }
 
 /**
  * makeRoutes
  * 
  * This function sets up the route handlers for the application.
- * It mounts the books router at the root path.
+ * It mounts the JSON API under /api/v1, the login pages at the root path, the
+ * read-only pages opened by share links under /s and the feed documents under /feeds.
+ * Every other page needs a logged-in user, so the import/export, shelves,
+ * share links, feeds, webhooks, statistics, budget, trash and books routers are mounted behind requireLogin, and
+ * the admin pages under /admin also behind requireAdmin. All of the page routes check the
+ * CSRF token of the forms posted to them; the JSON API protects itself by
+ * accepting only JSON bodies. The shared pages and the feed documents only
+ * answer GET requests and come before the CSRF middleware, so an anonymous
+ * visit or feed reader poll does not store a session just to hold a token.
+ * The upload forms are multipart, so their body, token included, is read by
+ * the uploads router before the token is checked. Whatever no route answers gets a 404, and every
+ * error ends up in the error handler.
  * 
  * @param {Object} app - The Express application instance
  */
 function makeRoutes(app) {
-  app.use("/", booksRouter);
+  app.use(API_PATH, apiV1Router);
+  app.use("/s", provideUserCsrfToken, sharedRouter);
+  app.use("/feeds", provideUserCsrfToken, feedDocumentsRouter);
+  app.use(provideCsrfToken);
+  app.use("/", uploadsRouter);
+  app.use(verifyCsrfToken);
+  app.use("/", authRouter);
+  app.use("/", requireLogin, importExportRouter);
+  app.use("/", requireLogin, shelvesRouter);
+  app.use("/", requireLogin, sharesRouter);
+  app.use("/", requireLogin, feedsRouter);
+  app.use("/", requireLogin, webhooksRouter);
+  app.use("/", requireLogin, statsRouter);
+  app.use("/", requireLogin, budgetRouter);
+  app.use("/", requireLogin, trashRouter);
+  app.use("/admin", requireLogin, requireAdmin, adminRouter);
+  app.use("/", requireLogin, booksRouter);
+  app.use(notFound);
+  app.use(handleError);
 }
 
 /**
@@ -121,22 +402,113 @@ function makeRoutes(app) {
  */
 function startServer(app, port) {
   app.listen(port, () => {
-    console.log(`Server is running on http://localhost:${port}`);
+    logger.info(`Server is running on http://localhost:${port}`, { port });
   });
 }
 
-// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
-// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
-// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+/**
+ * reportRecovery
+ * 
+ * This function logs what the startup check of the database had to do, so a
+ * repaired database never goes unnoticed.
+ * 
+ * @param {Object} result - The result of the database recovery
+ */
+function reportRecovery(result) {
+  if (result.setAside) logger.warn(`The database was damaged and has been moved to ${result.setAside}`);
+  if (result.status === "restored") logger.warn(`The database was restored from ${result.backup}`);
+  if (result.setAside && result.status === "new") logger.warn("No usable backup was found; starting with an empty database");
+}
 
-// Configure the view engine to use Handlebars
-configureViewEngine(app);
+/**
+ * applyConfig
+ * 
+ * This function replaces settings from config/index.js, section by section,
+ * e.g. { session: { secret: "..." } }. The settings are shared by the whole
+ * process, so the change applies to every app created afterwards too.
+ * 
+ * @param {Object} overrides - The settings to replace, grouped by section
+ */
+function applyConfig(overrides) {
+  Object.entries(overrides).forEach(([section, settings]) => {
+    config[section] = { ...config[section], ...settings };
+  });
+}
 
-// Set up middleware for request parsing and static files
-configureMiddleware(app);
+/**
+ * createApp
+ * 
+ * This function builds the Express application: the view engine, the
+ * middleware and every route. It opens the database connection but does not
+ * migrate the database or listen for requests; the caller does both.
+ * 
+ * @param {Object} [options] - How to build the app
+ * @param {Object} [options.storage] - The storage driver and database file, as
+ *                                     for db.connect; ignored when the database
+ *                                     is already connected
+ * @param {Object} [options.config] - Settings to use instead of those in
+ *                                    config/index.js (see applyConfig)
+ * @returns {Object} - The Express application instance
+ */
+function createApp({ storage, config: overrides = {} } = {}) {
+  // Apply the settings before anything reads them
+  applyConfig(overrides);
+  db.connect(storage);
+
+  // The main Express application instance that will handle all incoming
+  // HTTP requests and responses
+  const app = express();
+
+  // Configure the view engine to use Handlebars
+  configureViewEngine(app);
+
+  // Set up middleware for request parsing and static files
+  configureMiddleware(app);
 
-// Configure application routes
-makeRoutes(app);
+  // Configure application routes
+  makeRoutes(app);
 
-// Start the Express server
-startServer(app, PORT);
\ No newline at end of file
+  return app;
+}
+
+/**
+ * main
+ * 
+ * This function checks the database and repairs it from a backup if needed,
+ * backs it up and brings its schema up to date, then starts the Express
+ * server, the scheduled shopping link checks, the trash retention policy,
+ * the scheduled backups and the webhook deliveries.
+ */
+function main() {
+  databaseBackup
+    .recover()
+    .then(reportRecovery)
+    .then(() => databaseBackup.backup())
+    .then(() => db.migrate())
+    .then(() => {
+      startServer(createApp(), config.server.port);
+      linkCheckJob.start();
+      trashPurgeJob.start();
+      backupJob.start();
+      webhookJob.start();
+    })
+    .catch((error) => {
+      logger.error("Failed to prepare the database", { error: logger.describeError(error) });
+      process.exit(1);
+    });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = { createApp };
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+// Start the server only when this file is run, not when it is required
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,202 @@
+/**
+ * File Purpose:
+ * This file gathers the application's configurable settings in one place.
+ * Every setting has a default that works out of the box and can be changed
+ * with an environment variable, so deployments never have to edit code.
+ *
+ * Settings:
+ *   PORT                  The port the server listens on, 3000 by default
+ *   LOG_LEVEL             The least severe log lines written: "debug", "info"
+ *                         (the default), "warn", "error" or "silent"
+ *   STORAGE_DRIVER        Where the data is kept: "sqlite" (the default), a
+ *                         database file, "json", a JSON file, or "memory", an
+ *                         empty database that is lost when the server stops
+ *                         (see db/index.js)
+ *   DB_STORAGE            The database file of the "sqlite" storage driver
+ *   JSON_STORAGE          The data file of the "json" storage driver
+ *   METADATA_PROVIDER     Which ISBN metadata provider to use: "fixture" (the
+ *                         default, works offline) or "openlibrary", or several
+ *                         to try in turn, e.g. "openlibrary,fixture"
+ *   METADATA_BASE_URL     Base URL of the Open Library–style HTTP service
+ *   METADATA_TIMEOUT_MS   How long to wait for each provider, in milliseconds
+ *   METADATA_FIXTURES     Path of the JSON file the fixture provider reads
+ *   IMPORT_MAX_BYTES      Largest CSV file the import page accepts, in bytes
+ *   IMPORT_MAX_ROWS       Most books a single CSV import may contain
+ *   SESSION_SECRET        The secret that signs session cookies. Without it a
+ *                         random secret is made at startup, so everyone is
+ *                         logged out whenever the server restarts
+ *   SESSION_MAX_AGE_DAYS  How long a login lasts without being used, in days
+ *   SESSION_SECURE_COOKIE Set to "true" to send the session cookie over HTTPS only
+ *   EXCHANGE_RATES_FILE   Path of the JSON exchange-rate table used to convert
+ *                         costs between currencies (see config/exchange-rates.json)
+ *   DEFAULT_CURRENCY      The currency of new accounts, and of books added
+ *                         without one, e.g. "USD"
+ *   DEFAULT_LOCALE        How prices are written for users who have not chosen
+ *                         a locale, e.g. "en-US" or "de-DE"
+ *   LINK_CHECK_INTERVAL_MINUTES How often the shopping link checker runs; 0
+ *                         turns the scheduled checks off
+ *   LINK_CHECK_MAX_AGE_HOURS    How old a link check may get before the link
+ *                         is checked again
+ *   LINK_CHECK_BATCH_SIZE Most links one scheduled run checks
+ *   LINK_CHECK_TIMEOUT_MS How long to wait for a store to answer, in milliseconds
+ *   LINK_CHECK_CONCURRENCY      How many links are checked at the same time
+ *   LINK_CHECK_HOST_INTERVAL_MS The shortest gap between two requests to the
+ *                         same store, in milliseconds
+ *   TRASH_RETENTION_DAYS  How long deleted books stay in the trash before they
+ *                         are purged for good; 0 keeps them until purged by hand
+ *   BACKUP_DIR            Where the database backups are written
+ *   BACKUP_KEEP           How many database backups are kept
+ *   BACKUP_INTERVAL_HOURS How often the database is backed up while the server
+ *                         runs, besides once at startup; 0 turns it off
+ *   WEBHOOK_TIMEOUT_MS    How long to wait for a webhook to answer, in milliseconds
+ *   WEBHOOK_MAX_ATTEMPTS  How many times a webhook delivery is tried before it
+ *                         is marked failed
+ *   WEBHOOK_RETRY_BASE_SECONDS  How long to wait before the first retry; each
+ *                         retry after it waits twice as long as the one before
+ *   WEBHOOK_POLL_SECONDS  How often the retries that have come due are sent;
+ *                         0 leaves them until the next book event
+ *   COVERS_DIR            Where uploaded cover images and their thumbnails are stored
+ *   COVER_MAX_BYTES       Largest cover image the add and edit forms accept, in bytes
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * path - Node.js built-in module used to build default file locations
+ */
+const path = require("path");
+
+/**
+ * crypto - Node.js built-in module used to make a random session secret
+ * when none is configured
+ */
+const crypto = require("crypto");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DATA_DIR - The directory that holds the application's data files
+ */
+const DATA_DIR = path.join(__dirname, "..", "data");
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  /**
+   * server - Where the server listens for requests
+   */
+  server: {
+    port: Number(process.env.PORT) || 3000,
+  },
+
+  /**
+   * logging - Which log lines are written (see utils/logger.js)
+   */
+  logging: {
+    level: process.env.LOG_LEVEL || "info",
+  },
+
+  /**
+   * storage - Which storage driver keeps the data, and where
+   */
+  storage: {
+    driver: process.env.STORAGE_DRIVER || "sqlite",
+    path: process.env.DB_STORAGE || path.join(DATA_DIR, "readinglist.sqlite"),
+    jsonPath: process.env.JSON_STORAGE || path.join(DATA_DIR, "readinglist.json"),
+  },
+
+  /**
+   * metadata - Where ISBN lookups get their book details from
+   */
+  metadata: {
+    provider: process.env.METADATA_PROVIDER || "fixture",
+    baseUrl: process.env.METADATA_BASE_URL || "https://openlibrary.org",
+    timeoutMs: Number(process.env.METADATA_TIMEOUT_MS) || 5000,
+    fixturesPath: process.env.METADATA_FIXTURES || path.join(DATA_DIR, "isbn-fixtures.json"),
+  },
+
+  /**
+   * import - Limits on the CSV files the import page accepts
+   */
+  import: {
+    maxBytes: Number(process.env.IMPORT_MAX_BYTES) || 1024 * 1024,
+    maxRows: Number(process.env.IMPORT_MAX_ROWS) || 1000,
+  },
+
+  /**
+   * session - How login sessions and their cookies behave
+   */
+  session: {
+    secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+    maxAgeMs: (Number(process.env.SESSION_MAX_AGE_DAYS) || 14) * 24 * 60 * 60 * 1000,
+    secureCookie: process.env.SESSION_SECURE_COOKIE === "true",
+  },
+
+  /**
+   * money - Currencies, exchange rates and how prices are written
+   */
+  money: {
+    ratesPath: process.env.EXCHANGE_RATES_FILE || path.join(__dirname, "exchange-rates.json"),
+    defaultCurrency: (process.env.DEFAULT_CURRENCY || "USD").toUpperCase(),
+    defaultLocale: process.env.DEFAULT_LOCALE || "en-US",
+  },
+
+  /**
+   * linkCheck - How and how often the shopping links are checked
+   */
+  linkCheck: {
+    intervalMinutes: Number(process.env.LINK_CHECK_INTERVAL_MINUTES ?? 60) || 0,
+    maxAgeHours: Number(process.env.LINK_CHECK_MAX_AGE_HOURS) || 24,
+    batchSize: Number(process.env.LINK_CHECK_BATCH_SIZE) || 200,
+    timeoutMs: Number(process.env.LINK_CHECK_TIMEOUT_MS) || 10000,
+    concurrency: Number(process.env.LINK_CHECK_CONCURRENCY) || 4,
+    hostIntervalMs: Number(process.env.LINK_CHECK_HOST_INTERVAL_MS) || 1000,
+  },
+
+  /**
+   * trash - How long deleted books can still be restored, and how often the
+   * expired ones are looked for
+   */
+  trash: {
+    retentionDays: Number(process.env.TRASH_RETENTION_DAYS ?? 30) || 0,
+    purgeIntervalMinutes: 60,
+  },
+
+  /**
+   * backup - Where the database backups go, how many are kept and how often
+   * one is made
+   */
+  backup: {
+    dir: process.env.BACKUP_DIR || path.join(DATA_DIR, "backups"),
+    keep: Number(process.env.BACKUP_KEEP) || 7,
+    intervalHours: Number(process.env.BACKUP_INTERVAL_HOURS ?? 24) || 0,
+  },
+
+  /**
+   * webhooks - How book events are sent to webhooks, and retried when they fail
+   */
+  webhooks: {
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS ?? 30) || 0,
+    pollSeconds: Number(process.env.WEBHOOK_POLL_SECONDS ?? 15) || 0,
+    batchSize: 100,
+  },
+
+  /**
+   * covers - Where uploaded cover images are stored, how large they may be
+   * and the size of the thumbnails made from them
+   */
+  covers: {
+    dir: process.env.COVERS_DIR || path.join(DATA_DIR, "covers"),
+    maxBytes: Number(process.env.COVER_MAX_BYTES) || 5 * 1024 * 1024,
+    thumbnailWidth: 240,
+    thumbnailHeight: 360,
+  },
+};
@@ -0,0 +1,117 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for the admin link check page,
+ * which shows how the shopping links on every user's books are doing and
+ * lets an administrator check them again.
+ *
+ * Controller Purpose:
+ * The checks themselves run in services/linkCheckJob.js. Checking every link
+ * can take minutes, so the "check all" button starts a run in the background
+ * and returns straight away; checking a single book's link waits for the
+ * answer. The handlers run behind requireLogin and requireAdmin (see
+ * middleware/auth.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * LinkCheck - Counts the links by status and lists the failing ones
+ */
+const LinkCheck = require("../models/LinkCheck");
+
+/**
+ * linkCheckJob - Runs the link checks and reports on the last run
+ */
+const linkCheckJob = require("../services/linkCheckJob");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+/**
+ * logger - Logs a link check run that failed
+ */
+const logger = require("../utils/logger");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LINKS_PAGE - Where the handlers return to after starting a check
+ */
+const LINKS_PAGE = "/admin/links";
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the link check page: the number of links in each
+ * state, the failing links and what the last run did.
+ *
+ * @param {Object} req - The Express request object, with ?started=1 after a
+ *                       run was started
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function showLinks(req, res) {
+  res.render("admin-links", {
+    counts: await LinkCheck.countByStatus(),
+    failedLinks: await LinkCheck.listFailedLinks(),
+    job: linkCheckJob.getStatus(),
+    started: req.query.started === "1",
+  });
+}
+
+/**
+ * This function starts checking every link in the background and returns to
+ * the link check page.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+function checkAllLinks(req, res) {
+  // Nobody waits for the run, so its failure can only be logged
+  linkCheckJob
+    .runChecks({ all: true })
+    .catch((error) => logger.error("Link check failed", { error: logger.describeError(error) }));
+  res.redirect(`${LINKS_PAGE}?started=1`);
+}
+
+/**
+ * This function checks one book's link and returns to the link check page
+ * once the result is stored.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params.bookId
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the ID is not a number, returns a 404 response
+ */
+async function checkOneLink(req, res) {
+  const bookId = Number(req.params.bookId);
+  if (!Number.isInteger(bookId)) {
+    throw httpError(404, "Book not found");
+  }
+
+  await linkCheckJob.runChecks({ bookIds: [bookId] });
+  res.redirect(LINKS_PAGE);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions to make them available to the router
+ */
+module.exports = {
+  showLinks,
+  checkAllLinks,
+  checkOneLink,
+};
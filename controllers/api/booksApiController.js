@@ -0,0 +1,422 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions behind the versioned JSON API
+ * for books (/api/v1/books). It is the machine-readable counterpart of
+ * booksController.js and calls the very same Book model functions.
+ *
+ * Controller Purpose:
+ * Each function answers with JSON instead of rendering a view. Successful
+ * responses wrap their payload as { data }, and every failure uses the same
+ * error envelope, { error: { status, code, message, details } }, so clients
+ * only have to handle one shape.
+ *
+ * Every route here requires a logged-in user (see middleware/auth.js), and
+ * each function only reads or changes that user's books.
+ *
+ * Request bodies send the cost as a decimal amount ("cost": 20.35), which is
+ * validated exactly like the form field; responses carry the stored value in
+ * minor units ("costMinor": 2035). The cost's currency is sent and returned
+ * as "currency" ("EUR"); a new book without one is in the user's currency.
+ * A PATCH that changes the currency without sending a cost converts the
+ * stored cost into the new currency at the exchange-rate table's rates.
+ * Tags are sent and returned as an array of names ("tags": ["sci-fi"]); a
+ * body without "tags" leaves them unchanged.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Book - The data model that handles all book-related operations
+ * including retrieving, creating, updating, and deleting book records
+ */
+const Book = require("../../models/Book");
+
+/**
+ * Trash - Restores the books that were deleted
+ */
+const Trash = require("../../models/Trash");
+
+/**
+ * BookRevision - Reads each book's audit log
+ */
+const BookRevision = require("../../models/BookRevision");
+
+/**
+ * bookValidator - Validates and normalizes submitted book details, shared
+ * with the HTML form controllers
+ */
+const { validateBook } = require("../../validators/bookValidator");
+
+/**
+ * ReadingStatus - The reading status workflow, used to validate status changes
+ */
+const ReadingStatus = require("../../models/ReadingStatus");
+
+/**
+ * metadata - Looks up book details by ISBN through the configured provider
+ */
+const metadata = require("../../services/metadata");
+
+/**
+ * bookListQuery - Reads the search, filter, sort and pagination options
+ * shared with the home page
+ */
+const { parseBookListQuery } = require("../../validators/bookListQuery");
+
+/**
+ * money - Converts stored minor-unit costs back into decimal text when a
+ * PATCH request needs to re-validate the fields it did not change
+ */
+const { fromMinorUnits } = require("../../utils/money");
+
+/**
+ * currency - Says how many decimal places the stored cost's currency has,
+ * and converts the stored cost when a PATCH request changes the currency
+ */
+const { fractionDigits, isSupportedCurrency, convertMinor } = require("../../services/currency");
+
+/**
+ * respond - Sends failures in the API's error envelope
+ */
+const { sendError, toErrorDetails } = require("./respond");
+
+/**
+ * logger - Logs the lookups the metadata provider failed
+ */
+const logger = require("../../utils/logger");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function sends the standard 404 response for a missing book.
+ *
+ * @param {Object} res - The Express response object
+ * @returns {Object} - The Express response
+ */
+function sendBookNotFound(res) {
+  return sendError(res, 404, "book_not_found", "Book not found");
+}
+
+/**
+ * This helper function parses the book ID from the URL parameters.
+ *
+ * @param {Object} req - The Express request object
+ * @returns {Number} - The parsed ID, which is NaN when it is not a number
+ */
+function parseBookId(req) {
+  return /^\d+$/.test(req.params.id) ? Number(req.params.id) : NaN;
+}
+
+/**
+ * This helper function writes a book's stored cost as the decimal text a
+ * client sends, converted into another currency first when asked.
+ *
+ * @param {Object} book - The stored book, with costMinor and currency
+ * @param {String} code - The currency to write the cost in
+ * @returns {String} - The cost, e.g. "12.99" or "1942", or "" when the book has none
+ */
+function costAsSent(book, code) {
+  if (book.costMinor === null || book.costMinor === undefined) return "";
+  return fromMinorUnits(convertMinor(book.costMinor, book.currency, code), fractionDigits(code));
+}
+
+/**
+ * This helper function validates the fields, saves them over the given book
+ * and sends the response. It is shared by PUT and PATCH.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Number} bookId - The ID of the book to update
+ * @param {Object} input - The complete set of submitted fields
+ * @returns {Promise<Object>} - The Express response
+ */
+async function saveBook(req, res, bookId, input) {
+  // Reject the request if the fields are not valid
+  const { values, errors } = validateBook(input, { defaultCurrency: req.user.currency });
+  if (errors) {
+    return sendError(res, 422, "validation_failed", "The book could not be saved", toErrorDetails(errors));
+  }
+
+  // Update the book using the same model function as the HTML form
+  const updatedBook = await Book.updateBook(req.user.id, bookId, values);
+
+  // If the book doesn't exist, return a 404 response
+  if (!updatedBook) return sendBookNotFound(res);
+
+  return res.json({ data: updatedBook });
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function responds with a page of books. It accepts the same search,
+ * filter, sort and pagination options as the home page (see
+ * validators/bookListQuery.js) and describes the full result in a meta object.
+ *
+ * @param {Object} req - The Express request object, with the options in req.query
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If an option is invalid, returns a 422 response
+ */
+async function listBooks(req, res) {
+  // Reject invalid options rather than silently ignoring them
+  const { options, errors } = parseBookListQuery(req.query, { currency: req.user.currency });
+  if (errors.length) {
+    return sendError(res, 422, "validation_failed", "The list options are not valid", errors);
+  }
+
+  const { books, total } = await Book.searchBooks(req.user.id, options);
+  res.json({
+    data: books,
+    meta: {
+      total,
+      page: options.page,
+      pageSize: options.pageSize,
+      pageCount: Math.max(1, Math.ceil(total / options.pageSize)),
+    },
+  });
+}
+
+/**
+ * This function responds with a single book.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the book is not found, returns a 404 response
+ */
+async function getBook(req, res) {
+  const book = await Book.getBookById(req.user.id, parseBookId(req));
+
+  // If the book doesn't exist, return a 404 response
+  if (!book) return sendBookNotFound(res);
+
+  res.json({ data: book });
+}
+
+/**
+ * This function creates a book from the JSON request body and responds with
+ * 201 Created and the new book's location. When the body has an "isbn",
+ * missing fields are filled in from the metadata provider first.
+ *
+ * @param {Object} req - The Express request object, with the book in req.body
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the body is not valid, returns a 422 response
+ */
+async function createBook(req, res) {
+  // Fill any missing fields from the ISBN, if one was given
+  const { input } = await metadata.enrichFromIsbn(req.body || {});
+
+  // Reject the request if the fields are not valid
+  const { values, errors } = validateBook(input, { defaultCurrency: req.user.currency });
+  if (errors) {
+    return sendError(res, 422, "validation_failed", "The book could not be saved", toErrorDetails(errors));
+  }
+
+  // Add the book using the same model function as the HTML form
+  const newBook = await Book.addBook(req.user.id, values);
+
+  res.status(201).location(`${req.baseUrl}/books/${newBook.id}`).json({ data: newBook });
+}
+
+/**
+ * This function replaces a book with the JSON request body. Fields that are
+ * left out of the body are cleared.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Promise<Object>} - The Express response
+ */
+async function replaceBook(req, res) {
+  return saveBook(req, res, parseBookId(req), req.body);
+}
+
+/**
+ * This function changes only the fields present in the JSON request body,
+ * keeping the rest of the book as it is.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Promise<Object>} - The Express response
+ */
+async function patchBook(req, res) {
+  const bookId = parseBookId(req);
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, return a 404 response
+  if (!book) return sendBookNotFound(res);
+
+  // A new currency sent without a cost keeps the stored cost, converted into it
+  const body = req.body || {};
+  const sentCurrency = String(body.currency || "").trim().toUpperCase();
+  const costCurrency = isSupportedCurrency(sentCurrency) ? sentCurrency : book.currency;
+
+  // Lay the sent fields over the stored ones, in the same form a client sends them
+  const current = {
+    title: book.title,
+    author: book.author,
+    cost: costAsSent(book, costCurrency),
+    currency: book.currency,
+    shoppingUrl: book.shoppingUrl || "",
+    isbn: book.isbn13 || "",
+    publisher: book.publisher || "",
+    pageCount: book.pageCount || "",
+    coverUrl: book.coverUrl || "",
+    targetFinishDate: book.targetFinishDate || "",
+    tags: book.tags,
+  };
+  return saveBook(req, res, bookId, { ...current, ...body });
+}
+
+/**
+ * This function moves a book to the trash and responds with 204 No Content.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the book is not found, returns a 404 response
+ */
+async function deleteBook(req, res) {
+  const deletedBook = await Book.deleteBook(req.user.id, parseBookId(req));
+
+  // If the book doesn't exist, return a 404 response
+  if (!deletedBook) return sendBookNotFound(res);
+
+  res.status(204).end();
+}
+
+/**
+ * This function takes a book out of the trash and responds with it.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the book is not in the trash, returns a 404 response
+ */
+async function restoreBook(req, res) {
+  const restoredBook = await Trash.restoreBook(req.user.id, parseBookId(req));
+
+  // If the book isn't in the trash, return a 404 response
+  if (!restoredBook) return sendBookNotFound(res);
+
+  // Respond with the book as the other routes show it, tags included
+  res.json({ data: await Book.getBookById(req.user.id, restoredBook.id) });
+}
+
+/**
+ * This function moves a book to the reading status in the JSON body
+ * ({ "status": "reading" }) and responds with the updated book.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - 404 if the book is not found, 422 if the status is
+ *                     unknown, 409 if the workflow does not allow the move
+ */
+async function changeStatus(req, res) {
+  const bookId = parseBookId(req);
+  const status = req.body && req.body.status;
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, return a 404 response
+  if (!book) return sendBookNotFound(res);
+
+  // Reject values that are not statuses at all
+  if (!ReadingStatus.isStatus(status)) {
+    return sendError(res, 422, "validation_failed", "The status could not be changed", [
+      { field: "status", message: `status must be one of ${ReadingStatus.STATUSES.join(", ")}` },
+    ]);
+  }
+
+  // Reject moves the workflow does not allow
+  const problem = ReadingStatus.checkTransition(book.status, status);
+  if (problem) return sendError(res, 409, "invalid_status_transition", problem);
+
+  const updatedBook = await Book.changeStatus(req.user.id, bookId, status);
+  res.json({ data: updatedBook });
+}
+
+/**
+ * This function responds with a book's status timeline, oldest change first.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the book is not found, returns a 404 response
+ */
+async function listStatusChanges(req, res) {
+  const bookId = parseBookId(req);
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, return a 404 response
+  if (!book) return sendBookNotFound(res);
+
+  res.json({ data: await Book.getStatusHistory(req.user.id, bookId) });
+}
+
+/**
+ * This function responds with the audit log of a book's details, newest first.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the book is not found, returns a 404 response
+ */
+async function listRevisions(req, res) {
+  const bookId = parseBookId(req);
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, return a 404 response
+  if (!book) return sendBookNotFound(res);
+
+  res.json({ data: await BookRevision.getRevisions(req.user.id, bookId) });
+}
+
+/**
+ * This function validates an ISBN, converts it to both forms and responds
+ * with the book details the metadata provider has for it.
+ *
+ * @param {Object} req - The Express request object, with the ISBN in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - 422 for an invalid ISBN, 404 when the provider does not
+ *                     know it, 502 when the provider fails
+ */
+async function lookupIsbn(req, res) {
+  let result;
+  try {
+    result = await metadata.lookupIsbn(req.params.isbn);
+  } catch (error) {
+    logger.warn("ISBN lookup failed", { isbn: req.params.isbn, error: logger.describeError(error) });
+    return sendError(res, 502, "lookup_failed", "The metadata provider could not be reached");
+  }
+
+  const { isbn, metadata: details } = result;
+  if (!isbn) {
+    return sendError(res, 422, "validation_failed", "Not a valid ISBN", [
+      { field: "isbn", message: "isbn must be a valid ISBN-10 or ISBN-13" },
+    ]);
+  }
+  if (!details) return sendError(res, 404, "isbn_not_found", "No details were found for that ISBN");
+
+  res.json({ data: { ...isbn, ...details } });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all controller functions to make them available to the API router
+ */
+module.exports = {
+  listBooks,
+  getBook,
+  createBook,
+  replaceBook,
+  patchBook,
+  deleteBook,
+  restoreBook,
+  changeStatus,
+  listStatusChanges,
+  listRevisions,
+  lookupIsbn,
+};
@@ -0,0 +1,53 @@
+/**
+ * File Purpose:
+ * This file holds the response helpers shared by the API controllers, so
+ * that every API failure is sent in the same error envelope:
+ *
+ *   { "error": { "status": 422, "code": "validation_failed",
+ *                "message": "...", "details": [{ "field", "message" }],
+ *                "requestId": "..." } }
+ *
+ * The request ID (see middleware/requestLogger.js) lets a failure a client
+ * reports be found in the server's logs.
+ */
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function sends a response in the API's error envelope.
+ *
+ * @param {Object} res - The Express response object
+ * @param {Number} status - The HTTP status code
+ * @param {String} code - A short machine-readable error code
+ * @param {String} message - A human-readable description of the error
+ * @param {Array} [details] - Optional per-field problems
+ * @returns {Object} - The Express response
+ */
+function sendError(res, status, code, message, details) {
+  const error = { status, code, message };
+  if (details) error.details = details;
+  if (res.locals.requestId) error.requestId = res.locals.requestId;
+  return res.status(status).json({ error });
+}
+
+/**
+ * This function converts a validator's { field: message } errors into the
+ * list of { field, message } details used by the error envelope.
+ *
+ * @param {Object} errors - The errors returned by a validator
+ * @returns {Array} - The per-field problems
+ */
+function toErrorDetails(errors) {
+  return Object.entries(errors).map(([field, message]) => ({ field, message }));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  sendError,
+  toErrorDetails,
+};
@@ -0,0 +1,95 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions behind /api/v1/session, which
+ * lets scripts and the mobile client log in and out with JSON instead of the
+ * HTML login form.
+ *
+ * Controller Purpose:
+ * A successful login answers with the user and sets the same session cookie
+ * the pages use, which the client then sends with every later API request.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * User - The data model that checks passwords
+ */
+const User = require("../../models/User");
+
+/**
+ * userValidator - Reads the submitted email and password
+ */
+const { validateLogin } = require("../../validators/userValidator");
+
+/**
+ * auth - Logs users in and out
+ */
+const { startSession, endSession } = require("../../middleware/auth");
+
+/**
+ * respond - Sends failures in the API's error envelope
+ */
+const { sendError, toErrorDetails } = require("./respond");
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function responds with the logged-in user.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If nobody is logged in, returns a 401 response
+ */
+function getSession(req, res) {
+  if (!req.user) return sendError(res, 401, "unauthenticated", "Nobody is logged in");
+  res.json({ data: req.user });
+}
+
+/**
+ * This function logs in with the email and password in the JSON body and
+ * responds with the user.
+ *
+ * @param {Object} req - The Express request object, with { email, password } in req.body
+ * @param {Object} res - The Express response object
+ * @returns {Object} - 422 if a field is missing, 401 if they do not match an account
+ */
+async function createSession(req, res) {
+  const { values, errors } = validateLogin(req.body || {});
+  if (errors) {
+    return sendError(res, 422, "validation_failed", "Email and password are required", toErrorDetails(errors));
+  }
+
+  const user = await User.authenticate(values.email, values.password);
+  if (!user) return sendError(res, 401, "invalid_credentials", "That email and password do not match an account");
+
+  await startSession(req, user);
+  res.json({ data: user });
+}
+
+/**
+ * This function logs out and responds with 204 No Content.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ */
+async function deleteSession(req, res) {
+  await endSession(req);
+  res.status(204).end();
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions to make them available to the API router
+ */
+module.exports = {
+  getSession,
+  createSession,
+  deleteSession,
+};
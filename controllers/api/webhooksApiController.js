@@ -0,0 +1,199 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions behind /api/v1/webhooks, which
+ * lets scripts register, list and delete webhooks and read their delivery
+ * history. It is the machine-readable counterpart of webhooksController.js
+ * and calls the very same model functions.
+ *
+ * Controller Purpose:
+ * Successful responses wrap their payload as { data }, and every failure
+ * uses the API's error envelope (see respond.js). A webhook is returned with
+ * its secret, which the receiver needs to check the signature of each
+ * request. A delivery is returned with its body parsed, as "payload".
+ *
+ * Every route here requires a logged-in user (see middleware/auth.js), and
+ * each function only reads or changes that user's webhooks.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Webhook - Stores the user's webhooks
+ */
+const Webhook = require("../../models/Webhook");
+
+/**
+ * WebhookDelivery - Reads the delivery history and queues failed deliveries again
+ */
+const WebhookDelivery = require("../../models/WebhookDelivery");
+
+/**
+ * webhookJob - Sends a delivery that was queued again
+ */
+const webhookJob = require("../../services/webhookJob");
+
+/**
+ * webhookValidator - Validates new webhooks, shared with the webhooks page
+ */
+const { validateWebhook } = require("../../validators/webhookValidator");
+
+/**
+ * respond - Sends failures in the API's error envelope
+ */
+const { sendError, toErrorDetails } = require("./respond");
+
+/**
+ * parseId - Reads the IDs in the URL parameters
+ */
+const parseId = require("../../utils/parseId");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function sends the standard 404 response for a missing webhook.
+ *
+ * @param {Object} res - The Express response object
+ * @returns {Object} - The Express response
+ */
+function sendWebhookNotFound(res) {
+  return sendError(res, 404, "webhook_not_found", "Webhook not found");
+}
+
+/**
+ * This helper function turns a stored delivery into its API representation,
+ * with the body it sends parsed.
+ *
+ * @param {Object} delivery - The delivery
+ * @returns {Object} - The delivery with "payload" as an object
+ */
+function toDeliveryResource(delivery) {
+  return { ...delivery, payload: JSON.parse(delivery.payload) };
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function responds with the user's webhooks, newest first.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ */
+async function listWebhooks(req, res) {
+  res.json({ data: await Webhook.listWebhooks(req.user.id) });
+}
+
+/**
+ * This function registers a webhook from the JSON body and responds with it,
+ * including its secret.
+ *
+ * @param {Object} req - The Express request object, with { url, label, events } in req.body
+ * @param {Object} res - The Express response object
+ * @returns {Object} - 201 with the webhook, or 422 when the body is invalid
+ */
+async function createWebhook(req, res) {
+  const { values, errors } = validateWebhook(req.body || {});
+  if (errors) {
+    return sendError(res, 422, "validation_failed", "The webhook could not be saved", toErrorDetails(errors));
+  }
+
+  const webhook = await Webhook.createWebhook(req.user.id, values);
+  res.status(201).json({ data: webhook });
+}
+
+/**
+ * This function responds with one of the user's webhooks.
+ *
+ * @param {Object} req - The Express request object, with the webhook ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the webhook is not found, returns a 404 response
+ */
+async function getWebhook(req, res) {
+  const webhook = await Webhook.getWebhook(req.user.id, parseId(req.params.id));
+  if (!webhook) return sendWebhookNotFound(res);
+
+  res.json({ data: webhook });
+}
+
+/**
+ * This function deletes one of the user's webhooks and its delivery history
+ * and responds with 204 No Content.
+ *
+ * @param {Object} req - The Express request object, with the webhook ID in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the webhook is not found, returns a 404 response
+ */
+async function deleteWebhook(req, res) {
+  const webhook = await Webhook.deleteWebhook(req.user.id, parseId(req.params.id));
+  if (!webhook) return sendWebhookNotFound(res);
+
+  res.status(204).end();
+}
+
+/**
+ * This function responds with the most recent deliveries of one of the
+ * user's webhooks, newest first.
+ *
+ * @param {Object} req - The Express request object, with the webhook ID in
+ *                      req.params and the status in req.query
+ * @param {Object} res - The Express response object
+ * @returns {Object} - 404 if the webhook is not found, 422 for an unknown status
+ */
+async function listDeliveries(req, res) {
+  const webhook = await Webhook.getWebhook(req.user.id, parseId(req.params.id));
+  if (!webhook) return sendWebhookNotFound(res);
+
+  // The status is optional, but must be a known one when given
+  const { status } = req.query;
+  if (status !== undefined && !WebhookDelivery.STATUSES[status]) {
+    const statuses = Object.keys(WebhookDelivery.STATUSES).join(", ");
+    return sendError(res, 422, "validation_failed", "Unknown delivery status", [
+      { field: "status", message: `Status must be one of ${statuses}.` },
+    ]);
+  }
+
+  const deliveries = await WebhookDelivery.listDeliveries(req.user.id, webhook.id, { status });
+  res.json({ data: deliveries.map(toDeliveryResource) });
+}
+
+/**
+ * This function puts a failed delivery back in the queue, with a fresh set
+ * of attempts starting at once, and responds with it.
+ *
+ * @param {Object} req - The Express request object, with the webhook and
+ *                      delivery IDs in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Object} - If the webhook or the failed delivery is not found,
+ *                     returns a 404 response
+ */
+async function retryDelivery(req, res) {
+  const webhook = await Webhook.getWebhook(req.user.id, parseId(req.params.id));
+  if (!webhook) return sendWebhookNotFound(res);
+
+  const delivery = await WebhookDelivery.retryDelivery(req.user.id, webhook.id, parseId(req.params.deliveryId));
+  if (!delivery) return sendError(res, 404, "delivery_not_found", "Failed delivery not found");
+
+  webhookJob.sendSoon();
+  res.json({ data: toDeliveryResource(delivery) });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions to make them available to the API router
+ */
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  getWebhook,
+  deleteWebhook,
+  listDeliveries,
+  retryDelivery,
+};
@@ -0,0 +1,169 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for registering, logging in
+ * and logging out through the HTML pages.
+ *
+ * Controller Purpose:
+ * A successful registration or login stores the user's ID in the session,
+ * whose cookie then identifies the user on every later request (see
+ * middleware/auth.js). Failed attempts show the form again with a message,
+ * keeping the email that was typed but never the password.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * User - The data model that creates accounts and checks passwords
+ */
+const User = require("../models/User");
+
+/**
+ * userValidator - Validates and normalizes the submitted account details
+ */
+const { LIMITS, validateRegistration, validateLogin } = require("../validators/userValidator");
+
+/**
+ * auth - Logs users in and out and checks where to send them afterwards
+ */
+const { startSession, endSession, safeReturnPath } = require("../middleware/auth");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LOGIN_FAILED_MESSAGE - The one message shown for a wrong email or a wrong
+ * password, so the form does not reveal which emails have accounts
+ */
+const LOGIN_FAILED_MESSAGE = "That email and password do not match an account.";
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the login form. Users who are already logged in are
+ * sent straight on.
+ *
+ * @param {Object} req - The Express request object, with the optional return
+ *                      address in req.query.next
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - A redirect when the user is already logged in
+ */
+function showLoginForm(req, res) {
+  const next = safeReturnPath(req.query.next);
+  if (req.user) return res.redirect(next);
+  res.render("login", { next });
+}
+
+/**
+ * This function processes the login form. On success the user is logged in
+ * and sent to the page they originally asked for.
+ *
+ * @param {Object} req - The Express request object, with email, password and
+ *                      next in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the login fails, returns a 401 response
+ */
+async function login(req, res) {
+  const next = safeReturnPath(req.body.next);
+
+  // Both fields must be filled in
+  const { values, errors } = validateLogin(req.body);
+  if (errors) {
+    return res.status(422).render("login", { email: req.body.email, next, error: errors.email });
+  }
+
+  // Check the password and refuse unknown accounts with the same message
+  const user = await User.authenticate(values.email, values.password);
+  if (!user) {
+    return res.status(401).render("login", { email: values.email, next, error: LOGIN_FAILED_MESSAGE });
+  }
+
+  // Log the user in and continue to where they were going
+  await startSession(req, user);
+  res.redirect(next);
+}
+
+/**
+ * This function renders the registration form.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - A redirect when the user is already logged in
+ */
+function showRegisterForm(req, res) {
+  if (req.user) return res.redirect("/");
+  res.render("register", { limits: LIMITS });
+}
+
+/**
+ * This function processes the registration form. On success the new account
+ * is logged in and sent to the home page.
+ *
+ * @param {Object} req - The Express request object, with email, password and
+ *                      confirmPassword in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the details are invalid or the email is taken,
+ *                     returns a 422 response
+ */
+async function register(req, res) {
+  // Validate the details, keeping the confirmation check for the form
+  const { values, errors } = validateRegistration({
+    ...req.body,
+    confirmPassword: req.body.confirmPassword || "",
+  });
+  if (errors) {
+    return res.status(422).render("register", { email: req.body.email, errors, limits: LIMITS });
+  }
+
+  // Create the account, reporting an email that is already registered
+  let user;
+  try {
+    user = await User.createUser(values);
+  } catch (error) {
+    if (error.code !== "EMAIL_TAKEN") throw error;
+    return res.status(422).render("register", {
+      email: values.email,
+      errors: { email: error.message },
+      limits: LIMITS,
+    });
+  }
+
+  // Log the new user in
+  await startSession(req, user);
+  res.redirect("/");
+}
+
+/**
+ * This function logs the user out and returns to the login page.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function logout(req, res) {
+  await endSession(req);
+  res.redirect("/login");
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions for the auth router
+ */
+module.exports = {
+  showLoginForm,
+  login,
+  showRegisterForm,
+  register,
+  logout,
+};
@@ -11,6 +11,18 @@
  * the collection. It handles both the rendering of views and the processing
  * of form submissions. Each function corresponds to a specific route and
  * action in the application's workflow.
+ *
+ * The Book model reads and writes the database asynchronously, so the handlers
+ * that use it are async functions and are wrapped with asyncHandler in the router.
+ *
+ * The add and edit forms are sent as multipart/form-data so they can carry a
+ * cover image. receiveCover reads the form and the image into memory before
+ * the CSRF check (see routes/uploads.js), and the image is only stored (see
+ * services/coverImages.js) once the whole form has been checked.
+ *
+ * Every handler runs behind requireLogin (see middleware/auth.js) and passes
+ * the logged-in user's ID to the Book model, so users only ever see and
+ * change their own books.
  */
 
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
@@ -23,25 +35,640 @@
  */
 const Book = require("../models/Book");
 
+/**
+ * ReadingStatus - The reading status workflow, used to validate status
+ * changes and to build the status tabs and buttons
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * Tag - Lists the user's tags for the tag filter on the home page
+ */
+const Tag = require("../models/Tag");
+
+/**
+ * Shelf - Lists the shelves a book is on, and the ones it could be put on
+ */
+const Shelf = require("../models/Shelf");
+
+/**
+ * ReadingSession - Logs reading sessions against a book and lists them
+ */
+const ReadingSession = require("../models/ReadingSession");
+
+/**
+ * bookValidator - Validates and normalizes submitted book details before they
+ * are passed to the Book model
+ */
+const { LIMITS, validateBook } = require("../validators/bookValidator");
+
+/**
+ * money - Converts stored minor-unit costs back into the decimal text the
+ * edit form shows
+ */
+const { fromMinorUnits } = require("../utils/money");
+
+/**
+ * currency - Lists the currencies the cost field offers and how many decimal
+ * places each one has
+ */
+const currency = require("../services/currency");
+
+/**
+ * readingSessionValidator - Validates the reading session form on the book page
+ */
+const { LIMITS: SESSION_LIMITS, validateReadingSession } = require("../validators/readingSessionValidator");
+
+/**
+ * reviewValidator - Validates the review and note forms on the book page
+ */
+const { NOTE_KINDS, LIMITS: REVIEW_LIMITS, validateReview, validateNote } = require("../validators/reviewValidator");
+
+/**
+ * BookNote - Stores the private notes and quotes written down for each book
+ */
+const BookNote = require("../models/BookNote");
+
+/**
+ * BookRevision - Reads each book's audit log for the history panel
+ */
+const BookRevision = require("../models/BookRevision");
+
+/**
+ * markdown - Renders the book's Markdown review as safe HTML
+ */
+const { renderMarkdown } = require("../utils/markdown");
+
+/**
+ * readingStats - Works out a book's progress and estimated finish date
+ */
+const { bookProgress } = require("../services/readingStats");
+
+/**
+ * dates - Provides today's date for the session form and the progress estimate
+ */
+const { toDateKey } = require("../utils/dates");
+
+/**
+ * flash - Leaves the notice, with its "Undo" button, shown after a delete,
+ * and the one that reports a bulk action
+ */
+const { setFlash } = require("../middleware/flash");
+
+/**
+ * metadata - Looks up book details by ISBN through the configured provider
+ */
+const metadata = require("../services/metadata");
+
+/**
+ * bookListQuery - Reads the search, filter, sort and pagination options for
+ * the home page out of the query string
+ */
+const { SORT_FIELDS, DEFAULT_PAGE_SIZE, parseBookListQuery } = require("../validators/bookListQuery");
+
+/**
+ * bulkActionValidator - Validates the bulk action bar on the home page and
+ * lists the actions and cost modes it offers
+ */
+const { BULK_ACTIONS, COST_MODES, validateBulkAction } = require("../validators/bulkActionValidator");
+
+/**
+ * auth - Keeps the page a bulk action returns to on this site
+ */
+const { safeReturnPath } = require("../middleware/auth");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+/**
+ * multer - Middleware that reads the multipart/form-data add and edit forms,
+ * with the cover image uploaded on them
+ */
+const multer = require("multer");
+
+/**
+ * coverImages - Checks, stores and removes the uploaded cover images
+ */
+const coverImages = require("../services/coverImages");
+
+/**
+ * config - The largest cover image the forms accept
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * PAGE_SIZE_CHOICES - The page sizes offered in the list controls
+ */
+const PAGE_SIZE_CHOICES = [12, 24, 48, 96];
+
+/**
+ * LOOKUP_MESSAGES - What the add form says after an ISBN lookup
+ */
+const LOOKUP_MESSAGES = {
+  found: { type: "success", text: "Book details found. Check them and add the book." },
+  not_found: { type: "warning", text: "No details were found for that ISBN. Please fill in the book yourself." },
+  failed: { type: "warning", text: "The ISBN lookup service is unavailable right now. Please fill in the book yourself." },
+};
+
+/**
+ * REVISION_ACTIONS - How the history panel describes each kind of revision
+ */
+const REVISION_ACTIONS = {
+  baseline: "History started",
+  create: "Added",
+  update: "Edited",
+  delete: "Moved to the trash",
+  restore: "Restored",
+  revert: "Reverted",
+  status: "Status changed",
+  progress: "Progress updated",
+};
+
+/**
+ * REVISION_FIELDS - The name the history panel gives each tracked field
+ */
+const REVISION_FIELDS = {
+  title: "Title",
+  author: "Author",
+  costMinor: "Cost",
+  currency: "Currency",
+  shoppingUrl: "Shopping link",
+  isbn13: "ISBN",
+  publisher: "Publisher",
+  pageCount: "Pages",
+  coverUrl: "Cover",
+  targetFinishDate: "Finish by",
+  tags: "Tags",
+  rating: "Rating",
+  review: "Review",
+  status: "Status",
+  currentPage: "Current page",
+};
+
+/**
+ * REVIEW_PREVIEW_LENGTH - How much of a changed review the history panel shows
+ */
+const REVIEW_PREVIEW_LENGTH = 80;
+
+/**
+ * PAGE_LINK_RADIUS - How many page links to show on each side of the current page
+ */
+const PAGE_LINK_RADIUS = 2;
+
+/**
+ * COVER_FIELD - The name of the file field the add and edit forms upload the cover image in
+ */
+const COVER_FIELD = "cover";
+
+/**
+ * COVER_TYPE_ERROR - What the forms say about an upload that is not a usable image
+ */
+const COVER_TYPE_ERROR = "Cover image must be a JPEG, PNG, WebP or GIF image.";
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function picks the form fields out of a submitted request body
+ * so the add/edit form can be shown again with exactly what was typed.
+ *
+ * @param {Object} body - The parsed form submission
+ * @returns {Object} - The book form fields as submitted
+ */
+function submittedValues(body) {
+  const { title, author, cost, currency: code, shoppingUrl, isbn, publisher, pageCount, coverUrl } = body;
+  const { targetFinishDate, tags } = body;
+  return {
+    title,
+    author,
+    cost,
+    currency: code,
+    shoppingUrl,
+    isbn,
+    publisher,
+    pageCount,
+    coverUrl,
+    targetFinishDate,
+    tags,
+  };
+}
+
+/**
+ * This helper function checks the cover image uploaded with the add or edit
+ * form, if one was.
+ *
+ * @param {Object} req - The Express request object, with the upload in
+ *                      req.file and what receiveCover objected to in req.coverError
+ * @returns {Promise<String|null>} - Why the upload cannot be used, or null when
+ *                                   it can or there is none
+ */
+async function checkCoverUpload(req) {
+  if (req.coverError) return req.coverError;
+  if (req.file && !(await coverImages.isCoverImage(req.file))) return COVER_TYPE_ERROR;
+  return null;
+}
+
+/**
+ * This helper function adds the cover image's problem to the form's errors.
+ *
+ * @param {Object|null} errors - The errors of the other fields, from validateBook
+ * @param {String|null} coverError - The cover image's problem, from checkCoverUpload
+ * @returns {Object|null} - All the errors, or null when there are none
+ */
+function withCoverError(errors, coverError) {
+  return coverError ? { ...errors, cover: coverError } : errors;
+}
+
+/**
+ * This helper function stores the uploaded cover image, if there is one, and
+ * saves the book with it. When the book is not saved after all, the stored
+ * image is removed again, so no image is left behind without a book.
+ *
+ * @param {Object} req - The Express request object, with the upload in
+ *                      req.file and the edit form's removeCover box in req.body
+ * @param {Function} save - Saves the book, given the coverImage to store: the
+ *                          new image's name, null to remove the cover, or
+ *                          undefined to keep the current one
+ * @returns {Promise<Object|null>} - The saved book, as returned by save
+ */
+async function saveWithCover(req, save) {
+  let coverImage;
+  if (req.file) coverImage = await coverImages.saveCover(req.file);
+  else if (req.body.removeCover) coverImage = null;
+
+  let book;
+  try {
+    book = await save(coverImage);
+  } catch (error) {
+    await coverImages.removeCover(coverImage);
+    throw error;
+  }
+  if (!book) await coverImages.removeCover(coverImage);
+  return book;
+}
+
+/**
+ * This helper function turns a stored book into the values the edit form
+ * shows, converting the cost from minor units of its currency back into
+ * decimal text and the tags into one comma-separated line.
+ *
+ * @param {Object} book - The book as returned by the Book model
+ * @returns {Object} - The book with decimal cost, isbn and tags form fields
+ */
+function toFormValues(book) {
+  const cost = fromMinorUnits(book.costMinor, currency.fractionDigits(book.currency));
+  return { ...book, cost, isbn: book.isbn13 || "", tags: book.tags.join(", ") };
+}
+
+/**
+ * This helper function builds the choices of the currency select next to the
+ * cost field.
+ *
+ * @param {String} selected - The currency to select
+ * @returns {Array} - A list of { code, selected } choices
+ */
+function currencyChoices(selected) {
+  return currency.listCurrencies().map((code) => ({ code, selected: code === selected }));
+}
+
+/**
+ * This helper function builds a home page URL for a set of list options.
+ * Options that are at their default values are left out, so links stay short
+ * and a bookmarked URL keeps working if a default changes.
+ *
+ * @param {Object} options - The list options, as produced by parseBookListQuery
+ * @param {Object} [overrides] - Options to change for this link, e.g. { page: 2 }
+ * @returns {String} - The URL, e.g. "/?q=dune&sort=title&page=2"
+ */
+function listUrl(options, overrides = {}) {
+  const merged = { ...options, ...overrides };
+  const params = new URLSearchParams();
+
+  if (merged.q) params.set("q", merged.q);
+  if (merged.status) params.set("status", merged.status);
+  merged.tags.forEach((tag) => params.append("tag", tag));
+  const digits = currency.fractionDigits(merged.currency);
+  if (merged.minCostMinor !== null) params.set("minCost", fromMinorUnits(merged.minCostMinor, digits));
+  if (merged.maxCostMinor !== null) params.set("maxCost", fromMinorUnits(merged.maxCostMinor, digits));
+  if (merged.sort !== "added") params.set("sort", merged.sort);
+  if (merged.order !== "asc") params.set("order", merged.order);
+  if (merged.pageSize !== DEFAULT_PAGE_SIZE) params.set("pageSize", String(merged.pageSize));
+  if (merged.page > 1) params.set("page", String(merged.page));
+
+  const queryString = params.toString();
+  return queryString ? `/?${queryString}` : "/";
+}
+
+/**
+ * This helper function builds the status tabs shown above the book list.
+ * Each tab keeps the current search and sort but starts again at page 1.
+ *
+ * @param {Object} counts - The number of books per status, plus "all"
+ * @param {Object} options - The current list options
+ * @returns {Array} - A list of { label, url, count, active } tabs
+ */
+function buildStatusTabs(counts, options) {
+  const allTab = {
+    label: "All",
+    url: listUrl(options, { status: "", page: 1 }),
+    count: counts.all,
+    active: !options.status,
+  };
+  const statusTabs = ReadingStatus.STATUSES.map((status) => ({
+    label: ReadingStatus.LABELS[status],
+    url: listUrl(options, { status, page: 1 }),
+    count: counts[status],
+    active: status === options.status,
+  }));
+  return [allTab, ...statusTabs];
+}
+
+/**
+ * This helper function builds the tag filter shown above the book list. Each
+ * tag links to the list with that tag added to, or removed from, the tags
+ * being filtered by.
+ *
+ * @param {Array<Object>} tags - The user's tags, as returned by Tag.listTags
+ * @param {Object} options - The current list options
+ * @returns {Array} - A list of { name, bookCount, url, active } tags
+ */
+function buildTagFilters(tags, options) {
+  return tags.map(({ name, bookCount }) => {
+    const active = options.tags.includes(name);
+    const toggled = active ? options.tags.filter((tag) => tag !== name) : [...options.tags, name];
+    return { name, bookCount, active, url: listUrl(options, { tags: toggled, page: 1 }) };
+  });
+}
+
+/**
+ * This helper function builds the pagination links under the book list: a
+ * previous and next link plus the page numbers around the current page.
+ *
+ * @param {Object} options - The current list options
+ * @param {Number} total - The number of books matching the current filters
+ * @returns {Object} - { pages, prevUrl, nextUrl, page, pageCount, multiplePages } for the view
+ */
+function buildPagination(options, total) {
+  const pageCount = Math.max(1, Math.ceil(total / options.pageSize));
+  const first = Math.max(1, options.page - PAGE_LINK_RADIUS);
+  const last = Math.min(pageCount, options.page + PAGE_LINK_RADIUS);
+
+  const pages = [];
+  for (let number = first; number <= last; number += 1) {
+    pages.push({ number, url: listUrl(options, { page: number }), active: number === options.page });
+  }
+
+  return {
+    page: options.page,
+    pageCount,
+    multiplePages: pageCount > 1,
+    pages,
+    prevUrl: options.page > 1 ? listUrl(options, { page: Math.min(options.page - 1, pageCount) }) : null,
+    nextUrl: options.page < pageCount ? listUrl(options, { page: options.page + 1 }) : null,
+  };
+}
+
+/**
+ * This helper function prepares the values of the search and sort controls
+ * so the form shows the options currently in effect.
+ *
+ * @param {Object} options - The current list options
+ * @returns {Object} - The form values and the choices for each select
+ */
+function buildListControls(options) {
+  const digits = currency.fractionDigits(options.currency);
+  return {
+    q: options.q,
+    status: options.status,
+    tags: options.tags,
+    costCurrency: options.currency,
+    costStep: digits === 0 ? "1" : (1 / 10 ** digits).toFixed(digits),
+    minCost: fromMinorUnits(options.minCostMinor, digits),
+    maxCost: fromMinorUnits(options.maxCostMinor, digits),
+    sortChoices: Object.entries(SORT_FIELDS).map(([value, label]) => ({
+      value,
+      label,
+      selected: value === options.sort,
+    })),
+    descending: options.order === "desc",
+    pageSizeChoices: PAGE_SIZE_CHOICES.map((value) => ({ value, selected: value === options.pageSize })),
+  };
+}
+
+/**
+ * This helper function prepares the choices of the bulk action bar.
+ *
+ * @returns {Object} - The actions, statuses and cost modes, each as a list of
+ *                     { value, label }, and the longest tag allowed
+ */
+function buildBulkControls() {
+  return {
+    actions: BULK_ACTIONS,
+    statuses: ReadingStatus.STATUSES.map((status) => ({ value: status, label: ReadingStatus.LABELS[status] })),
+    costModes: COST_MODES,
+    tagLength: LIMITS.tagLength,
+  };
+}
+
+/**
+ * This helper function describes what a bulk action did, for the notice shown
+ * afterwards.
+ *
+ * @param {Object} change - The validated action, as from validateBulkAction
+ * @param {Number} count - How many books were changed
+ * @returns {String} - The notice, e.g. "3 books were moved to the trash."
+ */
+function describeBulkChange(change, count) {
+  const books = count === 1 ? "1 book" : `${count} books`;
+  switch (change.action) {
+    case "delete":
+      return `${books} ${count === 1 ? "was" : "were"} moved to the trash.`;
+    case "status":
+      return `${books} ${count === 1 ? "was" : "were"} marked as ${ReadingStatus.LABELS[change.status]}.`;
+    case "add-tag":
+      return `${books} now ${count === 1 ? "carries" : "carry"} the tag "${change.tag}".`;
+    case "remove-tag":
+      return `The tag "${change.tag}" was taken off ${books}.`;
+    default:
+      return `The cost of ${books} was adjusted.`;
+  }
+}
+
+/**
+ * This helper function builds the choices of the rating select on the book page.
+ *
+ * @param {Number|String|null} selected - The rating to mark as selected
+ * @returns {Array<Object>} - One { value, selected } per number of stars
+ */
+function ratingChoices(selected) {
+  return Array.from({ length: REVIEW_LIMITS.maxRating }, (unused, index) => ({
+    value: index + 1,
+    selected: String(index + 1) === String(selected),
+  }));
+}
+
+/**
+ * This helper function writes one side of a field change for the history panel.
+ *
+ * @param {String} field - The field that changed
+ * @param {*} value - Its value before or after the change
+ * @returns {String} - The value as text, "(empty)" when there was none
+ */
+function describeValue(field, value) {
+  if (value === null || value === undefined || (Array.isArray(value) && !value.length)) return "(empty)";
+  if (field === "tags") return value.join(", ");
+  if (field === "status") return ReadingStatus.LABELS[value] || value;
+  if (field === "rating") return `${value} of ${REVIEW_LIMITS.maxRating} stars`;
+  if (field === "review" && value.length > REVIEW_PREVIEW_LENGTH) return `${value.slice(0, REVIEW_PREVIEW_LENGTH)}…`;
+  return String(value);
+}
+
+/**
+ * This helper function prepares a book's audit log for the history panel:
+ * what each revision did, who did it and the fields it changed. Costs are
+ * left as numbers with their currencies so the view can format them. Every
+ * revision but the newest can be reverted to.
+ *
+ * @param {Array<Object>} revisions - The revisions, newest first, as from
+ *                                    BookRevision.getRevisions
+ * @returns {Array<Object>} - One entry per revision for the view
+ */
+function describeRevisions(revisions) {
+  const byId = new Map(revisions.map((revision) => [revision.id, revision]));
+
+  return revisions.map((revision, index) => {
+    const { changes, snapshot } = revision;
+    const currencyChange = changes.currency || { from: snapshot.currency, to: snapshot.currency };
+    const revertedTo = revision.revertedToId ? byId.get(revision.revertedToId) : null;
+
+    return {
+      id: revision.id,
+      label: REVISION_ACTIONS[revision.action] || revision.action,
+      actorEmail: revision.actorEmail,
+      createdAt: revision.createdAt,
+      revertedToAt: revertedTo ? revertedTo.createdAt : null,
+      canRevert: index > 0,
+      changes: Object.keys(REVISION_FIELDS)
+        .filter((field) => changes[field])
+        .map((field) =>
+          field === "costMinor"
+            ? {
+                label: REVISION_FIELDS[field],
+                isCost: true,
+                from: changes[field].from,
+                to: changes[field].to,
+                fromCurrency: currencyChange.from,
+                toCurrency: currencyChange.to,
+              }
+            : {
+                label: REVISION_FIELDS[field],
+                from: describeValue(field, changes[field].from),
+                to: describeValue(field, changes[field].to),
+              }
+        ),
+    };
+  });
+}
+
+/**
+ * This helper function builds the choices of the kind select of the note form.
+ *
+ * @param {String} selected - The kind to mark as selected
+ * @returns {Array<Object>} - One { value, label, selected } per kind of note
+ */
+function noteKindChoices(selected) {
+  return Object.entries(NOTE_KINDS).map(([value, label]) => ({ value, label, selected: value === selected }));
+}
+
+/**
+ * This helper function gathers everything the book detail view needs: the
+ * book, its status timeline, the status changes available next, the shelves
+ * it is on and the shelves it could still be put on, the logged reading
+ * sessions with the progress worked out from them, the review rendered from
+ * Markdown, and the notes.
+ *
+ * @param {Object} book - The book as returned by the Book model
+ * @returns {Promise<Object>} - The view data for book.hbs
+ */
+async function bookPageData(book) {
+  const today = toDateKey();
+  const history = await Book.getStatusHistory(book.ownerId, book.id);
+  const shelves = await Shelf.getShelvesForBook(book.ownerId, book.id);
+  const onShelf = new Set(shelves.map((shelf) => shelf.id));
+  const otherShelves = (await Shelf.listShelves(book.ownerId)).filter((shelf) => !onShelf.has(shelf.id));
+  const sessions = await ReadingSession.getSessionsForBook(book.ownerId, book.id);
+  const notes = await BookNote.getNotesForBook(book.ownerId, book.id);
+  const revisions = await BookRevision.getRevisions(book.ownerId, book.id);
+  return {
+    book,
+    history,
+    nextSteps: ReadingStatus.nextSteps(book.status),
+    shelves,
+    otherShelves,
+    sessions,
+    progress: bookProgress(book, sessions, today),
+    today,
+    sessionValues: { readOn: today },
+    sessionLimits: SESSION_LIMITS,
+    canReview: book.status === "finished",
+    reviewHtml: renderMarkdown(book.review),
+    reviewValues: { review: book.review || "" },
+    ratingChoices: ratingChoices(book.rating),
+    notes,
+    noteKinds: noteKindChoices("note"),
+    noteValues: {},
+    reviewLimits: REVIEW_LIMITS,
+    revisions: describeRevisions(revisions),
+  };
+}
+
 // METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
 // METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
 // METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
 
 /**
- * This function retrieves all books from the data store and renders the home
- * page with the complete book collection.
+ * This function retrieves books from the data store and renders the home
+ * page. The query string can search the title and author (q), filter by
+ * reading status, tags and cost range, sort the list and choose the page; see
+ * validators/bookListQuery.js for every option. Invalid options fall back to
+ * their defaults rather than failing the page.
  *
  * @param {Object} req - The Express request object containing information about
- *                      the HTTP request
+ *                      the HTTP request, including the list options in req.query
  * @param {Object} res - The Express response object used for sending responses
  *                      to the client
  */
-function getAllBooks(req, res) {
-  // Retrieve the complete collection of books from the model
-  const books = Book.getAllBooks();
+async function getAllBooks(req, res) {
+  // Read the list options, ignoring any that are invalid
+  const { options } = parseBookListQuery(req.query, { currency: req.user.currency });
+
+  // Retrieve the requested page of books and the per-status counts from the model
+  const { books, total } = await Book.searchBooks(req.user.id, options);
+  const counts = await Book.countBooksByStatus(req.user.id);
+  const tags = await Tag.listTags(req.user.id);
   
-  // Render the index view with the books data
-  res.render("index", { books });
+  // Render the index view with the books data and the list controls
+  res.render("index", {
+    books,
+    total,
+    filtered: Boolean(
+      options.q || options.tags.length || options.minCostMinor !== null || options.maxCostMinor !== null
+    ),
+    tabs: buildStatusTabs(counts, options),
+    tagFilters: buildTagFilters(tags, options),
+    controls: buildListControls(options),
+    pagination: buildPagination(options, total),
+    bulk: buildBulkControls(),
+    returnTo: req.originalUrl,
+  });
 }
 
 /**
@@ -53,31 +680,118 @@ function getAllBooks(req, res) {
  *                      to the client
  */
 function showAddForm(req, res) {
-  // Render the add book form view
-  res.render("add");
+  // Render the add book form view, with the user's own currency selected
+  res.render("add", { limits: LIMITS, currencies: currencyChoices(req.user.currency) });
 }
 
 /**
- * This function processes the submission of the add book form. It extracts
- * book details from the request body, adds the new book to the collection,
- * and redirects to the home page.
+ * This middleware function reads the add and edit forms, sent as
+ * multipart/form-data, into req.body and the uploaded cover image, if any,
+ * into req.file. An upload that is too large or does not declare an image
+ * type is not kept; the reason is left in req.coverError, so the form can be
+ * shown again with it instead of failing the request.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the form handler
+ */
+function receiveCover(req, res, next) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.covers.maxBytes, files: 1 },
+    fileFilter: (request, file, accept) => {
+      const accepted = coverImages.ACCEPTED_TYPES.includes(file.mimetype);
+      if (!accepted) request.coverError = COVER_TYPE_ERROR;
+      accept(null, accepted);
+    },
+  });
+
+  upload.single(COVER_FIELD)(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const maxMb = Math.round((config.covers.maxBytes / (1024 * 1024)) * 10) / 10;
+      req.coverError =
+        error.code === "LIMIT_FILE_SIZE"
+          ? `Cover image must be ${maxMb} MB or smaller.`
+          : "The cover image could not be read. Please choose one image file and try again.";
+      return next();
+    }
+    next(error);
+  });
+}
+
+/**
+ * This function processes the submission of the add book form. When an ISBN
+ * was entered, blank fields are first filled in from the metadata provider.
+ * It then validates the book details and the uploaded cover image, adds the
+ * new book with its cover to the collection, and redirects to the home page.
+ * If any field is invalid, the form is shown again with the submitted values
+ * and an error for each field.
  *
  * @param {Object} req - The Express request object containing information about
  *                      the HTTP request, including the form data in req.body
  * @param {Object} res - The Express response object used for sending responses
  *                      to the client
+ * @returns {Object} - If the submission is invalid, returns a 422 response
  */
-function addBook(req, res) {
-  // Extract book details from the form submission
-  const { title, author, cost, shoppingUrl } = req.body;
-  
-  // Add the new book to the collection using the Book model
-  Book.addBook(title, author, cost, shoppingUrl);
+async function addBook(req, res) {
+  // Fill any blank fields from the ISBN, if one was given
+  const { input } = await metadata.enrichFromIsbn(submittedValues(req.body));
+
+  // Validate and normalize the book details and the cover image from the form submission
+  const { values, errors: fieldErrors } = validateBook(input, { defaultCurrency: req.user.currency });
+  const errors = withCoverError(fieldErrors, await checkCoverUpload(req));
+
+  // If anything is invalid, show the form again instead of saving
+  if (errors) {
+    return res
+      .status(422)
+      .render("add", { book: input, errors, limits: LIMITS, currencies: currencyChoices(input.currency) });
+  }
+
+  // Add the new book, with its cover image, to the collection using the Book model
+  await saveWithCover(req, (coverImage) => Book.addBook(req.user.id, { ...values, coverImage }));
   
   // Redirect to the home page to show the updated book collection
   res.redirect("/");
 }
 
+/**
+ * This function handles the "Look up" button on the add book form. It looks
+ * up the entered ISBN and shows the form again with the blank fields filled
+ * in, so the user can check the details before adding the book.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the form data in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the ISBN is missing or invalid, returns a 422 response
+ */
+async function lookupIsbn(req, res) {
+  const { input, outcome } = await metadata.enrichFromIsbn(submittedValues(req.body));
+
+  // Without a valid ISBN there is nothing to look up
+  if (outcome === "skipped" || outcome === "invalid") {
+    const errors = {
+      isbn:
+        outcome === "skipped"
+          ? "Enter an ISBN to look up."
+          : "ISBN must be a valid ISBN-10 or ISBN-13; check for a mistyped digit.",
+    };
+    return res
+      .status(422)
+      .render("add", { book: input, errors, limits: LIMITS, currencies: currencyChoices(input.currency) });
+  }
+
+  // Show the form again with the details that were found
+  res.render("add", {
+    book: input,
+    lookup: LOOKUP_MESSAGES[outcome],
+    limits: LIMITS,
+    currencies: currencyChoices(input.currency),
+  });
+}
+
 /**
  * This function retrieves a specific book by its ID and renders the
  * detailed view for that book.
@@ -88,46 +802,75 @@ function addBook(req, res) {
  *                      to the client
  * @returns {Object} - If the book is not found, returns a 404 response
  */
-function getBook(req, res) {
+async function getBook(req, res) {
   // Extract and parse the book ID from the URL parameters
   const bookId = parseInt(req.params.id);
   
   // Retrieve the specified book from the model
-  const book = Book.getBookById(bookId);
+  const book = await Book.getBookById(req.user.id, bookId);
   
-  // If the book doesn't exist, return a 404 response
+  // If the book doesn't exist, answer with the 404 page
   if (!book) {
-    return res.status(404).send("Book not found");
+    throw httpError(404, "Book not found");
   }
   
-  // Render the book detail view with the book data
-  res.render("book", { book });
+  // Render the book detail view with the book data and its status timeline
+  res.render("book", await bookPageData(book));
 }
 
 /**
- * This function processes the submission of the edit book form. It updates
- * an existing book with new information and redirects to the book detail page.
+ * This function processes the submission of the edit book form. It validates
+ * the new information, updates the existing book and redirects to the book
+ * detail page. An uploaded cover image replaces the book's current one, and
+ * the "remove" box takes it away; either way the old image's files are
+ * removed. If any field is invalid, the form is shown again with the
+ * submitted values and an error for each field.
  *
  * @param {Object} req - The Express request object containing information about
  *                      the HTTP request, including the book ID in req.params and
  *                      the updated book data in req.body
  * @param {Object} res - The Express response object used for sending responses
  *                      to the client
- * @returns {Object} - If the book is not found, returns a 404 response
+ * @returns {Object} - If the book is not found, returns a 404 response; if the
+ *                     submission is invalid, returns a 422 response
  */
-function updateBook(req, res) {
+async function updateBook(req, res) {
   // Extract and parse the book ID from the URL parameters
   const bookId = parseInt(req.params.id);
+
+  // Retrieve the book as it is, whose cover image the form may replace or remove
+  const currentBook = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, answer with the 404 page
+  if (!currentBook) {
+    throw httpError(404, "Book not found");
+  }
   
-  // Extract updated book details from the form submission
-  const { title, author, cost, shoppingUrl } = req.body;
+  // Validate and normalize the updated book details and the cover image from the form submission
+  const { values, errors: fieldErrors } = validateBook(req.body, { defaultCurrency: req.user.currency });
+  const errors = withCoverError(fieldErrors, await checkCoverUpload(req));
+
+  // If anything is invalid, show the form again instead of saving
+  if (errors) {
+    const book = { id: bookId, coverImage: currentBook.coverImage, ...submittedValues(req.body) };
+    return res
+      .status(422)
+      .render("edit", { book, errors, limits: LIMITS, currencies: currencyChoices(book.currency) });
+  }
   
   // Update the book in the collection using the Book model
-  const updatedBook = Book.updateBook(bookId, title, author, cost, shoppingUrl);
+  const updatedBook = await saveWithCover(req, (coverImage) =>
+    Book.updateBook(req.user.id, bookId, { ...values, coverImage })
+  );
   
-  // If the book doesn't exist, return a 404 response
+  // If the book was deleted in the meantime, answer with the 404 page
   if (!updatedBook) {
-    return res.status(404).send("Book not found");
+    throw httpError(404, "Book not found");
+  }
+
+  // The files of a replaced or removed cover image are no longer needed
+  if (updatedBook.coverImage !== currentBook.coverImage) {
+    await coverImages.removeCover(currentBook.coverImage);
   }
   
   // Redirect to the book detail page to show the updated information
@@ -144,24 +887,25 @@ function updateBook(req, res) {
  *                      to the client
  * @returns {Object} - If the book is not found, returns a 404 response
  */
-function showEditForm(req, res) {
+async function showEditForm(req, res) {
   // Extract and parse the book ID from the URL parameters
   const bookId = parseInt(req.params.id);
   
   // Retrieve the specified book from the model
-  const book = Book.getBookById(bookId);
+  const book = await Book.getBookById(req.user.id, bookId);
   
-  // If the book doesn't exist, return a 404 response
+  // If the book doesn't exist, answer with the 404 page
   if (!book) {
-    return res.status(404).send("Book not found");
+    throw httpError(404, "Book not found");
   }
   
   // Render the edit book form with the current book data
-  res.render("edit", { book });
+  res.render("edit", { book: toFormValues(book), limits: LIMITS, currencies: currencyChoices(book.currency) });
 }
 
 /**
- * This function removes a book from the collection and redirects to the home page.
+ * This function moves a book to the trash and redirects to the home page,
+ * where a notice offers to undo the delete by restoring the book.
  *
  * @param {Object} req - The Express request object containing information about
  *                      the HTTP request, including the book ID in req.params
@@ -169,22 +913,329 @@ function showEditForm(req, res) {
  *                      to the client
  * @returns {Object} - If the book is not found, returns a 404 response
  */
-function deleteBook(req, res) {
+async function deleteBook(req, res) {
   // Extract and parse the book ID from the URL parameters
   const bookId = parseInt(req.params.id);
   
-  // Delete the book from the collection using the Book model
-  const deletedBook = Book.deleteBook(bookId);
+  // Move the book to the trash using the Book model
+  const deletedBook = await Book.deleteBook(req.user.id, bookId);
   
-  // If the book doesn't exist, return a 404 response
+  // If the book doesn't exist, answer with the 404 page
   if (!deletedBook) {
-    return res.status(404).send("Book not found");
+    throw httpError(404, "Book not found");
   }
   
+  // Offer to undo the delete on the next page
+  setFlash(req, {
+    type: "info",
+    text: `"${deletedBook.title}" was moved to the trash.`,
+    undo: { action: `/trash/${bookId}/restore`, label: "Undo" },
+  });
+
   // Redirect to the home page to show the updated book collection
   res.redirect("/");
 }
 
+/**
+ * This function moves a book to the reading status chosen on the book page
+ * and redirects back to it. A move the workflow does not allow is answered
+ * by showing the book page again with an explanation.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book ID in req.params and
+ *                      the requested status in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book is not found, returns a 404 response; if the
+ *                     move is not allowed, returns a 409 response
+ */
+async function changeStatus(req, res) {
+  // Extract and parse the book ID from the URL parameters
+  const bookId = parseInt(req.params.id);
+  const { status } = req.body;
+
+  // Retrieve the specified book from the model
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Book not found");
+  }
+
+  // If the workflow does not allow the move, explain why on the book page
+  const statusError = ReadingStatus.checkTransition(book.status, status);
+  if (statusError) {
+    return res.status(409).render("book", { ...(await bookPageData(book)), statusError });
+  }
+
+  // Move the book and show its updated timeline
+  await Book.changeStatus(req.user.id, bookId, status);
+  res.redirect(`/book/${bookId}`);
+}
+
+/**
+ * This function logs a reading session from the form on the book page and
+ * redirects back to it, where the progress bar has moved on. An invalid
+ * session shows the book page again with the submitted values and an error
+ * for each field.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book ID in req.params and
+ *                      the session in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book is not found, returns a 404 response; if the
+ *                     session is invalid, returns a 422 response
+ */
+async function logSession(req, res) {
+  // Extract and parse the book ID from the URL parameters
+  const bookId = parseInt(req.params.id);
+
+  // Retrieve the specified book from the model
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Book not found");
+  }
+
+  // If anything is invalid, show the book page again instead of saving
+  const { values, errors } = validateReadingSession(req.body);
+  if (errors) {
+    const { readOn, pagesRead, minutes } = req.body;
+    return res.status(422).render("book", {
+      ...(await bookPageData(book)),
+      sessionErrors: errors,
+      sessionValues: { readOn, pagesRead, minutes },
+    });
+  }
+
+  // Log the session and show the updated progress
+  await ReadingSession.logSession(req.user.id, bookId, values);
+  res.redirect(`/book/${bookId}`);
+}
+
+/**
+ * This function removes a logged reading session, moving the book's current
+ * page back, and redirects to the book page.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book and session IDs in
+ *                      req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book or session is not found, returns a 404 response
+ */
+async function deleteSession(req, res) {
+  // Extract and parse the IDs from the URL parameters
+  const bookId = parseInt(req.params.id);
+  const sessionId = parseInt(req.params.sessionId);
+
+  // Remove the session using the ReadingSession model
+  const removed = await ReadingSession.deleteSession(req.user.id, bookId, sessionId);
+
+  // If the book or session doesn't exist, answer with the 404 page
+  if (!removed) {
+    throw httpError(404, "Reading session not found");
+  }
+
+  // Redirect to the book page to show the updated progress
+  res.redirect(`/book/${bookId}`);
+}
+
+/**
+ * This function saves the rating and review from the form on the book page
+ * and redirects back to it. Only finished books can be reviewed; an invalid
+ * review shows the book page again with the submitted values and an error
+ * for each field.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book ID in req.params and
+ *                      the rating and review in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book is not found, returns a 404 response; if it
+ *                     is not finished, returns a 409 response; if the review
+ *                     is invalid, returns a 422 response
+ */
+async function reviewBook(req, res) {
+  // Extract and parse the book ID from the URL parameters
+  const bookId = parseInt(req.params.id);
+
+  // Retrieve the specified book from the model
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Book not found");
+  }
+
+  // A book can only be reviewed once it has been read
+  if (book.status !== "finished") {
+    return res.status(409).render("book", {
+      ...(await bookPageData(book)),
+      statusError: "Mark the book as finished before rating or reviewing it.",
+    });
+  }
+
+  // If anything is invalid, show the book page again instead of saving
+  const { values, errors } = validateReview(req.body);
+  if (errors) {
+    const { rating, review } = req.body;
+    return res.status(422).render("book", {
+      ...(await bookPageData(book)),
+      reviewErrors: errors,
+      reviewValues: { review },
+      ratingChoices: ratingChoices(rating),
+    });
+  }
+
+  // Save the review and show it on the book page
+  await Book.reviewBook(req.user.id, bookId, values);
+  res.redirect(`/book/${bookId}`);
+}
+
+/**
+ * This function adds a note or quote from the form on the book page and
+ * redirects back to it. An invalid note shows the book page again with the
+ * submitted values and an error for each field.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book ID in req.params and
+ *                      the note in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book is not found, returns a 404 response; if the
+ *                     note is invalid, returns a 422 response
+ */
+async function addNote(req, res) {
+  // Extract and parse the book ID from the URL parameters
+  const bookId = parseInt(req.params.id);
+
+  // Retrieve the specified book from the model
+  const book = await Book.getBookById(req.user.id, bookId);
+
+  // If the book doesn't exist, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Book not found");
+  }
+
+  // If anything is invalid, show the book page again instead of saving
+  const { values, errors } = validateNote(req.body);
+  if (errors) {
+    const { kind, body, page } = req.body;
+    return res.status(422).render("book", {
+      ...(await bookPageData(book)),
+      noteErrors: errors,
+      noteValues: { body, page },
+      noteKinds: noteKindChoices(kind),
+    });
+  }
+
+  // Save the note and show it in the list
+  await BookNote.addNote(req.user.id, bookId, values);
+  res.redirect(`/book/${bookId}#notes`);
+}
+
+/**
+ * This function removes a note or quote and redirects to the book page.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book and note IDs in
+ *                      req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book or note is not found, returns a 404 response
+ */
+async function deleteNote(req, res) {
+  // Extract and parse the IDs from the URL parameters
+  const bookId = parseInt(req.params.id);
+  const noteId = parseInt(req.params.noteId);
+
+  // Remove the note using the BookNote model
+  const removed = await BookNote.deleteNote(req.user.id, bookId, noteId);
+
+  // If the book or note doesn't exist, answer with the 404 page
+  if (!removed) {
+    throw httpError(404, "Note not found");
+  }
+
+  // Redirect to the book page to show the remaining notes
+  res.redirect(`/book/${bookId}#notes`);
+}
+
+/**
+ * This function brings a book's details back to an earlier revision from the
+ * history panel and redirects back to the book page.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the book and revision IDs
+ *                      in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book or revision is not found, returns a 404 response
+ */
+async function revertBook(req, res) {
+  // Extract and parse the IDs from the URL parameters
+  const bookId = parseInt(req.params.id);
+  const revisionId = parseInt(req.params.revisionId);
+
+  // Revert the book using the Book model
+  const book = await Book.revertBook(req.user.id, bookId, revisionId);
+
+  // If the book or revision doesn't exist, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Revision not found");
+  }
+
+  // Show the book with its earlier details back in place
+  setFlash(req, { type: "success", text: `"${book.title}" was reverted to an earlier version.` });
+  res.redirect(`/book/${bookId}#history`);
+}
+
+/**
+ * This function applies the bulk action bar's action to every book ticked on
+ * the home page, then goes back to the list the books were ticked on.
+ *
+ * The books are changed all at once or not at all. When some of them cannot
+ * be changed, e.g. because the workflow does not allow their status to move,
+ * nothing is changed and the notice lists each of those books with the
+ * reason; an invalid submission is explained the same way.
+ *
+ * @param {Object} req - The Express request object containing information about
+ *                      the HTTP request, including the ticked book IDs, the
+ *                      action with its fields and the list to return to in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function bulkUpdate(req, res) {
+  const returnTo = safeReturnPath(req.body.returnTo);
+
+  // Validate the submission, explaining what is missing
+  const { values, errors } = validateBulkAction(req.body);
+  if (errors) {
+    setFlash(req, { type: "danger", text: "Nothing was changed.", details: Object.values(errors) });
+    return res.redirect(returnTo);
+  }
+
+  // Apply the action to every book, or to none of them
+  const { books, failures } = await Book.bulkUpdate(req.user.id, values.ids, values);
+
+  // If any book could not be changed, list each one with the reason
+  if (failures.length) {
+    setFlash(req, {
+      type: "danger",
+      text: `Nothing was changed, because ${failures.length} of the ${values.ids.length} selected books could not be:`,
+      details: failures.map(({ id, title, message }) => `${title ? `"${title}"` : `Book ${id}`}: ${message}`),
+    });
+    return res.redirect(returnTo);
+  }
+
+  // Go back to the list, which now shows the changes
+  setFlash(req, { type: "success", text: describeBulkChange(values, books.length) });
+  res.redirect(returnTo);
+}
+
 // MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
 // MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
 // MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
@@ -195,9 +1246,19 @@ function deleteBook(req, res) {
 module.exports = {
   getAllBooks,
   showAddForm,
+  receiveCover,
   addBook,
+  lookupIsbn,
   getBook,
   showEditForm,
   updateBook,
   deleteBook,
+  changeStatus,
+  logSession,
+  deleteSession,
+  reviewBook,
+  addNote,
+  deleteNote,
+  revertBook,
+  bulkUpdate,
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for the budget page, which
+ * compares what the user spends on books with the budget they set, and lets
+ * them change their currency, locale and budget.
+ *
+ * Controller Purpose:
+ * All figures are worked out by services/budget.js in the user's home
+ * currency, converting each book's cost at the local exchange rates. The
+ * handlers run behind requireLogin (see middleware/auth.js) and only read and
+ * change the logged-in user's own books and settings.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Book - Provides the user's books and their costs
+ */
+const Book = require("../models/Book");
+
+/**
+ * User - Saves the user's currency, locale and budget
+ */
+const User = require("../models/User");
+
+/**
+ * budgetValidator - Validates the settings form
+ */
+const { BUDGET_PERIODS, LIMITS, validateBudgetSettings } = require("../validators/budgetValidator");
+
+/**
+ * budget - Works out the spending and wishlist figures
+ */
+const { summarizeBudget } = require("../services/budget");
+
+/**
+ * currency - Lists the currencies and gives the date of the exchange rates
+ */
+const currency = require("../services/currency");
+
+/**
+ * money - Turns the stored budget back into the decimal text the form shows
+ */
+const { fromMinorUnits } = require("../utils/money");
+
+/**
+ * config - The locale used when the user has not chosen one
+ */
+const config = require("../config");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function turns a user's stored settings into the values the
+ * settings form shows.
+ *
+ * @param {Object} user - The user
+ * @returns {Object} - { currency, locale, budgetPeriod, budget }
+ */
+function toFormValues(user) {
+  return {
+    currency: user.currency,
+    locale: user.locale || "",
+    budgetPeriod: user.budgetPeriod || "",
+    budget: fromMinorUnits(user.budgetMinor, currency.fractionDigits(user.currency)),
+  };
+}
+
+/**
+ * This helper function renders the budget page, optionally with the errors
+ * of a rejected settings form.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Object} [form] - { settings, errors } of the rejected form
+ * @returns {Promise<void>}
+ */
+async function renderBudget(req, res, form = {}) {
+  const settings = form.settings || toFormValues(req.user);
+  const books = await Book.getAllBooks(req.user.id);
+  const locale = req.user.locale || config.money.defaultLocale;
+
+  res.render("budget", {
+    summary: summarizeBudget(books, req.user, { locale }),
+    settings,
+    errors: form.errors,
+    currencies: currency.listCurrencies().map((code) => ({ code, selected: code === settings.currency })),
+    periods: Object.entries(BUDGET_PERIODS).map(([value, label]) => ({
+      value,
+      label,
+      selected: value === settings.budgetPeriod,
+    })),
+    defaultLocale: config.money.defaultLocale,
+    ratesAsOf: currency.ratesAsOf(),
+    limits: LIMITS,
+  });
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the budget page.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function showBudget(req, res) {
+  await renderBudget(req, res);
+}
+
+/**
+ * This function saves the settings form and returns to the budget page.
+ *
+ * @param {Object} req - The Express request object, with the settings in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the settings are invalid, returns a 422 response
+ */
+async function updateBudget(req, res) {
+  // Validate the settings, showing the page again when they are not usable
+  const { values, errors } = validateBudgetSettings(req.body);
+  if (errors) {
+    const { currency: code, locale, budgetPeriod, budget } = req.body;
+    res.status(422);
+    return renderBudget(req, res, { settings: { currency: code, locale, budgetPeriod, budget }, errors });
+  }
+
+  // Save them and show the page in the new currency
+  await User.updatePreferences(req.user.id, values);
+  res.redirect("/budget");
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions to make them available to the router
+ */
+module.exports = {
+  showBudget,
+  updateBudget,
+};
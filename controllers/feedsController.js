@@ -0,0 +1,261 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for feeds: the page where
+ * users turn their feeds on, reset or turn off, and the Atom, RSS and
+ * iCalendar documents that feed readers and calendar clients subscribe to.
+ *
+ * Controller Purpose:
+ * Feed readers and calendar clients cannot log in, so every feed address
+ * carries the user's feed token instead (see models/User.js). The addresses
+ * are as private as a password: anyone who has one can read the titles and
+ * dates in it. Resetting the addresses gives the user a new token, which
+ * stops the old addresses from working.
+ *
+ * The management handlers run behind requireLogin (see middleware/auth.js)
+ * and only change the logged-in user's own token. The feed documents run
+ * without a user; an unknown token gets the 404 page, as does the token of
+ * a user who has turned their feeds off.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * User - Turns the feeds on and off and finds the user a token belongs to
+ */
+const User = require("../models/User");
+
+/**
+ * Book - Reads the books the feeds are built from
+ */
+const Book = require("../models/Book");
+
+/**
+ * feeds - Writes the Atom, RSS and iCalendar documents
+ */
+const { buildAtomFeed, buildRssFeed, buildCalendar } = require("../services/feeds");
+
+/**
+ * readingStats - Works out the progress towards the reading goal
+ */
+const { goalProgress } = require("../services/readingStats");
+
+/**
+ * flash - Leaves the notices shown after the feeds are turned on or off
+ */
+const { setFlash } = require("../middleware/flash");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * FEEDS_PATH - The path of the feeds page, which the feed addresses live under
+ */
+const FEEDS_PATH = "/feeds";
+
+/**
+ * FEED_FILES - The file name and content type of each feed document
+ */
+const FEED_FILES = {
+  atom: { name: "books.atom", type: "application/atom+xml; charset=utf-8" },
+  rss: { name: "books.rss", type: "application/rss+xml; charset=utf-8" },
+  calendar: { name: "reading.ics", type: "text/calendar; charset=utf-8" },
+};
+
+/**
+ * FEED_SIZE - How many recently changed books the Atom and RSS feeds hold
+ */
+const FEED_SIZE = 50;
+
+/**
+ * FEED_HEADERS - Sent with every feed document: search engines are asked not
+ * to index it, and shared caches are asked not to keep it
+ */
+const FEED_HEADERS = {
+  "X-Robots-Tag": "noindex, nofollow",
+  "Cache-Control": "private, no-cache",
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the server's address as the request reached
+ * it, e.g. "https://example.com", for the links in the feeds.
+ *
+ * @param {Object} req - The Express request object
+ * @returns {String} - The address, without a trailing slash
+ */
+function originOf(req) {
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * This helper function builds the address of one of a user's feeds.
+ *
+ * @param {String} origin - The server's address
+ * @param {String} token - The user's feed token
+ * @param {String} kind - "atom", "rss" or "calendar"
+ * @returns {String} - The feed's address
+ */
+function feedUrl(origin, token, kind) {
+  return `${origin}${FEEDS_PATH}/${token}/${FEED_FILES[kind].name}`;
+}
+
+/**
+ * This helper function finds the user a feed address's token belongs to and
+ * sends the headers every feed document carries.
+ *
+ * @param {Object} req - The Express request object, with the token in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Promise<Object>} - The user
+ * @throws {Error} - A 404 error when no user's feeds are on with the token
+ */
+async function openFeed(req, res) {
+  res.set(FEED_HEADERS);
+  const user = await User.getUserByFeedToken(req.params.token);
+  if (!user) throw httpError(404, "This feed does not exist or has been turned off.");
+  return user;
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the feeds page: the user's feed addresses while the
+ * feeds are on, and the buttons to turn them on, reset or turn them off.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+function showFeeds(req, res) {
+  const token = req.user.feedToken;
+  const origin = originOf(req);
+
+  res.render("feeds", {
+    enabled: Boolean(token),
+    urls: token
+      ? {
+          atom: feedUrl(origin, token, "atom"),
+          rss: feedUrl(origin, token, "rss"),
+          calendar: feedUrl(origin, token, "calendar"),
+        }
+      : null,
+    hasGoal: Boolean(req.user.goalPeriod),
+  });
+}
+
+/**
+ * This function turns the user's feeds on, or gives them new addresses when
+ * they are already on, and returns to the feeds page.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function resetFeeds(req, res) {
+  const wasEnabled = Boolean(req.user.feedToken);
+  await User.resetFeedToken(req.user.id);
+
+  setFlash(req, {
+    type: "success",
+    text: wasEnabled
+      ? "Your feeds have new addresses. The old ones no longer work, so update your subscriptions."
+      : "Your feeds are on. Copy their addresses below into a feed reader or calendar app.",
+  });
+  res.redirect(FEEDS_PATH);
+}
+
+/**
+ * This function turns the user's feeds off, so their addresses stop
+ * working, and returns to the feeds page.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function disableFeeds(req, res) {
+  await User.clearFeedToken(req.user.id);
+  setFlash(req, { type: "info", text: "Your feeds are off. Their addresses no longer work." });
+  res.redirect(FEEDS_PATH);
+}
+
+/**
+ * This function sends the Atom feed of the books the user added or changed
+ * most recently.
+ *
+ * @param {Object} req - The Express request object, with the token in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the token does not open a feed, returns a 404 response
+ */
+async function sendAtomFeed(req, res) {
+  const user = await openFeed(req, res);
+  const origin = originOf(req);
+  const books = await Book.getRecentlyChangedBooks(user.id, FEED_SIZE);
+
+  res.type(FEED_FILES.atom.type);
+  res.send(buildAtomFeed({ books, userId: user.id, origin, selfUrl: feedUrl(origin, user.feedToken, "atom") }));
+}
+
+/**
+ * This function sends the RSS feed of the books the user added or changed
+ * most recently.
+ *
+ * @param {Object} req - The Express request object, with the token in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the token does not open a feed, returns a 404 response
+ */
+async function sendRssFeed(req, res) {
+  const user = await openFeed(req, res);
+  const origin = originOf(req);
+  const books = await Book.getRecentlyChangedBooks(user.id, FEED_SIZE);
+
+  res.type(FEED_FILES.rss.type);
+  res.send(buildRssFeed({ books, userId: user.id, origin, selfUrl: feedUrl(origin, user.feedToken, "rss") }));
+}
+
+/**
+ * This function sends the iCalendar file of the user's target finish dates
+ * and reading goal.
+ *
+ * @param {Object} req - The Express request object, with the token in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the token does not open a feed, returns a 404 response
+ */
+async function sendCalendar(req, res) {
+  const user = await openFeed(req, res);
+  const books = await Book.getAllBooks(user.id);
+
+  res.type(FEED_FILES.calendar.type);
+  res.send(buildCalendar({ books, goal: goalProgress(books, user), userId: user.id, origin: originOf(req) }));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all controller functions to make them available to the routers
+ */
+module.exports = {
+  showFeeds,
+  resetFeeds,
+  disableFeeds,
+  sendAtomFeed,
+  sendRssFeed,
+  sendCalendar,
+};
@@ -0,0 +1,335 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for exporting the reading list
+ * as a CSV or JSON download and for importing books from an uploaded CSV file.
+ *
+ * Controller Purpose:
+ * The import runs in three steps, each a form post: the file is uploaded and
+ * a column mapping is suggested, the mapping is confirmed and a dry-run
+ * preview shows what would happen to every row, and finally the import is
+ * committed. The CSV text is carried from step to step in a hidden form
+ * field; see services/bookImport.js for how the rows are checked.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * multer - Middleware that reads multipart/form-data file uploads
+ */
+const multer = require("multer");
+
+/**
+ * Book - The data model the exported books are read from
+ */
+const Book = require("../models/Book");
+
+/**
+ * bookImport - Reads, maps, checks and commits CSV imports
+ */
+const bookImport = require("../services/bookImport");
+
+/**
+ * bookExport - Writes the reading list as CSV or JSON
+ */
+const { toCsvExport, toJsonExport } = require("../services/bookExport");
+
+/**
+ * config - The import limits
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SAMPLE_ROW_COUNT - How many rows of the file the mapping step shows
+ */
+const SAMPLE_ROW_COUNT = 3;
+
+/**
+ * DUPLICATE_MESSAGES - How the preview describes each kind of duplicate
+ */
+const DUPLICATE_MESSAGES = {
+  existing: "Already in your list",
+  file: "Repeats an earlier row",
+};
+
+/**
+ * FIELD_LABELS - The label of each import field, for the preview's error messages
+ */
+const FIELD_LABELS = Object.fromEntries(bookImport.IMPORT_FIELDS.map((field) => [field.name, field.label]));
+
+/**
+ * upload - Keeps the uploaded CSV in memory, accepting one file up to the
+ * configured size
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.import.maxBytes, files: 1 },
+});
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function builds the download file name for an export, e.g.
+ * "reading-list-2026-10-19.csv".
+ *
+ * @param {String} extension - The file extension, without the dot
+ * @returns {String} - The file name
+ */
+function exportFileName(extension) {
+  return `reading-list-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * This helper function shows the upload form again with a message explaining
+ * why the file could not be used.
+ *
+ * @param {Object} res - The Express response object
+ * @param {Number} status - The HTTP status code
+ * @param {String} message - What went wrong
+ * @returns {Object} - The Express response
+ */
+function renderUploadError(res, status, message) {
+  return res.status(status).render("import", { error: message, maxSizeKb: Math.floor(config.import.maxBytes / 1024) });
+}
+
+/**
+ * This helper function reads the CSV text carried in the hidden form field.
+ *
+ * @param {Object} req - The Express request object
+ * @returns {Object|null} - The table from bookImport.readTable, or null when
+ *                          the text is no longer a usable file
+ */
+function readSubmittedTable(req) {
+  try {
+    return bookImport.readTable(req.body.csv);
+  } catch (error) {
+    if (error.code === "INVALID_IMPORT") return null;
+    throw error;
+  }
+}
+
+/**
+ * This helper function prepares the column mapping form: one select per
+ * import field with the file's columns as choices, plus a few sample rows.
+ *
+ * @param {String} csv - The CSV text, carried on to the next step
+ * @param {Object} table - The table from bookImport.readTable
+ * @param {Object} mapping - The column index currently chosen for each field
+ * @param {Object} [errors] - Problems with the mapping, by field name
+ * @returns {Object} - The view data for import-mapping.hbs
+ */
+function mappingPageData(csv, table, mapping, errors) {
+  return {
+    csv,
+    headers: table.headers,
+    sampleRows: table.rows.slice(0, SAMPLE_ROW_COUNT),
+    rowCount: table.rows.length,
+    fields: bookImport.IMPORT_FIELDS.map((field) => ({
+      name: field.name,
+      label: field.label,
+      required: field.required,
+      error: errors ? errors[field.name] : null,
+      columns: table.headers.map((header, index) => ({
+        index,
+        header: header || `Column ${index + 1}`,
+        selected: mapping[field.name] === index,
+      })),
+    })),
+    hasErrors: Boolean(errors),
+  };
+}
+
+/**
+ * This helper function turns a column mapping into the hidden fields that
+ * carry it from the preview to the commit step.
+ *
+ * @param {Object} mapping - The column index for each field, or null
+ * @returns {Array} - A list of { name, index } pairs for the mapped fields
+ */
+function mappingFields(mapping) {
+  return Object.entries(mapping)
+    .filter(([, index]) => index !== null)
+    .map(([name, index]) => ({ name, index }));
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function sends the user's whole reading list as a CSV download.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending the file
+ */
+async function exportCsv(req, res) {
+  const books = await Book.getAllBooks(req.user.id);
+  res.attachment(exportFileName("csv"));
+  res.type("text/csv; charset=utf-8");
+  res.send(toCsvExport(books));
+}
+
+/**
+ * This function sends the user's whole reading list as a JSON download.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending the file
+ */
+async function exportJson(req, res) {
+  const books = await Book.getAllBooks(req.user.id);
+  res.attachment(exportFileName("json"));
+  res.type("application/json; charset=utf-8");
+  res.send(toJsonExport(books));
+}
+
+/**
+ * This function renders the CSV upload form, the first step of an import.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+function showImportForm(req, res) {
+  res.render("import", { maxSizeKb: Math.floor(config.import.maxBytes / 1024) });
+}
+
+/**
+ * This middleware function reads the uploaded file into req.file. A file that
+ * is too large, or a malformed upload, shows the upload form again with a
+ * message instead of failing the request. It runs before the CSRF check (see
+ * routes/uploads.js), so the token in the form's body can be checked.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the upload handler
+ */
+function receiveUpload(req, res, next) {
+  upload.single("file")(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const message =
+        error.code === "LIMIT_FILE_SIZE"
+          ? `The file is too large; the limit is ${Math.floor(config.import.maxBytes / 1024)} KB.`
+          : "The upload could not be read. Please choose one CSV file and try again.";
+      return renderUploadError(res, error.code === "LIMIT_FILE_SIZE" ? 413 : 400, message);
+    }
+    next(error);
+  });
+}
+
+/**
+ * This function handles the uploaded CSV file. It reads the header row,
+ * suggests a column for every book field and renders the mapping step.
+ *
+ * @param {Object} req - The Express request object, with the file in req.file
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the file is missing or unusable, returns a 422 response
+ */
+function uploadImport(req, res) {
+  // A file must have been chosen
+  if (!req.file || !req.file.size) {
+    return renderUploadError(res, 422, "Choose a CSV file to import.");
+  }
+
+  // Read the file as UTF-8 text and check it has a header and some rows
+  const csv = req.file.buffer.toString("utf8");
+  let table;
+  try {
+    table = bookImport.readTable(csv);
+  } catch (error) {
+    if (error.code === "INVALID_IMPORT") return renderUploadError(res, 422, error.message);
+    throw error;
+  }
+
+  // Suggest a column for every field and let the user confirm it
+  res.render("import-mapping", mappingPageData(csv, table, bookImport.guessMapping(table.headers)));
+}
+
+/**
+ * This function handles the confirmed column mapping. It checks every row
+ * without saving anything and renders the dry-run preview.
+ *
+ * @param {Object} req - The Express request object, with the CSV text and
+ *                      the mapping in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the file or the mapping is unusable, returns a 422 response
+ */
+async function previewImport(req, res) {
+  // Read the file carried over from the upload step
+  const table = readSubmittedTable(req);
+  if (!table) return renderUploadError(res, 422, "The uploaded file could not be read again. Please upload it once more.");
+
+  // Title and author must be mapped before anything can be checked
+  const { mapping, errors } = bookImport.parseMapping(req.body.mapping, table.headers);
+  if (errors) {
+    return res.status(422).render("import-mapping", mappingPageData(req.body.csv, table, mapping, errors));
+  }
+
+  // Check every row and describe the outcome for the preview table
+  const { rows, summary } = await bookImport.buildPreview(req.user.id, table, mapping);
+  res.render("import-preview", {
+    csv: req.body.csv,
+    mappingFields: mappingFields(mapping),
+    summary,
+    rows: rows.map((row) => ({
+      line: row.line,
+      title: row.input.title,
+      author: row.input.author,
+      cost: row.input.cost,
+      status: row.values ? row.values.status : row.input.status,
+      errors: row.errors.map(({ field, message }) => `${FIELD_LABELS[field] || field}: ${message}`),
+      duplicate: DUPLICATE_MESSAGES[row.duplicate] || null,
+    })),
+  });
+}
+
+/**
+ * This function commits the import. The rows are checked again, and the valid
+ * rows that are not duplicates are added in a single batch.
+ *
+ * @param {Object} req - The Express request object, with the CSV text and
+ *                      the mapping in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the file or the mapping is unusable, returns a 422 response
+ */
+async function commitImport(req, res) {
+  // Read the file and mapping carried over from the preview step
+  const table = readSubmittedTable(req);
+  if (!table) return renderUploadError(res, 422, "The uploaded file could not be read again. Please upload it once more.");
+
+  const { mapping, errors } = bookImport.parseMapping(req.body.mapping, table.headers);
+  if (errors) {
+    return res.status(422).render("import-mapping", mappingPageData(req.body.csv, table, mapping, errors));
+  }
+
+  // Add the books and report how many were imported and skipped
+  const { books, summary } = await bookImport.commitImport(req.user.id, table, mapping);
+  res.render("import-done", { imported: books.length, summary });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions for the import/export router
+ */
+module.exports = {
+  exportCsv,
+  exportJson,
+  showImportForm,
+  receiveUpload,
+  uploadImport,
+  previewImport,
+  commitImport,
+};
@@ -0,0 +1,303 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for share links: the page
+ * where users create and revoke them, and the read-only pages anyone with a
+ * link's address sees.
+ *
+ * Controller Purpose:
+ * A share link lets someone look at part of a user's list without logging
+ * in and without being able to change anything. The shared pages are views
+ * of their own, shared-list and shared-book, rather than the home and book
+ * pages with their controls hidden, so no edit, delete or other form can
+ * ever end up on them. They show the books the link allows and nothing
+ * private: no notes, reading sessions, shelves or change history.
+ *
+ * The management handlers run behind requireLogin (see middleware/auth.js)
+ * and only ever touch the logged-in user's links. The shared pages run
+ * without a user; a token that is unknown, revoked or expired, and a book the
+ * link does not show, all get the same 404 page, so a visitor learns nothing
+ * about what the token might once have opened.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * ShareLink - Stores the share links and finds the one a token opens
+ */
+const ShareLink = require("../models/ShareLink");
+
+/**
+ * Book - Reads the books a share link shows
+ */
+const Book = require("../models/Book");
+
+/**
+ * ReadingStatus - Lists the statuses a link can be narrowed to
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * shareLinkValidator - Validates the new share link form
+ */
+const { LIMITS, EXPIRY_CHOICES, validateShareLink } = require("../validators/shareLinkValidator");
+
+/**
+ * bookListQuery - Reads the page number of a shared list from the query string
+ */
+const { parseBookListQuery } = require("../validators/bookListQuery");
+
+/**
+ * markdown - Renders a shared book's Markdown review as safe HTML
+ */
+const { renderMarkdown } = require("../utils/markdown");
+
+/**
+ * flash - Leaves the notices shown after a link is created or revoked
+ */
+const { setFlash } = require("../middleware/flash");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+/**
+ * parseId - Reads the IDs in the URL parameters
+ */
+const parseId = require("../utils/parseId");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SHARED_PATH - The path the shared pages live under
+ */
+const SHARED_PATH = "/s";
+
+/**
+ * SHARED_PAGE_SIZE - How many books a page of a shared list shows
+ */
+const SHARED_PAGE_SIZE = 24;
+
+/**
+ * SHARED_PAGE_HEADERS - Sent with every shared page: search engines are asked
+ * not to index it, and no Referer header carries its token to the sites it
+ * links to, such as a book's shopping link
+ */
+const SHARED_PAGE_HEADERS = {
+  "X-Robots-Tag": "noindex, nofollow",
+  "Referrer-Policy": "no-referrer",
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function describes which books a link shows, e.g. "Reading
+ * books tagged sci-fi".
+ *
+ * @param {Object} link - The share link
+ * @returns {String} - The description
+ */
+function describeSelection(link) {
+  const books = link.status ? `${ReadingStatus.LABELS[link.status]} books` : "All books";
+  return link.tags.length ? `${books} tagged ${link.tags.join(", ")}` : books;
+}
+
+/**
+ * This helper function renders the share links page, optionally with the
+ * errors of a rejected new link.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Object} [form] - { values, errors } of the rejected form
+ * @returns {Promise<void>}
+ */
+async function renderShares(req, res, form = {}) {
+  const origin = `${req.protocol}://${req.get("host")}`;
+  const links = (await ShareLink.listShareLinks(req.user.id)).map((link) => ({
+    ...link,
+    url: `${origin}${SHARED_PATH}/${link.token}`,
+    selection: describeSelection(link),
+  }));
+  const values = form.values || {};
+
+  res.render("shares", {
+    links,
+    values,
+    errors: form.errors,
+    limits: LIMITS,
+    statuses: ReadingStatus.STATUSES.map((status) => ({
+      value: status,
+      label: ReadingStatus.LABELS[status],
+      selected: status === values.status,
+    })),
+    expiryChoices: EXPIRY_CHOICES.map((choice) => ({ ...choice, selected: choice.value === values.expiresIn })),
+  });
+}
+
+/**
+ * This helper function finds the link a shared page's token opens and sends
+ * the headers every shared page carries.
+ *
+ * @param {Object} req - The Express request object, with the token in req.params
+ * @param {Object} res - The Express response object
+ * @returns {Promise<Object>} - The share link
+ * @throws {Error} - A 404 error when the link does not exist or no longer works
+ */
+async function openLink(req, res) {
+  res.set(SHARED_PAGE_HEADERS);
+  const link = await ShareLink.findActiveLink(req.params.token);
+  if (!link) throw httpError(404, "This share link does not exist or is no longer active.");
+  return link;
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the user's share links with the form for creating
+ * a new one.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function listShares(req, res) {
+  await renderShares(req, res);
+}
+
+/**
+ * This function processes the new share link form and returns to the share
+ * links page, where the new link's address can be copied.
+ *
+ * @param {Object} req - The Express request object, with the link's label,
+ *                      status, tags and lifetime in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the form is invalid, returns a 422 response
+ */
+async function createShare(req, res) {
+  // Validate the form, showing it again when it is not usable
+  const { values, errors } = validateShareLink(req.body);
+  if (errors) {
+    res.status(422);
+    const { label, status, tags, expiresIn } = req.body;
+    return renderShares(req, res, { values: { label, status, tags, expiresIn }, errors });
+  }
+
+  // Create the link and point the user at it
+  await ShareLink.createShareLink(req.user.id, values);
+  setFlash(req, { type: "success", text: "Share link created. Copy its address below and send it to anyone." });
+  res.redirect("/shares");
+}
+
+/**
+ * This function revokes one of the user's share links, so its address stops
+ * working, and returns to the share links page.
+ *
+ * @param {Object} req - The Express request object, with the link ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the link is not found, returns a 404 response
+ */
+async function revokeShare(req, res) {
+  const link = await ShareLink.revokeShareLink(req.user.id, parseId(req.params.id));
+
+  // If the link doesn't exist, answer with the 404 page
+  if (!link) {
+    throw httpError(404, "Share link not found");
+  }
+
+  setFlash(req, { type: "info", text: `The link "${link.label || describeSelection(link)}" was revoked.` });
+  res.redirect("/shares");
+}
+
+/**
+ * This function renders the read-only list a share link shows, one page at
+ * a time.
+ *
+ * @param {Object} req - The Express request object, with the token in
+ *                      req.params and the page number in req.query
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the link does not exist or no longer works, returns a 404 response
+ */
+async function showSharedList(req, res) {
+  const link = await openLink(req, res);
+
+  // Only the page number comes from the visitor; the link decides the books
+  const { options } = parseBookListQuery({ page: req.query.page });
+  const { books, total } = await Book.searchBooks(link.ownerId, {
+    ...options,
+    status: link.status || "",
+    tags: link.tags,
+    sort: "title",
+    pageSize: SHARED_PAGE_SIZE,
+  });
+
+  const basePath = `${SHARED_PATH}/${link.token}`;
+  const pageCount = Math.max(1, Math.ceil(total / SHARED_PAGE_SIZE));
+  res.render("shared-list", {
+    link,
+    selection: describeSelection(link),
+    basePath,
+    books,
+    total,
+    pagination: {
+      page: options.page,
+      pageCount,
+      multiplePages: pageCount > 1,
+      prevUrl: options.page > 1 ? `${basePath}?page=${Math.min(options.page - 1, pageCount)}` : null,
+      nextUrl: options.page < pageCount ? `${basePath}?page=${options.page + 1}` : null,
+    },
+  });
+}
+
+/**
+ * This function renders the read-only page of one book a share link shows.
+ *
+ * @param {Object} req - The Express request object, with the token and the
+ *                      book ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the link does not work or does not show the book,
+ *                     returns a 404 response
+ */
+async function showSharedBook(req, res) {
+  const link = await openLink(req, res);
+
+  // A book the link does not show is as unknown as a missing one
+  const book = await Book.getBookById(link.ownerId, parseId(req.params.id));
+  if (!book || !ShareLink.showsBook(link, book)) {
+    throw httpError(404, "Book not found");
+  }
+
+  res.render("shared-book", {
+    link,
+    basePath: `${SHARED_PATH}/${link.token}`,
+    book,
+    reviewHtml: renderMarkdown(book.review),
+  });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all controller functions to make them available to the routers
+ */
+module.exports = {
+  listShares,
+  createShare,
+  revokeShare,
+  showSharedList,
+  showSharedBook,
+};
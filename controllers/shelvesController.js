@@ -0,0 +1,262 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for the shelves pages: the
+ * list of shelves, each shelf's own page, and the forms that create, rename
+ * and delete shelves and move books on and off them.
+ *
+ * Controller Purpose:
+ * Shelves are named groups of books, such as "Summer 2026" or "Work
+ * reading". A book can be on any number of shelves. The shelf page shows its
+ * books with the same cards as the home page.
+ *
+ * Every handler runs behind requireLogin (see middleware/auth.js) and passes
+ * the logged-in user's ID to the Shelf model, so users only ever see and
+ * change their own shelves.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Shelf - The data model that stores shelves and the books on them
+ */
+const Shelf = require("../models/Shelf");
+
+/**
+ * shelfValidator - Validates and normalizes submitted shelf names
+ */
+const { LIMITS, validateShelf } = require("../validators/shelfValidator");
+
+/**
+ * auth - Checks the page to return to after a book is taken off a shelf
+ */
+const { safeReturnPath } = require("../middleware/auth");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+/**
+ * parseId - Reads the IDs in the URL parameters and form fields
+ */
+const parseId = require("../utils/parseId");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function renders the shelves page, optionally with the errors
+ * of a rejected new shelf.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Object} [form] - { name, errors } of the rejected form
+ * @returns {Promise<void>}
+ */
+async function renderShelves(req, res, form = {}) {
+  const shelves = await Shelf.listShelves(req.user.id);
+  res.render("shelves", { shelves, limits: LIMITS, ...form });
+}
+
+/**
+ * This helper function renders a shelf's page, optionally with the errors of
+ * a rejected rename.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Object} shelf - The shelf to show
+ * @param {Object} [form] - { name, errors } of the rejected rename form
+ * @returns {Promise<void>}
+ */
+async function renderShelf(req, res, shelf, form = {}) {
+  const books = await Shelf.getShelfBooks(req.user.id, shelf.id);
+  res.render("shelf", { shelf, books, name: shelf.name, limits: LIMITS, ...form });
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the list of the user's shelves with the form for
+ * creating a new one.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function listShelves(req, res) {
+  await renderShelves(req, res);
+}
+
+/**
+ * This function processes the new shelf form and redirects to the new
+ * shelf's page.
+ *
+ * @param {Object} req - The Express request object, with the name in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the name is invalid or already used, returns a 422 response
+ */
+async function createShelf(req, res) {
+  // Validate the name, showing the form again when it is not usable
+  const { values, errors } = validateShelf(req.body);
+  if (errors) {
+    res.status(422);
+    return renderShelves(req, res, { name: req.body.name, errors });
+  }
+
+  // Create the shelf, reporting a name the user already has
+  let shelf;
+  try {
+    shelf = await Shelf.createShelf(req.user.id, values.name);
+  } catch (error) {
+    if (error.code !== "SHELF_NAME_TAKEN") throw error;
+    res.status(422);
+    return renderShelves(req, res, { name: values.name, errors: { name: error.message } });
+  }
+
+  res.redirect(`/shelves/${shelf.id}`);
+}
+
+/**
+ * This function renders a shelf's page with the books on it.
+ *
+ * @param {Object} req - The Express request object, with the shelf ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the shelf is not found, returns a 404 response
+ */
+async function getShelf(req, res) {
+  const shelf = await Shelf.getShelfById(req.user.id, parseId(req.params.id));
+
+  // If the shelf doesn't exist, answer with the 404 page
+  if (!shelf) {
+    throw httpError(404, "Shelf not found");
+  }
+
+  await renderShelf(req, res, shelf);
+}
+
+/**
+ * This function processes the rename form on a shelf's page.
+ *
+ * @param {Object} req - The Express request object, with the shelf ID in
+ *                      req.params and the new name in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - 404 if the shelf is not found, 422 if the name is
+ *                     invalid or already used
+ */
+async function renameShelf(req, res) {
+  const shelfId = parseId(req.params.id);
+  const shelf = await Shelf.getShelfById(req.user.id, shelfId);
+
+  // If the shelf doesn't exist, answer with the 404 page
+  if (!shelf) {
+    throw httpError(404, "Shelf not found");
+  }
+
+  // Validate the new name, showing the page again when it is not usable
+  const { values, errors } = validateShelf(req.body);
+  if (errors) {
+    res.status(422);
+    return renderShelf(req, res, shelf, { name: req.body.name, errors });
+  }
+
+  // Rename the shelf, reporting a name another shelf already has
+  try {
+    await Shelf.renameShelf(req.user.id, shelfId, values.name);
+  } catch (error) {
+    if (error.code !== "SHELF_NAME_TAKEN") throw error;
+    res.status(422);
+    return renderShelf(req, res, shelf, { name: values.name, errors: { name: error.message } });
+  }
+
+  res.redirect(`/shelves/${shelfId}`);
+}
+
+/**
+ * This function deletes a shelf and returns to the list of shelves. The
+ * books that were on it stay on the reading list.
+ *
+ * @param {Object} req - The Express request object, with the shelf ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the shelf is not found, returns a 404 response
+ */
+async function deleteShelf(req, res) {
+  const deletedShelf = await Shelf.deleteShelf(req.user.id, parseId(req.params.id));
+
+  // If the shelf doesn't exist, answer with the 404 page
+  if (!deletedShelf) {
+    throw httpError(404, "Shelf not found");
+  }
+
+  res.redirect("/shelves");
+}
+
+/**
+ * This function puts a book on a shelf from the form on the book page and
+ * returns to that book.
+ *
+ * @param {Object} req - The Express request object, with the shelf ID in
+ *                      req.params and the book ID in req.body.bookId
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the shelf or the book is not found, returns a 404 response
+ */
+async function addBookToShelf(req, res) {
+  const bookId = parseId(req.body.bookId);
+  const added = await Shelf.addBookToShelf(req.user.id, parseId(req.params.id), bookId);
+
+  // If the shelf or the book doesn't exist, answer with the 404 page
+  if (!added) {
+    throw httpError(404, "Shelf or book not found");
+  }
+
+  res.redirect(`/book/${bookId}`);
+}
+
+/**
+ * This function takes a book off a shelf and returns to the page the form
+ * was on (the book page or the shelf page).
+ *
+ * @param {Object} req - The Express request object, with the shelf and book
+ *                      IDs in req.params and the page to return to in req.body.next
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the shelf is not found, returns a 404 response
+ */
+async function removeBookFromShelf(req, res) {
+  const shelfId = parseId(req.params.id);
+  const removed = await Shelf.removeBookFromShelf(req.user.id, shelfId, parseId(req.params.bookId));
+
+  // If the shelf doesn't exist, answer with the 404 page
+  if (!removed) {
+    throw httpError(404, "Shelf not found");
+  }
+
+  res.redirect(req.body.next ? safeReturnPath(req.body.next) : `/shelves/${shelfId}`);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all controller functions to make them available to the router
+ */
+module.exports = {
+  listShelves,
+  createShelf,
+  getShelf,
+  renameShelf,
+  deleteShelf,
+  addBookToShelf,
+  removeBookFromShelf,
+};
@@ -0,0 +1,127 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for the statistics page and
+ * the reading goal form on it.
+ *
+ * Controller Purpose:
+ * The statistics page summarizes a user's reading: books finished per month,
+ * pages read per week, the average cost of a book, in the user's own
+ * currency, the current reading streak and how far the user has come towards
+ * their reading goal. Every figure is worked out on the server by services/readingStats.js,
+ * so the page needs no JavaScript.
+ *
+ * The handlers run behind requireLogin (see middleware/auth.js) and only
+ * read the logged-in user's books and sessions and change their own goal.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Book - Provides the user's books, with their status, finish date and cost
+ */
+const Book = require("../models/Book");
+
+/**
+ * ReadingSession - Provides every reading session the user has logged
+ */
+const ReadingSession = require("../models/ReadingSession");
+
+/**
+ * User - Saves the user's reading goal
+ */
+const User = require("../models/User");
+
+/**
+ * readingStats - Computes the figures shown on the page and the goal progress
+ */
+const { buildDashboard, goalProgress } = require("../services/readingStats");
+
+/**
+ * goalValidator - Validates the reading goal form
+ */
+const { GOAL_PERIODS, LIMITS, validateReadingGoal } = require("../validators/goalValidator");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function renders the statistics page, optionally with the
+ * errors of a rejected goal form.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Object} [form] - { goal, errors } of the rejected form
+ * @returns {Promise<void>}
+ */
+async function renderStats(req, res, form = {}) {
+  // Load the user's books and logged sessions
+  const books = await Book.getAllBooks(req.user.id);
+  const sessions = await ReadingSession.getSessionsForUser(req.user.id);
+  const goal = form.goal || { goalPeriod: req.user.goalPeriod || "", goalBooks: req.user.goalBooks || "" };
+
+  // Render the statistics view with the computed figures
+  res.render("stats", {
+    stats: buildDashboard(books, sessions, { currency: req.user.currency }),
+    progress: goalProgress(books, req.user),
+    goal,
+    errors: form.errors,
+    periods: Object.entries(GOAL_PERIODS).map(([value, label]) => ({
+      value,
+      label,
+      selected: value === goal.goalPeriod,
+    })),
+    limits: LIMITS,
+  });
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the statistics page.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function showStats(req, res) {
+  await renderStats(req, res);
+}
+
+/**
+ * This function saves the reading goal form and returns to the statistics page.
+ *
+ * @param {Object} req - The Express request object, with the goal in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the goal is invalid, returns a 422 response
+ */
+async function updateGoal(req, res) {
+  // Validate the goal, showing the page again when it is not usable
+  const { values, errors } = validateReadingGoal(req.body);
+  if (errors) {
+    const { goalPeriod, goalBooks } = req.body;
+    res.status(422);
+    return renderStats(req, res, { goal: { goalPeriod, goalBooks }, errors });
+  }
+
+  // Save it and show the progress towards it
+  await User.updateReadingGoal(req.user.id, values);
+  res.redirect("/stats");
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions to make them available to the router
+ */
+module.exports = {
+  showStats,
+  updateGoal,
+};
@@ -0,0 +1,150 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for the trash page, where
+ * deleted books can be restored or purged for good.
+ *
+ * Controller Purpose:
+ * Deleting a book moves it here (see booksController.deleteBook), and the
+ * notice shown after a delete offers to undo it by restoring the book. Books
+ * left in the trash are purged automatically once the retention period is
+ * over (see services/trashPurgeJob.js). The handlers run behind requireLogin
+ * (see middleware/auth.js) and only touch the logged-in user's books.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Trash - Lists, restores and purges the deleted books
+ */
+const Trash = require("../models/Trash");
+
+/**
+ * config - How long books stay in the trash
+ */
+const config = require("../config");
+
+/**
+ * flash - Leaves the notice shown after a restore or purge
+ */
+const { setFlash } = require("../middleware/flash");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * TRASH_PAGE - Where the handlers return to after a purge
+ */
+const TRASH_PAGE = "/trash";
+
+/**
+ * DAY_MS - The length of a day in milliseconds
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the trash page, with the day each book will be
+ * purged on when the retention policy is on.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function showTrash(req, res) {
+  const { retentionDays } = config.trash;
+  const books = (await Trash.listTrash(req.user.id)).map((book) => ({
+    ...book,
+    purgeOn: retentionDays ? new Date(new Date(book.deletedAt).getTime() + retentionDays * DAY_MS) : null,
+  }));
+
+  res.render("trash", { books, retentionDays });
+}
+
+/**
+ * This function takes a book out of the trash and shows it again. Both the
+ * trash page and the "Undo" button after a delete post here.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book is not in the trash, returns a 404 response
+ */
+async function restoreBook(req, res) {
+  const bookId = parseInt(req.params.id);
+
+  // Restore the book using the Trash model
+  const book = await Trash.restoreBook(req.user.id, bookId);
+
+  // If the book isn't in the trash, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Book not found in the trash");
+  }
+
+  // Show the restored book
+  setFlash(req, { type: "success", text: `"${book.title}" was restored.` });
+  res.redirect(`/book/${bookId}`);
+}
+
+/**
+ * This function removes a book in the trash for good.
+ *
+ * @param {Object} req - The Express request object, with the book ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the book is not in the trash, returns a 404 response
+ */
+async function purgeBook(req, res) {
+  const bookId = parseInt(req.params.id);
+
+  // Purge the book using the Trash model
+  const book = await Trash.purgeBook(req.user.id, bookId);
+
+  // If the book isn't in the trash, answer with the 404 page
+  if (!book) {
+    throw httpError(404, "Book not found in the trash");
+  }
+
+  // Return to the rest of the trash
+  setFlash(req, { type: "info", text: `"${book.title}" was deleted for good.` });
+  res.redirect(TRASH_PAGE);
+}
+
+/**
+ * This function removes every book in the trash for good.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function emptyTrash(req, res) {
+  const purged = await Trash.emptyTrash(req.user.id);
+
+  setFlash(req, { type: "info", text: `${purged} ${purged === 1 ? "book was" : "books were"} deleted for good.` });
+  res.redirect(TRASH_PAGE);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the controller functions to make them available to the router
+ */
+module.exports = {
+  showTrash,
+  restoreBook,
+  purgeBook,
+  emptyTrash,
+};
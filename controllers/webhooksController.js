@@ -0,0 +1,267 @@
+/**
+ * File Purpose:
+ * This file contains the controller functions for webhooks: the page where
+ * users register and delete them, and each webhook's delivery history.
+ *
+ * Controller Purpose:
+ * A webhook is sent the user's book events as signed JSON requests (see
+ * services/webhookSender.js). The page shows each webhook's secret, which
+ * the receiver needs to check the signatures. The delivery history shows
+ * what was sent and how the receiver answered, including the deliveries that
+ * failed for good, which can be sent again from there.
+ *
+ * Every handler runs behind requireLogin (see middleware/auth.js) and only
+ * ever touches the logged-in user's webhooks.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Webhook - Stores the user's webhooks
+ */
+const Webhook = require("../models/Webhook");
+
+/**
+ * WebhookDelivery - Reads the delivery history and queues failed deliveries again
+ */
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+/**
+ * webhookJob - Sends a delivery that was queued again
+ */
+const webhookJob = require("../services/webhookJob");
+
+/**
+ * bookEvents - The events a webhook can be sent
+ */
+const { BOOK_EVENTS } = require("../services/bookEvents");
+
+/**
+ * webhookValidator - Validates the new webhook form
+ */
+const { LIMITS, EVENT_LABELS, validateWebhook } = require("../validators/webhookValidator");
+
+/**
+ * flash - Leaves the notices shown after a webhook is added or deleted
+ */
+const { setFlash } = require("../middleware/flash");
+
+/**
+ * httpError - Raises the 404 Not Found errors the error handler answers with
+ * the 404 page
+ */
+const httpError = require("../utils/httpError");
+
+/**
+ * parseId - Reads the IDs in the URL parameters
+ */
+const parseId = require("../utils/parseId");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * WEBHOOKS_PATH - The path of the webhooks page
+ */
+const WEBHOOKS_PATH = "/webhooks";
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function finds one of the user's webhooks from the URL.
+ *
+ * @param {Object} req - The Express request object, with the webhook ID in req.params
+ * @returns {Promise<Object>} - The webhook
+ * @throws {Error} - A 404 error when the user has no such webhook
+ */
+async function findWebhook(req) {
+  const webhook = await Webhook.getWebhook(req.user.id, parseId(req.params.id));
+  if (!webhook) throw httpError(404, "Webhook not found");
+  return webhook;
+}
+
+/**
+ * This helper function prepares a delivery for the delivery history: the
+ * book it is about, read from its body, and flags for its status.
+ *
+ * @param {Object} delivery - The delivery
+ * @returns {Object} - The delivery with "eventLabel", "book" holding the
+ *                     book's id and title, and "delivered" and "failed" flags
+ */
+function describeDelivery(delivery) {
+  const { book } = JSON.parse(delivery.payload);
+  return {
+    ...delivery,
+    eventLabel: EVENT_LABELS[delivery.event],
+    book: { id: book.id, title: book.title },
+    delivered: delivery.status === "delivered",
+    failed: delivery.status === "failed",
+  };
+}
+
+/**
+ * This helper function renders the webhooks page, optionally with the errors
+ * of a rejected new webhook.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Object} [form] - { values, errors } of the rejected form
+ * @returns {Promise<void>}
+ */
+async function renderWebhooks(req, res, form = {}) {
+  const webhooks = (await Webhook.listWebhooks(req.user.id)).map((webhook) => ({
+    ...webhook,
+    eventLabels: webhook.events.map((event) => EVENT_LABELS[event]).join(", "),
+  }));
+  const values = form.values || { events: BOOK_EVENTS };
+  const chosen = [].concat(values.events || []);
+
+  res.render("webhooks", {
+    webhooks,
+    values,
+    errors: form.errors,
+    limits: LIMITS,
+    events: BOOK_EVENTS.map((event) => ({ value: event, label: EVENT_LABELS[event], checked: chosen.includes(event) })),
+  });
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function renders the user's webhooks with the form for adding one.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ */
+async function listWebhooks(req, res) {
+  await renderWebhooks(req, res);
+}
+
+/**
+ * This function processes the new webhook form and returns to the webhooks
+ * page, where the new webhook's secret can be copied.
+ *
+ * @param {Object} req - The Express request object, with the webhook's url,
+ *                      label and events in req.body
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the form is invalid, returns a 422 response
+ */
+async function createWebhook(req, res) {
+  // Validate the form, showing it again when it is not usable
+  const { values, errors } = validateWebhook(req.body);
+  if (errors) {
+    res.status(422);
+    const { url, label, events } = req.body;
+    return renderWebhooks(req, res, { values: { url, label, events }, errors });
+  }
+
+  // Register the webhook and point the user at its secret
+  await Webhook.createWebhook(req.user.id, values);
+  setFlash(req, {
+    type: "success",
+    text: "Webhook added. Give its secret to the receiver so it can check the signature of each request.",
+  });
+  res.redirect(WEBHOOKS_PATH);
+}
+
+/**
+ * This function deletes one of the user's webhooks, so no more events are
+ * sent to it, and returns to the webhooks page.
+ *
+ * @param {Object} req - The Express request object, with the webhook ID in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the webhook is not found, returns a 404 response
+ */
+async function deleteWebhook(req, res) {
+  const webhook = await Webhook.deleteWebhook(req.user.id, parseId(req.params.id));
+
+  // If the webhook doesn't exist, answer with the 404 page
+  if (!webhook) {
+    throw httpError(404, "Webhook not found");
+  }
+
+  setFlash(req, { type: "info", text: `The webhook "${webhook.label || webhook.url}" was deleted.` });
+  res.redirect(WEBHOOKS_PATH);
+}
+
+/**
+ * This function renders the delivery history of one of the user's webhooks,
+ * newest first, optionally only the deliveries with one status.
+ *
+ * @param {Object} req - The Express request object, with the webhook ID in
+ *                      req.params and the status in req.query
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the webhook is not found, returns a 404 response
+ */
+async function showDeliveries(req, res) {
+  const webhook = await findWebhook(req);
+
+  // An unknown status shows every delivery
+  const status = WebhookDelivery.STATUSES[req.query.status] ? req.query.status : "";
+  const deliveries = await WebhookDelivery.listDeliveries(req.user.id, webhook.id, { status });
+  const counts = await WebhookDelivery.countDeliveries(req.user.id, webhook.id);
+
+  res.render("webhook-deliveries", {
+    webhook,
+    deliveries: deliveries.map(describeDelivery),
+    filters: [
+      { value: "", label: "All", selected: !status },
+      ...Object.entries(WebhookDelivery.STATUSES).map(([value, label]) => ({
+        value,
+        label: `${label} (${counts[value]})`,
+        selected: value === status,
+      })),
+    ],
+  });
+}
+
+/**
+ * This function puts a failed delivery back in the queue, with a fresh set
+ * of attempts starting at once, and returns to the delivery history.
+ *
+ * @param {Object} req - The Express request object, with the webhook and
+ *                      delivery IDs in req.params
+ * @param {Object} res - The Express response object used for sending responses
+ *                      to the client
+ * @returns {Object} - If the webhook or the failed delivery is not found,
+ *                     returns a 404 response
+ */
+async function retryDelivery(req, res) {
+  const webhook = await findWebhook(req);
+  const delivery = await WebhookDelivery.retryDelivery(req.user.id, webhook.id, parseId(req.params.deliveryId));
+
+  // Only a failed delivery can be sent again
+  if (!delivery) {
+    throw httpError(404, "Failed delivery not found");
+  }
+
+  webhookJob.sendSoon();
+  setFlash(req, { type: "info", text: `Delivery ${delivery.id} will be sent again.` });
+  res.redirect(`${WEBHOOKS_PATH}/${webhook.id}/deliveries`);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all controller functions to make them available to the router
+ */
+module.exports = {
+  listWebhooks,
+  createWebhook,
+  deleteWebhook,
+  showDeliveries,
+  retryDelivery,
+};
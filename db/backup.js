@@ -0,0 +1,316 @@
+/**
+ * File Purpose:
+ * This file keeps rotating backups of the SQLite database and repairs the
+ * database at startup when its file is missing or damaged. With the "json"
+ * storage driver it does the same for the JSON data file (see db/index.js
+ * for which file each driver names).
+ *
+ * Backup Purpose:
+ * A backup is a complete copy of the database made with VACUUM INTO, or a
+ * copy of the JSON data file. It is written under a temporary name and
+ * renamed into place once it is complete, so a crash part-way through never
+ * leaves a half-written backup that looks like a good one. Only the newest
+ * backups are kept.
+ *
+ * Before the server opens the database, recover() checks it:
+ *   - a database that passes SQLite's integrity check is used as it is,
+ *   - a damaged one, which SQLite reports as corrupt or as not a database,
+ *     or a JSON data file that is not valid JSON or not a data file, is set
+ *     aside under a ".corrupt-<time>" name and
+ *   - in both that case and when the file is missing, the newest backup that
+ *     passes the check is copied into place. Without one, the migrations
+ *     create a new, empty database.
+ * A database that cannot be checked at all, because another process holds
+ * its lock or the file cannot be read, is not damaged: recover() fails and
+ * leaves it where it is rather than replacing good data with a backup.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * fs - Node.js built-in module used to copy, rename and list the database files
+ */
+const fs = require("fs");
+
+/**
+ * path - Node.js built-in module used to build the backup file names
+ */
+const path = require("path");
+
+/**
+ * sqlite3 - Opens a database file on its own to check its integrity
+ */
+const sqlite3 = require("sqlite3");
+
+/**
+ * db - The database module, for the database's location and the connection
+ * the backups are made through
+ */
+const db = require("./index");
+
+/**
+ * config - Where the backups go and how many are kept
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SIDE_FILES - The files SQLite keeps next to the database while it is in
+ * use; they belong to the database file and move with it
+ */
+const SIDE_FILES = ["-wal", "-shm", "-journal"];
+
+/**
+ * DAMAGE_CODES - The SQLite error codes that mean the file itself is damaged,
+ * as opposed to busy, locked or unreadable
+ */
+const DAMAGE_CODES = ["SQLITE_CORRUPT", "SQLITE_NOTADB"];
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function writes a moment as text that sorts in time order and
+ * can be part of a file name, e.g. "20261019-172500-123".
+ *
+ * @param {Date} [now] - The moment
+ * @returns {String} - The timestamp
+ */
+function fileStamp(now = new Date()) {
+  return now.toISOString().replace(/[-:]/g, "").replace("T", "-").replace(".", "-").slice(0, 19);
+}
+
+/**
+ * This helper function returns the name the database's backups share,
+ * e.g. "readinglist" for readinglist.sqlite.
+ *
+ * @param {String} file - The database file
+ * @returns {String} - The file name without its extension
+ */
+function backupBaseName(file) {
+  return path.basename(file, path.extname(file));
+}
+
+/**
+ * This helper function returns the extension the database's backups end
+ * with: the file's own, e.g. ".sqlite" or ".json", or ".bak" for a file
+ * without one.
+ *
+ * @param {String} file - The database file
+ * @returns {String} - The extension, with its dot
+ */
+function backupExtension(file) {
+  return path.extname(file) || ".bak";
+}
+
+/**
+ * This helper function lists the database's backups, newest first.
+ *
+ * @param {String} file - The database file
+ * @returns {Array<String>} - The full paths of the backups
+ */
+function listBackups(file) {
+  const prefix = `${backupBaseName(file)}-`;
+  const extension = backupExtension(file);
+  if (!fs.existsSync(config.backup.dir)) return [];
+
+  return fs
+    .readdirSync(config.backup.dir)
+    .filter((name) => name.startsWith(prefix) && name.endsWith(extension))
+    .sort()
+    .reverse()
+    .map((name) => path.join(config.backup.dir, name));
+}
+
+/**
+ * This helper function checks whether a file is a healthy SQLite database.
+ * The file is opened read-only, so checking it never changes it. Only a file
+ * SQLite finds damaged counts as unhealthy; when the check cannot run at all,
+ * e.g. because the database is busy or the file cannot be opened, the
+ * promise rejects instead.
+ *
+ * @param {String} file - The database file
+ * @returns {Promise<Boolean>} - true when the file passes SQLite's quick_check,
+ *                               false when SQLite reports it damaged
+ * @throws {Error} - When the file could not be checked
+ */
+function isHealthy(file) {
+  return new Promise((resolve, reject) => {
+    // Settle with the check's outcome, or fail when it could not run
+    const settle = (error, healthy) => {
+      if (!error) return resolve(healthy);
+      if (DAMAGE_CODES.includes(error.code)) return resolve(false);
+      reject(error);
+    };
+
+    const connection = new sqlite3.Database(file, sqlite3.OPEN_READONLY, (openError) => {
+      if (openError) return settle(openError);
+
+      connection.all("PRAGMA quick_check", (checkError, rows) => {
+        const healthy = !checkError && rows.length === 1 && Object.values(rows[0])[0] === "ok";
+        connection.close(() => settle(checkError, healthy));
+      });
+    });
+  });
+}
+
+/**
+ * This helper function checks a database file, or a backup of it, with the
+ * storage driver's own check when it has one.
+ *
+ * @param {Object} stored - The storage file, as returned by db.storageFile()
+ * @param {String} file - The file to check
+ * @returns {Promise<Boolean>} - true when healthy, false when damaged
+ * @throws {Error} - When the file could not be checked
+ */
+function checkFile(stored, file) {
+  return stored.driver.checkFile ? stored.driver.checkFile(file) : isHealthy(file);
+}
+
+/**
+ * This helper function writes a complete copy of the database: a copy of the
+ * data file for a driver that keeps one, or else a VACUUM INTO of the SQLite
+ * database.
+ *
+ * @param {Object} stored - The storage file, as returned by db.storageFile()
+ * @param {String} target - Where the copy goes
+ * @returns {Promise<void>}
+ */
+async function copyDatabase(stored, target) {
+  if (stored.driver.dataFile) {
+    await fs.promises.copyFile(stored.file, target);
+    return;
+  }
+  await db.connect().query("VACUUM INTO ?", { replacements: [target] });
+}
+
+/**
+ * This helper function moves the database file and the files SQLite keeps
+ * next to it to a new name.
+ *
+ * @param {String} file - The database file
+ * @param {String} target - Its new name
+ */
+function moveDatabase(file, target) {
+  fs.renameSync(file, target);
+  SIDE_FILES.forEach((suffix) => {
+    if (fs.existsSync(file + suffix)) fs.renameSync(file + suffix, target + suffix);
+  });
+}
+
+/**
+ * This helper function copies a backup into place as the database. The copy
+ * is made under a temporary name first, so the database file is either the
+ * old one or the complete backup, never something in between.
+ *
+ * @param {String} backupFile - The backup to restore
+ * @param {String} file - The database file
+ */
+function restoreBackup(backupFile, file) {
+  const temporary = `${file}.restoring`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.copyFileSync(backupFile, temporary);
+
+  // Logs left by the old database must not be replayed into the backup
+  SIDE_FILES.forEach((suffix) => fs.rmSync(file + suffix, { force: true }));
+  fs.renameSync(temporary, file);
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function checks the database before it is opened and repairs it from
+ * the newest healthy backup when it is missing or damaged. It must run before
+ * the first query, while no connection has the file open. A backup that
+ * cannot be checked is passed over.
+ *
+ * @returns {Promise<Object>} - { status, file, backup, setAside }: status is
+ *                              "ok", "restored" or "new"; backup is the backup
+ *                              that was restored and setAside where the
+ *                              damaged file went, each null when not used
+ * @throws {Error} - When the database exists but could not be checked
+ */
+async function recover() {
+  const stored = db.storageFile();
+  const result = { status: "ok", file: stored ? stored.file : ":memory:", backup: null, setAside: null };
+  if (!stored) return result;
+
+  // A healthy database needs nothing done
+  const { file } = stored;
+  const exists = fs.existsSync(file);
+  if (exists && (await checkFile(stored, file))) return result;
+
+  // Keep a damaged database for inspection rather than deleting it
+  if (exists) {
+    result.setAside = `${file}.corrupt-${fileStamp()}`;
+    moveDatabase(file, result.setAside);
+  }
+
+  // Bring back the newest backup that is itself healthy
+  for (const backupFile of listBackups(file)) {
+    if (await checkFile(stored, backupFile).catch(() => false)) {
+      restoreBackup(backupFile, file);
+      return { ...result, status: "restored", backup: backupFile };
+    }
+  }
+
+  // Nothing to restore; the migrations will create a new database
+  return { ...result, status: "new" };
+}
+
+/**
+ * This function backs up the database and deletes the oldest backups beyond
+ * the number kept.
+ *
+ * @param {Date} [now] - The moment the backup is named after
+ * @returns {Promise<String|null>} - The new backup's path, or null for an
+ *                                   in-memory database or a data file that
+ *                                   has not been saved yet
+ */
+async function backup(now = new Date()) {
+  const stored = db.storageFile();
+  if (!stored) return null;
+
+  // A data file is copied once the writes queued so far are saved to it
+  if (stored.driver.dataFile) {
+    await db.flushWrites();
+    if (!fs.existsSync(stored.file)) return null;
+  }
+
+  // Write the copy under a temporary name, then rename it into place
+  const { file } = stored;
+  fs.mkdirSync(config.backup.dir, { recursive: true });
+  const target = path.join(config.backup.dir, `${backupBaseName(file)}-${fileStamp(now)}${backupExtension(file)}`);
+  const temporary = `${target}.tmp`;
+  fs.rmSync(temporary, { force: true });
+  await copyDatabase(stored, temporary);
+  fs.renameSync(temporary, target);
+
+  // Keep only the newest backups
+  listBackups(file)
+    .slice(config.backup.keep)
+    .forEach((oldBackup) => fs.rmSync(oldBackup, { force: true }));
+
+  return target;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the backup functions for the app and the scheduled backups
+ */
+module.exports = {
+  recover,
+  backup,
+  listBackups,
+};
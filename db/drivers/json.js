@@ -0,0 +1,251 @@
+/**
+ * File Purpose:
+ * This file implements the "json" storage driver: the data lives in a single
+ * JSON file, JSON_STORAGE or data/readinglist.json, which is easy to read, to
+ * diff and to copy to another machine.
+ *
+ * How it works:
+ * The queries still run on SQLite, in a database held in memory, so every
+ * model behaves exactly as it does on the other drivers. The JSON file is
+ * that database written out:
+ *   - load() fills the database from the file when db/index.js first
+ *     migrates it: it applies the migrations the file was saved with, then
+ *     inserts the saved rows, and the remaining migrations run afterwards.
+ *   - save() writes every table back to the file after each change. It
+ *     writes to a temporary file first and renames it over the old one, so a
+ *     crash while saving never leaves half a file behind.
+ *   - db/backup.js keeps rotating copies of the file, and at startup sets a
+ *     damaged file aside and restores the newest copy that checkFile()
+ *     accepts, as it does for a SQLite database file.
+ *
+ * File format:
+ *   {
+ *     "format": 1,
+ *     "savedAt": "2026-10-19T10:00:00.000Z",
+ *     "migrations": ["20261019000001-create-books.js", ...],
+ *     "tables": { "books": [{ "id": 1, "title": "Dune", ... }], ... }
+ *   }
+ *
+ * See db/index.js for the interface every storage driver implements.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * fs - Node.js built-in module used to read and write the JSON file
+ */
+const fs = require("fs");
+
+/**
+ * path - Node.js built-in module used to create the file's directory
+ */
+const path = require("path");
+
+/**
+ * QueryTypes - Tells Sequelize the dump queries return rows
+ */
+const { QueryTypes } = require("sequelize");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * FORMAT - The version of the file format this driver reads and writes
+ */
+const FORMAT = 1;
+
+/**
+ * MIGRATIONS_TABLE - The table Umzug records the applied migrations in; the
+ * file lists them under "migrations" instead of as a table
+ */
+const MIGRATIONS_TABLE = "SequelizeMeta";
+
+/**
+ * INSERT_CHUNK_SIZE - How many rows are inserted with one statement when the
+ * file is loaded
+ */
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * DAMAGED_FILE - The code of the error thrown for a file that is not valid
+ * JSON or not a data file of this driver
+ */
+const DAMAGED_FILE = "DAMAGED_DATA_FILE";
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function builds the error for a damaged data file.
+ *
+ * @param {String} message - What is wrong with the file
+ * @returns {Error} - The error, with the code DAMAGED_DATA_FILE
+ */
+function damagedFileError(message) {
+  const error = new Error(message);
+  error.code = DAMAGED_FILE;
+  return error;
+}
+
+/**
+ * This helper function reads and checks the JSON file.
+ *
+ * @param {String} file - The path of the JSON file
+ * @returns {Object|null} - The saved data, or null when the file does not exist yet
+ * @throws {Error} - When the file cannot be read, or, with the code
+ *                   DAMAGED_DATA_FILE, when it is not a data file of this driver
+ */
+function readFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+
+  let saved;
+  try {
+    saved = JSON.parse(text);
+  } catch (error) {
+    throw damagedFileError(`The data file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const valid =
+    saved &&
+    saved.format === FORMAT &&
+    Array.isArray(saved.migrations) &&
+    saved.tables &&
+    typeof saved.tables === "object";
+  if (!valid) throw damagedFileError(`The data file ${file} is not a reading list data file of format ${FORMAT}`);
+  return saved;
+}
+
+/**
+ * This helper function lists the tables of the database, leaving out
+ * SQLite's own tables and the migrations table.
+ *
+ * @param {Sequelize} sequelize - The connected database
+ * @returns {Promise<Array<String>>} - The table names, in alphabetical order
+ */
+async function listTables(sequelize) {
+  const tables = await sequelize.query(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != ? ORDER BY name",
+    { replacements: [MIGRATIONS_TABLE], type: QueryTypes.SELECT }
+  );
+  return tables.map((table) => table.name);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  name: "json",
+
+  /**
+   * Says where SQLite keeps the database: in memory, as the JSON file is
+   * written by save() rather than by SQLite.
+   *
+   * @returns {String} - ":memory:"
+   */
+  location() {
+    return ":memory:";
+  },
+
+  /**
+   * Says which file holds the data, for db/backup.js to copy and repair.
+   *
+   * @param {Object} settings - The storage settings; jsonPath is the file
+   * @returns {String} - The JSON file, JSON_STORAGE or data/readinglist.json
+   */
+  dataFile(settings) {
+    return settings.jsonPath;
+  },
+
+  /**
+   * Checks whether a file is a readable data file of this driver, without
+   * changing it.
+   *
+   * @param {String} file - The JSON file, or a backup of it
+   * @returns {Promise<Boolean>} - true for a good data file, false for one
+   *                               that is not valid JSON or not a data file
+   * @throws {Error} - When the file could not be read at all
+   */
+  async checkFile(file) {
+    try {
+      return readFile(file) !== null;
+    } catch (error) {
+      if (error.code === DAMAGED_FILE) return false;
+      throw error;
+    }
+  },
+
+  /**
+   * Fills the empty database with the data saved in the JSON file. A file
+   * that does not exist yet leaves the database empty; one that cannot be
+   * read fails, so it is never overwritten with an empty database.
+   *
+   * @param {Sequelize} sequelize - The connected, empty database
+   * @param {Umzug} migrator - Applies the migrations the file was saved with
+   * @param {Object} settings - The storage settings; jsonPath is the file
+   * @returns {Promise<void>}
+   * @throws {Error} - When the file cannot be read or its rows do not fit the tables
+   */
+  async load(sequelize, migrator, settings) {
+    const saved = readFile(settings.jsonPath);
+    if (!saved) return;
+
+    // Build the tables as they were when the file was saved
+    if (saved.migrations.length > 0) await migrator.up({ migrations: saved.migrations });
+
+    // Insert the rows in any order, as the references between them all hold once every table is filled
+    const queryInterface = sequelize.getQueryInterface();
+    await sequelize.query("PRAGMA foreign_keys = OFF");
+    try {
+      for (const [table, rows] of Object.entries(saved.tables)) {
+        for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+          await queryInterface.bulkInsert(table, rows.slice(start, start + INSERT_CHUNK_SIZE));
+        }
+      }
+    } finally {
+      await sequelize.query("PRAGMA foreign_keys = ON");
+    }
+  },
+
+  /**
+   * Writes every table of the database to the JSON file.
+   *
+   * @param {Sequelize} sequelize - The connected database
+   * @param {Object} settings - The storage settings; jsonPath is the file
+   * @returns {Promise<void>}
+   */
+  async save(sequelize, settings) {
+    const migrations = await sequelize.query(`SELECT name FROM "${MIGRATIONS_TABLE}" ORDER BY name`, {
+      type: QueryTypes.SELECT,
+    });
+
+    const tables = {};
+    for (const table of await listTables(sequelize)) {
+      tables[table] = await sequelize.query(`SELECT * FROM "${table}" ORDER BY rowid`, { type: QueryTypes.SELECT });
+    }
+
+    const saved = {
+      format: FORMAT,
+      savedAt: new Date().toISOString(),
+      migrations: migrations.map((migration) => migration.name),
+      tables,
+    };
+
+    // Replace the file in one step, so it is never left half written
+    const file = settings.jsonPath;
+    const temporary = `${file}.tmp`;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(temporary, JSON.stringify(saved, null, 2));
+    await fs.promises.rename(temporary, file);
+  },
+};
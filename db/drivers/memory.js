@@ -0,0 +1,25 @@
+/**
+ * File Purpose:
+ * This file implements the "memory" storage driver: the data lives in a
+ * SQLite database held in memory. It is empty at every start and gone when
+ * the process ends, which suits tests and throwaway demos.
+ *
+ * See db/index.js for the interface every storage driver implements.
+ */
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  name: "memory",
+
+  /**
+   * Says where SQLite keeps the database.
+   *
+   * @returns {String} - ":memory:", SQLite's name for a database in memory
+   */
+  location() {
+    return ":memory:";
+  },
+};
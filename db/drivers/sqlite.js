@@ -0,0 +1,26 @@
+/**
+ * File Purpose:
+ * This file implements the "sqlite" storage driver, the default: the data
+ * lives in a SQLite database file, written by SQLite itself as each change
+ * is made. db/backup.js copies and repairs the database file itself.
+ *
+ * See db/index.js for the interface every storage driver implements.
+ */
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  name: "sqlite",
+
+  /**
+   * Says where SQLite keeps the database.
+   *
+   * @param {Object} settings - The storage settings (see config/index.js)
+   * @returns {String} - The database file, DB_STORAGE or data/readinglist.sqlite
+   */
+  location(settings) {
+    return settings.path;
+  },
+};
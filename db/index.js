@@ -0,0 +1,530 @@
+/**
+ * File Purpose:
+ * This file owns the application's database connection. It creates the
+ * Sequelize instance backed by SQLite, registers the Sequelize model
+ * definitions found in the db/models directory, and runs the versioned
+ * migrations found in the db/migrations directory.
+ *
+ * Database Purpose:
+ * The rest of the application never talks to Sequelize directly. The data
+ * access modules in the models directory ask this module for a registered
+ * Sequelize model by name at call time, which keeps the connection details
+ * (where the database file lives, which migrations have run) in one place.
+ *
+ * Storage drivers:
+ * Where the data lives is chosen with the STORAGE_DRIVER setting (see
+ * config/index.js), or by passing a driver to connect():
+ *   sqlite - a SQLite database file, DB_STORAGE or data/readinglist.sqlite
+ *   memory - a SQLite database held in memory, empty at every start and gone
+ *            when the process ends; for tests and throwaway demos
+ *   json   - a JSON file, JSON_STORAGE or data/readinglist.json, loaded into
+ *            a SQLite database in memory and written back after each change
+ * All of them run the same migrations and queries, so every model works the
+ * same on each; test/storage.contract.test.js checks that they do.
+ *
+ * Each driver is a module in db/drivers with:
+ *   name                                - The STORAGE_DRIVER value that selects it
+ *   location(settings)                  - Where SQLite keeps the database: a
+ *                                         file path or ":memory:"
+ *   load(sequelize, migrator, settings) - Optional; fills the new, empty
+ *                                         database from the driver's storage.
+ *                                         Runs once, on the first migrate()
+ *                                         or rollback() after connecting
+ *   save(sequelize, settings)           - Optional; writes the database to the
+ *                                         driver's storage. Runs after every
+ *                                         change once the data is loaded, in
+ *                                         the write queue below, so it never
+ *                                         sees a transaction half done
+ *   dataFile(settings)                  - Optional, with load and save; the
+ *                                         file save() writes to
+ *   checkFile(file)                     - Optional, with dataFile; resolves
+ *                                         false for a damaged data file
+ * db/backup.js backs up and repairs the file storageFile() names: the data
+ * file of a driver that has one, or else the SQLite database file.
+ *
+ * Concurrent writes:
+ * SQLite lets only one connection write at a time, and Sequelize opens a
+ * connection of its own for every transaction. To keep simultaneous requests
+ * from failing with SQLITE_BUSY:
+ *   - every write goes through one write queue and runs after the writes
+ *     queued before it: transactions through transaction() below, and each
+ *     statement that changes data outside a transaction (a record's update,
+ *     a session save, a link check's result) on its own. On the "memory" and
+ *     "json" drivers, where a transaction shares the one connection with
+ *     everything else, this also keeps a rolled-back transaction from taking
+ *     other requests' writes with it,
+ *   - every connection waits up to BUSY_TIMEOUT_MS for the write lock
+ *     instead of failing straight away, and
+ *   - the database uses write-ahead logging, so reads never wait for a write.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Sequelize - The ORM used to talk to the SQLite database, along with the
+ * DataTypes used by the model definitions
+ */
+const { Sequelize, DataTypes } = require("sequelize");
+
+/**
+ * AsyncLocalStorage - Marks the work running in the write queue, so that its
+ * own writes run straight away instead of waiting behind it
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * sqlite3 - The SQLite driver, which Sequelize is given a tuned copy of
+ */
+const sqlite3 = require("sqlite3");
+
+/**
+ * config - The storage driver and database location to use by default
+ */
+const config = require("../config");
+
+/**
+ * logger - Reports data that a storage driver failed to save
+ */
+const logger = require("../utils/logger");
+
+/**
+ * Umzug - The migration runner that applies the files in db/migrations in
+ * order and records which ones have already run in the SequelizeMeta table
+ */
+const { Umzug, SequelizeStorage } = require("umzug");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * STORAGE_DRIVERS - The storage drivers in db/drivers, by name
+ */
+const STORAGE_DRIVERS = Object.fromEntries(
+  [require("./drivers/sqlite"), require("./drivers/memory"), require("./drivers/json")].map((driver) => [
+    driver.name,
+    driver,
+  ])
+);
+
+/**
+ * WRITE_STATEMENT - Matches the SQL statements that change the data or the
+ * tables, after which a driver with a save() method saves
+ */
+const WRITE_STATEMENT = /^\s*(INSERT|UPDATE|DELETE|REPLACE|CREATE|DROP|ALTER)\b/i;
+
+/**
+ * BUSY_TIMEOUT_MS - How long a connection waits for another connection's
+ * write to finish before giving up with SQLITE_BUSY
+ */
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * MODEL_DEFINITIONS - The Sequelize model definition files, in the order they
+ * are registered. Each file exports a function of (sequelize, DataTypes).
+ */
+const MODEL_DEFINITIONS = [
+  require("./models/book"),
+  require("./models/statusChange"),
+  require("./models/user"),
+  require("./models/tag"),
+  require("./models/bookTag"),
+  require("./models/shelf"),
+  require("./models/shelfBook"),
+  require("./models/readingSession"),
+  require("./models/bookNote"),
+  require("./models/bookRevision"),
+  require("./models/shareLink"),
+  require("./models/webhook"),
+  require("./models/webhookDelivery"),
+];
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * sequelize - The active Sequelize instance, or null until connect() is called
+ */
+let sequelize = null;
+
+/**
+ * writeQueue - Settles when the last write handed to enqueue() has finished;
+ * the next one starts after it
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * queuedWork - Holds true inside the work the write queue is running
+ */
+const queuedWork = new AsyncLocalStorage();
+
+/**
+ * storage - The storage driver and settings of the open connection
+ */
+let storage = null;
+
+/**
+ * dataLoaded - Whether the driver's load() has filled the open database; a
+ * driver with a save() method saves only once it has, so an empty database
+ * never overwrites the data it failed to load
+ */
+let dataLoaded = false;
+
+/**
+ * savesPaused - Whether saving waits, while migrate() or rollback() runs
+ */
+let savesPaused = false;
+
+/**
+ * savePending - Whether a save is already waiting in the write queue
+ */
+let savePending = false;
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function opens the database and registers every model definition on
+ * it. Calling it again while connected returns the existing instance.
+ *
+ * @param {Object} [options] - Connection options; each one left out is taken
+ *                             from the storage settings in config/index.js
+ * @param {String} [options.driver] - The storage driver: "sqlite", "memory" or "json"
+ * @param {String} [options.path] - The database file of the "sqlite" driver
+ * @param {String} [options.jsonPath] - The data file of the "json" driver
+ * @returns {Sequelize} - The connected Sequelize instance
+ * @throws {Error} - When the storage driver is unknown
+ */
+function connect(options = {}) {
+  // Reuse the open connection if there is one
+  if (sequelize) return sequelize;
+
+  // Open the database where the chosen storage driver keeps it
+  const settings = { ...config.storage, ...options };
+  const driver = resolveDriver(settings);
+  sequelize = new QueuedSequelize({
+    dialect: "sqlite",
+    dialectModule: sqliteDriver(),
+    storage: driver.location(settings),
+    logging: false,
+  });
+  storage = { driver, settings };
+  dataLoaded = !driver.load;
+  savesPaused = false;
+  savePending = false;
+
+  // Save after every change, for drivers that keep the data outside SQLite
+  if (driver.save) {
+    sequelize.addHook("afterQuery", (queryOptions, query) => {
+      if (WRITE_STATEMENT.test(query.sql || "")) scheduleSave();
+    });
+  }
+
+  // Register every model definition on the new instance
+  MODEL_DEFINITIONS.forEach((define) => define(sequelize, DataTypes));
+
+  // Let each model declare its associations once all of them exist
+  Object.values(sequelize.models).forEach((model) => {
+    if (typeof model.associate === "function") model.associate(sequelize.models);
+  });
+
+  return sequelize;
+}
+
+/**
+ * This function names the file that holds the data, for db/backup.js: the
+ * data file of a driver that keeps its data outside SQLite, or else the
+ * SQLite database file. Before connecting, it goes by the storage settings
+ * in config/index.js.
+ *
+ * @returns {Object|null} - { file, driver }, or null when the data is only
+ *                          ever held in memory
+ */
+function storageFile() {
+  const { driver, settings } = storage || { driver: resolveDriver(config.storage), settings: config.storage };
+  if (driver.dataFile) return { file: driver.dataFile(settings), driver };
+
+  const file = driver.location(settings);
+  return file === ":memory:" ? null : { file, driver };
+}
+
+/**
+ * This function returns the location of the SQLite database file.
+ *
+ * @returns {String} - The file path, or ":memory:" for the "memory" and
+ *                     "json" drivers
+ */
+function storagePath() {
+  if (sequelize) return sequelize.options.storage;
+  return resolveDriver(config.storage).location(config.storage);
+}
+
+/**
+ * This function runs a managed Sequelize transaction once every write queued
+ * before it has finished, so no two of them ever compete for the write lock.
+ * A failed transaction is rolled back and does not hold up the writes queued
+ * after it.
+ *
+ * The work's statements must pass the transaction along; one that does not
+ * runs outside it, straight away.
+ *
+ * @param {Function} work - Receives the transaction and returns a promise
+ * @returns {Promise<*>} - Whatever the work resolved with
+ */
+function transaction(work) {
+  return enqueue(() => connect().transaction(work));
+}
+
+/**
+ * This function applies every migration in db/migrations that has not run yet.
+ * The migration files use the sequelize-cli format: each exports up and down
+ * functions that receive the QueryInterface and the Sequelize library.
+ *
+ * The first call after connecting loads the storage driver's data first.
+ *
+ * @returns {Promise<Array>} - The migrations that were applied
+ */
+async function migrate() {
+  return withSavesPaused((migrator) => migrator.up());
+}
+
+/**
+ * This function reverts the most recently applied migration, loading the
+ * storage driver's data first like migrate().
+ *
+ * @returns {Promise<Array>} - The migrations that were reverted
+ */
+async function rollback() {
+  return withSavesPaused((migrator) => migrator.down());
+}
+
+/**
+ * This function returns a registered Sequelize model by name, connecting to
+ * the default database first if nothing has connected yet.
+ *
+ * @param {String} name - The model name, e.g. "Book"
+ * @returns {Object} - The Sequelize model class
+ */
+function model(name) {
+  return connect().model(name);
+}
+
+/**
+ * This function waits until every write queued so far has finished, along
+ * with the saves they queue in turn, so the storage driver's data file holds
+ * all of them.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushWrites() {
+  let queued;
+  do {
+    queued = writeQueue;
+    await queued;
+  } while (queued !== writeQueue);
+}
+
+/**
+ * This function closes the database connection so that a later connect()
+ * call can open a different database. The writes already queued finish
+ * first, along with the saves they queue in turn.
+ */
+async function close() {
+  // Nothing to do if no connection is open
+  if (!sequelize) return;
+
+  // Let the queued writes finish, unless another close() got there first
+  await flushWrites();
+  if (!sequelize) return;
+
+  // Close the connection and forget the instance
+  const closing = sequelize;
+  sequelize = null;
+  storage = null;
+  await closing.close();
+}
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function finds the storage driver the settings name.
+ *
+ * @param {Object} settings - The storage settings: driver, path and jsonPath
+ * @returns {Object} - The storage driver module
+ * @throws {Error} - When the storage driver is unknown
+ */
+function resolveDriver(settings) {
+  const driver = STORAGE_DRIVERS[settings.driver];
+  if (!driver) {
+    const known = Object.keys(STORAGE_DRIVERS).join(", ");
+    throw new Error(`Unknown storage driver "${settings.driver}"; use one of: ${known}`);
+  }
+  return driver;
+}
+
+/**
+ * This helper function runs migrations with saving paused, so the storage
+ * driver saves once when they are done instead of after every statement.
+ * The driver's data is loaded first if it has not been yet; when loading
+ * fails, nothing is migrated or saved.
+ *
+ * @param {Function} work - Receives the migrator and returns a promise
+ * @returns {Promise<*>} - Whatever the work resolved with
+ */
+async function withSavesPaused(work) {
+  const migrator = createMigrator();
+  const { driver, settings } = storage;
+
+  savesPaused = true;
+  try {
+    if (!dataLoaded) {
+      await driver.load(connect(), migrator, settings);
+      dataLoaded = true;
+    }
+    return await work(migrator);
+  } finally {
+    savesPaused = false;
+    scheduleSave();
+  }
+}
+
+/**
+ * This helper function queues a save of the open database with its storage
+ * driver, behind the writes already queued. Changes made before the queued
+ * save starts are all written by it, so it is queued only once. It always
+ * goes to the back of the queue, even when a queued write asks for it, so a
+ * save never runs in the middle of that write's transaction.
+ */
+function scheduleSave() {
+  if (!storage || !storage.driver.save || !dataLoaded || savesPaused || savePending) return;
+
+  const instance = sequelize;
+  const { driver, settings } = storage;
+  savePending = true;
+  writeQueue = writeQueue.then(async () => {
+    savePending = false;
+    try {
+      await driver.save(instance, settings);
+    } catch (error) {
+      logger.error("Could not save the data", { driver: driver.name, error: logger.describeError(error) });
+    }
+  });
+}
+
+/**
+ * This helper function runs some work once every write queued before it has
+ * finished. Work that fails does not hold up the work queued after it. Work
+ * queued from inside the running work runs straight away, as waiting for the
+ * queue would mean waiting for itself.
+ *
+ * @param {Function} work - Returns a promise
+ * @returns {Promise<*>} - Whatever the work resolved with
+ */
+function enqueue(work) {
+  if (queuedWork.getStore()) return work();
+
+  const run = writeQueue.then(() => queuedWork.run(true, work));
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * This helper function tells whether a query changes data outside a
+ * transaction, and so has to wait its turn in the write queue.
+ *
+ * @param {String|Object} sql - The query, as given to Sequelize's query()
+ * @param {Object} [options] - The query options
+ * @returns {Boolean} - true for a write that is not part of a transaction
+ */
+function isPlainWrite(sql, options) {
+  const text = typeof sql === "string" ? sql : (sql && sql.query) || "";
+  return !(options && options.transaction) && WRITE_STATEMENT.test(text);
+}
+
+/**
+ * QueuedSequelize - Sequelize, except that every write made outside a
+ * transaction runs in the write queue. All of Sequelize's statements, those
+ * of the models and of the session store alike, pass through query().
+ */
+class QueuedSequelize extends Sequelize {
+  query(sql, options) {
+    if (isPlainWrite(sql, options)) return enqueue(() => super.query(sql, options));
+    return super.query(sql, options);
+  }
+}
+
+/**
+ * This helper function returns the SQLite driver Sequelize opens its
+ * connections with: the sqlite3 module, except that each new connection
+ * waits for the write lock and uses write-ahead logging.
+ *
+ * @returns {Object} - A copy of the sqlite3 module with a tuned Database class
+ */
+function sqliteDriver() {
+  class Database extends sqlite3.Database {
+    constructor(filename, mode, callback) {
+      super(filename, mode, (error) => {
+        if (!error) {
+          this.configure("busyTimeout", BUSY_TIMEOUT_MS);
+          this.run("PRAGMA journal_mode = WAL");
+        }
+        callback(error);
+      });
+    }
+  }
+
+  return { ...sqlite3, Database };
+}
+
+/**
+ * This helper function builds the Umzug migrator for the connected database.
+ *
+ * @returns {Umzug} - A migrator bound to the current connection
+ */
+function createMigrator() {
+  const instance = connect();
+  const queryInterface = instance.getQueryInterface();
+
+  return new Umzug({
+    migrations: {
+      glob: ["migrations/*.js", { cwd: __dirname }],
+      // Adapt sequelize-cli style migration files to Umzug's interface
+      resolve: ({ name, path: migrationPath }) => {
+        const migration = require(migrationPath);
+        return {
+          name,
+          up: () => migration.up(queryInterface, Sequelize),
+          down: () => migration.down(queryInterface, Sequelize),
+        };
+      },
+    },
+    context: queryInterface,
+    storage: new SequelizeStorage({ sequelize: instance }),
+    logger: undefined,
+  });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the connection functions for the models, the app and the scripts
+ */
+module.exports = {
+  connect,
+  storagePath,
+  storageFile,
+  transaction,
+  migrate,
+  rollback,
+  model,
+  flushWrites,
+  close,
+};
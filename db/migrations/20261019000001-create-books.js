@@ -0,0 +1,53 @@
+/**
+ * Migration: create the books table that replaces data/books.json.
+ */
+
+module.exports = {
+  /**
+   * Creates the books table.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("books", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      author: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      cost: {
+        type: Sequelize.DECIMAL(10, 2),
+      },
+      shoppingUrl: {
+        type: Sequelize.STRING(2048),
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+  },
+
+  /**
+   * Drops the books table.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("books");
+  },
+};
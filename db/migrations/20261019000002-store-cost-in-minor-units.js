@@ -0,0 +1,37 @@
+/**
+ * Migration: replace the decimal cost column with an integer costMinor column
+ * that holds the cost in minor units (cents), so prices are never stored as
+ * text or rounded by floating point arithmetic.
+ */
+
+module.exports = {
+  /**
+   * Adds costMinor, copies the existing costs into it and drops cost.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "costMinor", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.sequelize.query(
+      "UPDATE books SET costMinor = CAST(ROUND(CAST(cost AS REAL) * 100) AS INTEGER) WHERE cost IS NOT NULL AND TRIM(cost) <> ''"
+    );
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN cost");
+  },
+
+  /**
+   * Restores the decimal cost column from costMinor and drops costMinor.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async down(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "cost", {
+      type: Sequelize.DECIMAL(10, 2),
+    });
+    await queryInterface.sequelize.query("UPDATE books SET cost = costMinor / 100.0 WHERE costMinor IS NOT NULL");
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN costMinor");
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Migration: give every book a reading status with started/finished dates,
+ * and add the book_status_changes table that records each status change for
+ * the timeline on the book page.
+ */
+
+module.exports = {
+  /**
+   * Adds the status columns and the status change table. Existing books start
+   * out as "to-read", with a first timeline entry dated when they were added.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "status", {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: "to-read",
+    });
+    await queryInterface.addColumn("books", "startedAt", {
+      type: Sequelize.DATE,
+    });
+    await queryInterface.addColumn("books", "finishedAt", {
+      type: Sequelize.DATE,
+    });
+    await queryInterface.addIndex("books", ["status"]);
+
+    await queryInterface.createTable("book_status_changes", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "books", key: "id" },
+        onDelete: "CASCADE",
+      },
+      fromStatus: {
+        type: Sequelize.STRING(20),
+      },
+      toStatus: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      changedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("book_status_changes", ["bookId", "changedAt"]);
+
+    await queryInterface.sequelize.query(
+      "INSERT INTO book_status_changes (bookId, fromStatus, toStatus, changedAt) SELECT id, NULL, 'to-read', createdAt FROM books"
+    );
+  },
+
+  /**
+   * Drops the status change table and the status columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("book_status_changes");
+    await queryInterface.removeIndex("books", ["status"]);
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN finishedAt");
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN startedAt");
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN status");
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Migration: add the ISBN and the details an ISBN lookup fills in (publisher,
+ * page count and cover image URL) to the books table.
+ */
+
+module.exports = {
+  /**
+   * Adds the ISBN and metadata columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "isbn13", {
+      type: Sequelize.STRING(13),
+    });
+    await queryInterface.addColumn("books", "publisher", {
+      type: Sequelize.STRING,
+    });
+    await queryInterface.addColumn("books", "pageCount", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addColumn("books", "coverUrl", {
+      type: Sequelize.STRING(2048),
+    });
+    await queryInterface.addIndex("books", ["isbn13"]);
+  },
+
+  /**
+   * Drops the ISBN and metadata columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.removeIndex("books", ["isbn13"]);
+    for (const column of ["coverUrl", "pageCount", "publisher", "isbn13"]) {
+      await queryInterface.sequelize.query(`ALTER TABLE books DROP COLUMN ${column}`);
+    }
+  },
+};
@@ -0,0 +1,91 @@
+/**
+ * Migration: add user accounts, the Sessions table the session store keeps
+ * login sessions in, and an owner for every book.
+ */
+
+module.exports = {
+  /**
+   * Adds the users and Sessions tables and the books.ownerId column. Books
+   * that already exist have no owner; the first account that registers
+   * adopts them (see models/User.js).
+   *
+   * ownerId is indexed but not declared as a foreign key: SQLite cannot drop
+   * a foreign key column without rebuilding the books table, and rebuilding
+   * it would cascade-delete the status changes that reference it.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("users", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      email: {
+        type: Sequelize.STRING(254),
+        allowNull: false,
+        unique: true,
+      },
+      passwordHash: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      isAdmin: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    // The table layout connect-session-sequelize expects
+    await queryInterface.createTable("Sessions", {
+      sid: {
+        type: Sequelize.STRING(36),
+        primaryKey: true,
+        allowNull: false,
+      },
+      expires: {
+        type: Sequelize.DATE,
+      },
+      data: {
+        type: Sequelize.TEXT,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addColumn("books", "ownerId", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addIndex("books", ["ownerId"]);
+  },
+
+  /**
+   * Drops the owner column and the users and Sessions tables.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.removeIndex("books", ["ownerId"]);
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN ownerId");
+    await queryInterface.dropTable("Sessions");
+    await queryInterface.dropTable("users");
+  },
+};
@@ -0,0 +1,124 @@
+/**
+ * Migration: add user-defined tags and named shelves. Both are many-to-many
+ * with books, through the book_tags and shelf_books tables.
+ */
+
+module.exports = {
+  /**
+   * Creates the tags, book_tags, shelves and shelf_books tables. A user's tag
+   * names and shelf names are unique, and deleting a book, tag or shelf
+   * removes its assignments with it.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("tags", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      ownerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("tags", ["ownerId", "name"], { unique: true });
+
+    await queryInterface.createTable("book_tags", {
+      bookId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: "books", key: "id" },
+        onDelete: "CASCADE",
+      },
+      tagId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: "tags", key: "id" },
+        onDelete: "CASCADE",
+      },
+    });
+    await queryInterface.addIndex("book_tags", ["tagId"]);
+
+    await queryInterface.createTable("shelves", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      ownerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      name: {
+        type: Sequelize.STRING(60),
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("shelves", ["ownerId", "name"], { unique: true });
+
+    await queryInterface.createTable("shelf_books", {
+      shelfId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: "shelves", key: "id" },
+        onDelete: "CASCADE",
+      },
+      bookId: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: "books", key: "id" },
+        onDelete: "CASCADE",
+      },
+      addedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("shelf_books", ["bookId"]);
+  },
+
+  /**
+   * Drops the four tables, join tables first.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("shelf_books");
+    await queryInterface.dropTable("shelves");
+    await queryInterface.dropTable("book_tags");
+    await queryInterface.dropTable("tags");
+  },
+};
@@ -0,0 +1,62 @@
+/**
+ * Migration: track reading progress. Books get the page the reader is on,
+ * and the reading_sessions table records each logged reading session (the
+ * day, the pages read and the minutes spent).
+ */
+
+module.exports = {
+  /**
+   * Adds the currentPage column and the reading session table.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "currentPage", {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.createTable("reading_sessions", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "books", key: "id" },
+        onDelete: "CASCADE",
+      },
+      readOn: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      pagesRead: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      minutes: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("reading_sessions", ["bookId", "readOn"]);
+  },
+
+  /**
+   * Drops the reading session table and the currentPage column.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("reading_sessions");
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN currentPage");
+  },
+};
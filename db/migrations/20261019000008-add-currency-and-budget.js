@@ -0,0 +1,50 @@
+/**
+ * Migration: record the currency of each book's cost, and give every user a
+ * home currency, a display locale and an optional book budget.
+ *
+ * Costs stored before this migration were always shown in dollars, so
+ * existing books and users start out in USD.
+ */
+
+module.exports = {
+  /**
+   * Adds the currency column to books and the currency, locale and budget
+   * columns to users.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "currency", {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: "USD",
+    });
+    await queryInterface.addColumn("users", "currency", {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: "USD",
+    });
+    await queryInterface.addColumn("users", "locale", {
+      type: Sequelize.STRING(35),
+    });
+    await queryInterface.addColumn("users", "budgetPeriod", {
+      type: Sequelize.STRING(7),
+    });
+    await queryInterface.addColumn("users", "budgetMinor", {
+      type: Sequelize.INTEGER,
+    });
+  },
+
+  /**
+   * Drops the currency, locale and budget columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    for (const column of ["budgetMinor", "budgetPeriod", "locale", "currency"]) {
+      await queryInterface.sequelize.query(`ALTER TABLE users DROP COLUMN ${column}`);
+    }
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN currency");
+  },
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration: add the result of the last shopping link check to the books
+ * table. See services/linkChecker.js for how links are checked.
+ */
+
+module.exports = {
+  /**
+   * Adds the link check columns and an index for finding the links due for a check.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "linkStatus", {
+      type: Sequelize.STRING(16),
+    });
+    await queryInterface.addColumn("books", "linkHttpStatus", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addColumn("books", "linkFinalUrl", {
+      type: Sequelize.STRING(2048),
+    });
+    await queryInterface.addColumn("books", "linkError", {
+      type: Sequelize.STRING(200),
+    });
+    await queryInterface.addColumn("books", "linkCheckedAt", {
+      type: Sequelize.DATE,
+    });
+    await queryInterface.addIndex("books", ["linkCheckedAt"]);
+  },
+
+  /**
+   * Drops the link check columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.removeIndex("books", ["linkCheckedAt"]);
+    for (const column of ["linkCheckedAt", "linkError", "linkFinalUrl", "linkHttpStatus", "linkStatus"]) {
+      await queryInterface.sequelize.query(`ALTER TABLE books DROP COLUMN ${column}`);
+    }
+  },
+};
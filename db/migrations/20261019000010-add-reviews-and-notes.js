@@ -0,0 +1,71 @@
+/**
+ * Migration: ratings, reviews and notes. Books get a 1 to 5 star rating and a
+ * Markdown review, and the book_notes table keeps each private note or quote
+ * a user writes down for a book, with the page it refers to.
+ */
+
+module.exports = {
+  /**
+   * Adds the rating and review columns and the book notes table.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "rating", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addColumn("books", "review", {
+      type: Sequelize.TEXT,
+    });
+    await queryInterface.addIndex("books", ["ownerId", "rating"]);
+
+    await queryInterface.createTable("book_notes", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "books", key: "id" },
+        onDelete: "CASCADE",
+      },
+      kind: {
+        type: Sequelize.STRING(8),
+        allowNull: false,
+        defaultValue: "note",
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      page: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("book_notes", ["bookId"]);
+  },
+
+  /**
+   * Drops the book notes table and the rating and review columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("book_notes");
+    await queryInterface.removeIndex("books", ["ownerId", "rating"]);
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN review");
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN rating");
+  },
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration: soft delete. Deleting a book now only records when it was
+ * deleted, so it can be restored from the trash until it is purged.
+ */
+
+module.exports = {
+  /**
+   * Adds the deletedAt column and an index for the trash listing.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "deletedAt", {
+      type: Sequelize.DATE,
+    });
+    await queryInterface.addIndex("books", ["ownerId", "deletedAt"]);
+  },
+
+  /**
+   * Purges the books in the trash, which would otherwise reappear, then drops
+   * the index and the deletedAt column.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.sequelize.query("DELETE FROM books WHERE deletedAt IS NOT NULL");
+    await queryInterface.removeIndex("books", ["ownerId", "deletedAt"]);
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN deletedAt");
+  },
+};
@@ -0,0 +1,91 @@
+/**
+ * Migration: the book_revisions table, the audit log of every change made to
+ * a book's details. Each row holds who made the change and when, which
+ * fields changed from what to what, and the book's details after the change
+ * so the book can be reverted to it.
+ */
+
+module.exports = {
+  /**
+   * Adds the revisions table, starting every existing book's history with a
+   * "baseline" revision of its current details.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("book_revisions", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      bookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "books", key: "id" },
+        onDelete: "CASCADE",
+      },
+      actorId: {
+        type: Sequelize.INTEGER,
+        references: { model: "users", key: "id" },
+        onDelete: "SET NULL",
+      },
+      action: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+      },
+      changes: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      snapshot: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      revertedToId: {
+        type: Sequelize.INTEGER,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("book_revisions", ["bookId", "createdAt"]);
+
+    // Books saved before this migration have no history to replay, so their
+    // history starts from what they hold now, trashed books included
+    const [books] = await queryInterface.sequelize.query(
+      "SELECT id, ownerId, title, author, costMinor, currency, shoppingUrl, isbn13, publisher, pageCount, coverUrl, rating, review FROM books"
+    );
+    const [tagRows] = await queryInterface.sequelize.query(
+      "SELECT book_tags.bookId AS bookId, tags.name AS name FROM book_tags JOIN tags ON tags.id = book_tags.tagId"
+    );
+    const tagsByBook = new Map();
+    tagRows.forEach((row) => {
+      if (!tagsByBook.has(row.bookId)) tagsByBook.set(row.bookId, []);
+      tagsByBook.get(row.bookId).push(row.name);
+    });
+
+    const now = new Date();
+    const revisions = books.map(({ id, ownerId, ...details }) => ({
+      bookId: id,
+      actorId: ownerId,
+      action: "baseline",
+      changes: "{}",
+      snapshot: JSON.stringify({ ...details, tags: (tagsByBook.get(id) || []).sort() }),
+      createdAt: now,
+    }));
+    if (revisions.length) await queryInterface.bulkInsert("book_revisions", revisions);
+  },
+
+  /**
+   * Drops the revisions table.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("book_revisions");
+  },
+};
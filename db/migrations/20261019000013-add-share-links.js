@@ -0,0 +1,72 @@
+/**
+ * Migration: the share_links table. Each row is a read-only link to part of
+ * a user's list, opened through an unguessable token by anyone who has it.
+ * A link may expire, and revoking it keeps the row so the owner still sees
+ * it in their list of links.
+ */
+
+module.exports = {
+  /**
+   * Creates the share_links table. Tokens are unique, and deleting a user
+   * deletes their links with them.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("share_links", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      ownerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      label: {
+        type: Sequelize.STRING(60),
+      },
+      status: {
+        type: Sequelize.STRING(10),
+      },
+      tags: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: "[]",
+      },
+      expiresAt: {
+        type: Sequelize.DATE,
+      },
+      revokedAt: {
+        type: Sequelize.DATE,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("share_links", ["token"], { unique: true });
+    await queryInterface.addIndex("share_links", ["ownerId"]);
+  },
+
+  /**
+   * Drops the share_links table.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("share_links");
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration: give books an optional date to finish them by, and give every
+ * user an optional reading goal and the token their feed addresses carry.
+ *
+ * Existing books have no target date, and existing users have no goal and
+ * no feeds until they turn them on.
+ */
+
+module.exports = {
+  /**
+   * Adds the target date column to books and the goal and feed token columns
+   * to users.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "targetFinishDate", {
+      type: Sequelize.DATEONLY,
+    });
+    await queryInterface.addColumn("users", "goalPeriod", {
+      type: Sequelize.STRING(7),
+    });
+    await queryInterface.addColumn("users", "goalBooks", {
+      type: Sequelize.INTEGER,
+    });
+    await queryInterface.addColumn("users", "feedToken", {
+      type: Sequelize.STRING(64),
+    });
+    await queryInterface.addIndex("users", ["feedToken"], { unique: true });
+  },
+
+  /**
+   * Drops the feed token, goal and target date columns.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.removeIndex("users", ["feedToken"]);
+    for (const column of ["feedToken", "goalBooks", "goalPeriod"]) {
+      await queryInterface.sequelize.query(`ALTER TABLE users DROP COLUMN ${column}`);
+    }
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN targetFinishDate");
+  },
+};
@@ -0,0 +1,123 @@
+/**
+ * Migration: the webhooks and webhook_deliveries tables. A webhook is an
+ * address a user registered to be sent their book events, with the secret
+ * the requests are signed with. A delivery is one event queued for one
+ * webhook, kept after it is sent so the user can see the delivery history,
+ * including the deliveries that failed for good.
+ */
+
+module.exports = {
+  /**
+   * Creates the webhooks and webhook_deliveries tables. Deleting a user
+   * deletes their webhooks, and deleting a webhook deletes its deliveries.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable("webhooks", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      ownerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "users", key: "id" },
+        onDelete: "CASCADE",
+      },
+      url: {
+        type: Sequelize.STRING(2000),
+        allowNull: false,
+      },
+      label: {
+        type: Sequelize.STRING(60),
+      },
+      events: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+        defaultValue: "[]",
+      },
+      secret: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("webhooks", ["ownerId"]);
+
+    await queryInterface.createTable("webhook_deliveries", {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+        allowNull: false,
+      },
+      webhookId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: "webhooks", key: "id" },
+        onDelete: "CASCADE",
+      },
+      event: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      payload: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+      },
+      error: {
+        type: Sequelize.STRING(200),
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+    await queryInterface.addIndex("webhook_deliveries", ["webhookId", "createdAt"]);
+    await queryInterface.addIndex("webhook_deliveries", ["status", "nextAttemptAt"]);
+  },
+
+  /**
+   * Drops the webhook_deliveries and webhooks tables.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.dropTable("webhook_deliveries");
+    await queryInterface.dropTable("webhooks");
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration: let books carry an uploaded cover image.
+ *
+ * The column holds the file name of the stored image, whose files live on
+ * disk under the covers directory (see services/coverImages.js). Existing
+ * books have no uploaded cover.
+ */
+
+module.exports = {
+  /**
+   * Adds the cover image column to books.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   * @param {Object} Sequelize - The Sequelize library, for its data types
+   */
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn("books", "coverImage", {
+      type: Sequelize.STRING(64),
+    });
+  },
+
+  /**
+   * Drops the cover image column.
+   *
+   * @param {Object} queryInterface - The Sequelize QueryInterface
+   */
+  async down(queryInterface) {
+    await queryInterface.sequelize.query("ALTER TABLE books DROP COLUMN coverImage");
+  },
+};
@@ -0,0 +1,165 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the books table. It describes the
+ * columns a book row has so Sequelize can read and write them.
+ *
+ * Note:
+ * The table itself is created and changed only by the files in db/migrations.
+ * When a column is added here, a migration that adds it must be added too.
+ */
+
+/**
+ * This function registers the Book model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered Book model
+ */
+module.exports = (sequelize, DataTypes) => {
+  return sequelize.define(
+    "Book",
+    {
+      // Auto-incrementing primary key that replaces the old Date.now() IDs
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The title of the book
+      title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // The author of the book
+      author: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // The cost of the book in minor units (cents), e.g. 2035 for 20.35
+      costMinor: {
+        type: DataTypes.INTEGER,
+      },
+
+      // The currency the cost is in, e.g. "EUR"; see services/currency.js
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: "USD",
+      },
+
+      // The URL where the book can be purchased
+      shoppingUrl: {
+        type: DataTypes.STRING(2048),
+      },
+
+      // The book's ISBN-13, or null if none was given
+      isbn13: {
+        type: DataTypes.STRING(13),
+      },
+
+      // The publisher, usually filled in by an ISBN lookup
+      publisher: {
+        type: DataTypes.STRING,
+      },
+
+      // The number of pages, usually filled in by an ISBN lookup
+      pageCount: {
+        type: DataTypes.INTEGER,
+      },
+
+      // The URL of the cover image, usually filled in by an ISBN lookup
+      coverUrl: {
+        type: DataTypes.STRING(2048),
+      },
+
+      // The file name of the uploaded cover image, if one was uploaded
+      coverImage: {
+        type: DataTypes.STRING(64),
+      },
+
+      // The reading status: to-read, reading, finished or abandoned
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: "to-read",
+      },
+
+      // When the book was last started, or null if it has not been
+      startedAt: {
+        type: DataTypes.DATE,
+      },
+
+      // When the book was finished, or null if it has not been
+      finishedAt: {
+        type: DataTypes.DATE,
+      },
+
+      // The day the reader means to finish the book by, as "YYYY-MM-DD",
+      // or null when they have not set one
+      targetFinishDate: {
+        type: DataTypes.DATEONLY,
+      },
+
+      // The page the reader has reached, kept up to date from the logged
+      // reading sessions; 0 until the first session is logged
+      currentPage: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // The reader's rating from 1 to 5 stars, or null when not rated
+      rating: {
+        type: DataTypes.INTEGER,
+      },
+
+      // The reader's review, written in Markdown and rendered on the book page
+      review: {
+        type: DataTypes.TEXT,
+      },
+
+      // The result of the last shopping link check: "ok", "broken" (the
+      // store answered with an error) or "unreachable" (no answer at all);
+      // null until the link has been checked. See services/linkChecker.js
+      linkStatus: {
+        type: DataTypes.STRING(16),
+      },
+
+      // The HTTP status the store answered the last check with
+      linkHttpStatus: {
+        type: DataTypes.INTEGER,
+      },
+
+      // Where the link ended up after following redirects
+      linkFinalUrl: {
+        type: DataTypes.STRING(2048),
+      },
+
+      // Why the last check got no answer, e.g. "Timed out after 10000 ms"
+      linkError: {
+        type: DataTypes.STRING(200),
+      },
+
+      // When the link was last checked
+      linkCheckedAt: {
+        type: DataTypes.DATE,
+      },
+
+      // The user whose reading list the book is on
+      ownerId: {
+        type: DataTypes.INTEGER,
+      },
+    },
+    {
+      tableName: "books",
+
+      // Deleting a book only sets its deletedAt time, which moves it to the
+      // trash; every query leaves such books out unless it asks for them
+      // with paranoid: false. Purging removes the row for good.
+      paranoid: true,
+    }
+  );
+};
@@ -0,0 +1,65 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the book_notes table. Each row is
+ * one private note or quote a user wrote down for a book, optionally with
+ * the page it refers to.
+ */
+
+/**
+ * This function registers the BookNote model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered BookNote model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BookNote = sequelize.define(
+    "BookNote",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The book the note belongs to
+      bookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // "note" for the reader's own thoughts, "quote" for a passage from the book
+      kind: {
+        type: DataTypes.STRING(8),
+        allowNull: false,
+        defaultValue: "note",
+      },
+
+      // The text of the note or quote
+      body: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+
+      // The page the note refers to, or null when it is about the whole book
+      page: {
+        type: DataTypes.INTEGER,
+      },
+    },
+    {
+      tableName: "book_notes",
+    }
+  );
+
+  /**
+   * Links each note to its book.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  BookNote.associate = (models) => {
+    BookNote.belongsTo(models.Book, { foreignKey: "bookId", onDelete: "CASCADE" });
+    models.Book.hasMany(BookNote, { foreignKey: "bookId", as: "notes" });
+  };
+
+  return BookNote;
+};
@@ -0,0 +1,101 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the book_revisions table. Each
+ * row is one entry in a book's audit log: a change to its details, who made
+ * it and when, and the details the book had afterwards.
+ */
+
+/**
+ * This function describes a column that holds an object as JSON text. SQLite
+ * has no JSON column type, so the object is written out and read back here.
+ *
+ * @param {Object} DataTypes - The Sequelize data types
+ * @param {String} name - The name of the column
+ * @returns {Object} - The Sequelize attribute definition
+ */
+function jsonText(DataTypes, name) {
+  return {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    get() {
+      const raw = this.getDataValue(name);
+      return typeof raw === "string" ? JSON.parse(raw) : raw;
+    },
+    set(value) {
+      this.setDataValue(name, JSON.stringify(value));
+    },
+  };
+}
+
+/**
+ * This function registers the BookRevision model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered BookRevision model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BookRevision = sequelize.define(
+    "BookRevision",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The book that was changed
+      bookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The user who made the change
+      actorId: {
+        type: DataTypes.INTEGER,
+      },
+
+      // What happened: "baseline", "create", "update", "delete", "restore",
+      // "revert", "status" (a move to another reading status) or "progress"
+      // (a move of the current page by a logged reading session)
+      action: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+      },
+
+      // The fields that changed, each as { from, to }
+      changes: jsonText(DataTypes, "changes"),
+
+      // Every tracked field of the book after the change
+      snapshot: jsonText(DataTypes, "snapshot"),
+
+      // For a revert, the revision whose details were brought back
+      revertedToId: {
+        type: DataTypes.INTEGER,
+      },
+
+      // When the change happened
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "book_revisions",
+      updatedAt: false,
+    }
+  );
+
+  /**
+   * Links each revision to its book and to the user who made it.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  BookRevision.associate = (models) => {
+    BookRevision.belongsTo(models.Book, { foreignKey: "bookId", onDelete: "CASCADE" });
+    BookRevision.belongsTo(models.User, { foreignKey: "actorId", as: "actor", onDelete: "SET NULL" });
+    models.Book.hasMany(BookRevision, { foreignKey: "bookId", as: "revisions" });
+  };
+
+  return BookRevision;
+};
@@ -0,0 +1,47 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the book_tags table. Each row
+ * puts one tag on one book.
+ */
+
+/**
+ * This function registers the BookTag model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered BookTag model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const BookTag = sequelize.define(
+    "BookTag",
+    {
+      // The tagged book
+      bookId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+      },
+
+      // The tag on it
+      tagId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+      },
+    },
+    {
+      tableName: "book_tags",
+      timestamps: false,
+    }
+  );
+
+  /**
+   * Links each assignment to its tag, so a book's tag names can be read in
+   * one query.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  BookTag.associate = (models) => {
+    BookTag.belongsTo(models.Tag, { foreignKey: "tagId", as: "tag" });
+  };
+
+  return BookTag;
+};
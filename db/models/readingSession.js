@@ -0,0 +1,65 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the reading_sessions table. Each
+ * row is one reading session a user logged for a book: the day, how many
+ * pages were read and, optionally, how many minutes it took.
+ */
+
+/**
+ * This function registers the ReadingSession model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered ReadingSession model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ReadingSession = sequelize.define(
+    "ReadingSession",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The book that was read
+      bookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The day of the session, as "YYYY-MM-DD"
+      readOn: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+      },
+
+      // How many pages were read
+      pagesRead: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // How long the session took, or null when it was not recorded
+      minutes: {
+        type: DataTypes.INTEGER,
+      },
+    },
+    {
+      tableName: "reading_sessions",
+      updatedAt: false,
+    }
+  );
+
+  /**
+   * Links each reading session to its book.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  ReadingSession.associate = (models) => {
+    ReadingSession.belongsTo(models.Book, { foreignKey: "bookId", onDelete: "CASCADE" });
+    models.Book.hasMany(ReadingSession, { foreignKey: "bookId", as: "readingSessions" });
+  };
+
+  return ReadingSession;
+};
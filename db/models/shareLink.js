@@ -0,0 +1,88 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the share_links table. Each row
+ * is one read-only link to part of a user's list: its token, the books it
+ * shows, and when it expires or was revoked.
+ */
+
+/**
+ * This function registers the ShareLink model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered ShareLink model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ShareLink = sequelize.define(
+    "ShareLink",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The user whose books the link shows
+      ownerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The unguessable part of the link's address
+      token: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+
+      // A name the owner gave the link, e.g. "For the book club"
+      label: {
+        type: DataTypes.STRING(60),
+      },
+
+      // The only reading status shown, or null for every status
+      status: {
+        type: DataTypes.STRING(10),
+      },
+
+      // The tags every book shown must carry, stored as JSON text
+      tags: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: "[]",
+        get() {
+          const raw = this.getDataValue("tags");
+          return typeof raw === "string" ? JSON.parse(raw) : raw;
+        },
+        set(value) {
+          this.setDataValue("tags", JSON.stringify(value));
+        },
+      },
+
+      // When the link stops working, or null if it never does
+      expiresAt: {
+        type: DataTypes.DATE,
+      },
+
+      // When the owner revoked the link, or null while it is in use
+      revokedAt: {
+        type: DataTypes.DATE,
+      },
+    },
+    {
+      tableName: "share_links",
+    }
+  );
+
+  /**
+   * Links each share link to the user who made it.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  ShareLink.associate = (models) => {
+    ShareLink.belongsTo(models.User, { foreignKey: "ownerId", onDelete: "CASCADE" });
+    models.User.hasMany(ShareLink, { foreignKey: "ownerId", as: "shareLinks" });
+  };
+
+  return ShareLink;
+};
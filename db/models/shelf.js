@@ -0,0 +1,52 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the shelves table. Each row is
+ * one named shelf a user has made, such as "Summer 2026".
+ */
+
+/**
+ * This function registers the Shelf model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered Shelf model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Shelf = sequelize.define(
+    "Shelf",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The user the shelf belongs to
+      ownerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The shelf name as the user typed it
+      name: {
+        type: DataTypes.STRING(60),
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "shelves",
+    }
+  );
+
+  /**
+   * Links shelves and books through the shelf_books table.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  Shelf.associate = (models) => {
+    Shelf.belongsToMany(models.Book, { through: models.ShelfBook, foreignKey: "shelfId", otherKey: "bookId", as: "books" });
+    models.Book.belongsToMany(Shelf, { through: models.ShelfBook, foreignKey: "bookId", otherKey: "shelfId", as: "shelves" });
+  };
+
+  return Shelf;
+};
@@ -0,0 +1,41 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the shelf_books table. Each row
+ * puts one book on one shelf.
+ */
+
+/**
+ * This function registers the ShelfBook model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered ShelfBook model
+ */
+module.exports = (sequelize, DataTypes) => {
+  return sequelize.define(
+    "ShelfBook",
+    {
+      // The shelf
+      shelfId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+      },
+
+      // The book on it
+      bookId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+      },
+
+      // When the book was put on the shelf; the shelf page lists books in this order
+      addedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "shelf_books",
+      timestamps: false,
+    }
+  );
+};
@@ -0,0 +1,65 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the book_status_changes table.
+ * Each row records one move of a book from one reading status to another,
+ * which is what the timeline on the book page is built from.
+ */
+
+/**
+ * This function registers the StatusChange model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered StatusChange model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const StatusChange = sequelize.define(
+    "StatusChange",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The book whose status changed
+      bookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The status before the change, or null for the book's first entry
+      fromStatus: {
+        type: DataTypes.STRING(20),
+      },
+
+      // The status after the change
+      toStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+
+      // When the change happened
+      changedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "book_status_changes",
+      timestamps: false,
+    }
+  );
+
+  /**
+   * Links each status change to its book.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  StatusChange.associate = (models) => {
+    StatusChange.belongsTo(models.Book, { foreignKey: "bookId", onDelete: "CASCADE" });
+    models.Book.hasMany(StatusChange, { foreignKey: "bookId", as: "statusChanges" });
+  };
+
+  return StatusChange;
+};
@@ -0,0 +1,52 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the tags table. Each row is one
+ * tag a user has put on at least one of their books, such as "sci-fi".
+ */
+
+/**
+ * This function registers the Tag model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered Tag model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Tag = sequelize.define(
+    "Tag",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The user the tag belongs to; every user has their own tags
+      ownerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The tag text, stored in lowercase so "Sci-Fi" and "sci-fi" are one tag
+      name: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "tags",
+    }
+  );
+
+  /**
+   * Links tags and books through the book_tags table.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  Tag.associate = (models) => {
+    Tag.belongsToMany(models.Book, { through: models.BookTag, foreignKey: "tagId", otherKey: "bookId", as: "books" });
+    models.Book.belongsToMany(Tag, { through: models.BookTag, foreignKey: "bookId", otherKey: "tagId", as: "tags" });
+  };
+
+  return Tag;
+};
@@ -0,0 +1,99 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the users table. Each row is one
+ * account that can log in and owns its own reading list.
+ */
+
+/**
+ * This function registers the User model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered User model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const User = sequelize.define(
+    "User",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The email address the user logs in with, stored in lowercase
+      email: {
+        type: DataTypes.STRING(254),
+        allowNull: false,
+        unique: true,
+      },
+
+      // The salted scrypt hash of the password; see utils/password.js
+      passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+
+      // Whether the user may use the admin pages; the first account is an admin
+      isAdmin: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+
+      // The currency budgets and totals are shown in, e.g. "EUR"
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: "USD",
+      },
+
+      // How prices are written for this user, e.g. "de-DE"; null uses the default
+      locale: {
+        type: DataTypes.STRING(35),
+      },
+
+      // "monthly" or "yearly", or null when the user has no book budget
+      budgetPeriod: {
+        type: DataTypes.STRING(7),
+      },
+
+      // The budget for each period, in minor units of the user's currency
+      budgetMinor: {
+        type: DataTypes.INTEGER,
+      },
+
+      // "monthly" or "yearly", or null when the user has no reading goal
+      goalPeriod: {
+        type: DataTypes.STRING(7),
+      },
+
+      // How many books the user means to finish in each goal period
+      goalBooks: {
+        type: DataTypes.INTEGER,
+      },
+
+      // The secret token in the user's feed addresses, or null while the
+      // feeds are turned off; see models/User.js
+      feedToken: {
+        type: DataTypes.STRING(64),
+        unique: true,
+      },
+    },
+    {
+      tableName: "users",
+    }
+  );
+
+  /**
+   * Links each user to the books they own.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  User.associate = (models) => {
+    User.hasMany(models.Book, { foreignKey: "ownerId", as: "books", constraints: false });
+    models.Book.belongsTo(User, { foreignKey: "ownerId", as: "owner", constraints: false });
+  };
+
+  return User;
+};
@@ -0,0 +1,78 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the webhooks table. Each row is
+ * one address a user registered to be sent their book events: the events it
+ * wants and the secret its requests are signed with.
+ */
+
+/**
+ * This function registers the Webhook model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered Webhook model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const Webhook = sequelize.define(
+    "Webhook",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The user whose book events are sent
+      ownerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The address the events are posted to
+      url: {
+        type: DataTypes.STRING(2000),
+        allowNull: false,
+      },
+
+      // A name the owner gave the webhook, e.g. "Library sync"
+      label: {
+        type: DataTypes.STRING(60),
+      },
+
+      // The event types the webhook is sent, stored as JSON text
+      events: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        defaultValue: "[]",
+        get() {
+          const raw = this.getDataValue("events");
+          return typeof raw === "string" ? JSON.parse(raw) : raw;
+        },
+        set(value) {
+          this.setDataValue("events", JSON.stringify(value));
+        },
+      },
+
+      // The key the requests are signed with, which the receiver also holds
+      secret: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+    },
+    {
+      tableName: "webhooks",
+    }
+  );
+
+  /**
+   * Links each webhook to the user who registered it.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  Webhook.associate = (models) => {
+    Webhook.belongsTo(models.User, { foreignKey: "ownerId", onDelete: "CASCADE" });
+    models.User.hasMany(Webhook, { foreignKey: "ownerId", as: "webhooks" });
+  };
+
+  return Webhook;
+};
@@ -0,0 +1,93 @@
+/**
+ * File Purpose:
+ * This file defines the Sequelize model for the webhook_deliveries table.
+ * Each row is one book event queued for one webhook: the exact body that is
+ * sent, and how the attempts to send it have gone.
+ */
+
+/**
+ * This function registers the WebhookDelivery model on the given Sequelize instance.
+ *
+ * @param {Object} sequelize - The Sequelize instance to register the model on
+ * @param {Object} DataTypes - The Sequelize data types
+ * @returns {Object} - The registered WebhookDelivery model
+ */
+module.exports = (sequelize, DataTypes) => {
+  const WebhookDelivery = sequelize.define(
+    "WebhookDelivery",
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+
+      // The webhook the event is sent to
+      webhookId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+
+      // The event type, e.g. "book.created"
+      event: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+      },
+
+      // The JSON body, kept as text so every attempt sends and signs the same bytes
+      payload: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+      },
+
+      // "pending" until sent, then "delivered", or "failed" once every attempt has failed
+      status: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+
+      // How many times sending has been tried
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+
+      // When a pending delivery is next tried
+      nextAttemptAt: {
+        type: DataTypes.DATE,
+      },
+
+      // When sending was last tried
+      lastAttemptAt: {
+        type: DataTypes.DATE,
+      },
+
+      // The HTTP status the receiver last answered with, or null when it did not answer
+      responseStatus: {
+        type: DataTypes.INTEGER,
+      },
+
+      // Why the last attempt failed, or null when it did not
+      error: {
+        type: DataTypes.STRING(200),
+      },
+    },
+    {
+      tableName: "webhook_deliveries",
+    }
+  );
+
+  /**
+   * Links each delivery to its webhook.
+   *
+   * @param {Object} models - Every registered model, by name
+   */
+  WebhookDelivery.associate = (models) => {
+    WebhookDelivery.belongsTo(models.Webhook, { foreignKey: "webhookId", as: "webhook", onDelete: "CASCADE" });
+    models.Webhook.hasMany(WebhookDelivery, { foreignKey: "webhookId", as: "deliveries" });
+  };
+
+  return WebhookDelivery;
+};
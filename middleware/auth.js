@@ -0,0 +1,167 @@
+/**
+ * File Purpose:
+ * This file contains the middleware that connects login sessions to requests.
+ *
+ * Middleware Purpose:
+ * loadCurrentUser looks up the user whose ID the session holds and makes it
+ * available as req.user (for controllers) and res.locals.currentUser (for
+ * the navbar). requireLogin and requireApiLogin then guard the routes that
+ * need a user: the pages redirect to the login page, while the JSON API
+ * answers 401 in its error envelope. requireAdmin guards the admin pages. startSession and endSession log a user
+ * in and out for the login controllers.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * User - The data model used to look up the logged-in user
+ */
+const User = require("../models/User");
+
+/**
+ * respond - Sends the API's 401 response in its error envelope
+ */
+const { sendError } = require("../controllers/api/respond");
+
+/**
+ * httpError - Raises the 403 Forbidden error for users who are not administrators
+ */
+const httpError = require("../utils/httpError");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LOGIN_PATH - Where requireLogin sends visitors who are not logged in
+ */
+const LOGIN_PATH = "/login";
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This middleware function loads the logged-in user, if any, from the
+ * session. A session that names a user who no longer exists is logged out.
+ *
+ * @param {Object} req - The Express request object, with the session in req.session
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+async function loadCurrentUser(req, res, next) {
+  try {
+    const userId = req.session && req.session.userId;
+    req.user = userId ? await User.getUserById(userId) : null;
+
+    // Forget a login whose account is gone
+    if (userId && !req.user) delete req.session.userId;
+
+    res.locals.currentUser = req.user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * This middleware function lets only logged-in users through. Anyone else is
+ * redirected to the login page, which sends them back here afterwards.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function requireLogin(req, res, next) {
+  if (req.user) return next();
+
+  // Only come back to pages that can be fetched again with GET
+  const returnTo = req.method === "GET" ? `?next=${encodeURIComponent(req.originalUrl)}` : "";
+  res.redirect(`${LOGIN_PATH}${returnTo}`);
+}
+
+/**
+ * This middleware function lets only logged-in users through to the JSON API.
+ * Anyone else gets a 401 response in the API's error envelope.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function requireApiLogin(req, res, next) {
+  if (req.user) return next();
+  sendError(res, 401, "unauthenticated", "Log in to use this resource");
+}
+
+/**
+ * This middleware function lets only administrators through. It runs after
+ * requireLogin, so everyone who reaches it is logged in; other users get a
+ * 403 page.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (req.user && req.user.isAdmin) return next();
+  next(httpError(403, "Only administrators can open this page"));
+}
+
+/**
+ * This function logs a user in on the current request. The session is
+ * regenerated first, so a session ID planted in the browser before login
+ * (session fixation) is never the one that ends up logged in.
+ *
+ * @param {Object} req - The Express request object, with the session in req.session
+ * @param {Object} user - The user to log in
+ * @returns {Promise} - Resolves once the new session has been saved
+ */
+function startSession(req, user) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((regenerateError) => {
+      if (regenerateError) return reject(regenerateError);
+      req.session.userId = user.id;
+      req.session.save((saveError) => (saveError ? reject(saveError) : resolve()));
+    });
+  });
+}
+
+/**
+ * This function logs the current user out by destroying the whole session.
+ *
+ * @param {Object} req - The Express request object, with the session in req.session
+ * @returns {Promise} - Resolves once the session is gone
+ */
+function endSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.destroy((error) => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * This function checks a "next" address a login form sends back, so that the
+ * login page cannot be used to redirect visitors to another site.
+ *
+ * @param {String} target - The submitted address
+ * @returns {String} - The address when it is a path on this site, otherwise "/"
+ */
+function safeReturnPath(target) {
+  const isLocalPath = typeof target === "string" && target.startsWith("/") && !target.startsWith("//") && !target.includes("\\");
+  return isLocalPath ? target : "/";
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  loadCurrentUser,
+  requireLogin,
+  requireApiLogin,
+  requireAdmin,
+  startSession,
+  endSession,
+  safeReturnPath,
+};
@@ -0,0 +1,171 @@
+/**
+ * File Purpose:
+ * This file contains the cross-site request forgery (CSRF) protection for
+ * the HTML forms.
+ *
+ * Middleware Purpose:
+ * Without it, any other website could make a logged-in visitor's browser
+ * post to /book/:id with _method=DELETE, and the browser would send the
+ * session cookie along. Every session therefore gets a random secret token.
+ * provideCsrfToken hands it to the views as {{csrfToken}}, every form sends
+ * it back in a hidden _csrf field (see views/partials/csrfField.hbs), and
+ * verifyCsrfToken refuses any state-changing request whose token is missing
+ * or wrong. Other websites cannot read the token, so they cannot forge it.
+ *
+ * The token is read from the _csrf form field or the X-CSRF-Token header,
+ * never from the address, which ends up in logs and the browser history.
+ * The body of a multipart form (a file upload) is read before this check by
+ * routes/uploads.js.
+ *
+ * The JSON API is not covered: it only accepts JSON bodies (see
+ * routes/api/v1.js), which a form on another website cannot send.
+ *
+ * Creating a token stores a session, so the read-only pages anyone may open
+ * without logging in (the shared lists and the feeds) use provideUserCsrfToken,
+ * which only hands a token to logged-in users for the navbar's logout form.
+ * A visitor's request, or a feed reader's poll, then leaves no session behind.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module used to make tokens and compare them in
+ * constant time
+ */
+const crypto = require("crypto");
+
+/**
+ * httpError - Raises the 403 Forbidden error for a form without its token
+ */
+const httpError = require("../utils/httpError");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SAFE_METHODS - Request methods that must not change anything and so need
+ * no token
+ */
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * TOKEN_BYTES - The length of the random token
+ */
+const TOKEN_BYTES = 32;
+
+/**
+ * TOKEN_FIELD - The name of the form field holding the token
+ */
+const TOKEN_FIELD = "_csrf";
+
+/**
+ * TOKEN_HEADER - The request header a script may send the token in
+ */
+const TOKEN_HEADER = "x-csrf-token";
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the session's token, creating it the first
+ * time it is needed.
+ *
+ * @param {Object} req - The Express request object, with the session in req.session
+ * @returns {String} - The session's token
+ */
+function sessionToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  }
+  return req.session.csrfToken;
+}
+
+/**
+ * This helper function finds the token a request sent back.
+ *
+ * @param {Object} req - The Express request object
+ * @returns {String} - The submitted token, or "" when there is none
+ */
+function submittedToken(req) {
+  const token = (req.body && req.body[TOKEN_FIELD]) || req.get(TOKEN_HEADER);
+  return typeof token === "string" ? token : "";
+}
+
+/**
+ * This helper function compares two tokens in constant time, so the time the
+ * comparison takes reveals nothing about the real token.
+ *
+ * @param {String} expected - The session's token
+ * @param {String} actual - The submitted token
+ * @returns {Boolean} - Whether the tokens match
+ */
+function tokensMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This middleware function makes the session's token available to every view
+ * as {{csrfToken}}.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function provideCsrfToken(req, res, next) {
+  res.locals.csrfToken = sessionToken(req);
+  next();
+}
+
+/**
+ * This middleware function makes the session's token available to the views
+ * of a logged-in user only. Visitors get none, so no session is stored for
+ * them.
+ *
+ * @param {Object} req - The Express request object, with the user in req.user
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function provideUserCsrfToken(req, res, next) {
+  if (req.user) res.locals.csrfToken = sessionToken(req);
+  next();
+}
+
+/**
+ * This middleware function refuses state-changing requests that do not carry
+ * the session's token, answering 403 Forbidden.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ * @returns {Object} - If the token is missing or wrong, passes on a 403 error
+ */
+function verifyCsrfToken(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) return next();
+
+  const expected = req.session && req.session.csrfToken;
+  if (!expected || !tokensMatch(expected, submittedToken(req))) {
+    return next(httpError(403, "This form has expired. Go back, reload the page and try again."));
+  }
+
+  next();
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  provideCsrfToken,
+  provideUserCsrfToken,
+  verifyCsrfToken,
+};
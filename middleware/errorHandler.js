@@ -0,0 +1,161 @@
+/**
+ * File Purpose:
+ * This file holds the application's last two middleware functions: the one
+ * that answers requests no route matched, and the error handler every error
+ * passed to next() ends up in.
+ *
+ * Middleware Purpose:
+ * Each failure is answered in the form the client asked for. Browsers get
+ * the 404 or 500 error page (any other status gets the general error page),
+ * with the request ID so a report can be matched to the logs. JSON clients,
+ * and every request to the JSON API, get the API's error envelope (see
+ * controllers/api/respond.js).
+ *
+ * The message of an error raised with utils/httpError.js is shown as it is.
+ * Any other error is a bug: it is logged with its stack trace, and the client
+ * only learns that something went wrong.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * http - Node.js built-in module, for the standard name of each status code
+ */
+const http = require("http");
+
+/**
+ * httpError - Creates the 404 error for a path no route matched
+ */
+const httpError = require("../utils/httpError");
+
+/**
+ * logger - Logs the errors that are bugs, with their stack traces
+ */
+const logger = require("../utils/logger");
+
+/**
+ * respond - Sends the JSON error envelope shared with the API
+ */
+const { sendError } = require("../controllers/api/respond");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * API_PATH_PREFIX - Requests under this path always get JSON, whatever their
+ * Accept header says
+ */
+const API_PATH_PREFIX = "/api/";
+
+/**
+ * ERROR_VIEWS - The error page for each status; the rest use "error"
+ */
+const ERROR_VIEWS = { 404: "404", 500: "500" };
+
+/**
+ * PARSER_ERRORS - The request body problems body-parser reports, by its
+ * error type, as the code and message sent to the client
+ */
+const PARSER_ERRORS = {
+  "entity.parse.failed": { code: "invalid_json", message: "The request body is not valid JSON" },
+  "entity.too.large": { code: "payload_too_large", message: "The request body is too large" },
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function decides whether to answer in JSON rather than HTML:
+ * for the JSON API, and for clients that prefer JSON to HTML.
+ *
+ * @param {Object} req - The Express request object
+ * @returns {Boolean} - true to answer in JSON
+ */
+function wantsJson(req) {
+  return req.originalUrl.startsWith(API_PATH_PREFIX) || req.accepts(["html", "json"]) === "json";
+}
+
+/**
+ * This helper function works out how to answer an error: its status, a
+ * machine-readable code and a message that is safe to show.
+ *
+ * @param {Error} err - The error passed to next()
+ * @returns {Object} - { status, code, message }
+ */
+function describeFailure(err) {
+  const status = Number.isInteger(err.status) && err.status >= 400 && err.status < 600 ? err.status : 500;
+
+  // Problems with the request body, e.g. malformed JSON
+  if (PARSER_ERRORS[err.type]) return { status, ...PARSER_ERRORS[err.type] };
+
+  // Anything else that failed on the server is a bug; say no more about it
+  if (status >= 500) return { status, code: "internal_error", message: "Something went wrong" };
+
+  // Errors raised on purpose carry a message meant for the user
+  const statusText = http.STATUS_CODES[status] || "Error";
+  const code = statusText.toLowerCase().replace(/[^a-z]+/g, "_");
+  return { status, code, message: err.expose ? err.message : statusText };
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This middleware function answers a request no route matched with a 404.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes the 404 error to the error handler
+ */
+function notFound(req, res, next) {
+  next(httpError(404, `Nothing was found at ${req.originalUrl}`));
+}
+
+/**
+ * This middleware function is the application's error handler. It logs
+ * server errors and answers with the error page or the JSON error envelope.
+ *
+ * @param {Error} err - The error passed to next()
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Hands the error to Express when the response has
+ *                          already started and cannot be replaced
+ */
+function handleError(err, req, res, next) {
+  const { status, code, message } = describeFailure(err);
+
+  // A server error is a bug; keep its stack trace in the logs
+  if (status >= 500) {
+    logger.error("request failed", { requestId: req.id, error: logger.describeError(err) });
+  }
+
+  // Part of a response has been sent, so only Express can end it
+  if (res.headersSent) return next(err);
+
+  // JSON clients get the API's error envelope
+  if (wantsJson(req)) return sendError(res, status, code, message);
+
+  // Browsers get an error page; should that fail too, plain text will do
+  const page = { status, title: http.STATUS_CODES[status] || "Error", message, requestId: req.id };
+  res.status(status).render(ERROR_VIEWS[status] || "error", page, (renderError, html) => {
+    if (renderError) {
+      logger.error("error page failed", { requestId: req.id, error: logger.describeError(renderError) });
+      return res.type("text").send(message);
+    }
+    res.send(html);
+  });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  notFound,
+  handleError,
+};
@@ -0,0 +1,61 @@
+/**
+ * File Purpose:
+ * This file contains the "flash" messages: one-off notices, such as "Book
+ * moved to the trash", that a handler leaves for the next page the visitor
+ * sees.
+ *
+ * Middleware Purpose:
+ * Most forms redirect after they succeed, so the page that should show the
+ * notice is rendered by a later request. setFlash keeps the notice in the
+ * session until then, and provideFlash hands it to that page's views as
+ * {{flash}} and forgets it, so it is shown exactly once. The layout shows it
+ * through views/partials/flash.hbs.
+ *
+ * A flash is an object of the form
+ *   { type: "success" | "info" | "warning" | "danger", text: String,
+ *     details: Array<String> | undefined,
+ *     undo: { action: String, label: String } | undefined }
+ * where details, when present, are listed under the text, e.g. each book a
+ * bulk action failed on, and undo adds a button that posts to the given
+ * address.
+ */
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function leaves a notice for the next page the visitor sees. A later
+ * notice replaces an earlier one that has not been shown yet.
+ *
+ * @param {Object} req - The Express request object, with the session in req.session
+ * @param {Object} flash - The notice: { type, text, details, undo }
+ */
+function setFlash(req, flash) {
+  if (req.session) req.session.flash = flash;
+}
+
+/**
+ * This middleware function hands the waiting notice, if any, to the views as
+ * res.locals.flash and removes it from the session.
+ *
+ * @param {Object} req - The Express request object, with the session in req.session
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function provideFlash(req, res, next) {
+  if (req.session && req.session.flash) {
+    res.locals.flash = req.session.flash;
+    delete req.session.flash;
+  }
+  next();
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  setFlash,
+  provideFlash,
+};
@@ -0,0 +1,124 @@
+/**
+ * File Purpose:
+ * This file gives every request an ID and logs each one when it completes.
+ *
+ * Middleware Purpose:
+ * The request ID ties together everything about one request: it is sent back
+ * in the X-Request-Id header, shown on the error pages, included in JSON
+ * error responses and in every log line about the request. A client or proxy
+ * may send its own X-Request-Id, which is kept when it looks like an ID.
+ *
+ * When the response has been sent, one structured log line (see
+ * utils/logger.js) records the method, path, status, latency, size and user.
+ * Server errors are logged at "error", other failures at "warn".
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module used to make random request IDs
+ */
+const crypto = require("crypto");
+
+/**
+ * logger - Writes the structured log lines
+ */
+const logger = require("../utils/logger");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * REQUEST_ID_HEADER - The header the request ID is read from and sent back in
+ */
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+/**
+ * REQUEST_ID_PATTERN - What a request ID sent by the client may look like, so
+ * that nothing odd ends up in the logs
+ */
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function picks the request's ID: the client's, when it sent a
+ * usable one, or a new random one.
+ *
+ * @param {Object} req - The Express request object
+ * @returns {String} - The request ID
+ */
+function chooseRequestId(req) {
+  const sent = req.get(REQUEST_ID_HEADER);
+  return sent && REQUEST_ID_PATTERN.test(sent) ? sent : crypto.randomUUID();
+}
+
+/**
+ * This helper function picks the level of a request's log line from its
+ * response status.
+ *
+ * @param {Number} status - The HTTP status code sent
+ * @returns {String} - "error", "warn" or "info"
+ */
+function levelForStatus(status) {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warn";
+  return "info";
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This middleware function gives the request its ID, as req.id and
+ * res.locals.requestId, and logs the request once its response is finished
+ * or the client has gone away.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ */
+function requestLogger(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  req.id = chooseRequestId(req);
+  res.locals.requestId = req.id;
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  // Log the request once, whether it finished or was cut short
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+
+    const aborted = !res.writableFinished;
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+    logger[aborted ? "warn" : levelForStatus(res.statusCode)]("request", {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs,
+      bytes: Number(res.get("Content-Length")) || 0,
+      userId: req.user ? req.user.id : null,
+      aborted,
+    });
+  };
+  res.on("finish", logRequest);
+  res.on("close", logRequest);
+
+  next();
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  requestLogger,
+};
@@ -0,0 +1,68 @@
+/**
+ * File Purpose:
+ * This file contains the middleware that makes the JSON API accept only JSON
+ * request bodies.
+ *
+ * Middleware Purpose:
+ * The API uses the same session cookie as the pages but no CSRF token. What
+ * keeps other websites from forging API requests is that an HTML form can
+ * only send form-encoded, multipart or plain-text bodies, and a script on
+ * another site cannot send application/json with the visitor's cookie
+ * unless this server allows it through CORS, which it does not. Refusing
+ * every other body type closes the gap a plain form post would leave.
+ *
+ * For the same reason the API refuses a request whose method was overridden
+ * with a _method field or query parameter: a form post turned into a DELETE
+ * would otherwise get past the body check with no body at all. app.js does
+ * not override the API's methods; this is the second line of defence.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * respond - Sends the 415 response in the API's error envelope
+ */
+const { sendError } = require("../controllers/api/respond");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BODY_METHODS - The request methods that must send a JSON body
+ */
+const BODY_METHODS = ["POST", "PUT", "PATCH"];
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This middleware function answers 400 Bad Request to requests whose method
+ * was overridden, and 415 Unsupported Media Type to POST, PUT and PATCH
+ * requests whose Content-Type is not application/json.
+ *
+ * @param {Object} req - The Express request object
+ * @param {Object} res - The Express response object
+ * @param {Function} next - Passes control to the next middleware
+ * @returns {Object} - If the method was overridden or the body is not JSON,
+ *                     returns a 400 or 415 response
+ */
+function requireJson(req, res, next) {
+  // method-override keeps the method the request was really sent with
+  if (req.originalMethod && req.originalMethod !== req.method) {
+    return sendError(res, 400, "method_override_not_allowed", "Send the request with its real HTTP method");
+  }
+  if (BODY_METHODS.includes(req.method) && !req.is("application/json")) {
+    return sendError(res, 415, "unsupported_media_type", "Send the request body as application/json");
+  }
+  next();
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = requireJson;
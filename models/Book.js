@@ -2,15 +2,35 @@
  * File Purpose:
  * This file implements the Book model which provides a data access layer for
  * all book-related operations. It handles the persistence of book data by
- * reading from and writing to a JSON file on the server's filesystem.
+ * reading from and writing to the books table of the SQLite database through
+ * Sequelize.
  *
  * Model Purpose:
  * The Book model encloses all the data access logic for book entities in the
  * application. It provides methods for retrieving, creating, updating, and
  * deleting book records. The model "abstracts away" the details of how book data
- * is stored (in this case, in a JSON file) from the rest of the application.
+ * is stored (in this case, in a SQLite database) from the rest of the application.
  * This separation allows the data storage mechanism to be changed in the future
  * without affecting other parts of the application.
+ *
+ * Every method returns a Promise, and every book it resolves with is a plain
+ * object so that it can be handed straight to a Handlebars view.
+ *
+ * Every book belongs to a user. Each method takes the ID of the user it acts
+ * for as its first argument and only ever reads or changes that user's
+ * books; a book owned by someone else is treated exactly like a missing one.
+ *
+ * Every book also carries its tag names as a sorted "tags" array. Saving a
+ * book with a "tags" list replaces its tags through the Tag model; saving it
+ * without one leaves them as they are.
+ *
+ * Every change to a book's details is recorded in its audit log through the
+ * BookRevision model, inside the same transaction as the change. The actor
+ * is the user the method acts for, who is the only one able to change it.
+ *
+ * Once a change is committed, it is announced on the book event bus (see
+ * services/bookEvents.js) as book.created, book.updated or book.deleted,
+ * one event per book, which is what the outgoing webhooks are sent from.
  */
 
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
@@ -18,67 +38,481 @@
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
 
 /**
- * fs - Node.js built-in File System module that provides methods for interacting
- * with the file system, including reading from and writing to files
+ * Sequelize - Query operators and SQL function builders used for searching,
+ * filtering and sorting
+ */
+const { Op, fn, col, literal, where: whereClause } = require("sequelize");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
  */
-const fs = require("fs");
+const db = require("../db");
 
 /**
- * path - Node.js built-in module that provides utilities for working with file
- * and directory paths in a platform-independent manner
+ * ReadingStatus - The reading status workflow: the known statuses and the
+ * transitions allowed between them
  */
-const path = require("path");
+const ReadingStatus = require("./ReadingStatus");
+
+/**
+ * Tag - Stores each book's tags and filters the list by tag
+ */
+const Tag = require("./Tag");
+
+/**
+ * BookRevision - Records each change to a book in its audit log
+ */
+const BookRevision = require("./BookRevision");
+
+/**
+ * bookValidator - The most tags and the largest cost a book may have, which
+ * bulk changes must respect too
+ */
+const { LIMITS } = require("../validators/bookValidator");
+
+/**
+ * money - Works out the new cost of a bulk cost adjustment
+ */
+const { adjustMinorUnits } = require("../utils/money");
+
+/**
+ * currency - Says how many decimal places each book's currency has, and
+ * converts the costs the list is filtered and sorted by
+ */
+const currency = require("../services/currency");
+
+/**
+ * bookEvents - Announces the books that were added, changed or deleted
+ */
+const bookEvents = require("../services/bookEvents");
 
 // CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
 // CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
 // CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
 
 /**
- * booksFilePath - The absolute path to the JSON file where book data is stored.
- * The path is constructed relative to the current directory (__dirname) to
- * ensure consistent file access regardless of where the application is started from.
+ * EDITABLE_FIELDS - The book fields that addBook and updateBook store. The
+ * ID, owner, status and timestamps are managed by this module itself.
+ * coverImage names an uploaded image stored by services/coverImages.js; it
+ * is left out of the audit log, as a replaced image's files are removed.
  */
-const booksFilePath = path.join(__dirname, "..", "data", "books.json");
+const EDITABLE_FIELDS = [
+  "title",
+  "author",
+  "costMinor",
+  "currency",
+  "shoppingUrl",
+  "isbn13",
+  "publisher",
+  "pageCount",
+  "coverUrl",
+  "coverImage",
+  "targetFinishDate",
+];
+
+/**
+ * LINK_CHECK_FIELDS - The results of the last shopping link check, which are
+ * cleared when the link changes so the new link is checked afresh
+ */
+const LINK_CHECK_FIELDS = {
+  linkStatus: null,
+  linkHttpStatus: null,
+  linkFinalUrl: null,
+  linkError: null,
+  linkCheckedAt: null,
+};
+
+/**
+ * SORT_EXPRESSIONS - How each sort option of searchBooks maps onto the table,
+ * given the search options. Text is compared case-insensitively so "apple"
+ * sorts next to "Apple", and costs in the currency the list is shown in.
+ */
+const SORT_EXPRESSIONS = {
+  added: () => col("createdAt"),
+  title: () => fn("lower", col("title")),
+  author: () => fn("lower", col("author")),
+  cost: (options) => costIn(options.currency),
+  rating: () => col("rating"),
+};
+
+/**
+ * NULLS_LAST_SORTS - The sorts that keep books without a value at the end of
+ * the list in both directions, so unrated books never crowd out the rated ones
+ */
+const NULLS_LAST_SORTS = new Set(["rating"]);
+
+/**
+ * BULK_ROLLBACK - Thrown inside bulkUpdate's transaction to undo every change
+ * once a book has failed; it never leaves this module
+ */
+const BULK_ROLLBACK = new Error("A bulk change failed and was rolled back");
 
 // HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
 // HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
 // HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
 
 /**
- * This helper function reads the books data from the JSON file and parses it
- * into a JavaScript array.
- * 
- * The function reads the file synchronously, which blocks the event loop until
- * the operation completes. This is acceptable for small files and infrequent
- * operations, but for larger datasets or high-traffic applications, an
- * asynchronous approach would be preferred.
- * 
- * @returns {Array} - An array of book objects parsed from the JSON file
+ * This helper function returns the Sequelize model for the books table.
+ *
+ * The model is looked up at call time rather than when this file is loaded,
+ * so the database connection only has to exist once a query is made.
+ *
+ * @returns {Object} - The Sequelize Book model
+ */
+function BookRecord() {
+  return db.model("Book");
+}
+
+/**
+ * This helper function returns the Sequelize model for the status change
+ * table that backs the timeline on the book page.
+ *
+ * @returns {Object} - The Sequelize StatusChange model
+ */
+function StatusChangeRecord() {
+  return db.model("StatusChange");
+}
+
+/**
+ * This helper function converts a Sequelize instance into a plain object.
+ *
+ * Handlebars refuses to read properties from class instances, so every book
+ * that leaves this module is converted first.
+ *
+ * @param {Object|null} record - A Sequelize Book instance, or null
+ * @returns {Object|null} - The book as a plain object, or null
  */
-function readBooks() {
-  // Read the raw JSON data from the file using UTF-8 encoding
-  const data = fs.readFileSync(booksFilePath, "utf-8");
-  
-  // Parse the JSON string into a JavaScript array of objects
-  return JSON.parse(data);
+function toPlain(record) {
+  return record ? record.get({ plain: true }) : null;
 }
 
 /**
- * This helper function writes the books array back to the JSON file.
- * 
- * The function converts the JavaScript array to a formatted JSON string and
- * writes it synchronously to the file. The 'null' and '2' parameters in
- * JSON.stringify are used to format the JSON with indentation for better
- * readability.
- * 
- * @param {Array} books - The array of book objects to be written to the JSON file
+ * This helper function converts Sequelize instances into plain objects that
+ * carry their tag names.
+ *
+ * @param {Array<Object>} records - Sequelize Book instances
+ * @returns {Promise<Array<Object>>} - The books as plain objects with "tags"
  */
-function writeBooks(books) {
-  // Convert the books array to a formatted JSON string with 2-space indentation
-  const jsonData = JSON.stringify(books, null, 2);
-  
-  // Write the JSON string to the file, overwriting any existing content
-  fs.writeFileSync(booksFilePath, jsonData);
+async function toPlainWithTags(records) {
+  return Tag.attachTags(records.map(toPlain));
+}
+
+/**
+ * This helper function converts one Sequelize instance into a plain object
+ * that carries its tag names.
+ *
+ * @param {Object|null} record - A Sequelize Book instance, or null
+ * @returns {Promise<Object|null>} - The book as a plain object with "tags", or null
+ */
+async function toPlainBookWithTags(record) {
+  if (!record) return null;
+  const [book] = await toPlainWithTags([record]);
+  return book;
+}
+
+/**
+ * This helper function converts a book a method has just changed into a
+ * plain object and announces the change on the book event bus.
+ *
+ * @param {String} type - The event type, e.g. "book.updated"
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object|null} record - The changed Sequelize Book instance, or null
+ *                               when the book was not found
+ * @returns {Promise<Object|null>} - The book as a plain object, or null
+ */
+async function publishChange(type, ownerId, record) {
+  const book = await toPlainBookWithTags(record);
+  if (book) bookEvents.publish(type, ownerId, book);
+  return book;
+}
+
+/**
+ * This helper function picks the editable fields out of a set of attributes,
+ * so callers cannot overwrite the ID, owner, status or timestamps by accident.
+ *
+ * @param {Object} attributes - The validated book details
+ * @returns {Object} - Only the fields listed in EDITABLE_FIELDS
+ */
+function pickEditable(attributes) {
+  const picked = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (attributes[field] !== undefined) picked[field] = attributes[field];
+  });
+  return picked;
+}
+
+/**
+ * This helper function finds one of a user's books by ID.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @param {Object} [options] - Extra Sequelize query options, e.g. a transaction
+ * @returns {Promise<Object|null>} - The Sequelize Book instance, or null when
+ *                                   the ID is invalid, unknown or someone else's
+ */
+async function findOwnedBook(ownerId, id, options = {}) {
+  // An unparseable ID can never match a row
+  if (!Number.isInteger(id)) return null;
+
+  return BookRecord().findOne({ where: { id, ownerId }, ...options });
+}
+
+/**
+ * This helper function inserts one book and the first entry of its status
+ * timeline inside the caller's transaction.
+ *
+ * @param {Number|null} ownerId - The ID of the user the book belongs to
+ * @param {Object} attributes - The validated book details, optionally with tags
+ * @param {Object} transaction - The Sequelize transaction to insert in
+ * @param {Object} [options] - How the book starts out
+ * @param {String} [options.status] - The status to start in, "to-read" when left out
+ * @param {Number} [options.id] - The ID to keep, for a book imported from the
+ *                                old JSON file; the database assigns one otherwise
+ * @param {Date} [options.createdAt] - When the book was added, now when left out
+ * @returns {Promise<Object>} - The created Sequelize Book instance
+ */
+async function createBook(
+  ownerId,
+  attributes,
+  transaction,
+  { status = ReadingStatus.INITIAL_STATUS, id, createdAt = new Date() } = {}
+) {
+  // Insert the new book, usually letting the database generate its ID. Both
+  // of its timestamps get the same moment, which is how the feeds tell a book
+  // that is unchanged since it was added from one that was updated
+  const created = await BookRecord().create(
+    {
+      ...pickEditable(attributes),
+      id,
+      ownerId,
+      status,
+      ...ReadingStatus.datesFor(status, createdAt),
+      createdAt,
+      updatedAt: createdAt,
+    },
+    { transaction, silent: true }
+  );
+
+  // Start the book's status timeline
+  await StatusChangeRecord().create(
+    { bookId: created.id, fromStatus: null, toStatus: status, changedAt: createdAt },
+    { transaction }
+  );
+
+  // Tag the book, if any tags were given
+  if (attributes.tags && attributes.tags.length) {
+    await Tag.setBookTags(ownerId, created.id, attributes.tags, transaction);
+  }
+
+  // Start the book's audit log
+  await BookRevision.recordRevision(
+    {
+      bookId: created.id,
+      actorId: ownerId,
+      action: "create",
+      before: null,
+      after: await BookRevision.snapshot(created, transaction),
+    },
+    transaction
+  );
+
+  return created;
+}
+
+/**
+ * This helper function saves new details over a book inside the caller's
+ * transaction. A new shopping URL clears the last link check, and a tags
+ * list replaces the book's tags.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object} record - The Sequelize Book instance
+ * @param {Object} attributes - The validated book details; fields that are
+ *                              left out keep their current values
+ * @param {Object} transaction - The Sequelize transaction to run in
+ */
+async function applyDetails(ownerId, record, attributes, transaction) {
+  // Replace the book's details, preserving the original ID, and forget the
+  // last link check when the shopping URL changes
+  const changes = pickEditable(attributes);
+  const linkChanged = changes.shoppingUrl !== undefined && changes.shoppingUrl !== record.shoppingUrl;
+  await record.update(linkChanged ? { ...changes, ...LINK_CHECK_FIELDS } : changes, { transaction });
+
+  // Replace its tags when a new list was given
+  if (attributes.tags) await Tag.setBookTags(ownerId, record.id, attributes.tags, transaction);
+}
+
+/**
+ * This helper function moves a book to a new reading status inside the
+ * caller's transaction, updating its started and finished dates and
+ * recording the change on its timeline and in its audit log. The move must
+ * have been checked with ReadingStatus.checkTransition.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object} record - The Sequelize Book instance
+ * @param {String} status - The status to move the book to
+ * @param {Object} transaction - The Sequelize transaction to run in
+ */
+async function moveToStatus(ownerId, record, status, transaction) {
+  const changedAt = new Date();
+  const fromStatus = record.status;
+  await BookRevision.recordChange(record, { actorId: ownerId, action: "status" }, transaction, () =>
+    record.update({ status, ...ReadingStatus.datesFor(status, changedAt) }, { transaction })
+  );
+  await StatusChangeRecord().create(
+    { bookId: record.id, fromStatus, toStatus: status, changedAt },
+    { transaction }
+  );
+}
+
+/**
+ * This helper function works out a book's cost after a bulk cost adjustment.
+ * The amount is read in the book's own currency.
+ *
+ * @param {Object} record - The Sequelize Book instance
+ * @param {Object} adjustment - { costMode, amount }, as from validateBulkAction
+ * @returns {Object} - { costMinor } with the new cost, or { problem } saying
+ *                     why this book's cost cannot be adjusted that way
+ */
+function adjustedCost(record, { costMode, amount }) {
+  // Only a new amount can be given to a book without a cost
+  if (record.costMinor === null && costMode !== "set") return { problem: "It has no cost to adjust." };
+
+  const digits = currency.fractionDigits(record.currency);
+  const costMinor = adjustMinorUnits(record.costMinor, { mode: costMode, amount }, digits);
+  if (Number.isNaN(costMinor)) {
+    const places = digits === 0 ? "no decimal places" : `at most ${digits} decimal places`;
+    return { problem: `Its cost is in ${record.currency}, which has ${places}.` };
+  }
+  if (costMinor < 0) return { problem: "Its cost cannot go below zero." };
+  if (costMinor > LIMITS.costMinor) return { problem: "Its cost would be too large." };
+  return { costMinor };
+}
+
+/**
+ * This helper function applies one bulk action to one book inside the
+ * caller's transaction, recording the change in the book's audit log and,
+ * for a status change, on its status timeline. A book that already is as the action would leave it,
+ * e.g. one that already carries the tag being added, is left alone.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object} record - The Sequelize Book instance
+ * @param {Object} change - The validated action, as from validateBulkAction
+ * @param {Object} transaction - The Sequelize transaction to run in
+ * @returns {Promise<String|null>} - Why the action cannot be applied to this
+ *                                   book, or null once it has been
+ */
+async function applyBulkChange(ownerId, record, change, transaction) {
+  const entry = { actorId: ownerId, action: change.action === "delete" ? "delete" : "update" };
+
+  // Moving to the trash
+  if (change.action === "delete") {
+    await BookRevision.recordChange(record, entry, transaction, () => record.destroy({ transaction }));
+    return null;
+  }
+
+  // Moving to another status, as far as the workflow allows
+  if (change.action === "status") {
+    const problem = ReadingStatus.checkTransition(record.status, change.status);
+    if (problem) return problem;
+    await moveToStatus(ownerId, record, change.status, transaction);
+    return null;
+  }
+
+  // Adjusting the cost
+  if (change.action === "cost") {
+    const { costMinor, problem } = adjustedCost(record, change);
+    if (problem) return problem;
+    await BookRevision.recordChange(record, entry, transaction, () =>
+      applyDetails(ownerId, record, { costMinor }, transaction)
+    );
+    return null;
+  }
+
+  // Adding or removing a tag, keeping the book's other tags
+  const [{ tags }] = await Tag.attachTags([{ id: record.id }], transaction);
+  const hasTag = tags.includes(change.tag);
+  if (change.action === "add-tag" ? hasTag : !hasTag) return null;
+  if (change.action === "add-tag" && tags.length >= LIMITS.tagsPerBook) {
+    return `It already has ${LIMITS.tagsPerBook} tags, the most a book can have.`;
+  }
+  const newTags = change.action === "add-tag" ? [...tags, change.tag] : tags.filter((tag) => tag !== change.tag);
+  await BookRevision.recordChange(record, entry, transaction, () =>
+    applyDetails(ownerId, record, { tags: newTags }, transaction)
+  );
+  return null;
+}
+
+/**
+ * This helper function builds the condition that matches one search word
+ * anywhere in the title or the author, ignoring case.
+ *
+ * instr() is used instead of LIKE so that "%" and "_" typed into the search
+ * box are matched literally rather than acting as wildcards.
+ *
+ * @param {String} word - A single search word
+ * @returns {Object} - A Sequelize where condition
+ */
+function matchesWord(word) {
+  const needle = word.toLowerCase();
+  return {
+    [Op.or]: ["title", "author"].map((column) =>
+      whereClause(fn("instr", fn("lower", col(column)), needle), Op.gt, 0)
+    ),
+  };
+}
+
+/**
+ * This helper function builds the SQL expression for a book's cost converted
+ * into one currency at the exchange-rate table's rates and rounded to its
+ * minor units, the way currency.convertMinor converts it. Costs in different
+ * currencies can only be compared this way: 1000 rupees are about 12 dollars,
+ * not 1000. A book without a cost has no converted cost either.
+ *
+ * @param {String} code - The currency to convert into, e.g. "USD"
+ * @returns {Object} - A Sequelize literal
+ */
+function costIn(code) {
+  const sequelize = db.connect();
+  const cases = currency
+    .listCurrencies()
+    .map((from) => `WHEN ${sequelize.escape(from)} THEN ROUND(costMinor * ${currency.minorUnitRate(from, code)})`);
+
+  return literal(`(CASE currency ${cases.join(" ")} END)`);
+}
+
+/**
+ * This helper function builds the where clause for searchBooks.
+ *
+ * @param {Number} ownerId - The ID of the user whose books are searched
+ * @param {Object} options - The search options described on searchBooks
+ * @returns {Object} - A Sequelize where clause
+ */
+function buildSearchWhere(ownerId, { q, status, tags, minCostMinor, maxCostMinor, currency: code }) {
+  // Only ever search the user's own books
+  const conditions = [{ ownerId }];
+
+  // Every search word must appear in the title or the author
+  (q || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => conditions.push(matchesWord(word)));
+
+  // Reading status
+  if (status) conditions.push({ status });
+
+  // Every chosen tag must be on the book
+  if (tags && tags.length) conditions.push(Tag.taggedWithAll(ownerId, tags));
+
+  // Cost range, inclusive at both ends, with every cost converted into the range's currency
+  if (minCostMinor !== null && minCostMinor !== undefined) {
+    conditions.push(whereClause(costIn(code), Op.gte, minCostMinor));
+  }
+  if (maxCostMinor !== null && maxCostMinor !== undefined) {
+    conditions.push(whereClause(costIn(code), Op.lte, maxCostMinor));
+  }
+
+  return { [Op.and]: conditions };
 }
 
 // PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
@@ -86,131 +520,456 @@ function writeBooks(books) {
 // PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
 
 /**
- * This function retrieves all books from the data store.
- * 
- * It uses the readBooks helper function to get the complete collection of
- * books from the JSON file.
- * 
- * @returns {Array} - An array containing all book objects in the data store
- */
-function getAllBooks() {
-  // Return all books from the data store
-  return readBooks();
-}
-
-/**
- * This function adds a new book to the data store with the provided details.
- * 
- * A unique ID for the new book is generated using the current timestamp.
- * This approach provides a simple way to generate unique IDs without external
- * dependencies, though it has limitations in high-concurrency environments.
- * 
- * @param {String} title - The title of the book
- * @param {String} author - The author of the book
- * @param {Number|String} cost - The cost of the book
- * @param {String} shoppingUrl - The URL where the book can be purchased
- * @returns {Object} - The newly created book object including its generated ID
- */
-function addBook(title, author, cost, shoppingUrl) {
-  // Get the current collection of books
-  const books = readBooks();
-  
-  // Create a new book object with a timestamp-based ID and the provided details
-  const newBook = { 
-    id: Date.now(), // Using timestamp as a simple unique ID
-    title, 
-    author, 
-    cost, 
-    shoppingUrl 
-  };
-  
-  // Add the new book to the collection
-  books.push(newBook);
-  
-  // Save the updated collection back to the data store
-  writeBooks(books);
-  
-  // Return the newly created book object
-  return newBook;
-}
-
-/**
- * This function retrieves a specific book from the data store by its ID.
- * 
- * It searches the collection for a book with a matching ID and returns it
- * if found, or undefined if no match is found.
- * 
+ * This function retrieves all of a user's books, oldest first.
+ *
+ * @param {Number} ownerId - The ID of the user whose books to return
+ * @param {Object} [filter] - Optional filter
+ * @param {String} [filter.status] - Only return books with this reading status
+ * @returns {Promise<Array>} - An array containing all matching book objects
+ */
+async function getAllBooks(ownerId, filter = {}) {
+  // Narrow the query to one reading status when asked to
+  const where = { ownerId };
+  if (filter.status) where.status = filter.status;
+
+  // Read every matching book in the order they were added
+  const records = await BookRecord().findAll({
+    where,
+    order: [
+      ["createdAt", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  // Return the books as plain objects
+  return toPlainWithTags(records);
+}
+
+/**
+ * This function retrieves the books a user added or changed most recently,
+ * for the feeds of their reading activity.
+ *
+ * @param {Number} ownerId - The ID of the user whose books to return
+ * @param {Number} limit - The most books to return
+ * @returns {Promise<Array>} - The books, most recently changed first
+ */
+async function getRecentlyChangedBooks(ownerId, limit) {
+  const records = await BookRecord().findAll({
+    where: { ownerId },
+    order: [
+      ["updatedAt", "DESC"],
+      ["id", "DESC"],
+    ],
+    limit,
+  });
+
+  return toPlainWithTags(records);
+}
+
+/**
+ * This function searches, filters, sorts and paginates a user's books.
+ *
+ * @param {Number} ownerId - The ID of the user whose books are searched
+ * @param {Object} options - The list options, as produced by parseBookListQuery
+ * @param {String} [options.q] - Words that must all appear in the title or author
+ * @param {String} [options.status] - Only books with this reading status
+ * @param {Array<String>} [options.tags] - Only books carrying all of these tags
+ * @param {Number|null} [options.minCostMinor] - Lowest cost to include, in minor units
+ * @param {Number|null} [options.maxCostMinor] - Highest cost to include, in minor units
+ * @param {String} [options.currency] - The currency of the cost range, which
+ *                                      the costs are also sorted in; the
+ *                                      default currency when left out
+ * @param {String} [options.sort] - "added", "title", "author", "cost" or "rating"
+ * @param {String} [options.order] - "asc" or "desc"
+ * @param {Number} [options.page] - The page to return, starting at 1
+ * @param {Number} [options.pageSize] - How many books a page holds
+ * @returns {Promise<Object>} - { books, total }: the books on the requested
+ *                              page and the number of matches on all pages
+ */
+async function searchBooks(ownerId, options = {}) {
+  const { sort = "added", order = "asc", page = 1, pageSize = 12 } = options;
+  const search = { ...options, currency: options.currency || currency.defaultCurrency() };
+  const direction = order === "desc" ? "DESC" : "ASC";
+  const sortExpression = (SORT_EXPRESSIONS[sort] || SORT_EXPRESSIONS.added)(search);
+  const sortDirection = NULLS_LAST_SORTS.has(sort) ? `${direction} NULLS LAST` : direction;
+
+  // Count every match and fetch just the requested page
+  const { rows, count } = await BookRecord().findAndCountAll({
+    where: buildSearchWhere(ownerId, search),
+    // Sort by ID as well, so books with equal values keep a stable order
+    order: [
+      [sortExpression, sortDirection],
+      ["id", direction],
+    ],
+    limit: pageSize,
+    offset: (page - 1) * pageSize,
+  });
+
+  return { books: await toPlainWithTags(rows), total: count };
+}
+
+/**
+ * This function counts a user's books in each reading status, for the tabs
+ * on the home page.
+ *
+ * @param {Number} ownerId - The ID of the user whose books are counted
+ * @returns {Promise<Object>} - The number of books per status, plus "all"
+ */
+async function countBooksByStatus(ownerId) {
+  // Start every status at zero so empty tabs still show a count
+  const counts = { all: 0 };
+  ReadingStatus.STATUSES.forEach((status) => {
+    counts[status] = 0;
+  });
+
+  // Group the books by status and add up the totals
+  const rows = await BookRecord().count({ where: { ownerId }, group: ["status"] });
+  rows.forEach(({ status, count }) => {
+    counts[status] = count;
+    counts.all += count;
+  });
+
+  return counts;
+}
+
+/**
+ * This function adds a new book to a user's list with the provided details.
+ *
+ * The database assigns the new book's ID, so two books added at the same
+ * moment can no longer collide the way timestamp-based IDs could. Every new
+ * book starts out as "to-read", which is recorded as the first entry of its
+ * status timeline.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object} attributes - The validated book details, as produced by
+ *                              validateBook: title, author, costMinor,
+ *                              currency, shoppingUrl, isbn13, publisher,
+ *                              pageCount, coverUrl, targetFinishDate and
+ *                              optionally tags, plus the coverImage of an
+ *                              uploaded cover
+ * @returns {Promise<Object>} - The newly created book object including its generated ID
+ */
+async function addBook(ownerId, attributes) {
+  // Insert the book and its first timeline entry together
+  const record = await db.transaction((transaction) => createBook(ownerId, attributes, transaction));
+
+  // Announce the new book and return it
+  return publishChange("book.created", ownerId, record);
+}
+
+/**
+ * This function adds many books in a single transaction, for the CSV import.
+ * Either every book is added or, if any insert fails, none of them are.
+ *
+ * Each entry may carry a "status" so that imported books can start out as
+ * "reading" or "finished"; the status becomes the first entry of the book's
+ * timeline, with the matching started/finished date. Without one the book
+ * starts as "to-read", as with addBook.
+ *
+ * @param {Number} ownerId - The ID of the user the books belong to
+ * @param {Array<Object>} entries - The validated book details, each as
+ *                                  accepted by addBook plus an optional status
+ * @returns {Promise<Array>} - The newly created book objects, in the given order
+ */
+async function addBooks(ownerId, entries) {
+  const records = await db.transaction(async (transaction) => {
+    const created = [];
+    // Insert one at a time so the books keep the order of the file
+    for (const entry of entries) {
+      created.push(await createBook(ownerId, entry, transaction, { status: entry.status }));
+    }
+    return created;
+  });
+  const books = await toPlainWithTags(records);
+
+  // Announce the new books and return them
+  books.forEach((book) => bookEvents.publish("book.created", ownerId, book));
+  return books;
+}
+
+/**
+ * This function adds the books of the old JSON file, for the one-time import
+ * script (scripts/import-books-json.js). Each book is added like addBook
+ * adds one, with its status timeline and audit log, but keeps its original
+ * ID and creation date so existing /book/:id links continue to work.
+ *
+ * A book whose ID is already taken, even by a book in the trash, is skipped,
+ * which makes it safe to import the same file more than once. Either every
+ * other book is added or, if any insert fails, none of them are. No events
+ * are announced: the script runs outside the server.
+ *
+ * @param {Number|null} ownerId - The ID of the user the books belong to, or
+ *                                null to leave them for the first account
+ * @param {Array<Object>} entries - The validated book details, each as
+ *                                  accepted by addBook plus the book's "id"
+ *                                  and "createdAt"
+ * @returns {Promise<Object>} - { imported, skipped }: how many books were
+ *                              added and how many were already there
+ */
+async function importLegacyBooks(ownerId, entries) {
+  const summary = { imported: 0, skipped: 0 };
+
+  await db.transaction(async (transaction) => {
+    for (const { id, createdAt, ...attributes } of entries) {
+      if (id !== undefined && (await BookRecord().findByPk(id, { transaction, paranoid: false }))) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      await createBook(ownerId, attributes, transaction, { id, createdAt });
+      summary.imported += 1;
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * This function retrieves one of a user's books by its ID.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
  * @param {Number} id - The unique identifier of the book to retrieve
- * @returns {Object|undefined} - The matching book object, or undefined if no match is found
+ * @returns {Promise<Object|undefined>} - The matching book object, or undefined if no match is found
  */
-function getBookById(id) {
-  // Get the current collection of books
-  const books = readBooks();
-  
-  // Find and return the book with the matching ID
-  return books.find((book) => book.id === id);
+async function getBookById(ownerId, id) {
+  // Find the user's book with the matching ID
+  const record = await findOwnedBook(ownerId, id);
+
+  // Return the book, keeping the old "undefined when missing" contract
+  return (await toPlainBookWithTags(record)) || undefined;
 }
 
 /**
- * This function updates an existing book in the data store with new details.
- * 
- * It finds the book with the specified ID, replaces its details with the
- * provided values, and saves the updated collection back to the data store.
- * 
+ * This function updates one of a user's books with new details.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
  * @param {Number} id - The unique identifier of the book to update
- * @param {String} title - The new title for the book
- * @param {String} author - The new author for the book
- * @param {Number|String} cost - The new cost for the book
- * @param {String} shoppingUrl - The new shopping URL for the book
- * @returns {Object|null} - The updated book object, or null if no book with the specified ID was found
- */
-function updateBook(id, title, author, cost, shoppingUrl) {
-  // Get the current collection of books
-  const books = readBooks();
-  
-  // Find the index of the book with the specified ID
-  const bookIndex = books.findIndex((book) => book.id === id);
-  
-  // If no matching book was found, return null
-  if (bookIndex === -1) return null;
-  
-  // Create an updated book object, preserving the original ID
-  books[bookIndex] = { id, title, author, cost, shoppingUrl };
-  
-  // Save the updated collection back to the data store
-  writeBooks(books);
-  
-  // Return the updated book object
-  return books[bookIndex];
-}
-
-/**
- * This function removes a book from the data store by its ID.
- * 
- * It finds the book with the specified ID, removes it from the collection,
- * and saves the updated collection back to the data store.
- * 
+ * @param {Object} attributes - The validated book details, as produced by
+ *                              validateBook; fields that are left out keep
+ *                              their current values, and so do the tags
+ *                              when there is no tags list. A new shopping
+ *                              URL clears the last link check
+ * @returns {Promise<Object|null>} - The updated book object, or null if no book with the specified ID was found
+ */
+async function updateBook(ownerId, id, attributes) {
+  const record = await db.transaction(async (transaction) => {
+    // Find the user's book with the specified ID
+    const found = await findOwnedBook(ownerId, id, { transaction });
+
+    // If no matching book was found, return null
+    if (!found) return null;
+
+    // Save the new details and record what changed
+    await BookRevision.recordChange(found, { actorId: ownerId, action: "update" }, transaction, () =>
+      applyDetails(ownerId, found, attributes, transaction)
+    );
+
+    return found;
+  });
+
+  // Announce the change and return the updated book object
+  return publishChange("book.updated", ownerId, record);
+}
+
+/**
+ * This function saves the rating and review of one of a user's books. Both
+ * are kept apart from the other details so that editing a book never
+ * touches its review.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @param {Object} values - The validated review, as produced by
+ *                          validateReview: rating and review, each null to clear it
+ * @returns {Promise<Object|null>} - The updated book object, or null if no book with the specified ID was found
+ */
+async function reviewBook(ownerId, id, values) {
+  const record = await db.transaction(async (transaction) => {
+    const found = await findOwnedBook(ownerId, id, { transaction });
+    if (!found) return null;
+
+    await BookRevision.recordChange(found, { actorId: ownerId, action: "update" }, transaction, () =>
+      found.update({ rating: values.rating, review: values.review }, { transaction })
+    );
+    return found;
+  });
+
+  return publishChange("book.updated", ownerId, record);
+}
+
+/**
+ * This function moves one of a user's books to the trash. The book keeps its
+ * tags, shelves, sessions and notes, so it can be restored as it was; the
+ * Trash model restores and purges it.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
  * @param {Number} id - The unique identifier of the book to delete
- * @returns {Object|null} - The deleted book object, or null if no book with the specified ID was found
- */
-function deleteBook(id) {
-  // Get the current collection of books
-  const books = readBooks();
-  
-  // Find the index of the book with the specified ID
-  const bookIndex = books.findIndex((book) => book.id === id);
-  
-  // If no matching book was found, return null
-  if (bookIndex === -1) return null;
-  
-  // Remove the book from the collection and capture the removed book
-  const deletedBook = books.splice(bookIndex, 1)[0];
-  
-  // Save the updated collection back to the data store
-  writeBooks(books);
-  
-  // Return the deleted book object
-  return deletedBook;
+ * @returns {Promise<Object|null>} - The deleted book object, or null if no book with the specified ID was found
+ */
+async function deleteBook(ownerId, id) {
+  const record = await db.transaction(async (transaction) => {
+    // Find the user's book with the specified ID
+    const found = await findOwnedBook(ownerId, id, { transaction });
+
+    // If no matching book was found, return null
+    if (!found) return null;
+
+    // Stamp its deletion time, which hides it everywhere but the trash
+    await BookRevision.recordChange(found, { actorId: ownerId, action: "delete" }, transaction, () =>
+      found.destroy({ transaction })
+    );
+
+    return found;
+  });
+
+  // Announce the deletion and return the deleted book object
+  return publishChange("book.deleted", ownerId, record);
+}
+
+/**
+ * This function brings back the details one of a user's books had after an
+ * earlier revision: the editable fields, tags, rating and review. The revert
+ * is itself recorded as a new revision, so it can be undone the same way.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @param {Number} revisionId - The unique identifier of the revision to go back to
+ * @returns {Promise<Object|null>} - The updated book object, or null if the
+ *                                   user has no such book or it has no such revision
+ */
+async function revertBook(ownerId, id, revisionId) {
+  const record = await db.transaction(async (transaction) => {
+    // Find the user's book and the revision to go back to
+    const found = await findOwnedBook(ownerId, id, { transaction });
+    if (!found) return null;
+    const revision = await BookRevision.getRevision(id, revisionId, transaction);
+    if (!revision) return null;
+
+    // Save the revision's details over the book and record the revert; the
+    // reading progress in the snapshot is not editable and stays as it is
+    const { tags, rating, review, ...details } = revision.snapshot;
+    const entry = { actorId: ownerId, action: "revert", revertedToId: revision.id };
+    await BookRevision.recordChange(found, entry, transaction, async () => {
+      await applyDetails(ownerId, found, { ...details, tags }, transaction);
+      await found.update({ rating, review }, { transaction });
+    });
+
+    return found;
+  });
+
+  // Announce the change and return the updated book object
+  return publishChange("book.updated", ownerId, record);
+}
+
+/**
+ * This function moves a book to a new reading status, updating its started
+ * and finished dates and recording the change on its timeline.
+ *
+ * Callers are expected to check the move with ReadingStatus.checkTransition
+ * first so they can show a friendly message; this function checks again and
+ * throws if the move is not allowed, so the workflow cannot be bypassed.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @param {String} status - The status to move the book to
+ * @returns {Promise<Object|null>} - The updated book object, or null if no book with the specified ID was found
+ * @throws {Error} - With code "INVALID_STATUS_TRANSITION" when the move is not allowed
+ */
+async function changeStatus(ownerId, id, status) {
+  const record = await db.transaction(async (transaction) => {
+    // Find the user's book with the specified ID
+    const found = await findOwnedBook(ownerId, id, { transaction });
+    if (!found) return null;
+
+    // Refuse moves the workflow does not allow
+    const problem = ReadingStatus.checkTransition(found.status, status);
+    if (problem) {
+      const error = new Error(problem);
+      error.code = "INVALID_STATUS_TRANSITION";
+      throw error;
+    }
+
+    // Update the status and its dates, then record the change
+    await moveToStatus(ownerId, found, status, transaction);
+
+    return found;
+  });
+
+  // Announce the change and return the updated book object
+  return publishChange("book.updated", ownerId, record);
+}
+
+/**
+ * This function applies one action from the bulk action bar to many of a
+ * user's books at once: moving them to the trash, changing their status,
+ * adding or removing a tag, or adjusting their cost.
+ *
+ * The changes are all-or-nothing. Every book is tried, so that each one
+ * that cannot be changed is reported, but if any of them fails the whole
+ * transaction is rolled back and no book is changed.
+ *
+ * @param {Number} ownerId - The ID of the user the books must belong to
+ * @param {Array<Number>} ids - The unique identifiers of the books
+ * @param {Object} change - The validated action, as produced by
+ *                          validateBulkAction: action plus status; tag; or
+ *                          costMode and amount
+ * @returns {Promise<Object>} - { books, failures }: the changed book objects,
+ *                              in the given order, and an empty list; or no
+ *                              books and a { id, title, message } entry for
+ *                              each book that could not be changed, where
+ *                              title is null for a missing book
+ */
+async function bulkUpdate(ownerId, ids, change) {
+  const failures = [];
+
+  try {
+    const records = await db.transaction(async (transaction) => {
+      const changed = [];
+      for (const id of ids) {
+        // A book owned by someone else fails just like a missing one
+        const found = await findOwnedBook(ownerId, id, { transaction });
+        const problem = found ? await applyBulkChange(ownerId, found, change, transaction) : "Book not found.";
+
+        if (problem) failures.push({ id, title: found ? found.title : null, message: problem });
+        else changed.push(found);
+      }
+
+      // One failure undoes the changes made to every other book
+      if (failures.length) throw BULK_ROLLBACK;
+      return changed;
+    });
+
+    // Announce the changes and return the changed book objects
+    const books = await toPlainWithTags(records);
+    const type = change.action === "delete" ? "book.deleted" : "book.updated";
+    books.forEach((book) => bookEvents.publish(type, ownerId, book));
+    return { books, failures };
+  } catch (error) {
+    if (error === BULK_ROLLBACK) return { books: [], failures };
+    throw error;
+  }
+}
+
+/**
+ * This function retrieves the status timeline of one of a user's books,
+ * oldest change first.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @returns {Promise<Array>} - The book's status changes as plain objects
+ */
+async function getStatusHistory(ownerId, id) {
+  // A book the user does not own has no history they can see
+  if (!(await findOwnedBook(ownerId, id))) return [];
+
+  const records = await StatusChangeRecord().findAll({
+    where: { bookId: id },
+    order: [
+      ["changedAt", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  return records.map(toPlain);
 }
 
 // MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
@@ -222,8 +981,18 @@ function deleteBook(id) {
  */
 module.exports = {
   getAllBooks,
+  getRecentlyChangedBooks,
+  searchBooks,
+  countBooksByStatus,
   addBook,
+  addBooks,
+  importLegacyBooks,
   getBookById,
   updateBook,
+  reviewBook,
   deleteBook,
-};
\ No newline at end of file
+  revertBook,
+  changeStatus,
+  bulkUpdate,
+  getStatusHistory,
+};
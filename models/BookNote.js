@@ -0,0 +1,115 @@
+/**
+ * File Purpose:
+ * This file implements the BookNote model, the data access layer for the
+ * private notes and quotes users write down for their books.
+ *
+ * Model Purpose:
+ * Notes are only ever shown to the user who owns the book. Like the Book
+ * model, every function takes the ID of the user it acts for as its first
+ * argument, and a book owned by someone else is treated exactly like a
+ * missing one.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the book_notes table.
+ *
+ * @returns {Object} - The Sequelize BookNote model
+ */
+function BookNoteRecord() {
+  return db.model("BookNote");
+}
+
+/**
+ * This helper function checks that a book exists and belongs to a user.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Boolean>} - Whether the user owns the book
+ */
+async function ownsBook(ownerId, bookId) {
+  if (!Number.isInteger(bookId)) return false;
+  return (await db.model("Book").count({ where: { id: bookId, ownerId } })) > 0;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function adds a note or quote to one of a user's books.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @param {Object} values - The validated note, as produced by validateNote:
+ *                          kind, body and page
+ * @returns {Promise<Object|null>} - The new note, or null if the book was not found
+ */
+async function addNote(ownerId, bookId, values) {
+  if (!(await ownsBook(ownerId, bookId))) return null;
+
+  const record = await BookNoteRecord().create({ bookId, kind: values.kind, body: values.body, page: values.page });
+  return record.get({ plain: true });
+}
+
+/**
+ * This function removes a note from one of a user's books.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @param {Number} noteId - The unique identifier of the note
+ * @returns {Promise<Boolean>} - false if the book or the note was not found
+ */
+async function deleteNote(ownerId, bookId, noteId) {
+  if (!Number.isInteger(noteId) || !(await ownsBook(ownerId, bookId))) return false;
+  return (await BookNoteRecord().destroy({ where: { id: noteId, bookId } })) > 0;
+}
+
+/**
+ * This function retrieves the notes of one of a user's books in reading
+ * order: by page, with the notes about the whole book after them, and the
+ * notes on one page oldest first.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Array>} - The notes as plain objects
+ */
+async function getNotesForBook(ownerId, bookId) {
+  if (!(await ownsBook(ownerId, bookId))) return [];
+
+  const records = await BookNoteRecord().findAll({
+    where: { bookId },
+    order: [
+      ["page", "ASC NULLS LAST"],
+      ["createdAt", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+  return records.map((record) => record.get({ plain: true }));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the note functions for the controllers
+ */
+module.exports = {
+  addNote,
+  deleteNote,
+  getNotesForBook,
+};
@@ -0,0 +1,243 @@
+/**
+ * File Purpose:
+ * This file implements the BookRevision model, the data access layer for
+ * the audit log kept for every book.
+ *
+ * Model Purpose:
+ * Every time a book is created, edited, reviewed, deleted, restored or
+ * reverted, moves to another reading status or has its current page moved by
+ * a logged reading session, the Book, Trash and ReadingSession models record
+ * a revision here inside the same transaction as the change. A revision
+ * holds who made the change and when, a field-level diff of what changed,
+ * and a snapshot of every tracked field afterwards.
+ *
+ * Reverting to a revision brings back its details (TRACKED_FIELDS and the
+ * tags) but not its reading progress (PROGRESS_FIELDS): the status only
+ * moves through the status workflow, and the current page always follows the
+ * logged sessions.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+/**
+ * Tag - Reads each book's tag names for the snapshots
+ */
+const Tag = require("./Tag");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * TRACKED_FIELDS - The book details each snapshot holds and a revert brings
+ * back, besides the tags
+ */
+const TRACKED_FIELDS = [
+  "title",
+  "author",
+  "costMinor",
+  "currency",
+  "shoppingUrl",
+  "isbn13",
+  "publisher",
+  "pageCount",
+  "coverUrl",
+  "targetFinishDate",
+  "rating",
+  "review",
+];
+
+/**
+ * PROGRESS_FIELDS - The reading progress columns each snapshot also holds.
+ * They are shown in the history but never brought back by a revert.
+ */
+const PROGRESS_FIELDS = ["status", "currentPage"];
+
+/**
+ * QUIET_ACTIONS - The kinds of change that are not recorded when they left
+ * every field as it was
+ */
+const QUIET_ACTIONS = ["update", "status", "progress"];
+
+/**
+ * NEW_BOOK - The values a new book is compared with: it starts on page 0,
+ * which is not worth showing as a change
+ */
+const NEW_BOOK = { currentPage: 0 };
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the revisions table.
+ *
+ * @returns {Object} - The Sequelize BookRevision model
+ */
+function RevisionRecord() {
+  return db.model("BookRevision");
+}
+
+/**
+ * This helper function works out which fields differ between two snapshots.
+ * Empty text and a missing value count as the same.
+ *
+ * @param {Object|null} before - The snapshot before the change, or null for a new book
+ * @param {Object} after - The snapshot after the change
+ * @returns {Object} - The changed fields, each as { from, to }
+ */
+function diffSnapshots(before, after) {
+  const changes = {};
+  const normalize = (value) => (value === undefined || value === "" ? null : value);
+
+  [...TRACKED_FIELDS, ...PROGRESS_FIELDS, "tags"].forEach((field) => {
+    const from = normalize((before || NEW_BOOK)[field]);
+    const to = normalize(after[field]);
+    const same = field === "tags" ? (from || []).join("\n") === (to || []).join("\n") : from === to;
+    if (!same) changes[field] = { from, to };
+  });
+  return changes;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function takes a snapshot of a book's tracked fields, reading progress
+ * and tags.
+ *
+ * @param {Object} record - The Sequelize Book instance
+ * @param {Object} [transaction] - The Sequelize transaction to read the tags in
+ * @returns {Promise<Object>} - The tracked and progress fields and a sorted "tags" array
+ */
+async function snapshot(record, transaction) {
+  const values = { id: record.id };
+  [...TRACKED_FIELDS, ...PROGRESS_FIELDS].forEach((field) => {
+    values[field] = record.get(field) === undefined ? null : record.get(field);
+  });
+
+  const [withTags] = await Tag.attachTags([values], transaction);
+  const { id, ...tracked } = withTags;
+  return tracked;
+}
+
+/**
+ * This function records a revision of a book inside the caller's
+ * transaction. An update, status change or progress update that changed
+ * nothing is not recorded.
+ *
+ * @param {Object} entry - What happened
+ * @param {Number} entry.bookId - The book that was changed
+ * @param {Number} entry.actorId - The user who made the change
+ * @param {String} entry.action - "create", "update", "delete", "restore",
+ *                                "revert", "status" or "progress"
+ * @param {Object|null} entry.before - The snapshot before the change, or null for a new book
+ * @param {Object} entry.after - The snapshot after the change
+ * @param {Number} [entry.revertedToId] - For a revert, the revision brought back
+ * @param {Object} transaction - The Sequelize transaction to insert in
+ * @returns {Promise<Object|null>} - The revision as a plain object, or null
+ *                                   when there was nothing to record
+ */
+async function recordRevision({ bookId, actorId, action, before, after, revertedToId = null }, transaction) {
+  const changes = diffSnapshots(before, after);
+  if (QUIET_ACTIONS.includes(action) && !Object.keys(changes).length) return null;
+
+  const record = await RevisionRecord().create(
+    { bookId, actorId, action, changes, snapshot: after, revertedToId, createdAt: new Date() },
+    { transaction }
+  );
+  return record.get({ plain: true });
+}
+
+/**
+ * This function makes a change to a book inside the caller's transaction and
+ * records it as a revision, with snapshots taken before and after.
+ *
+ * @param {Object} record - The Sequelize Book instance being changed
+ * @param {Object} entry - Who is making the change and what kind it is
+ * @param {Number} entry.actorId - The user making the change
+ * @param {String} entry.action - "update", "delete", "restore", "revert",
+ *                                "status" or "progress"
+ * @param {Number} [entry.revertedToId] - For a revert, the revision brought back
+ * @param {Object} transaction - The Sequelize transaction to run in
+ * @param {Function} change - Makes the change; may return a promise
+ * @returns {Promise<Object|null>} - The revision, as from recordRevision
+ */
+async function recordChange(record, { actorId, action, revertedToId }, transaction, change) {
+  const before = await snapshot(record, transaction);
+  await change();
+  const after = await snapshot(record, transaction);
+  return recordRevision({ bookId: record.id, actorId, action, before, after, revertedToId }, transaction);
+}
+
+/**
+ * This function lists the revisions of one of a user's books, newest first,
+ * each with the email of the user who made it.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Array<Object>>} - The revisions as plain objects, each with
+ *                                     "actorEmail"; empty for someone else's book
+ */
+async function getRevisions(ownerId, bookId) {
+  const records = await RevisionRecord().findAll({
+    where: { bookId },
+    include: [
+      { model: db.model("Book"), attributes: [], where: { ownerId }, required: true },
+      { model: db.model("User"), as: "actor", attributes: ["email"] },
+    ],
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+
+  return records.map((record) => {
+    const { actor, ...revision } = record.get({ plain: true });
+    return { ...revision, actorEmail: actor ? actor.email : null };
+  });
+}
+
+/**
+ * This function finds one revision of a book.
+ *
+ * @param {Number} bookId - The unique identifier of the book, whose owner the
+ *                          caller has already checked
+ * @param {Number} revisionId - The unique identifier of the revision
+ * @param {Object} [transaction] - The Sequelize transaction to read in
+ * @returns {Promise<Object|null>} - The revision as a plain object, or null
+ *                                   when the book has no such revision
+ */
+async function getRevision(bookId, revisionId, transaction) {
+  if (!Number.isInteger(revisionId)) return null;
+
+  const record = await RevisionRecord().findOne({ where: { id: revisionId, bookId }, transaction });
+  return record ? record.get({ plain: true }) : null;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the revision functions for the Book, Trash and ReadingSession models
+ * and the book page
+ */
+module.exports = {
+  TRACKED_FIELDS,
+  PROGRESS_FIELDS,
+  snapshot,
+  recordRevision,
+  recordChange,
+  getRevisions,
+  getRevision,
+};
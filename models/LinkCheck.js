@@ -0,0 +1,185 @@
+/**
+ * File Purpose:
+ * This file implements the LinkCheck model, the data access layer for the
+ * results of the shopping link checks stored on each book.
+ *
+ * Model Purpose:
+ * Unlike the other models, these functions work across every user's books:
+ * the background link check and the admin page look after all links at
+ * once. They are not used by anything a regular user can reach.
+ *
+ * A result is saved only while the book still has the link that was checked,
+ * so a check that finishes after the user changed the link never marks the
+ * new link with the old link's result.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Sequelize - Query operators and SQL function builders
+ */
+const { Op, fn, col } = require("sequelize");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * HAS_LINK - Matches the books that have a shopping link
+ */
+const HAS_LINK = { shoppingUrl: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: "" }] } };
+
+/**
+ * REPORT_FIELDS - The book fields the admin page shows for each link
+ */
+const REPORT_FIELDS = [
+  "id",
+  "title",
+  "shoppingUrl",
+  "linkStatus",
+  "linkHttpStatus",
+  "linkFinalUrl",
+  "linkError",
+  "linkCheckedAt",
+];
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the books table.
+ *
+ * @returns {Object} - The Sequelize Book model
+ */
+function BookRecord() {
+  return db.model("Book");
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function finds the links that are due for a check: the ones never
+ * checked first, then the ones checked longest ago.
+ *
+ * @param {Object} [options] - Which links to return
+ * @param {Date} [options.checkedBefore] - Only links last checked before this
+ *                                         moment; leave out to return every link
+ * @param {Array<Number>} [options.bookIds] - Only the links of these books
+ * @param {Number} [options.limit] - The most links to return
+ * @returns {Promise<Array<Object>>} - A list of { bookId, url }
+ */
+async function linksDueForCheck({ checkedBefore, bookIds, limit } = {}) {
+  const where = { ...HAS_LINK };
+  if (checkedBefore) {
+    where[Op.or] = [{ linkCheckedAt: null }, { linkCheckedAt: { [Op.lt]: checkedBefore } }];
+  }
+  if (bookIds) where.id = bookIds;
+
+  // SQLite sorts nulls first, so unchecked links come before stale ones
+  const records = await BookRecord().findAll({
+    attributes: ["id", "shoppingUrl"],
+    where,
+    order: [
+      ["linkCheckedAt", "ASC"],
+      ["id", "ASC"],
+    ],
+    limit,
+  });
+  return records.map((record) => ({ bookId: record.id, url: record.shoppingUrl }));
+}
+
+/**
+ * This function saves the result of checking a book's link.
+ *
+ * @param {Number} bookId - The unique identifier of the book
+ * @param {String} url - The link that was checked
+ * @param {Object} result - The result from the link checker: status,
+ *                          httpStatus, finalUrl, error and checkedAt
+ * @returns {Promise<Boolean>} - false when the book is gone or its link has
+ *                               changed since the check started
+ */
+async function recordResult(bookId, url, result) {
+  const [updated] = await BookRecord().update(
+    {
+      linkStatus: result.status,
+      linkHttpStatus: result.httpStatus,
+      linkFinalUrl: result.finalUrl,
+      linkError: result.error,
+      linkCheckedAt: result.checkedAt,
+    },
+    { where: { id: bookId, shoppingUrl: url }, silent: true }
+  );
+  return updated > 0;
+}
+
+/**
+ * This function counts the links by the result of their last check.
+ *
+ * @returns {Promise<Object>} - { total, unchecked, ok, broken, unreachable }
+ */
+async function countByStatus() {
+  const rows = await BookRecord().findAll({
+    attributes: ["linkStatus", [fn("COUNT", col("id")), "count"]],
+    where: HAS_LINK,
+    group: ["linkStatus"],
+    raw: true,
+  });
+
+  // Start every status at zero so the page can show all of them
+  const counts = { total: 0, unchecked: 0, ok: 0, broken: 0, unreachable: 0 };
+  rows.forEach((row) => {
+    const key = row.linkStatus || "unchecked";
+    counts[key] = (counts[key] || 0) + Number(row.count);
+    counts.total += Number(row.count);
+  });
+  return counts;
+}
+
+/**
+ * This function lists the links whose last check failed, with the email of
+ * the user whose book each one is on, most recently checked first.
+ *
+ * @returns {Promise<Array<Object>>} - The books as plain objects, each with
+ *                                     the REPORT_FIELDS and "ownerEmail"
+ */
+async function listFailedLinks() {
+  const records = await BookRecord().findAll({
+    attributes: REPORT_FIELDS,
+    where: { ...HAS_LINK, linkStatus: ["broken", "unreachable"] },
+    include: [{ model: db.model("User"), as: "owner", attributes: ["email"] }],
+    order: [
+      ["linkCheckedAt", "DESC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  return records.map((record) => {
+    const { owner, ...book } = record.get({ plain: true });
+    return { ...book, ownerEmail: owner ? owner.email : null };
+  });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the link check functions for the background job and the admin page
+ */
+module.exports = {
+  linksDueForCheck,
+  recordResult,
+  countByStatus,
+  listFailedLinks,
+};
@@ -0,0 +1,181 @@
+/**
+ * File Purpose:
+ * This file implements the ReadingSession model, the data access layer for
+ * the reading sessions users log against their books.
+ *
+ * Model Purpose:
+ * Every logged session also moves the book's current page: a book's
+ * currentPage is the total of the pages logged for it, never more than its
+ * page count. It is recalculated whenever a session is added or removed, so
+ * removing a mistyped session puts the book back where it was. Each move of
+ * the current page is recorded in the book's audit log (see BookRevision).
+ *
+ * Like the Book model, every function takes the ID of the user it acts for
+ * as its first argument, and a book owned by someone else is treated exactly
+ * like a missing one.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+/**
+ * BookRevision - Records each move of a book's current page in its audit log
+ */
+const BookRevision = require("./BookRevision");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the reading_sessions table.
+ *
+ * @returns {Object} - The Sequelize ReadingSession model
+ */
+function ReadingSessionRecord() {
+  return db.model("ReadingSession");
+}
+
+/**
+ * This helper function finds one of a user's books by ID.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @param {Object} [transaction] - The Sequelize transaction to run in
+ * @returns {Promise<Object|null>} - The Sequelize Book instance, or null
+ */
+async function findOwnedBook(ownerId, bookId, transaction) {
+  if (!Number.isInteger(bookId)) return null;
+  return db.model("Book").findOne({ where: { id: bookId, ownerId }, transaction });
+}
+
+/**
+ * This helper function sets a book's current page to the total of the pages
+ * logged for it, capped at its page count, and records the move in the
+ * book's audit log.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object} book - The Sequelize Book instance
+ * @param {Object} transaction - The Sequelize transaction to run in
+ * @returns {Promise<void>}
+ */
+async function updateCurrentPage(ownerId, book, transaction) {
+  const logged = (await ReadingSessionRecord().sum("pagesRead", { where: { bookId: book.id }, transaction })) || 0;
+  const currentPage = book.pageCount ? Math.min(logged, book.pageCount) : logged;
+  await BookRevision.recordChange(book, { actorId: ownerId, action: "progress" }, transaction, () =>
+    book.update({ currentPage }, { transaction })
+  );
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function logs a reading session for one of a user's books and moves
+ * the book's current page forward.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @param {Object} values - The validated session, as produced by
+ *                          validateReadingSession: readOn, pagesRead, minutes
+ * @returns {Promise<Object|null>} - The new session, or null if the book was not found
+ */
+async function logSession(ownerId, bookId, values) {
+  const record = await db.transaction(async (transaction) => {
+    const book = await findOwnedBook(ownerId, bookId, transaction);
+    if (!book) return null;
+
+    const session = await ReadingSessionRecord().create(
+      { bookId, readOn: values.readOn, pagesRead: values.pagesRead, minutes: values.minutes },
+      { transaction }
+    );
+    await updateCurrentPage(ownerId, book, transaction);
+    return session;
+  });
+
+  return record ? record.get({ plain: true }) : null;
+}
+
+/**
+ * This function removes a logged reading session and moves the book's
+ * current page back.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @param {Number} sessionId - The unique identifier of the session
+ * @returns {Promise<Boolean>} - false if the book or the session was not found
+ */
+async function deleteSession(ownerId, bookId, sessionId) {
+  return db.transaction(async (transaction) => {
+    const book = await findOwnedBook(ownerId, bookId, transaction);
+    if (!book || !Number.isInteger(sessionId)) return false;
+
+    const removed = await ReadingSessionRecord().destroy({ where: { id: sessionId, bookId }, transaction });
+    if (!removed) return false;
+
+    await updateCurrentPage(ownerId, book, transaction);
+    return true;
+  });
+}
+
+/**
+ * This function retrieves the reading sessions logged for one of a user's
+ * books, newest first.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Array>} - The sessions as plain objects
+ */
+async function getSessionsForBook(ownerId, bookId) {
+  if (!(await findOwnedBook(ownerId, bookId))) return [];
+
+  const records = await ReadingSessionRecord().findAll({
+    where: { bookId },
+    order: [
+      ["readOn", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+  return records.map((record) => record.get({ plain: true }));
+}
+
+/**
+ * This function retrieves every reading session a user has logged, across
+ * all of their books, oldest first. The statistics page is built from it.
+ *
+ * @param {Number} ownerId - The ID of the user whose sessions to return
+ * @returns {Promise<Array>} - A list of { bookId, readOn, pagesRead, minutes }
+ */
+async function getSessionsForUser(ownerId) {
+  const records = await ReadingSessionRecord().findAll({
+    attributes: ["bookId", "readOn", "pagesRead", "minutes"],
+    include: [{ model: db.model("Book"), where: { ownerId }, attributes: [] }],
+    order: [
+      ["readOn", "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+  return records.map(({ bookId, readOn, pagesRead, minutes }) => ({ bookId, readOn, pagesRead, minutes }));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the reading session functions for the controllers
+ */
+module.exports = {
+  logSession,
+  deleteSession,
+  getSessionsForBook,
+  getSessionsForUser,
+};
@@ -0,0 +1,143 @@
+/**
+ * File Purpose:
+ * This file describes the reading status workflow a book moves through:
+ * to-read, reading, finished and abandoned. It lists the statuses, the
+ * transitions allowed between them and the labels the views show.
+ *
+ * Workflow Purpose:
+ * Keeping the rules in one place means the HTML controller, the JSON API and
+ * the Book model all agree on which moves are allowed. A book can only move
+ * along the transitions listed in TRANSITIONS; anything else is rejected.
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * STATUSES - Every reading status, in the order the views list them
+ */
+const STATUSES = ["to-read", "reading", "finished", "abandoned"];
+
+/**
+ * INITIAL_STATUS - The status every new book starts in
+ */
+const INITIAL_STATUS = "to-read";
+
+/**
+ * TRANSITIONS - For each status, the statuses a book may move to next
+ */
+const TRANSITIONS = {
+  "to-read": ["reading", "abandoned"],
+  reading: ["finished", "abandoned", "to-read"],
+  finished: ["reading"],
+  abandoned: ["reading", "to-read"],
+};
+
+/**
+ * LABELS - How each status is named in the views
+ */
+const LABELS = {
+  "to-read": "To Read",
+  reading: "Reading",
+  finished: "Finished",
+  abandoned: "Abandoned",
+};
+
+/**
+ * ACTIONS - The button text for moving a book into each status
+ */
+const ACTIONS = {
+  "to-read": "Move back to To Read",
+  reading: "Start reading",
+  finished: "Mark as finished",
+  abandoned: "Abandon",
+};
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function tells whether a value is one of the known statuses.
+ *
+ * @param {*} status - The value to check
+ * @returns {Boolean} - True when the value is a known status
+ */
+function isStatus(status) {
+  return STATUSES.includes(status);
+}
+
+/**
+ * This function checks whether a book may move from one status to another.
+ *
+ * @param {String} from - The book's current status
+ * @param {String} to - The requested status
+ * @returns {String|null} - A message explaining why the move is not allowed,
+ *                          or null when it is allowed
+ */
+function checkTransition(from, to) {
+  if (!isStatus(to)) return `"${to}" is not a reading status.`;
+  if (from === to) return `The book is already marked as ${LABELS[to]}.`;
+  if (!TRANSITIONS[from].includes(to)) {
+    return `A book that is ${LABELS[from]} cannot be moved to ${LABELS[to]}.`;
+  }
+  return null;
+}
+
+/**
+ * This function lists the moves available from a status, with the label and
+ * button text for each, ready for a view to render.
+ *
+ * @param {String} from - The book's current status
+ * @returns {Array} - A list of { status, label, action } objects
+ */
+function nextSteps(from) {
+  return (TRANSITIONS[from] || []).map((status) => ({
+    status,
+    label: LABELS[status],
+    action: ACTIONS[status],
+  }));
+}
+
+/**
+ * This function works out how a book's started and finished dates change
+ * when it moves into a new status.
+ *
+ * - Starting (or re-reading) a book sets a fresh start date and clears the
+ *   finish date.
+ * - Finishing a book sets the finish date.
+ * - Moving a book back to To Read clears both dates.
+ * - Abandoning a book keeps its start date.
+ *
+ * @param {String} to - The status the book is moving into
+ * @param {Date} at - When the move happens
+ * @returns {Object} - The startedAt/finishedAt fields to change
+ */
+function datesFor(to, at) {
+  switch (to) {
+    case "reading":
+      return { startedAt: at, finishedAt: null };
+    case "finished":
+      return { finishedAt: at };
+    case "to-read":
+      return { startedAt: null, finishedAt: null };
+    default:
+      return { finishedAt: null };
+  }
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUS,
+  TRANSITIONS,
+  LABELS,
+  isStatus,
+  checkTransition,
+  nextSteps,
+  datesFor,
+};
@@ -0,0 +1,174 @@
+/**
+ * File Purpose:
+ * This file implements the ShareLink model, the data access layer for the
+ * read-only links users send to others so they can look at their list
+ * without being able to change it.
+ *
+ * Model Purpose:
+ * A share link is opened through an unguessable token in its address, so
+ * anyone who has the address can see the books it shows and nobody else can
+ * find it. A link can be narrowed to one reading status and to the books
+ * carrying some tags, can expire at a set time, and can be revoked by its
+ * owner at any time. Revoked links stay listed for their owner.
+ *
+ * Like the other models, the functions that manage links take the ID of the
+ * user they act for as their first argument, and a link owned by someone
+ * else is treated exactly like a missing one. findActiveLink is the one way
+ * in without a user: it is what the public share pages use.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module used to make the random tokens
+ */
+const crypto = require("crypto");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * TOKEN_BYTES - How many random bytes make up a token; 32 bytes become 43
+ * characters in the link
+ */
+const TOKEN_BYTES = 32;
+
+/**
+ * TOKEN_PATTERN - What a token looks like, so that anything else is turned
+ * away without a query
+ */
+const TOKEN_PATTERN = /^[\w-]{43}$/;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the share_links table.
+ *
+ * @returns {Object} - The Sequelize ShareLink model
+ */
+function ShareLinkRecord() {
+  return db.model("ShareLink");
+}
+
+/**
+ * This helper function converts a Sequelize instance into a plain object and
+ * says whether the link still works.
+ *
+ * @param {Object|null} record - A Sequelize ShareLink instance, or null
+ * @param {Date} [now] - The time to check the expiry against
+ * @returns {Object|null} - The link as a plain object with "active" and
+ *                          "expired" flags, or null
+ */
+function toPlain(record, now = new Date()) {
+  if (!record) return null;
+  const link = record.get({ plain: true });
+  const expired = Boolean(link.expiresAt) && new Date(link.expiresAt) <= now;
+  return { ...link, expired, active: !link.revokedAt && !expired };
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function creates a share link with a new random token.
+ *
+ * @param {Number} ownerId - The ID of the user whose books the link shows
+ * @param {Object} values - The validated link, as produced by
+ *                          validateShareLink: label, status, tags and expiresAt
+ * @returns {Promise<Object>} - The new link, with its token
+ */
+async function createShareLink(ownerId, { label, status, tags, expiresAt }) {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+  return toPlain(await ShareLinkRecord().create({ ownerId, token, label, status, tags, expiresAt }));
+}
+
+/**
+ * This function lists a user's share links, newest first, including the
+ * expired and revoked ones.
+ *
+ * @param {Number} ownerId - The ID of the user whose links to return
+ * @returns {Promise<Array>} - The links as plain objects with "active" flags
+ */
+async function listShareLinks(ownerId) {
+  const records = await ShareLinkRecord().findAll({
+    where: { ownerId },
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+  const now = new Date();
+  return records.map((record) => toPlain(record, now));
+}
+
+/**
+ * This function revokes one of a user's share links, so its address stops
+ * working for good. Revoking a link twice keeps the first revocation time.
+ *
+ * @param {Number} ownerId - The ID of the user the link must belong to
+ * @param {Number} id - The unique identifier of the link
+ * @returns {Promise<Object|null>} - The revoked link, or null if the user has
+ *                                   no link with that ID
+ */
+async function revokeShareLink(ownerId, id) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await ShareLinkRecord().findOne({ where: { id, ownerId } });
+  if (record && !record.revokedAt) await record.update({ revokedAt: new Date() });
+  return toPlain(record);
+}
+
+/**
+ * This function finds the link a token opens, as long as it still works.
+ *
+ * @param {String} token - The token from the link's address
+ * @param {Date} [now] - The time to check the expiry against
+ * @returns {Promise<Object|null>} - The link, or null when the token is
+ *                                   unknown or the link expired or was revoked
+ */
+async function findActiveLink(token, now = new Date()) {
+  if (typeof token !== "string" || !TOKEN_PATTERN.test(token)) return null;
+
+  const link = toPlain(await ShareLinkRecord().findOne({ where: { token } }), now);
+  return link && link.active ? link : null;
+}
+
+/**
+ * This function checks whether a book is one a share link shows: it must
+ * have the link's status, if any, and carry every one of the link's tags.
+ *
+ * @param {Object} link - The share link
+ * @param {Object} book - The book, with its "tags"
+ * @returns {Boolean} - Whether the link shows the book
+ */
+function showsBook(link, book) {
+  if (link.status && book.status !== link.status) return false;
+  return link.tags.every((tag) => book.tags.includes(tag));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all model functions to make them available to controllers and other modules
+ */
+module.exports = {
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  findActiveLink,
+  showsBook,
+};
@@ -0,0 +1,299 @@
+/**
+ * File Purpose:
+ * This file implements the Shelf model, the data access layer for the named
+ * shelves users sort their books onto, such as "Summer 2026" or "Work
+ * reading".
+ *
+ * Model Purpose:
+ * A book can sit on any number of shelves, and a shelf can hold any number
+ * of books. Deleting a shelf only takes the books off it; the books stay on
+ * the list. Shelf names are unique per user, compared without case, so
+ * "Work reading" and "work reading" cannot both exist.
+ *
+ * Like the Book model, every function takes the ID of the user it acts for
+ * as its first argument, and a shelf or book owned by someone else is
+ * treated exactly like a missing one.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Sequelize - Query operators and SQL function builders used for the
+ * case-insensitive name checks and sorting
+ */
+const { Op, fn, col, literal, where: whereClause } = require("sequelize");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+/**
+ * Tag - Adds each book's tag names to the books on a shelf
+ */
+const Tag = require("./Tag");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the shelves table.
+ *
+ * @returns {Object} - The Sequelize Shelf model
+ */
+function ShelfRecord() {
+  return db.model("Shelf");
+}
+
+/**
+ * This helper function returns the Sequelize model for the shelf_books table.
+ *
+ * @returns {Object} - The Sequelize ShelfBook model
+ */
+function ShelfBookRecord() {
+  return db.model("ShelfBook");
+}
+
+/**
+ * This helper function converts a Sequelize instance into a plain object.
+ *
+ * @param {Object|null} record - A Sequelize instance, or null
+ * @returns {Object|null} - The record as a plain object, or null
+ */
+function toPlain(record) {
+  return record ? record.get({ plain: true }) : null;
+}
+
+/**
+ * This helper function finds one of a user's shelves by ID.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf must belong to
+ * @param {Number} id - The unique identifier of the shelf
+ * @returns {Promise<Object|null>} - The Sequelize Shelf instance, or null
+ *                                   when the ID is invalid, unknown or someone else's
+ */
+async function findOwnedShelf(ownerId, id) {
+  if (!Number.isInteger(id)) return null;
+  return ShelfRecord().findOne({ where: { id, ownerId } });
+}
+
+/**
+ * This helper function checks whether a user already has a shelf with the
+ * given name, ignoring case.
+ *
+ * @param {Number} ownerId - The ID of the user
+ * @param {String} name - The shelf name
+ * @param {Number|null} exceptId - A shelf to leave out of the check, when renaming it
+ * @returns {Promise<Boolean>} - Whether the name is taken
+ */
+async function isNameTaken(ownerId, name, exceptId) {
+  const conditions = [{ ownerId }, whereClause(fn("lower", col("name")), name.toLowerCase())];
+  if (exceptId) conditions.push({ id: { [Op.ne]: exceptId } });
+  return (await ShelfRecord().count({ where: { [Op.and]: conditions } })) > 0;
+}
+
+/**
+ * This helper function creates the error thrown for a shelf name the user
+ * already has.
+ *
+ * @param {String} name - The shelf name
+ * @returns {Error} - An error with code "SHELF_NAME_TAKEN"
+ */
+function nameTakenError(name) {
+  const error = new Error(`You already have a shelf called "${name}".`);
+  error.code = "SHELF_NAME_TAKEN";
+  return error;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function retrieves a user's shelves in alphabetical order, each with
+ * the number of books on it.
+ *
+ * @param {Number} ownerId - The ID of the user whose shelves to return
+ * @returns {Promise<Array>} - A list of { id, name, bookCount, ... } shelves
+ */
+async function listShelves(ownerId) {
+  const shelves = await ShelfRecord().findAll({
+    where: { ownerId },
+    order: [[fn("lower", col("name")), "ASC"]],
+  });
+  if (!shelves.length) return [];
+
+  // Count the books on every shelf in one query, leaving out books in the trash
+  const counts = await ShelfBookRecord().count({
+    where: {
+      shelfId: shelves.map((shelf) => shelf.id),
+      bookId: { [Op.in]: literal("(SELECT id FROM books WHERE deletedAt IS NULL)") },
+    },
+    group: ["shelfId"],
+  });
+  const countByShelf = new Map(counts.map(({ shelfId, count }) => [shelfId, count]));
+
+  return shelves.map((shelf) => ({ ...toPlain(shelf), bookCount: countByShelf.get(shelf.id) || 0 }));
+}
+
+/**
+ * This function retrieves one of a user's shelves by its ID.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf must belong to
+ * @param {Number} id - The unique identifier of the shelf
+ * @returns {Promise<Object|null>} - The shelf, or null if no match is found
+ */
+async function getShelfById(ownerId, id) {
+  return toPlain(await findOwnedShelf(ownerId, id));
+}
+
+/**
+ * This function creates a shelf.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf belongs to
+ * @param {String} name - The validated shelf name
+ * @returns {Promise<Object>} - The new shelf
+ * @throws {Error} - With code "SHELF_NAME_TAKEN" when the user already has a shelf with that name
+ */
+async function createShelf(ownerId, name) {
+  if (await isNameTaken(ownerId, name, null)) throw nameTakenError(name);
+  return toPlain(await ShelfRecord().create({ ownerId, name }));
+}
+
+/**
+ * This function renames one of a user's shelves.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf must belong to
+ * @param {Number} id - The unique identifier of the shelf
+ * @param {String} name - The validated new name
+ * @returns {Promise<Object|null>} - The renamed shelf, or null if no shelf with the specified ID was found
+ * @throws {Error} - With code "SHELF_NAME_TAKEN" when another of the user's shelves has that name
+ */
+async function renameShelf(ownerId, id, name) {
+  const record = await findOwnedShelf(ownerId, id);
+  if (!record) return null;
+
+  if (await isNameTaken(ownerId, name, id)) throw nameTakenError(name);
+  await record.update({ name });
+  return toPlain(record);
+}
+
+/**
+ * This function deletes one of a user's shelves. The books on it stay on
+ * the list.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf must belong to
+ * @param {Number} id - The unique identifier of the shelf
+ * @returns {Promise<Object|null>} - The deleted shelf, or null if no shelf with the specified ID was found
+ */
+async function deleteShelf(ownerId, id) {
+  const record = await findOwnedShelf(ownerId, id);
+  if (!record) return null;
+
+  // The shelf_books rows go with the shelf through ON DELETE CASCADE
+  await record.destroy();
+  return toPlain(record);
+}
+
+/**
+ * This function retrieves the books on one of a user's shelves, in the
+ * order they were put there.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf must belong to
+ * @param {Number} id - The unique identifier of the shelf
+ * @returns {Promise<Array>} - The books as plain objects with their tags
+ */
+async function getShelfBooks(ownerId, id) {
+  const record = await findOwnedShelf(ownerId, id);
+  if (!record) return [];
+
+  const books = await record.getBooks({
+    joinTableAttributes: [],
+    order: [
+      [col("ShelfBook.addedAt"), "ASC"],
+      ["id", "ASC"],
+    ],
+  });
+
+  return Tag.attachTags(books.map(toPlain));
+}
+
+/**
+ * This function retrieves the shelves one of a user's books is on, in
+ * alphabetical order.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Array>} - The shelves as plain objects
+ */
+async function getShelvesForBook(ownerId, bookId) {
+  if (!Number.isInteger(bookId)) return [];
+
+  const shelves = await ShelfRecord().findAll({
+    where: { ownerId },
+    include: [{ model: db.model("Book"), as: "books", where: { id: bookId, ownerId }, attributes: [], through: { attributes: [] } }],
+    order: [[fn("lower", col("Shelf.name")), "ASC"]],
+  });
+
+  return shelves.map(toPlain);
+}
+
+/**
+ * This function puts one of a user's books on one of their shelves. Putting
+ * a book on a shelf it is already on changes nothing.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf and book must belong to
+ * @param {Number} shelfId - The unique identifier of the shelf
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Boolean>} - false when the shelf or the book was not found
+ */
+async function addBookToShelf(ownerId, shelfId, bookId) {
+  const shelf = await findOwnedShelf(ownerId, shelfId);
+  const book = Number.isInteger(bookId) ? await db.model("Book").findOne({ where: { id: bookId, ownerId } }) : null;
+  if (!shelf || !book) return false;
+
+  await ShelfBookRecord().findOrCreate({
+    where: { shelfId, bookId },
+    defaults: { addedAt: new Date() },
+  });
+  return true;
+}
+
+/**
+ * This function takes a book off one of a user's shelves.
+ *
+ * @param {Number} ownerId - The ID of the user the shelf must belong to
+ * @param {Number} shelfId - The unique identifier of the shelf
+ * @param {Number} bookId - The unique identifier of the book
+ * @returns {Promise<Boolean>} - false when the shelf was not found
+ */
+async function removeBookFromShelf(ownerId, shelfId, bookId) {
+  const shelf = await findOwnedShelf(ownerId, shelfId);
+  if (!shelf) return false;
+
+  if (Number.isInteger(bookId)) await ShelfBookRecord().destroy({ where: { shelfId, bookId } });
+  return true;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all shelf functions to make them available to the controllers
+ */
+module.exports = {
+  listShelves,
+  getShelfById,
+  createShelf,
+  renameShelf,
+  deleteShelf,
+  getShelfBooks,
+  getShelvesForBook,
+  addBookToShelf,
+  removeBookFromShelf,
+};
@@ -0,0 +1,202 @@
+/**
+ * File Purpose:
+ * This file implements the Tag model, the data access layer for the tags
+ * users put on their books.
+ *
+ * Model Purpose:
+ * Tags are not created or deleted on their own. Saving a book with a list of
+ * tag names creates the tags that do not exist yet, and a tag that is no
+ * longer on any book is removed, so a user's tags are always exactly the ones
+ * in use. The Book and Shelf models call this module to attach each book's
+ * tag names to the books they return, and to filter the list by tag.
+ *
+ * Like the Book model, every function only ever touches the tags of the user
+ * whose ID it is given.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Sequelize - Query operators and raw SQL fragments used for the tag filter
+ */
+const { Op, literal } = require("sequelize");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the tags table.
+ *
+ * @returns {Object} - The Sequelize Tag model
+ */
+function TagRecord() {
+  return db.model("Tag");
+}
+
+/**
+ * This helper function returns the Sequelize model for the book_tags table.
+ *
+ * @returns {Object} - The Sequelize BookTag model
+ */
+function BookTagRecord() {
+  return db.model("BookTag");
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function retrieves a user's tags in alphabetical order, each with the
+ * number of books it is on.
+ *
+ * @param {Number} ownerId - The ID of the user whose tags to return
+ * @returns {Promise<Array>} - A list of { name, bookCount }
+ */
+async function listTags(ownerId) {
+  const tags = await TagRecord().findAll({ where: { ownerId }, order: [["name", "ASC"]] });
+  if (!tags.length) return [];
+
+  // Count the books on every tag in one query, leaving out books in the trash
+  const counts = await BookTagRecord().count({
+    where: {
+      tagId: tags.map((tag) => tag.id),
+      bookId: { [Op.in]: literal("(SELECT id FROM books WHERE deletedAt IS NULL)") },
+    },
+    group: ["tagId"],
+  });
+  const countByTag = new Map(counts.map(({ tagId, count }) => [tagId, count]));
+
+  return tags.map((tag) => ({ name: tag.name, bookCount: countByTag.get(tag.id) || 0 }));
+}
+
+/**
+ * This function replaces the tags on one of a user's books. Tags that do not
+ * exist yet are created and tags left unused afterwards are removed.
+ *
+ * The caller is responsible for checking that the book belongs to the user.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Number} bookId - The ID of the book
+ * @param {Array<String>} names - The normalized tag names, see normalizeTag
+ * @param {Object} transaction - The Sequelize transaction to run in
+ * @returns {Promise<Array<String>>} - The book's tag names, sorted
+ */
+async function setBookTags(ownerId, bookId, names, transaction) {
+  // Find the tags the user already has and create the rest
+  const existing = await TagRecord().findAll({ where: { ownerId, name: names }, transaction });
+  const tagIds = new Map(existing.map((tag) => [tag.name, tag.id]));
+  for (const name of names) {
+    if (!tagIds.has(name)) {
+      const created = await TagRecord().create({ ownerId, name }, { transaction });
+      tagIds.set(name, created.id);
+    }
+  }
+
+  // Swap the book's old tags for the new ones
+  await BookTagRecord().destroy({ where: { bookId }, transaction });
+  await BookTagRecord().bulkCreate(
+    names.map((name) => ({ bookId, tagId: tagIds.get(name) })),
+    { transaction }
+  );
+
+  // Tags that were only on this book may now be unused
+  await removeUnusedTags(ownerId, transaction);
+
+  return [...names].sort();
+}
+
+/**
+ * This function adds each book's tag names to a list of books, as a sorted
+ * "tags" array on every book.
+ *
+ * @param {Array<Object>} books - Plain book objects
+ * @param {Object} [transaction] - The Sequelize transaction to read in, so
+ *                                 tags changed inside it are seen
+ * @returns {Promise<Array<Object>>} - The same books, each with its tags
+ */
+async function attachTags(books, transaction) {
+  if (!books.length) return books;
+
+  // Read the tags of every book in one query
+  const rows = await BookTagRecord().findAll({
+    where: { bookId: books.map((book) => book.id) },
+    include: [{ model: TagRecord(), as: "tag", attributes: ["name"] }],
+    transaction,
+  });
+
+  const tagsByBook = new Map();
+  rows.forEach((row) => {
+    if (!tagsByBook.has(row.bookId)) tagsByBook.set(row.bookId, []);
+    tagsByBook.get(row.bookId).push(row.tag.name);
+  });
+
+  books.forEach((book) => {
+    book.tags = (tagsByBook.get(book.id) || []).sort();
+  });
+  return books;
+}
+
+/**
+ * This function builds the condition that keeps only books carrying every
+ * one of the given tags, for Book.searchBooks.
+ *
+ * @param {Number} ownerId - The ID of the user whose tags are meant
+ * @param {Array<String>} names - The normalized tag names
+ * @returns {Object} - A Sequelize where condition on the book ID
+ */
+function taggedWithAll(ownerId, names) {
+  const sequelize = db.connect();
+  const nameList = names.map((name) => sequelize.escape(name)).join(", ");
+
+  // A book qualifies when it matches as many of the tags as were asked for
+  return {
+    id: {
+      [Op.in]: literal(
+        `(SELECT bt.bookId FROM book_tags bt JOIN tags t ON t.id = bt.tagId` +
+          ` WHERE t.ownerId = ${sequelize.escape(ownerId)} AND t.name IN (${nameList})` +
+          ` GROUP BY bt.bookId HAVING COUNT(*) = ${names.length})`
+      ),
+    },
+  };
+}
+
+/**
+ * This function removes a user's tags that are no longer on any book. It is
+ * called after books are purged, since purging a book also takes it out of
+ * its tags. A book in the trash still holds on to its tags.
+ *
+ * @param {Number} ownerId - The ID of the user whose tags are tidied
+ * @param {Object} [transaction] - The Sequelize transaction to run in
+ * @returns {Promise<Number>} - The number of tags removed
+ */
+async function removeUnusedTags(ownerId, transaction) {
+  return TagRecord().destroy({
+    where: { ownerId, id: { [Op.notIn]: literal("(SELECT tagId FROM book_tags)") } },
+    transaction,
+  });
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the tag functions for the Book and Shelf models and the controllers
+ */
+module.exports = {
+  listTags,
+  setBookTags,
+  attachTags,
+  taggedWithAll,
+  removeUnusedTags,
+};
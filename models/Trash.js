@@ -0,0 +1,250 @@
+/**
+ * File Purpose:
+ * This file implements the Trash model, the data access layer for the books
+ * users have deleted but not yet purged.
+ *
+ * Model Purpose:
+ * Deleting a book (Book.deleteBook) only stamps its deletedAt time, and every
+ * other query then leaves it out. The functions here are the only ones that
+ * look at such books: they list them, bring them back, or purge them, which
+ * removes the book together with its tags, shelf places, sessions, notes and
+ * audit log. A purged book's uploaded cover image is kept until then, so a
+ * restored book still has it, and its files are removed once the purge has
+ * been committed.
+ *
+ * Like the Book model, the functions take the ID of the user they act for as
+ * their first argument. purgeExpired is the exception: the retention policy
+ * (see services/trashPurgeJob.js) purges old trash for every user at once.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Sequelize - Query operators
+ */
+const { Op } = require("sequelize");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+/**
+ * Tag - Attaches tag names to the listed books and tidies up unused tags
+ * after a purge
+ */
+const Tag = require("./Tag");
+
+/**
+ * BookRevision - Records each restore in the book's audit log
+ */
+const BookRevision = require("./BookRevision");
+
+/**
+ * coverImages - Removes the uploaded cover images of the purged books
+ */
+const coverImages = require("../services/coverImages");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * IN_TRASH - Matches the books that have been deleted
+ */
+const IN_TRASH = { deletedAt: { [Op.ne]: null } };
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the books table.
+ *
+ * @returns {Object} - The Sequelize Book model
+ */
+function BookRecord() {
+  return db.model("Book");
+}
+
+/**
+ * This helper function finds one of a user's deleted books by ID.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @param {Object} [transaction] - The Sequelize transaction to run in
+ * @returns {Promise<Object|null>} - The Sequelize Book instance, or null
+ */
+async function findTrashedBook(ownerId, id, transaction) {
+  if (!Number.isInteger(id)) return null;
+  return BookRecord().findOne({ where: { id, ownerId, ...IN_TRASH }, paranoid: false, transaction });
+}
+
+/**
+ * This helper function finds the uploaded cover images of the deleted books
+ * that are about to be purged.
+ *
+ * @param {Object} where - Which deleted books will be purged
+ * @param {Object} transaction - The Sequelize transaction to read in
+ * @returns {Promise<Array<String>>} - The names of their stored images
+ */
+async function findCovers(where, transaction) {
+  const records = await BookRecord().findAll({
+    attributes: ["coverImage"],
+    where: { ...where, coverImage: { [Op.ne]: null } },
+    paranoid: false,
+    transaction,
+  });
+  return records.map((record) => record.coverImage);
+}
+
+/**
+ * This helper function removes the files of the purged books' cover images.
+ *
+ * @param {Array<String>} covers - The names of the stored images
+ * @returns {Promise<void>}
+ */
+async function removeCovers(covers) {
+  for (const cover of covers) {
+    await coverImages.removeCover(cover);
+  }
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function retrieves a user's deleted books, most recently deleted first.
+ *
+ * @param {Number} ownerId - The ID of the user whose trash to list
+ * @returns {Promise<Array<Object>>} - The books as plain objects with "tags"
+ */
+async function listTrash(ownerId) {
+  const records = await BookRecord().findAll({
+    where: { ownerId, ...IN_TRASH },
+    paranoid: false,
+    order: [
+      ["deletedAt", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+  return Tag.attachTags(records.map((record) => record.get({ plain: true })));
+}
+
+/**
+ * This function takes one of a user's books out of the trash, back onto the
+ * list with its tags, shelves, sessions and notes.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @returns {Promise<Object|null>} - The restored book, or null if the user has
+ *                                   no such book in the trash
+ */
+async function restoreBook(ownerId, id) {
+  return db.transaction(async (transaction) => {
+    const record = await findTrashedBook(ownerId, id, transaction);
+    if (!record) return null;
+
+    await BookRevision.recordChange(record, { actorId: ownerId, action: "restore" }, transaction, () =>
+      record.restore({ transaction })
+    );
+    return record.get({ plain: true });
+  });
+}
+
+/**
+ * This function removes one of a user's deleted books for good.
+ *
+ * @param {Number} ownerId - The ID of the user the book must belong to
+ * @param {Number} id - The unique identifier of the book
+ * @returns {Promise<Object|null>} - The purged book, or null if the user has
+ *                                   no such book in the trash
+ */
+async function purgeBook(ownerId, id) {
+  const book = await db.transaction(async (transaction) => {
+    const record = await findTrashedBook(ownerId, id, transaction);
+    if (!record) return null;
+
+    // Remove the row, which takes its tag links and the rest with it, then
+    // any tags only it was using
+    const purged = record.get({ plain: true });
+    await record.destroy({ force: true, transaction });
+    await Tag.removeUnusedTags(ownerId, transaction);
+    return purged;
+  });
+
+  // The book is gone for good, so its cover image can go too
+  if (book) await coverImages.removeCover(book.coverImage);
+  return book;
+}
+
+/**
+ * This function removes all of a user's deleted books for good.
+ *
+ * @param {Number} ownerId - The ID of the user whose trash to empty
+ * @returns {Promise<Number>} - The number of books purged
+ */
+async function emptyTrash(ownerId) {
+  const where = { ownerId, ...IN_TRASH };
+  const { purged, covers } = await db.transaction(async (transaction) => {
+    const found = await findCovers(where, transaction);
+    const count = await BookRecord().destroy({ where, force: true, transaction });
+    await Tag.removeUnusedTags(ownerId, transaction);
+    return { purged: count, covers: found };
+  });
+
+  await removeCovers(covers);
+  return purged;
+}
+
+/**
+ * This function purges the books of every user that were deleted before a
+ * given moment. It carries out the trash retention policy.
+ *
+ * @param {Date} deletedBefore - Books deleted before this moment are purged
+ * @returns {Promise<Number>} - The number of books purged
+ */
+async function purgeExpired(deletedBefore) {
+  const { purged, covers } = await db.transaction(async (transaction) => {
+    const expired = { deletedAt: { [Op.lt]: deletedBefore } };
+
+    // Note whose trash is affected, so their unused tags can be tidied up
+    const owners = await BookRecord().findAll({
+      attributes: ["ownerId"],
+      where: expired,
+      group: ["ownerId"],
+      paranoid: false,
+      transaction,
+    });
+    if (!owners.length) return { purged: 0, covers: [] };
+
+    const found = await findCovers(expired, transaction);
+    const count = await BookRecord().destroy({ where: expired, force: true, transaction });
+    for (const { ownerId } of owners) {
+      await Tag.removeUnusedTags(ownerId, transaction);
+    }
+    return { purged: count, covers: found };
+  });
+
+  await removeCovers(covers);
+  return purged;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the trash functions for the trash page and the retention job
+ */
+module.exports = {
+  listTrash,
+  restoreBook,
+  purgeBook,
+  emptyTrash,
+  purgeExpired,
+};
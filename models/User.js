@@ -0,0 +1,310 @@
+/**
+ * File Purpose:
+ * This file implements the User model, the data access layer for accounts.
+ * It creates accounts, checks passwords at login and looks users up for the
+ * session middleware.
+ *
+ * Model Purpose:
+ * Every user returned by this module is a plain object without the password
+ * hash, so it can be stored on the request or handed to a view without any
+ * risk of the hash leaking into a page.
+ *
+ * A user's feeds are opened through the unguessable token in their feed
+ * addresses, the same way share links are (see models/ShareLink.js). The
+ * token is only set while the feeds are turned on, and a new one replaces
+ * it whenever the user resets the addresses.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module used to make the random feed tokens
+ */
+const crypto = require("crypto");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+/**
+ * password - Hashes and checks passwords
+ */
+const { hashPassword, verifyPassword } = require("../utils/password");
+
+/**
+ * config - The currency new accounts start out with
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * FEED_TOKEN_BYTES - How many random bytes make up a feed token; 32 bytes
+ * become 43 characters in the address
+ */
+const FEED_TOKEN_BYTES = 32;
+
+/**
+ * FEED_TOKEN_PATTERN - What a feed token looks like, so that anything else is
+ * turned away without a query
+ */
+const FEED_TOKEN_PATTERN = /^[\w-]{43}$/;
+
+/**
+ * PUBLIC_FIELDS - The user fields this module hands out; everything but the
+ * password hash
+ */
+const PUBLIC_FIELDS = [
+  "id",
+  "email",
+  "isAdmin",
+  "currency",
+  "locale",
+  "budgetPeriod",
+  "budgetMinor",
+  "goalPeriod",
+  "goalBooks",
+  "feedToken",
+  "createdAt",
+];
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * decoyHash - A hash checked when a login names an unknown email, so that
+ * unknown and known emails take the same time to reject. Created on first use.
+ */
+let decoyHash = null;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the users table.
+ *
+ * @returns {Object} - The Sequelize User model
+ */
+function UserRecord() {
+  return db.model("User");
+}
+
+/**
+ * This helper function converts a Sequelize instance into a plain object
+ * without the password hash.
+ *
+ * @param {Object|null} record - A Sequelize User instance, or null
+ * @returns {Object|null} - The fields listed in PUBLIC_FIELDS, or null
+ */
+function toPublic(record) {
+  if (!record) return null;
+  const values = record.get({ plain: true });
+  return Object.fromEntries(PUBLIC_FIELDS.map((field) => [field, values[field]]));
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function creates an account.
+ *
+ * The first account ever created becomes an admin and adopts every book that
+ * has no owner yet, which is how a list kept from before accounts existed
+ * ends up belonging to someone. New accounts start in the configured default
+ * currency.
+ *
+ * @param {Object} attributes - The validated account details
+ * @param {String} attributes.email - The email address, already normalized
+ * @param {String} attributes.password - The password to hash and store
+ * @returns {Promise<Object>} - The new user
+ * @throws {Error} - With code "EMAIL_TAKEN" when the email is already registered
+ */
+async function createUser({ email, password }) {
+  const passwordHash = await hashPassword(password);
+
+  const record = await db.transaction(async (transaction) => {
+    // Refuse an email that already has an account
+    if (await UserRecord().findOne({ where: { email }, transaction })) {
+      const error = new Error("An account with that email already exists.");
+      error.code = "EMAIL_TAKEN";
+      throw error;
+    }
+
+    // The first account is the admin
+    const isFirst = (await UserRecord().count({ transaction })) === 0;
+    const created = await UserRecord().create(
+      { email, passwordHash, isAdmin: isFirst, currency: config.money.defaultCurrency },
+      { transaction }
+    );
+
+    // Hand the books kept from before accounts existed to the first account
+    if (isFirst) {
+      await db.model("Book").update({ ownerId: created.id }, { where: { ownerId: null }, transaction });
+    }
+
+    return created;
+  });
+
+  return toPublic(record);
+}
+
+/**
+ * This function checks an email and password at login.
+ *
+ * @param {String} email - The email address, already normalized
+ * @param {String} password - The password that was entered
+ * @returns {Promise<Object|null>} - The user, or null when the email is
+ *                                   unknown or the password is wrong
+ */
+async function authenticate(email, password) {
+  const record = await UserRecord().findOne({ where: { email } });
+
+  // Check a decoy hash for unknown emails so the response time is the same
+  if (!record) {
+    decoyHash = decoyHash || (await hashPassword("decoy password"));
+    await verifyPassword(password, decoyHash);
+    return null;
+  }
+
+  return (await verifyPassword(password, record.passwordHash)) ? toPublic(record) : null;
+}
+
+/**
+ * This function retrieves a user by ID.
+ *
+ * @param {Number} id - The unique identifier of the user
+ * @returns {Promise<Object|null>} - The user, or null if no match is found
+ */
+async function getUserById(id) {
+  // An unparseable ID can never match a row
+  if (!Number.isInteger(id)) return null;
+
+  return toPublic(await UserRecord().findByPk(id));
+}
+
+/**
+ * This function retrieves the first admin account, which the legacy import
+ * script gives imported books to.
+ *
+ * @returns {Promise<Object|null>} - The oldest admin user, or null when no
+ *                                   account exists yet
+ */
+async function getFirstAdmin() {
+  const record = await UserRecord().findOne({ where: { isAdmin: true }, order: [["id", "ASC"]] });
+  return toPublic(record);
+}
+
+/**
+ * This function saves a user's money preferences: their home currency, the
+ * locale prices are written in and their book budget.
+ *
+ * @param {Number} id - The unique identifier of the user
+ * @param {Object} values - The validated preferences, as produced by
+ *                          validateBudgetSettings: currency, locale,
+ *                          budgetPeriod and budgetMinor
+ * @returns {Promise<Object|null>} - The updated user, or null if no match is found
+ */
+async function updatePreferences(id, values) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await UserRecord().findByPk(id);
+  if (!record) return null;
+
+  const { currency, locale, budgetPeriod, budgetMinor } = values;
+  await record.update({ currency, locale, budgetPeriod, budgetMinor });
+  return toPublic(record);
+}
+
+/**
+ * This function saves a user's reading goal.
+ *
+ * @param {Number} id - The unique identifier of the user
+ * @param {Object} values - The validated goal, as produced by
+ *                          validateReadingGoal: goalPeriod and goalBooks
+ * @returns {Promise<Object|null>} - The updated user, or null if no match is found
+ */
+async function updateReadingGoal(id, values) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await UserRecord().findByPk(id);
+  if (!record) return null;
+
+  const { goalPeriod, goalBooks } = values;
+  await record.update({ goalPeriod, goalBooks });
+  return toPublic(record);
+}
+
+/**
+ * This function turns a user's feeds on with a new random token, or gives
+ * them a new one when they are already on, so the old addresses stop working.
+ *
+ * @param {Number} id - The unique identifier of the user
+ * @returns {Promise<Object|null>} - The updated user, with the new feedToken,
+ *                                   or null if no match is found
+ */
+async function resetFeedToken(id) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await UserRecord().findByPk(id);
+  if (!record) return null;
+
+  await record.update({ feedToken: crypto.randomBytes(FEED_TOKEN_BYTES).toString("base64url") });
+  return toPublic(record);
+}
+
+/**
+ * This function turns a user's feeds off, so their addresses stop working.
+ *
+ * @param {Number} id - The unique identifier of the user
+ * @returns {Promise<Object|null>} - The updated user, or null if no match is found
+ */
+async function clearFeedToken(id) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await UserRecord().findByPk(id);
+  if (!record) return null;
+
+  await record.update({ feedToken: null });
+  return toPublic(record);
+}
+
+/**
+ * This function finds the user whose feeds a token opens.
+ *
+ * @param {String} token - The token from the feed's address
+ * @returns {Promise<Object|null>} - The user, or null when no user's feeds
+ *                                   are on with that token
+ */
+async function getUserByFeedToken(token) {
+  if (typeof token !== "string" || !FEED_TOKEN_PATTERN.test(token)) return null;
+
+  return toPublic(await UserRecord().findOne({ where: { feedToken: token } }));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all model functions to make them available to controllers and other modules
+ */
+module.exports = {
+  createUser,
+  authenticate,
+  getUserById,
+  getFirstAdmin,
+  updatePreferences,
+  updateReadingGoal,
+  resetFeedToken,
+  clearFeedToken,
+  getUserByFeedToken,
+};
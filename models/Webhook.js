@@ -0,0 +1,153 @@
+/**
+ * File Purpose:
+ * This file implements the Webhook model, the data access layer for the
+ * addresses users register to be sent their book events, so their own
+ * automation can react when books are added, updated or deleted.
+ *
+ * Model Purpose:
+ * A webhook is a URL, the event types it wants (see services/bookEvents.js)
+ * and a random secret. Every request sent to it is signed with the secret
+ * (see services/webhookSender.js), so the receiver can tell the request
+ * came from this application and was not changed on the way.
+ *
+ * Like the other models, the functions that manage webhooks take the ID of
+ * the user they act for as their first argument, and a webhook owned by
+ * someone else is treated exactly like a missing one.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module used to make the random secrets
+ */
+const crypto = require("crypto");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SECRET_BYTES - How many random bytes make up a secret; 32 bytes become 43
+ * characters
+ */
+const SECRET_BYTES = 32;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the webhooks table.
+ *
+ * @returns {Object} - The Sequelize Webhook model
+ */
+function WebhookRecord() {
+  return db.model("Webhook");
+}
+
+/**
+ * This helper function converts a Sequelize instance into a plain object.
+ *
+ * @param {Object|null} record - A Sequelize Webhook instance, or null
+ * @returns {Object|null} - The webhook as a plain object, or null
+ */
+function toPlain(record) {
+  return record ? record.get({ plain: true }) : null;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function registers a webhook with a new random secret.
+ *
+ * @param {Number} ownerId - The ID of the user whose book events are sent
+ * @param {Object} values - The validated webhook, as produced by
+ *                          validateWebhook: url, label and events
+ * @returns {Promise<Object>} - The new webhook, with its secret
+ */
+async function createWebhook(ownerId, { url, label, events }) {
+  const secret = crypto.randomBytes(SECRET_BYTES).toString("base64url");
+  return toPlain(await WebhookRecord().create({ ownerId, url, label, events, secret }));
+}
+
+/**
+ * This function lists a user's webhooks, newest first.
+ *
+ * @param {Number} ownerId - The ID of the user whose webhooks to return
+ * @returns {Promise<Array>} - The webhooks as plain objects
+ */
+async function listWebhooks(ownerId) {
+  const records = await WebhookRecord().findAll({
+    where: { ownerId },
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+  });
+  return records.map(toPlain);
+}
+
+/**
+ * This function retrieves one of a user's webhooks.
+ *
+ * @param {Number} ownerId - The ID of the user the webhook must belong to
+ * @param {Number} id - The unique identifier of the webhook
+ * @returns {Promise<Object|null>} - The webhook, or null if the user has none with that ID
+ */
+async function getWebhook(ownerId, id) {
+  if (!Number.isInteger(id)) return null;
+  return toPlain(await WebhookRecord().findOne({ where: { id, ownerId } }));
+}
+
+/**
+ * This function deletes one of a user's webhooks together with its delivery
+ * history. Deliveries still waiting to be sent are dropped.
+ *
+ * @param {Number} ownerId - The ID of the user the webhook must belong to
+ * @param {Number} id - The unique identifier of the webhook
+ * @returns {Promise<Object|null>} - The deleted webhook, or null if the user has none with that ID
+ */
+async function deleteWebhook(ownerId, id) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await WebhookRecord().findOne({ where: { id, ownerId } });
+  if (record) await record.destroy();
+  return toPlain(record);
+}
+
+/**
+ * This function finds the webhooks a user's book event must be sent to.
+ *
+ * @param {Number} ownerId - The ID of the user the event happened to
+ * @param {String} type - The event type, e.g. "book.created"
+ * @returns {Promise<Array>} - The webhooks that want the event, as plain objects
+ */
+async function findSubscribers(ownerId, type) {
+  const records = await WebhookRecord().findAll({ where: { ownerId }, order: [["id", "ASC"]] });
+  return records.map(toPlain).filter((webhook) => webhook.events.includes(type));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export all model functions to make them available to controllers and other modules
+ */
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  findSubscribers,
+};
@@ -0,0 +1,233 @@
+/**
+ * File Purpose:
+ * This file implements the WebhookDelivery model, the data access layer for
+ * the queue of book events waiting to be sent to webhooks and for the
+ * history of the ones that were.
+ *
+ * Model Purpose:
+ * A delivery is created "pending" for each webhook that wants an event and
+ * is picked up by the webhook job (see services/webhookJob.js) once its
+ * nextAttemptAt has come. Each attempt is recorded on it: a success makes it
+ * "delivered", and a failure either schedules the next attempt or, once the
+ * attempts run out, makes it "failed". The failed deliveries are the
+ * dead-letter log: they are never tried again unless their owner asks for it.
+ *
+ * Delivered and failed deliveries are kept, so the owner can look back at
+ * what was sent and how the receiver answered.
+ *
+ * dueDeliveries and recordAttempt work across every user's webhooks, for the
+ * job; the functions the pages use take the ID of the user they act for as
+ * their first argument, and a delivery of someone else's webhook is treated
+ * exactly like a missing one.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Sequelize - Query operators
+ */
+const { Op } = require("sequelize");
+
+/**
+ * db - The database module that owns the Sequelize connection and the
+ * registered Sequelize models
+ */
+const db = require("../db");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * STATUSES - The states a delivery goes through, with their labels
+ */
+const STATUSES = {
+  pending: "Pending",
+  delivered: "Delivered",
+  failed: "Failed",
+};
+
+/**
+ * HISTORY_SIZE - The most deliveries listDeliveries returns
+ */
+const HISTORY_SIZE = 100;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the Sequelize model for the webhook_deliveries table.
+ *
+ * @returns {Object} - The Sequelize WebhookDelivery model
+ */
+function DeliveryRecord() {
+  return db.model("WebhookDelivery");
+}
+
+/**
+ * This helper function converts a Sequelize instance into a plain object.
+ *
+ * @param {Object|null} record - A Sequelize WebhookDelivery instance, or null
+ * @returns {Object|null} - The delivery as a plain object, or null
+ */
+function toPlain(record) {
+  return record ? record.get({ plain: true }) : null;
+}
+
+/**
+ * This helper function builds the query part that limits deliveries to the
+ * webhooks of one user.
+ *
+ * @param {Number} ownerId - The ID of the user the webhook must belong to
+ * @param {Number} webhookId - The unique identifier of the webhook
+ * @returns {Array<Object>} - The Sequelize include for the webhook
+ */
+function ownedWebhook(ownerId, webhookId) {
+  return [{ model: db.model("Webhook"), as: "webhook", attributes: [], where: { id: webhookId, ownerId } }];
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function queues an event for each of the given webhooks, due at once.
+ *
+ * @param {Array<Object>} webhooks - The webhooks that want the event
+ * @param {String} event - The event type, e.g. "book.created"
+ * @param {String} payload - The JSON body to send
+ * @returns {Promise<Number>} - The number of deliveries queued
+ */
+async function queueDeliveries(webhooks, event, payload) {
+  const nextAttemptAt = new Date();
+  const records = await DeliveryRecord().bulkCreate(
+    webhooks.map((webhook) => ({ webhookId: webhook.id, event, payload, nextAttemptAt }))
+  );
+  return records.length;
+}
+
+/**
+ * This function finds the pending deliveries whose next attempt has come,
+ * the ones waiting longest first, each with the address and secret of its
+ * webhook.
+ *
+ * @param {Date} now - The current moment
+ * @param {Number} limit - The most deliveries to return
+ * @returns {Promise<Array<Object>>} - The deliveries as plain objects, each
+ *                                     with a "webhook" holding its url and secret
+ */
+async function dueDeliveries(now, limit) {
+  const records = await DeliveryRecord().findAll({
+    where: { status: "pending", nextAttemptAt: { [Op.lte]: now } },
+    include: [{ model: db.model("Webhook"), as: "webhook", attributes: ["id", "url", "secret"] }],
+    order: [
+      ["nextAttemptAt", "ASC"],
+      ["id", "ASC"],
+    ],
+    limit,
+  });
+  return records.map(toPlain);
+}
+
+/**
+ * This function records the outcome of an attempt to send a delivery.
+ *
+ * @param {Number} id - The unique identifier of the delivery
+ * @param {Object} outcome - What happened
+ * @param {String} outcome.status - "delivered", "pending" to try again, or "failed"
+ * @param {Number} outcome.attempts - How many attempts have now been made
+ * @param {Date} outcome.attemptedAt - When the attempt was made
+ * @param {Number|null} outcome.responseStatus - The receiver's HTTP status, if it answered
+ * @param {String|null} outcome.error - Why the attempt failed, if it did
+ * @param {Date|null} outcome.nextAttemptAt - When to try again, for a pending delivery
+ * @returns {Promise<void>}
+ */
+async function recordAttempt(id, { status, attempts, attemptedAt, responseStatus, error, nextAttemptAt }) {
+  await DeliveryRecord().update(
+    { status, attempts, lastAttemptAt: attemptedAt, responseStatus, error, nextAttemptAt },
+    { where: { id } }
+  );
+}
+
+/**
+ * This function lists the most recent deliveries of one of a user's
+ * webhooks, newest first, optionally only those with one status.
+ *
+ * @param {Number} ownerId - The ID of the user the webhook must belong to
+ * @param {Number} webhookId - The unique identifier of the webhook
+ * @param {Object} [options] - Which deliveries to return
+ * @param {String} [options.status] - Only the deliveries with this status
+ * @returns {Promise<Array>} - The deliveries as plain objects
+ */
+async function listDeliveries(ownerId, webhookId, { status } = {}) {
+  const records = await DeliveryRecord().findAll({
+    where: status ? { status } : {},
+    include: ownedWebhook(ownerId, webhookId),
+    order: [
+      ["createdAt", "DESC"],
+      ["id", "DESC"],
+    ],
+    limit: HISTORY_SIZE,
+  });
+  return records.map(toPlain);
+}
+
+/**
+ * This function counts the deliveries of one of a user's webhooks by status.
+ *
+ * @param {Number} ownerId - The ID of the user the webhook must belong to
+ * @param {Number} webhookId - The unique identifier of the webhook
+ * @returns {Promise<Object>} - The count of each of the STATUSES
+ */
+async function countDeliveries(ownerId, webhookId) {
+  const counts = Object.fromEntries(Object.keys(STATUSES).map((status) => [status, 0]));
+  const rows = await DeliveryRecord().count({ include: ownedWebhook(ownerId, webhookId), group: ["status"] });
+  rows.forEach((row) => {
+    counts[row.status] = row.count;
+  });
+  return counts;
+}
+
+/**
+ * This function puts a failed delivery of one of a user's webhooks back in
+ * the queue, with a fresh set of attempts starting at once.
+ *
+ * @param {Number} ownerId - The ID of the user the webhook must belong to
+ * @param {Number} webhookId - The unique identifier of the webhook
+ * @param {Number} id - The unique identifier of the delivery
+ * @returns {Promise<Object|null>} - The queued delivery, or null if the
+ *                                   webhook has no failed delivery with that ID
+ */
+async function retryDelivery(ownerId, webhookId, id) {
+  if (!Number.isInteger(id)) return null;
+
+  const record = await DeliveryRecord().findOne({
+    where: { id, status: "failed" },
+    include: ownedWebhook(ownerId, webhookId),
+  });
+  if (!record) return null;
+
+  await record.update({ status: "pending", attempts: 0, nextAttemptAt: new Date() });
+  return toPlain(record);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the statuses and all model functions to make them available to
+ * controllers and the webhook job
+ */
+module.exports = {
+  STATUSES,
+  queueDeliveries,
+  dueDeliveries,
+  recordAttempt,
+  listDeliveries,
+  countDeliveries,
+  retryDelivery,
+};
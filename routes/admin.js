@@ -0,0 +1,77 @@
+/**
+ * File Purpose:
+ * This file defines the routes for the admin pages. The router is mounted
+ * under /admin behind requireLogin and requireAdmin, so the paths below are
+ * relative to /admin.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the admin routes.
+ */
+const router = express.Router();
+
+/**
+ * adminController - The controller module that shows and re-runs the link checks.
+ */
+const adminController = require("../controllers/adminController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LINKS_PATH - The route path for the link check page.
+ */
+const LINKS_PATH = "/links";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Link checks - Displays how many shopping links are fine, broken or
+ * unreachable, and lists the failing ones.
+ *
+ * @route GET /admin/links
+ */
+router.get(LINKS_PATH, asyncHandler(adminController.showLinks));
+
+/**
+ * Check all links - Starts checking every shopping link in the background.
+ *
+ * @route POST /admin/links/check
+ */
+router.post(`${LINKS_PATH}/check`, adminController.checkAllLinks);
+
+/**
+ * Check one link - Checks a single book's shopping link now.
+ *
+ * @route POST /admin/links/:bookId/check
+ * @param {string} bookId - The unique identifier of the book
+ */
+router.post(`${LINKS_PATH}/:bookId/check`, asyncHandler(adminController.checkOneLink));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the admin routes available to the application.
+ */
+module.exports = router;
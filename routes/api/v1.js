@@ -0,0 +1,336 @@
+/**
+ * File Purpose:
+ * This file defines version 1 of the JSON API. It is mounted at /api/v1 and
+ * exposes the book collection as a REST resource for scripts and the mobile
+ * client, alongside the Handlebars pages served by routes/books.js.
+ *
+ * Router Purpose:
+ * The router parses JSON request bodies, maps each HTTP method on the books
+ * resource to a function in booksApiController, exposes the user's webhooks
+ * and their delivery history, and makes sure that unknown
+ * paths and errors are answered with the API's JSON error envelope. Clients
+ * log in through the session resource; every other route answers 401 until
+ * they do.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the version 1 API routes
+ * and export them as a module.
+ */
+const router = express.Router();
+
+/**
+ * booksApiController - The controller module that answers the book API
+ * requests with JSON.
+ */
+const booksApiController = require("../../controllers/api/booksApiController");
+
+/**
+ * sessionApiController - The controller module that logs API clients in and out.
+ */
+const sessionApiController = require("../../controllers/api/sessionApiController");
+
+/**
+ * webhooksApiController - The controller module that manages webhooks and
+ * reads their delivery history.
+ */
+const webhooksApiController = require("../../controllers/api/webhooksApiController");
+
+/**
+ * requireApiLogin - Answers 401 to requests that are not logged in.
+ */
+const { requireApiLogin } = require("../../middleware/auth");
+
+/**
+ * requireJson - Refuses request bodies that are not JSON, which is what
+ * protects the API from cross-site form posts.
+ */
+const requireJson = require("../../middleware/requireJson");
+
+/**
+ * notFound - Answers the API paths no route matched with a 404.
+ */
+const { notFound } = require("../../middleware/errorHandler");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to the application's error handler.
+ */
+const asyncHandler = require("../../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOKS_PATH - The path of the books collection resource.
+ */
+const BOOKS_PATH = "/books";
+
+/**
+ * BOOK_PATH - The path of a single book resource.
+ */
+const BOOK_PATH = `${BOOKS_PATH}/:id`;
+
+/**
+ * SESSION_PATH - The path of the login session resource.
+ */
+const SESSION_PATH = "/session";
+
+/**
+ * ISBN_PATH - The path of the ISBN lookup resource.
+ */
+const ISBN_PATH = "/isbn";
+
+/**
+ * WEBHOOKS_PATH - The path of the webhooks collection resource.
+ */
+const WEBHOOKS_PATH = "/webhooks";
+
+/**
+ * WEBHOOK_PATH - The path of a single webhook resource.
+ */
+const WEBHOOK_PATH = `${WEBHOOKS_PATH}/:id`;
+
+// MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE
+// MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE
+// MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE -- MIDDLEWARE
+
+// Accept and parse only application/json request bodies
+router.use(requireJson);
+router.use(express.json());
+
+// SESSION ROUTES -- SESSION ROUTES -- SESSION ROUTES -- SESSION ROUTES
+// SESSION ROUTES -- SESSION ROUTES -- SESSION ROUTES -- SESSION ROUTES
+// SESSION ROUTES -- SESSION ROUTES -- SESSION ROUTES -- SESSION ROUTES
+
+/**
+ * Current session - Responds with the logged-in user.
+ *
+ * @route GET /api/v1/session
+ * @returns {Object} - 200 with { data: user }, or 401
+ */
+router.get(SESSION_PATH, sessionApiController.getSession);
+
+/**
+ * Log in - Checks { email, password } and sets the session cookie.
+ *
+ * @route POST /api/v1/session
+ * @returns {Object} - 200 with { data: user }, 401 or 422
+ */
+router.post(SESSION_PATH, asyncHandler(sessionApiController.createSession));
+
+/**
+ * Log out - Ends the session.
+ *
+ * @route DELETE /api/v1/session
+ * @returns {Object} - 204 with no body
+ */
+router.delete(SESSION_PATH, asyncHandler(sessionApiController.deleteSession));
+
+// Every book, lookup and webhook route below needs a logged-in user
+router.use([BOOKS_PATH, ISBN_PATH, WEBHOOKS_PATH], requireApiLogin);
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * List books - Responds with a page of books, searched, filtered and sorted
+ * like the home page.
+ *
+ * @route GET /api/v1/books
+ * @query {string} [q] - Words that must appear in the title or author
+ * @query {string} [status] - Only books with this reading status
+ * @query {string} [minCost] - Lowest cost, e.g. 5.00
+ * @query {string} [maxCost] - Highest cost
+ * @query {string} [sort] - title, author, cost, rating or added
+ * @query {string} [order] - asc or desc
+ * @query {number} [page] - Page number, from 1
+ * @query {number} [pageSize] - Books per page, up to 100
+ * @returns {Object} - 200 with { data: [book], meta }, or 422 for invalid options
+ */
+router.get(BOOKS_PATH, asyncHandler(booksApiController.listBooks));
+
+/**
+ * Create book - Adds a book from the JSON body. An "isbn" fills in any
+ * missing fields from the metadata provider.
+ *
+ * @route POST /api/v1/books
+ * @returns {Object} - 201 with { data: book }, or 422 when the body is invalid
+ */
+router.post(BOOKS_PATH, asyncHandler(booksApiController.createBook));
+
+/**
+ * Get book - Responds with a single book.
+ *
+ * @route GET /api/v1/books/:id
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 200 with { data: book }, or 404
+ */
+router.get(BOOK_PATH, asyncHandler(booksApiController.getBook));
+
+/**
+ * Replace book - Replaces every field of a book with the JSON body.
+ *
+ * @route PUT /api/v1/books/:id
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 200 with { data: book }, 404, or 422
+ */
+router.put(BOOK_PATH, asyncHandler(booksApiController.replaceBook));
+
+/**
+ * Patch book - Changes only the fields present in the JSON body.
+ *
+ * @route PATCH /api/v1/books/:id
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 200 with { data: book }, 404, or 422
+ */
+router.patch(BOOK_PATH, asyncHandler(booksApiController.patchBook));
+
+/**
+ * Delete book - Moves a book to the trash, from where it can be restored
+ * until the retention policy purges it.
+ *
+ * @route DELETE /api/v1/books/:id
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 204 with no body, or 404
+ */
+router.delete(BOOK_PATH, asyncHandler(booksApiController.deleteBook));
+
+/**
+ * Restore book - Takes a deleted book back out of the trash. Like every
+ * POST here it must be sent as JSON, so an empty object does as the body.
+ *
+ * @route POST /api/v1/books/:id/restore
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 200 with { data: book }, or 404 if it is not in the trash
+ */
+router.post(`${BOOK_PATH}/restore`, asyncHandler(booksApiController.restoreBook));
+
+/**
+ * Change status - Moves a book to another reading status.
+ *
+ * @route POST /api/v1/books/:id/status
+ * @param {string} id - The unique identifier of the book
+ * @body {string} status - The status to move the book to
+ * @returns {Object} - 200 with { data: book }, 404, 409 or 422
+ */
+router.post(`${BOOK_PATH}/status`, asyncHandler(booksApiController.changeStatus));
+
+/**
+ * Status timeline - Responds with every status change of a book.
+ *
+ * @route GET /api/v1/books/:id/status-changes
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 200 with { data: [statusChange] }, or 404
+ */
+router.get(`${BOOK_PATH}/status-changes`, asyncHandler(booksApiController.listStatusChanges));
+
+/**
+ * Revisions - Responds with the audit log of a book's details, newest first:
+ * each change's actor, time, field-level diff and the details afterwards.
+ *
+ * @route GET /api/v1/books/:id/revisions
+ * @param {string} id - The unique identifier of the book
+ * @returns {Object} - 200 with { data: [revision] }, or 404
+ */
+router.get(`${BOOK_PATH}/revisions`, asyncHandler(booksApiController.listRevisions));
+
+/**
+ * ISBN lookup - Validates an ISBN and responds with the book details the
+ * configured metadata provider has for it.
+ *
+ * @route GET /api/v1/isbn/:isbn
+ * @param {string} isbn - An ISBN-10 or ISBN-13, hyphens allowed
+ * @returns {Object} - 200 with { data: { isbn13, isbn10, title, authors, ... } }, 404, 422 or 502
+ */
+router.get(`${ISBN_PATH}/:isbn`, asyncHandler(booksApiController.lookupIsbn));
+
+/**
+ * List webhooks - Responds with the user's webhooks, newest first.
+ *
+ * @route GET /api/v1/webhooks
+ * @returns {Object} - 200 with { data: [webhook] }
+ */
+router.get(WEBHOOKS_PATH, asyncHandler(webhooksApiController.listWebhooks));
+
+/**
+ * Create webhook - Registers an address to be sent the chosen book events.
+ * The response holds the secret its requests are signed with.
+ *
+ * @route POST /api/v1/webhooks
+ * @body {string} url - The http or https address to post the events to
+ * @body {string} [label] - A name for the webhook
+ * @body {Array} events - The event types to send, e.g. ["book.created"]
+ * @returns {Object} - 201 with { data: webhook }, or 422 when the body is invalid
+ */
+router.post(WEBHOOKS_PATH, asyncHandler(webhooksApiController.createWebhook));
+
+/**
+ * Get webhook - Responds with a single webhook.
+ *
+ * @route GET /api/v1/webhooks/:id
+ * @param {string} id - The unique identifier of the webhook
+ * @returns {Object} - 200 with { data: webhook }, or 404
+ */
+router.get(WEBHOOK_PATH, asyncHandler(webhooksApiController.getWebhook));
+
+/**
+ * Delete webhook - Stops sending events to a webhook and drops its history.
+ *
+ * @route DELETE /api/v1/webhooks/:id
+ * @param {string} id - The unique identifier of the webhook
+ * @returns {Object} - 204 with no body, or 404
+ */
+router.delete(WEBHOOK_PATH, asyncHandler(webhooksApiController.deleteWebhook));
+
+/**
+ * Delivery history - Responds with a webhook's most recent deliveries,
+ * newest first, each with the body it sends as "payload".
+ *
+ * @route GET /api/v1/webhooks/:id/deliveries
+ * @param {string} id - The unique identifier of the webhook
+ * @query {string} [status] - pending, delivered or failed
+ * @returns {Object} - 200 with { data: [delivery] }, 404, or 422 for an unknown status
+ */
+router.get(`${WEBHOOK_PATH}/deliveries`, asyncHandler(webhooksApiController.listDeliveries));
+
+/**
+ * Retry delivery - Sends a failed delivery again, with a fresh set of attempts.
+ *
+ * @route POST /api/v1/webhooks/:id/deliveries/:deliveryId/retry
+ * @param {string} id - The unique identifier of the webhook
+ * @param {string} deliveryId - The unique identifier of the failed delivery
+ * @returns {Object} - 200 with { data: delivery }, or 404
+ */
+router.post(`${WEBHOOK_PATH}/deliveries/:deliveryId/retry`, asyncHandler(webhooksApiController.retryDelivery));
+
+// FALLBACK HANDLERS -- FALLBACK HANDLERS -- FALLBACK HANDLERS -- FALLBACK HANDLERS
+// FALLBACK HANDLERS -- FALLBACK HANDLERS -- FALLBACK HANDLERS -- FALLBACK HANDLERS
+// FALLBACK HANDLERS -- FALLBACK HANDLERS -- FALLBACK HANDLERS -- FALLBACK HANDLERS
+
+// Answer unknown API paths with a 404 here, before the page routes' login
+// and CSRF checks get to them. This 404, and every error raised by the API
+// routes, reaches the application's error handler, which answers API
+// requests in the JSON error envelope (see middleware/errorHandler.js).
+router.use(notFound);
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the version 1 API available to the application.
+ */
+module.exports = router;
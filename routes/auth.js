@@ -0,0 +1,104 @@
+/**
+ * File Purpose:
+ * This file defines the routes for registering, logging in and logging out.
+ *
+ * Router Purpose:
+ * These are the only pages that can be used without logging in; app.js
+ * mounts this router before the login requirement that guards the rest.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the account routes.
+ */
+const router = express.Router();
+
+/**
+ * authController - The controller module that registers users and logs
+ * them in and out.
+ */
+const authController = require("../controllers/authController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LOGIN_PATH - The route path of the login page.
+ */
+const LOGIN_PATH = "/login";
+
+/**
+ * REGISTER_PATH - The route path of the registration page.
+ */
+const REGISTER_PATH = "/register";
+
+/**
+ * LOGOUT_PATH - The route path that logs the user out.
+ */
+const LOGOUT_PATH = "/logout";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Login form - Displays the login form.
+ *
+ * @route GET /login
+ * @query {string} [next] - The page to return to after logging in
+ */
+router.get(LOGIN_PATH, authController.showLoginForm);
+
+/**
+ * Log in - Checks the email and password and starts a session.
+ *
+ * @route POST /login
+ */
+router.post(LOGIN_PATH, asyncHandler(authController.login));
+
+/**
+ * Registration form - Displays the form to create an account.
+ *
+ * @route GET /register
+ */
+router.get(REGISTER_PATH, authController.showRegisterForm);
+
+/**
+ * Register - Creates an account and logs it in.
+ *
+ * @route POST /register
+ */
+router.post(REGISTER_PATH, asyncHandler(authController.register));
+
+/**
+ * Log out - Ends the session. Only POST is accepted, so a link or image on
+ * another site cannot log the user out.
+ *
+ * @route POST /logout
+ */
+router.post(LOGOUT_PATH, asyncHandler(authController.logout));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the account routes available to the application.
+ */
+module.exports = router;
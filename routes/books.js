@@ -8,6 +8,14 @@
  * CRUD (Create, Read, Update, Delete) operations on books. It routes 
  * incoming HTTP requests to the appropriate controller methods, ensuring 
  * separation of concerns between routing and business logic.
+ *
+ * Every request that changes a book must carry the form's CSRF token (see
+ * middleware/csrf.js). Forms reach the PUT and DELETE routes through
+ * method-override's hidden _method field.
+ *
+ * The add and edit forms are multipart, with an optional cover image; their
+ * body is read by routes/uploads.js before the CSRF check, so by the time
+ * these routes run it is in req.body and req.file.
  */
 
 // DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
@@ -32,6 +40,12 @@ const router = express.Router();
  */
 const booksController = require("../controllers/booksController");
 
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
 // CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
 // CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
 // CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
@@ -56,17 +70,49 @@ const EDIT_BOOK_PATH = "/edit";
  */
 const DELETE_BOOK_PATH = "/delete";
 
+/**
+ * STATUS_PATH - The sub-path of a book for changing its reading status.
+ */
+const STATUS_PATH = "/status";
+
+/**
+ * SESSIONS_PATH - The sub-path of a book for its logged reading sessions.
+ */
+const SESSIONS_PATH = "/sessions";
+
+/**
+ * REVIEW_PATH - The sub-path of a book for its rating and review.
+ */
+const REVIEW_PATH = "/review";
+
+/**
+ * NOTES_PATH - The sub-path of a book for its private notes and quotes.
+ */
+const NOTES_PATH = "/notes";
+
+/**
+ * REVISIONS_PATH - The sub-path of a book for its audit log.
+ */
+const REVISIONS_PATH = "/revisions";
+
+/**
+ * BULK_PATH - The route path for applying one action to many books at once.
+ */
+const BULK_PATH = "/books/bulk";
+
 // ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
 // ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
 // ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
 
 /**
- * Home page - Retrieves and displays a list of all books.
+ * Home page - Retrieves and displays a list of all books, optionally only
+ * those with one reading status.
  * 
  * @route GET /
+ * @query {string} [status] - to-read, reading, finished or abandoned
  * @returns {Array} - A list of book objects
  */
-router.get("/", booksController.getAllBooks);
+router.get("/", asyncHandler(booksController.getAllBooks));
 
 /**
  * Add book form - Displays the form to add a new book.
@@ -76,11 +122,20 @@ router.get("/", booksController.getAllBooks);
 router.get(ADD_BOOK_PATH, booksController.showAddForm);
 
 /**
- * Add book - Handles the form submission for adding a new book.
+ * Add book - Handles the form submission for adding a new book, sent as
+ * multipart/form-data with an optional cover image.
  * 
  * @route POST /add
+ * @body {File} [cover] - A JPEG, PNG, WebP or GIF cover image
+ */
+router.post(ADD_BOOK_PATH, asyncHandler(booksController.addBook));
+
+/**
+ * Look up ISBN - Fills the add book form from the entered ISBN and shows it again.
+ * 
+ * @route POST /add/lookup
  */
-router.post(ADD_BOOK_PATH, booksController.addBook);
+router.post(`${ADD_BOOK_PATH}/lookup`, asyncHandler(booksController.lookupIsbn));
 
 /**
  * View a single book - Retrieves details of a specific book by its ID.
@@ -89,7 +144,28 @@ router.post(ADD_BOOK_PATH, booksController.addBook);
  * @param {string} id - The unique identifier of the book
  * @returns {Object} - The book object with the matching ID
  */
-router.get(`${BASE_BOOK_PATH}/:id`, booksController.getBook);
+router.get(`${BASE_BOOK_PATH}/:id`, asyncHandler(booksController.getBook));
+
+/**
+ * Update book - Replaces the details of a book. The edit form sends this as
+ * a multipart/form-data POST with _method=PUT in its query string, as the
+ * method is chosen before the multipart body is read.
+ * 
+ * @route PUT /book/:id
+ * @param {string} id - The unique identifier of the book
+ * @body {File} [cover] - A new JPEG, PNG, WebP or GIF cover image
+ * @body {string} [removeCover] - Any value removes the uploaded cover image
+ */
+router.put(`${BASE_BOOK_PATH}/:id`, asyncHandler(booksController.updateBook));
+
+/**
+ * Delete book - Removes a book. The delete button sends this as a POST with
+ * _method=DELETE.
+ * 
+ * @route DELETE /book/:id
+ * @param {string} id - The unique identifier of the book
+ */
+router.delete(`${BASE_BOOK_PATH}/:id`, asyncHandler(booksController.deleteBook));
 
 /**
  * Edit book form - Displays the form to edit an existing book.
@@ -97,23 +173,111 @@ router.get(`${BASE_BOOK_PATH}/:id`, booksController.getBook);
  * @route GET /edit/:id
  * @param {string} id - The unique identifier of the book
  */
-router.get(`${EDIT_BOOK_PATH}/:id`, booksController.showEditForm);
+router.get(`${EDIT_BOOK_PATH}/:id`, asyncHandler(booksController.showEditForm));
 
 /**
- * Update book - Handles the form submission for updating book details.
+ * Update book (legacy) - Handles the form submission for updating book
+ * details. Kept for older clients; the edit form now uses PUT /book/:id.
  * 
  * @route POST /edit/:id
  * @param {string} id - The unique identifier of the book
  */
-router.post(`${EDIT_BOOK_PATH}/:id`, booksController.updateBook);
+router.post(`${EDIT_BOOK_PATH}/:id`, asyncHandler(booksController.updateBook));
 
 /**
- * Delete book - Handles the deletion of a book from the database.
+ * Delete book (legacy) - Handles the deletion of a book from the database.
+ * Kept for older clients; the book page now uses DELETE /book/:id.
  * 
  * @route POST /delete/:id
  * @param {string} id - The unique identifier of the book
  */
-router.post(`${DELETE_BOOK_PATH}/:id`, booksController.deleteBook);
+router.post(`${DELETE_BOOK_PATH}/:id`, asyncHandler(booksController.deleteBook));
+
+/**
+ * Change reading status - Moves a book to another reading status.
+ *
+ * @route POST /book/:id/status
+ * @param {string} id - The unique identifier of the book
+ * @body {string} status - The status to move the book to
+ */
+router.post(`${BASE_BOOK_PATH}/:id${STATUS_PATH}`, asyncHandler(booksController.changeStatus));
+
+/**
+ * Log reading session - Records pages read on a day and moves the book's
+ * current page forward.
+ *
+ * @route POST /book/:id/sessions
+ * @param {string} id - The unique identifier of the book
+ * @body {string} [readOn] - The day as YYYY-MM-DD, today by default
+ * @body {string} pagesRead - The number of pages read
+ * @body {string} [minutes] - The minutes spent reading
+ */
+router.post(`${BASE_BOOK_PATH}/:id${SESSIONS_PATH}`, asyncHandler(booksController.logSession));
+
+/**
+ * Delete reading session - Removes a logged session and moves the book's
+ * current page back.
+ *
+ * @route DELETE /book/:id/sessions/:sessionId
+ * @param {string} id - The unique identifier of the book
+ * @param {string} sessionId - The unique identifier of the session
+ */
+router.delete(`${BASE_BOOK_PATH}/:id${SESSIONS_PATH}/:sessionId`, asyncHandler(booksController.deleteSession));
+
+/**
+ * Review book - Saves the star rating and Markdown review of a finished book.
+ *
+ * @route PUT /book/:id/review
+ * @param {string} id - The unique identifier of the book
+ * @body {string} [rating] - 1 to 5 stars; empty for no rating
+ * @body {string} [review] - The review in Markdown; empty for no review
+ */
+router.put(`${BASE_BOOK_PATH}/:id${REVIEW_PATH}`, asyncHandler(booksController.reviewBook));
+
+/**
+ * Add note - Writes down a private note or quote for a book.
+ *
+ * @route POST /book/:id/notes
+ * @param {string} id - The unique identifier of the book
+ * @body {string} kind - note or quote
+ * @body {string} body - The text of the note
+ * @body {string} [page] - The page it refers to
+ */
+router.post(`${BASE_BOOK_PATH}/:id${NOTES_PATH}`, asyncHandler(booksController.addNote));
+
+/**
+ * Delete note - Removes a note or quote from a book.
+ *
+ * @route DELETE /book/:id/notes/:noteId
+ * @param {string} id - The unique identifier of the book
+ * @param {string} noteId - The unique identifier of the note
+ */
+router.delete(`${BASE_BOOK_PATH}/:id${NOTES_PATH}/:noteId`, asyncHandler(booksController.deleteNote));
+
+/**
+ * Revert book - Brings a book's details back to an earlier revision from its
+ * history panel. The revert is recorded as a revision of its own.
+ *
+ * @route POST /book/:id/revisions/:revisionId/revert
+ * @param {string} id - The unique identifier of the book
+ * @param {string} revisionId - The unique identifier of the revision to go back to
+ */
+router.post(`${BASE_BOOK_PATH}/:id${REVISIONS_PATH}/:revisionId/revert`, asyncHandler(booksController.revertBook));
+
+/**
+ * Bulk action - Applies one action from the bulk action bar on the home page
+ * to every ticked book, all together or not at all, and returns to the list.
+ *
+ * @route POST /books/bulk
+ * @body {string|Array} ids - The unique identifiers of the ticked books
+ * @body {string} action - delete, status, add-tag, remove-tag or cost
+ * @body {string} [status] - For "status", the status to move the books to
+ * @body {string} [tag] - For "add-tag" and "remove-tag", the tag
+ * @body {string} [costMode] - For "cost", set, increase, decrease or percent
+ * @body {string} [amount] - For "cost", the amount or percentage
+ * @body {string} [returnTo] - The list to go back to, "/" by default
+ */
+router.post(BULK_PATH, asyncHandler(booksController.bulkUpdate));
 
 // MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
 // MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
@@ -0,0 +1,76 @@
+/**
+ * File Purpose:
+ * This file defines the routes for the budget page and its settings form.
+ *
+ * Router Purpose:
+ * The settings form reaches the PUT route through method-override's hidden
+ * _method field and must carry the form's CSRF token (see middleware/csrf.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the budget routes.
+ */
+const router = express.Router();
+
+/**
+ * budgetController - The controller module that builds the budget page and
+ * saves the user's money settings.
+ */
+const budgetController = require("../controllers/budgetController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BUDGET_PATH - The route path for the budget page.
+ */
+const BUDGET_PATH = "/budget";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Budget - Displays spending against the budget and how much of the to-read
+ * list the rest of it covers.
+ *
+ * @route GET /budget
+ */
+router.get(BUDGET_PATH, asyncHandler(budgetController.showBudget));
+
+/**
+ * Update settings - Saves the home currency, locale and budget.
+ *
+ * @route PUT /budget
+ * @body {string} currency - The home currency code, e.g. EUR
+ * @body {string} [locale] - How prices are written, e.g. de-DE
+ * @body {string} [budgetPeriod] - monthly or yearly; empty for no budget
+ * @body {string} [budget] - The budget per period, in the home currency
+ */
+router.put(BUDGET_PATH, asyncHandler(budgetController.updateBudget));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the budget routes available to the application.
+ */
+module.exports = router;
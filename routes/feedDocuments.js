@@ -0,0 +1,75 @@
+/**
+ * File Purpose:
+ * This file defines the feed documents that feed readers and calendar
+ * clients subscribe to: the Atom and RSS feeds of recently added and updated
+ * books and the iCalendar file of target finish dates and reading goals.
+ *
+ * Router Purpose:
+ * These routes need no login; the unguessable feed token in the address is
+ * what grants access. They only answer GET requests, so nothing can be
+ * changed through them. The router is mounted under /feeds, before
+ * requireLogin.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the feed documents.
+ */
+const router = express.Router();
+
+/**
+ * feedsController - The controller module that writes the feed documents.
+ */
+const feedsController = require("../controllers/feedsController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Atom feed - The books most recently added or updated.
+ *
+ * @route GET /feeds/:token/books.atom
+ * @param {string} token - The user's feed token
+ */
+router.get("/:token/books.atom", asyncHandler(feedsController.sendAtomFeed));
+
+/**
+ * RSS feed - The same books as the Atom feed, for readers without Atom.
+ *
+ * @route GET /feeds/:token/books.rss
+ * @param {string} token - The user's feed token
+ */
+router.get("/:token/books.rss", asyncHandler(feedsController.sendRssFeed));
+
+/**
+ * Calendar - Target finish dates and the end of the reading goal's period.
+ *
+ * @route GET /feeds/:token/reading.ics
+ * @param {string} token - The user's feed token
+ */
+router.get("/:token/reading.ics", asyncHandler(feedsController.sendCalendar));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the feed documents available to the application.
+ */
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * File Purpose:
+ * This file defines the routes for managing feeds: the feeds page, turning
+ * the feeds on or giving them new addresses, and turning them off.
+ *
+ * Router Purpose:
+ * These routes are for the owner of the list and are mounted behind
+ * requireLogin. The feed documents themselves are in routes/feedDocuments.js.
+ * Forms reach the DELETE route through method-override's hidden _method
+ * field, and every request that changes the feeds must carry the form's CSRF
+ * token (see middleware/csrf.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the feed management routes.
+ */
+const router = express.Router();
+
+/**
+ * feedsController - The controller module that manages the feeds.
+ */
+const feedsController = require("../controllers/feedsController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * FEEDS_PATH - The route path for the feeds page.
+ */
+const FEEDS_PATH = "/feeds";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Feeds - Displays the feed addresses, or a button to turn the feeds on.
+ *
+ * @route GET /feeds
+ */
+router.get(FEEDS_PATH, feedsController.showFeeds);
+
+/**
+ * Reset feeds - Turns the feeds on, or gives them new addresses.
+ *
+ * @route POST /feeds
+ */
+router.post(FEEDS_PATH, asyncHandler(feedsController.resetFeeds));
+
+/**
+ * Turn off feeds - Stops the feed addresses from working.
+ *
+ * @route DELETE /feeds
+ */
+router.delete(FEEDS_PATH, asyncHandler(feedsController.disableFeeds));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the feed management routes available to the application.
+ */
+module.exports = router;
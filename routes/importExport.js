@@ -0,0 +1,112 @@
+/**
+ * File Purpose:
+ * This file defines the routes for exporting the reading list and importing
+ * books from a CSV file.
+ *
+ * Router Purpose:
+ * The export routes answer with file downloads. The import routes walk
+ * through the upload, mapping/preview and commit steps, each a form post
+ * handled by importExportController.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the import and export routes.
+ */
+const router = express.Router();
+
+/**
+ * importExportController - The controller module that builds the downloads
+ * and runs each step of an import.
+ */
+const importExportController = require("../controllers/importExportController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * EXPORT_PATH - The base route path for the export downloads.
+ */
+const EXPORT_PATH = "/export";
+
+/**
+ * IMPORT_PATH - The base route path for the import steps.
+ */
+const IMPORT_PATH = "/import";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Export as CSV - Downloads the whole reading list as a CSV file.
+ *
+ * @route GET /export.csv
+ */
+router.get(`${EXPORT_PATH}.csv`, asyncHandler(importExportController.exportCsv));
+
+/**
+ * Export as JSON - Downloads the whole reading list as a JSON file.
+ *
+ * @route GET /export.json
+ */
+router.get(`${EXPORT_PATH}.json`, asyncHandler(importExportController.exportJson));
+
+/**
+ * Import form - Displays the CSV upload form.
+ *
+ * @route GET /import
+ */
+router.get(IMPORT_PATH, importExportController.showImportForm);
+
+/**
+ * Upload - Reads the uploaded CSV file and shows the column mapping step.
+ *
+ * @route POST /import/upload
+ * @body {file} file - The CSV file, sent as multipart/form-data and read
+ *                     into req.file by routes/uploads.js
+ */
+router.post(`${IMPORT_PATH}/upload`, asyncHandler(importExportController.uploadImport));
+
+/**
+ * Preview - Checks every row against the chosen mapping without saving.
+ *
+ * @route POST /import/preview
+ * @body {string} csv - The uploaded CSV text
+ * @body {Object} mapping - The column index chosen for each book field
+ */
+router.post(`${IMPORT_PATH}/preview`, asyncHandler(importExportController.previewImport));
+
+/**
+ * Commit - Adds the valid, non-duplicate rows in a single batch.
+ *
+ * @route POST /import/commit
+ * @body {string} csv - The uploaded CSV text
+ * @body {Object} mapping - The column index chosen for each book field
+ */
+router.post(`${IMPORT_PATH}/commit`, asyncHandler(importExportController.commitImport));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the import and export routes available to the application.
+ */
+module.exports = router;
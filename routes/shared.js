@@ -0,0 +1,67 @@
+/**
+ * File Purpose:
+ * This file defines the read-only pages a share link opens: the shared list
+ * and the page of each book on it.
+ *
+ * Router Purpose:
+ * These routes need no login; the unguessable token in the address is what
+ * grants access. They only answer GET requests, so nothing can be changed
+ * through them. The router is mounted under /s, before requireLogin.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the shared pages.
+ */
+const router = express.Router();
+
+/**
+ * sharesController - The controller module that renders the shared pages.
+ */
+const sharesController = require("../controllers/sharesController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Shared list - Displays the books a share link shows, without any controls.
+ *
+ * @route GET /s/:token
+ * @param {string} token - The link's token
+ * @query {string} [page] - The page number, starting at 1
+ */
+router.get("/:token", asyncHandler(sharesController.showSharedList));
+
+/**
+ * Shared book - Displays one book of a shared list, without any controls.
+ *
+ * @route GET /s/:token/book/:id
+ * @param {string} token - The link's token
+ * @param {string} id - The unique identifier of the book
+ */
+router.get("/:token/book/:id", asyncHandler(sharesController.showSharedBook));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the shared pages available to the application.
+ */
+module.exports = router;
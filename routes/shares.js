@@ -0,0 +1,86 @@
+/**
+ * File Purpose:
+ * This file defines the routes for managing share links: listing them,
+ * creating one and revoking one.
+ *
+ * Router Purpose:
+ * These routes are for the owner of the list and are mounted behind
+ * requireLogin. The read-only pages a share link opens are in
+ * routes/shared.js. Forms reach the DELETE route through method-override's
+ * hidden _method field, and every request that changes a link must carry
+ * the form's CSRF token (see middleware/csrf.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the share link routes.
+ */
+const router = express.Router();
+
+/**
+ * sharesController - The controller module that manages share links.
+ */
+const sharesController = require("../controllers/sharesController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SHARES_PATH - The base route path for share links.
+ */
+const SHARES_PATH = "/shares";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Share links - Lists the user's share links with a form for a new one.
+ *
+ * @route GET /shares
+ */
+router.get(SHARES_PATH, asyncHandler(sharesController.listShares));
+
+/**
+ * Create share link - Creates a link to the books the form selects.
+ *
+ * @route POST /shares
+ * @body {string} [label] - A name for the link
+ * @body {string} [status] - The only status to show; empty for every status
+ * @body {string} [tags] - Comma-separated tags every book shown must carry
+ * @body {string} [expiresIn] - never, or the number of days the link works
+ */
+router.post(SHARES_PATH, asyncHandler(sharesController.createShare));
+
+/**
+ * Revoke share link - Stops a link from working for good.
+ *
+ * @route DELETE /shares/:id
+ * @param {string} id - The unique identifier of the link
+ */
+router.delete(`${SHARES_PATH}/:id`, asyncHandler(sharesController.revokeShare));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the share link routes available to the application.
+ */
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * File Purpose:
+ * This file defines the routes for creating, renaming and deleting shelves
+ * and for putting books on them and taking books off.
+ *
+ * Router Purpose:
+ * Forms reach the PUT and DELETE routes through method-override's hidden
+ * _method field, and every request that changes a shelf must carry the
+ * form's CSRF token (see middleware/csrf.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the shelf routes.
+ */
+const router = express.Router();
+
+/**
+ * shelvesController - The controller module that manages shelves and the
+ * books on them.
+ */
+const shelvesController = require("../controllers/shelvesController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SHELVES_PATH - The base route path for shelves.
+ */
+const SHELVES_PATH = "/shelves";
+
+/**
+ * BOOKS_PATH - The sub-path of a shelf for the books on it.
+ */
+const BOOKS_PATH = "/books";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Shelves - Lists the user's shelves with a form for a new one.
+ *
+ * @route GET /shelves
+ */
+router.get(SHELVES_PATH, asyncHandler(shelvesController.listShelves));
+
+/**
+ * Create shelf - Creates a shelf with the submitted name.
+ *
+ * @route POST /shelves
+ * @body {string} name - The shelf name
+ */
+router.post(SHELVES_PATH, asyncHandler(shelvesController.createShelf));
+
+/**
+ * Shelf page - Displays the books on one shelf.
+ *
+ * @route GET /shelves/:id
+ * @param {string} id - The unique identifier of the shelf
+ */
+router.get(`${SHELVES_PATH}/:id`, asyncHandler(shelvesController.getShelf));
+
+/**
+ * Rename shelf - Gives a shelf a new name.
+ *
+ * @route PUT /shelves/:id
+ * @param {string} id - The unique identifier of the shelf
+ * @body {string} name - The new name
+ */
+router.put(`${SHELVES_PATH}/:id`, asyncHandler(shelvesController.renameShelf));
+
+/**
+ * Delete shelf - Deletes a shelf; the books on it stay on the list.
+ *
+ * @route DELETE /shelves/:id
+ * @param {string} id - The unique identifier of the shelf
+ */
+router.delete(`${SHELVES_PATH}/:id`, asyncHandler(shelvesController.deleteShelf));
+
+/**
+ * Add to shelf - Puts a book on a shelf.
+ *
+ * @route POST /shelves/:id/books
+ * @param {string} id - The unique identifier of the shelf
+ * @body {string} bookId - The unique identifier of the book
+ */
+router.post(`${SHELVES_PATH}/:id${BOOKS_PATH}`, asyncHandler(shelvesController.addBookToShelf));
+
+/**
+ * Remove from shelf - Takes a book off a shelf.
+ *
+ * @route DELETE /shelves/:id/books/:bookId
+ * @param {string} id - The unique identifier of the shelf
+ * @param {string} bookId - The unique identifier of the book
+ * @body {string} [next] - The page to return to, the shelf page by default
+ */
+router.delete(`${SHELVES_PATH}/:id${BOOKS_PATH}/:bookId`, asyncHandler(shelvesController.removeBookFromShelf));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the shelf routes available to the application.
+ */
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * File Purpose:
+ * This file defines the routes for the reading statistics page and its
+ * reading goal form.
+ *
+ * Router Purpose:
+ * The goal form reaches the PUT route through method-override's hidden
+ * _method field and must carry the form's CSRF token (see middleware/csrf.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the statistics routes.
+ */
+const router = express.Router();
+
+/**
+ * statsController - The controller module that builds the statistics page
+ * and saves the user's reading goal.
+ */
+const statsController = require("../controllers/statsController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * STATS_PATH - The route path for the statistics page.
+ */
+const STATS_PATH = "/stats";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Statistics - Displays books finished per month, pages per week, the
+ * average cost of a book, the current reading streak and the progress
+ * towards the reading goal.
+ *
+ * @route GET /stats
+ */
+router.get(STATS_PATH, asyncHandler(statsController.showStats));
+
+/**
+ * Update goal - Saves the reading goal.
+ *
+ * @route PUT /stats
+ * @body {string} [goalPeriod] - monthly or yearly; empty for no goal
+ * @body {string} [goalBooks] - How many books to finish in each period
+ */
+router.put(STATS_PATH, asyncHandler(statsController.updateGoal));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the statistics routes available to the application.
+ */
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * File Purpose:
+ * This file defines the routes for the trash page and for restoring and
+ * purging deleted books.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the trash routes.
+ */
+const router = express.Router();
+
+/**
+ * trashController - The controller module that lists, restores and purges
+ * deleted books.
+ */
+const trashController = require("../controllers/trashController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * TRASH_PATH - The route path for the trash page.
+ */
+const TRASH_PATH = "/trash";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Trash - Displays the deleted books and when each will be purged.
+ *
+ * @route GET /trash
+ */
+router.get(TRASH_PATH, asyncHandler(trashController.showTrash));
+
+/**
+ * Restore book - Takes a book out of the trash. The "Undo" button shown
+ * after a delete posts here too.
+ *
+ * @route POST /trash/:id/restore
+ * @param {string} id - The unique identifier of the book
+ */
+router.post(`${TRASH_PATH}/:id/restore`, asyncHandler(trashController.restoreBook));
+
+/**
+ * Purge book - Removes a book in the trash for good.
+ *
+ * @route DELETE /trash/:id
+ * @param {string} id - The unique identifier of the book
+ */
+router.delete(`${TRASH_PATH}/:id`, asyncHandler(trashController.purgeBook));
+
+/**
+ * Empty trash - Removes every book in the trash for good.
+ *
+ * @route DELETE /trash
+ */
+router.delete(TRASH_PATH, asyncHandler(trashController.emptyTrash));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the trash routes available to the application.
+ */
+module.exports = router;
@@ -0,0 +1,110 @@
+/**
+ * File Purpose:
+ * This file reads the file uploads of the forms that send one: the cover
+ * image of the add and edit book forms and the CSV file of an import.
+ *
+ * Router Purpose:
+ * An upload form is sent as multipart/form-data, whose fields, including the
+ * hidden _csrf field, only exist once the body has been read. These routes
+ * read it before the CSRF check in app.js, so the token travels in the form
+ * like everywhere else instead of in the address, where it would end up in
+ * the request log and the browser history. Each route only reads the body
+ * into req.body and req.file and passes the request on; the CSRF check and
+ * then the route that handles the form (in routes/books.js or
+ * routes/importExport.js) run afterwards.
+ *
+ * The uploads are only read for logged-in users.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the upload routes.
+ */
+const router = express.Router();
+
+/**
+ * booksController - Reads the cover image of the add and edit book forms.
+ */
+const booksController = require("../controllers/booksController");
+
+/**
+ * importExportController - Reads the CSV file of the import upload form.
+ */
+const importExportController = require("../controllers/importExportController");
+
+/**
+ * requireLogin - Turns visitors away before their upload is read
+ */
+const { requireLogin } = require("../middleware/auth");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * COVER_FORM_PATHS - The routes the add and edit book forms are sent to
+ */
+const COVER_FORM_PATHS = {
+  add: "/add",
+  lookup: "/add/lookup",
+  update: "/book/:id",
+  legacyUpdate: "/edit/:id",
+};
+
+/**
+ * IMPORT_UPLOAD_PATH - The route the import upload form is sent to
+ */
+const IMPORT_UPLOAD_PATH = "/import/upload";
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Add book cover - Reads the add form, and its cover image, for POST /add
+ * and for the ISBN lookup.
+ *
+ * @route POST /add
+ * @route POST /add/lookup
+ * @body {File} [cover] - A JPEG, PNG, WebP or GIF cover image
+ */
+router.post([COVER_FORM_PATHS.add, COVER_FORM_PATHS.lookup], requireLogin, booksController.receiveCover);
+
+/**
+ * Edit book cover - Reads the edit form, and its new cover image, for the
+ * update routes.
+ *
+ * @route PUT /book/:id
+ * @route POST /edit/:id
+ * @body {File} [cover] - A new JPEG, PNG, WebP or GIF cover image
+ */
+router.put(COVER_FORM_PATHS.update, requireLogin, booksController.receiveCover);
+router.post(COVER_FORM_PATHS.legacyUpdate, requireLogin, booksController.receiveCover);
+
+/**
+ * Import upload - Reads the CSV file of the first import step. A file that
+ * is too large shows the upload form again straight away.
+ *
+ * @route POST /import/upload
+ * @body {File} file - The CSV file
+ */
+router.post(IMPORT_UPLOAD_PATH, requireLogin, importExportController.receiveUpload);
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router so the application can read uploads before checking the
+ * CSRF token.
+ */
+module.exports = router;
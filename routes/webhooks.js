@@ -0,0 +1,107 @@
+/**
+ * File Purpose:
+ * This file defines the routes for managing webhooks: listing them, adding
+ * one, deleting one, and the delivery history of each.
+ *
+ * Router Purpose:
+ * These routes are for the owner of the list and are mounted behind
+ * requireLogin. Forms reach the DELETE route through method-override's
+ * hidden _method field, and every request that changes a webhook must carry
+ * the form's CSRF token (see middleware/csrf.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * express - A web framework for Node.js that provides tools for routing
+ * and handling HTTP requests.
+ */
+const express = require("express");
+
+/**
+ * router - Express Router instance used to define the webhook routes.
+ */
+const router = express.Router();
+
+/**
+ * webhooksController - The controller module that manages webhooks.
+ */
+const webhooksController = require("../controllers/webhooksController");
+
+/**
+ * asyncHandler - Wraps the async controller functions so that a failed
+ * database call is passed on to Express instead of hanging the request.
+ */
+const asyncHandler = require("../utils/asyncHandler");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * WEBHOOKS_PATH - The base route path for webhooks.
+ */
+const WEBHOOKS_PATH = "/webhooks";
+
+/**
+ * DELIVERIES_PATH - The path of a webhook's delivery history.
+ */
+const DELIVERIES_PATH = `${WEBHOOKS_PATH}/:id/deliveries`;
+
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+// ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS -- ROUTE DEFINITIONS
+
+/**
+ * Webhooks - Lists the user's webhooks with a form for a new one.
+ *
+ * @route GET /webhooks
+ */
+router.get(WEBHOOKS_PATH, asyncHandler(webhooksController.listWebhooks));
+
+/**
+ * Add webhook - Registers an address to be sent the chosen book events.
+ *
+ * @route POST /webhooks
+ * @body {string} url - The http or https address to post the events to
+ * @body {string} [label] - A name for the webhook
+ * @body {string|Array} events - The event types to send, e.g. book.created
+ */
+router.post(WEBHOOKS_PATH, asyncHandler(webhooksController.createWebhook));
+
+/**
+ * Delete webhook - Stops sending events to a webhook and drops its history.
+ *
+ * @route DELETE /webhooks/:id
+ * @param {string} id - The unique identifier of the webhook
+ */
+router.delete(`${WEBHOOKS_PATH}/:id`, asyncHandler(webhooksController.deleteWebhook));
+
+/**
+ * Delivery history - Lists a webhook's most recent deliveries.
+ *
+ * @route GET /webhooks/:id/deliveries
+ * @param {string} id - The unique identifier of the webhook
+ * @query {string} [status] - Only deliveries that are pending, delivered or failed
+ */
+router.get(DELIVERIES_PATH, asyncHandler(webhooksController.showDeliveries));
+
+/**
+ * Retry delivery - Sends a failed delivery again.
+ *
+ * @route POST /webhooks/:id/deliveries/:deliveryId/retry
+ * @param {string} id - The unique identifier of the webhook
+ * @param {string} deliveryId - The unique identifier of the failed delivery
+ */
+router.post(`${DELIVERIES_PATH}/:deliveryId/retry`, asyncHandler(webhooksController.retryDelivery));
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export the router to make the webhook routes available to the application.
+ */
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * File Purpose:
+ * This script performs the one-time import of a books.json file, in the
+ * format the application used before it moved to SQLite, into the books table.
+ *
+ * Usage:
+ *   node scripts/import-books-json.js [path/to/books.json]
+ *
+ * When no path is given, data/books.json is imported. Every book is checked
+ * with the same rules as the add book form (validators/bookValidator.js); if
+ * any of them is invalid, each problem is listed and nothing is imported.
+ *
+ * The books are added through the Book model, so each one gets its status
+ * timeline and the first entry of its history like a book added in the app.
+ * Books keep their original IDs so that existing /book/:id links continue to
+ * work, and a book whose ID is already in the database is skipped, which
+ * makes it safe to run the script more than once. All books are added in a
+ * single transaction.
+ *
+ * Imported books are put on the list of the first admin account. When no
+ * account exists yet they are left without an owner, and the first account
+ * to register takes them over.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * fs - Node.js built-in File System module used to read the JSON file
+ */
+const fs = require("fs");
+
+/**
+ * path - Node.js built-in module used to resolve the default file location
+ */
+const path = require("path");
+
+/**
+ * db - The database module that owns the Sequelize connection
+ */
+const db = require("../db");
+
+/**
+ * User - Finds the account the imported books are given to
+ */
+const User = require("../models/User");
+
+/**
+ * Book - Adds the imported books with their timeline and history
+ */
+const Book = require("../models/Book");
+
+/**
+ * validateBook - Checks each book with the rules of the add book form
+ */
+const { validateBook } = require("../validators/bookValidator");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DEFAULT_SOURCE_PATH - The JSON file the old Book model read and wrote
+ */
+const DEFAULT_SOURCE_PATH = path.join(__dirname, "..", "data", "books.json");
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function reads and parses the JSON file, checking that it holds an
+ * array of books.
+ *
+ * @param {String} sourcePath - The path of the JSON file to read
+ * @returns {Array} - The book objects in the file
+ * @throws {Error} - When the file cannot be read, is not valid JSON or does
+ *                   not hold an array
+ */
+function readSourceBooks(sourcePath) {
+  // Read and parse the file, naming the file when it is not valid JSON
+  let books;
+  try {
+    books = JSON.parse(fs.readFileSync(sourcePath, "utf-8"));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    throw new Error(`${sourcePath} is not valid JSON (${error.message})`);
+  }
+
+  // The old model always wrote an array, so anything else is not a books file
+  if (!Array.isArray(books)) {
+    throw new Error(`${sourcePath} does not contain an array of books`);
+  }
+
+  return books;
+}
+
+/**
+ * This function works out when a legacy book was added. The old model used
+ * Date.now() as the ID, so an ID in a plausible millisecond range is turned
+ * back into that date; anything else falls back to the time of the import.
+ *
+ * @param {Number} id - The legacy book ID
+ * @returns {Date} - The creation date to store
+ */
+function creationDateFor(id) {
+  const looksLikeTimestamp = Number.isInteger(id) && id > Date.UTC(2000, 0, 1) && id <= Date.now();
+  return looksLikeTimestamp ? new Date(id) : new Date();
+}
+
+/**
+ * This function checks every legacy book with the add book form's rules and
+ * turns it into the details the Book model stores.
+ *
+ * @param {Array<Object>} books - The books from the JSON file
+ * @returns {Array<Object>} - The validated details of each book, with its
+ *                            original "id" (when it has a usable one) and
+ *                            its "createdAt"
+ * @throws {Error} - With code "INVALID_IMPORT" and a line per invalid field
+ *                   when any book is invalid
+ */
+function validateSourceBooks(books) {
+  const problems = [];
+
+  const entries = books.map((book, index) => {
+    const id = Number(book.id);
+    const { values, errors } = validateBook({
+      title: book.title,
+      author: book.author,
+      cost: book.cost,
+      shoppingUrl: book.shoppingUrl,
+    });
+
+    // Name each book by its position and ID so it can be found in the file
+    if (errors) {
+      const name = `Book ${index + 1}${Number.isInteger(id) ? ` (ID ${id})` : ""}`;
+      Object.values(errors).forEach((message) => problems.push(`${name}: ${message}`));
+    }
+
+    return { ...values, id: Number.isInteger(id) ? id : undefined, createdAt: creationDateFor(id) };
+  });
+
+  if (problems.length) {
+    const error = new Error(`Nothing was imported because some books are invalid:\n  ${problems.join("\n  ")}`);
+    error.code = "INVALID_IMPORT";
+    throw error;
+  }
+
+  return entries;
+}
+
+/**
+ * This function imports the books from the given JSON file into the database.
+ *
+ * @param {String} sourcePath - The path of the JSON file to import
+ * @returns {Promise<Object>} - Counts of the imported and skipped books
+ */
+async function importBooks(sourcePath) {
+  const entries = validateSourceBooks(readSourceBooks(sourcePath));
+
+  // Make sure the books table exists before inserting into it
+  await db.migrate();
+
+  // Give the books to the first admin, or leave them for the first account
+  const owner = await User.getFirstAdmin();
+
+  // Add every book in one transaction so a failure leaves nothing half-imported
+  return Book.importLegacyBooks(owner ? owner.id : null, entries);
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+const sourcePath = path.resolve(process.argv[2] || DEFAULT_SOURCE_PATH);
+
+importBooks(sourcePath)
+  .then(({ imported, skipped }) => {
+    console.log(`Imported ${imported} book(s) from ${sourcePath}, skipped ${skipped} already present.`);
+  })
+  .catch((error) => {
+    console.error(`Import failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
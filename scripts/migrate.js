@@ -0,0 +1,37 @@
+/**
+ * File Purpose:
+ * This script applies or reverts the database migrations from the command line.
+ * The server applies pending migrations on startup too, so this is mainly for
+ * preparing a database ahead of time or undoing the latest migration.
+ *
+ * Usage:
+ *   node scripts/migrate.js          Apply every pending migration
+ *   node scripts/migrate.js --undo   Revert the most recent migration
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * db - The database module that owns the Sequelize connection and migrations
+ */
+const db = require("../db");
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+const undo = process.argv.includes("--undo");
+
+(undo ? db.rollback() : db.migrate())
+  .then((migrations) => {
+    const verb = undo ? "Reverted" : "Applied";
+    const names = migrations.map((migration) => migration.name);
+    console.log(names.length ? `${verb}: ${names.join(", ")}` : "Nothing to do.");
+  })
+  .catch((error) => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,245 @@
+/**
+ * File Purpose:
+ * This file keeps the requests the server makes on a user's behalf (webhook
+ * deliveries and shopping link checks) away from the server's own network.
+ *
+ * Service Purpose:
+ * Without it, a user could register http://127.0.0.1:6379/ or
+ * http://169.254.169.254/ as a webhook or a shopping link, and the server
+ * would send a request there and report how it was answered: a way to probe
+ * services that are only reachable from the server itself.
+ *
+ * An address is refused when it is a loopback, private, link-local,
+ * unique-local, shared, multicast or otherwise reserved address, in IPv4 or
+ * IPv6 (including IPv4 addresses written as IPv6). A host name is looked up
+ * first and refused when any of its addresses is, so a public name that
+ * points at a private address is caught as well. The check runs right
+ * before every request, including each redirect a link check follows.
+ *
+ * Checking a name is not enough on its own: fetch would look the name up
+ * again to connect, and a name that answers with a public address the first
+ * time and a private one the second (DNS rebinding) would get through. So
+ * the requests go through the guard's dispatcher, which looks the name up
+ * with the guard when it connects, refuses it like checkUrl does, and
+ * connects to the very addresses it checked.
+ *
+ * The DNS lookup is passed in, like the fetch function of the services that
+ * use the guard, so tests can resolve names without a network.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * dns - Node.js built-in module used to look up the addresses of a host name
+ */
+const dns = require("dns");
+
+/**
+ * net - Node.js built-in module used to recognise and match IP addresses
+ */
+const net = require("net");
+
+/**
+ * undici - The HTTP client behind fetch; its Agent lets the guard decide
+ * which address each connection goes to
+ */
+const { Agent } = require("undici");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BLOCKED_RANGES - The address ranges no request may go to, as
+ * [network, prefix length, "ipv4" or "ipv6"]
+ */
+const BLOCKED_RANGES = [
+  ["0.0.0.0", 8, "ipv4"], // "This" network
+  ["10.0.0.0", 8, "ipv4"], // Private
+  ["100.64.0.0", 10, "ipv4"], // Shared address space (carrier-grade NAT)
+  ["127.0.0.0", 8, "ipv4"], // Loopback
+  ["169.254.0.0", 16, "ipv4"], // Link-local, including cloud metadata services
+  ["172.16.0.0", 12, "ipv4"], // Private
+  ["192.0.0.0", 24, "ipv4"], // IETF protocol assignments
+  ["192.168.0.0", 16, "ipv4"], // Private
+  ["198.18.0.0", 15, "ipv4"], // Benchmarking
+  ["224.0.0.0", 4, "ipv4"], // Multicast
+  ["240.0.0.0", 4, "ipv4"], // Reserved and broadcast
+  ["::", 128, "ipv6"], // Unspecified
+  ["::1", 128, "ipv6"], // Loopback
+  ["64:ff9b::", 96, "ipv6"], // IPv4/IPv6 translation
+  ["fc00::", 7, "ipv6"], // Unique-local
+  ["fe80::", 10, "ipv6"], // Link-local
+  ["ff00::", 8, "ipv6"], // Multicast
+];
+
+/**
+ * BLOCK_LIST - BLOCKED_RANGES, ready for matching. It also matches IPv4
+ * addresses written as IPv6, e.g. ::ffff:127.0.0.1.
+ */
+const BLOCK_LIST = new net.BlockList();
+BLOCKED_RANGES.forEach(([network, prefix, type]) => BLOCK_LIST.addSubnet(network, prefix, type));
+
+/**
+ * LOCAL_NAMES - Host names that always mean the server itself
+ */
+const LOCAL_NAMES = /^(localhost|.+\.localhost)$/;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns a URL's host name the way it is looked up:
+ * without the brackets of an IPv6 address, the trailing dot of a fully
+ * qualified name, or upper-case letters.
+ *
+ * @param {URL} url - The URL
+ * @returns {String} - The host name, e.g. "example.com" or "::1"
+ */
+function hostnameOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+}
+
+/**
+ * This helper function creates the error the guard throws for a refused
+ * address.
+ *
+ * @param {String} hostname - The host that was asked for
+ * @param {String} address - The address it is, or resolves to
+ * @returns {Error} - An error with the code "BLOCKED_ADDRESS"
+ */
+function blockedAddressError(hostname, address) {
+  const where = hostname === address ? address : `${hostname} (${address})`;
+  const error = new Error(`Requests to private or local addresses are not allowed: ${where}`);
+  error.code = "BLOCKED_ADDRESS";
+  return error;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function checks that an IP address is one requests may go to.
+ *
+ * @param {String} address - The IPv4 or IPv6 address
+ * @returns {Boolean} - Whether it is a public address
+ */
+function isPublicAddress(address) {
+  const version = net.isIP(address);
+  if (!version) return false;
+  return !BLOCK_LIST.check(address, version === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * This function checks the host of a URL without looking it up: a literal
+ * IP address must be public and the name must not be localhost. A name that
+ * passes is still checked again by the guard when a request is made.
+ *
+ * @param {String} link - The URL
+ * @returns {Boolean} - Whether the host may be public
+ */
+function isPublicHost(link) {
+  let hostname;
+  try {
+    hostname = hostnameOf(new URL(link));
+  } catch (error) {
+    return false;
+  }
+  if (net.isIP(hostname)) return isPublicAddress(hostname);
+  return !LOCAL_NAMES.test(hostname);
+}
+
+/**
+ * This function finds the guard's refusal behind a failed fetch. fetch
+ * reports a connection the guard's dispatcher refused as "fetch failed",
+ * with the guard's error as the cause.
+ *
+ * @param {Error} error - The error a request failed with
+ * @returns {Error} - The guard's "BLOCKED_ADDRESS" error, or the given error
+ *                    when the guard did not refuse the connection
+ */
+function unwrapBlocked(error) {
+  return error && error.cause && error.cause.code === "BLOCKED_ADDRESS" ? error.cause : error;
+}
+
+/**
+ * This function creates an address guard.
+ *
+ * @param {Object} [settings] - Guard settings
+ * @param {Function} [settings.lookup] - Resolves a host name like
+ *                                       dns.promises.lookup(name, { all: true });
+ *                                       can be replaced in tests
+ * @param {Function} [settings.isAllowed] - Decides whether an address may be
+ *                                          requested; defaults to isPublicAddress
+ *                                          and can be widened in tests to reach
+ *                                          a local stub server
+ * @returns {Object} - A guard with a checkUrl(url) method and the dispatcher
+ *                     to send the checked requests with
+ */
+function createAddressGuard({ lookup = dns.promises.lookup, isAllowed = isPublicAddress } = {}) {
+  /**
+   * Looks a host up and checks every address it resolves to.
+   *
+   * @param {String} hostname - The host name or IP address
+   * @returns {Promise<Array<Object>>} - The addresses, as { address, family }
+   */
+  async function resolveAllowed(hostname) {
+    const addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await lookup(hostname, { all: true, verbatim: true });
+
+    const refused = addresses.find(({ address }) => !isAllowed(address));
+    if (refused) throw blockedAddressError(hostname, refused.address);
+    return addresses.map(({ address, family }) => ({ address, family: family || net.isIP(address) }));
+  }
+
+  /**
+   * Looks a host up for a new connection, in the form net.connect expects
+   * of its lookup option, so the connection goes to a checked address.
+   *
+   * @param {String} hostname - The host being connected to
+   * @param {Object} options - The lookup options; all asks for every address
+   * @param {Function} callback - Receives (error, addresses) or (error, address, family)
+   */
+  function connectLookup(hostname, options, callback) {
+    resolveAllowed(hostnameOf({ hostname })).then((addresses) => {
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    }, callback);
+  }
+
+  return {
+    /**
+     * Checks that a URL's host is, and only resolves to, allowed addresses.
+     *
+     * @param {URL|String} link - The URL about to be requested
+     * @returns {Promise<void>} - Rejects with a "BLOCKED_ADDRESS" error for a
+     *                            refused address, or with the lookup's error
+     *                            when the name cannot be resolved
+     */
+    async checkUrl(link) {
+      await resolveAllowed(hostnameOf(new URL(link)));
+    },
+
+    /**
+     * dispatcher - Passed to fetch as its dispatcher option, so every
+     * connection is made to an address the guard has just checked
+     */
+    dispatcher: new Agent({ connect: { lookup: connectLookup } }),
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  isPublicAddress,
+  isPublicHost,
+  unwrapBlocked,
+  createAddressGuard,
+};
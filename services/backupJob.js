@@ -0,0 +1,74 @@
+/**
+ * File Purpose:
+ * This file backs up the database on a schedule while the server runs.
+ *
+ * Service Purpose:
+ * The server makes a backup at startup (see app.js), before the migrations
+ * run; this job adds one every BACKUP_INTERVAL_HOURS after that. The backups
+ * rotate, so only the newest BACKUP_KEEP are kept (see db/backup.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * config - How often a backup is made
+ */
+const config = require("../config");
+
+/**
+ * backup - Writes and rotates the backups
+ */
+const { backup } = require("../db/backup");
+
+/**
+ * logger - Logs a scheduled backup that failed
+ */
+const logger = require("../utils/logger");
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * timer - The interval timer of the scheduled backups, while they are on
+ */
+let timer = null;
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function starts the scheduled backups. The first one is due an
+ * interval from now, since the server has just made one. The timer does not
+ * keep the process alive on its own.
+ */
+function start() {
+  if (timer || !config.backup.intervalHours) return;
+
+  // A failed backup is logged and the next one tries again
+  const scheduledBackup = () =>
+    backup().catch((error) => logger.error("Scheduled database backup failed", { error: logger.describeError(error) }));
+
+  timer = setInterval(scheduledBackup, config.backup.intervalHours * 60 * 60 * 1000);
+  timer.unref();
+}
+
+/**
+ * This function stops the scheduled backups.
+ */
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  start,
+  stop,
+};
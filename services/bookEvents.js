@@ -0,0 +1,107 @@
+/**
+ * File Purpose:
+ * This file is the internal event bus for book lifecycle events: the Book
+ * model announces every book it adds, changes or deletes, and the rest of
+ * the application listens without the model having to know who is there.
+ *
+ * Service Purpose:
+ * An event is published only once the change is committed, so a listener
+ * never hears about a change that was rolled back. Each event is an object:
+ *
+ *   { type: "book.updated", ownerId: 1, book: { id, title, ... }, occurredAt }
+ *
+ * where book is the book as the model returns it after the change. The
+ * types are:
+ *   book.created - a book was added, one at a time or by the CSV import
+ *   book.updated - a book's details, status, rating or review changed
+ *   book.deleted - a book was moved to the trash
+ *
+ * Listeners run after the publishing call has returned, and one that throws
+ * or rejects is logged rather than passed on, so a slow or broken listener
+ * can never fail or delay the change it hears about.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * events - Node.js built-in module whose EventEmitter carries the events
+ */
+const { EventEmitter } = require("events");
+
+/**
+ * logger - Logs the listeners that fail
+ */
+const logger = require("../utils/logger");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK_EVENTS - Every type of book event, in the order a book meets them
+ */
+const BOOK_EVENTS = ["book.created", "book.updated", "book.deleted"];
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * bus - The emitter the events travel through, one event name per type
+ */
+const bus = new EventEmitter();
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function announces a change to a book.
+ *
+ * @param {String} type - One of the BOOK_EVENTS, e.g. "book.created"
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {Object} book - The book as a plain object, after the change
+ * @throws {Error} - When the type is not one of the BOOK_EVENTS
+ */
+function publish(type, ownerId, book) {
+  if (!BOOK_EVENTS.includes(type)) throw new Error(`Unknown book event "${type}"`);
+  bus.emit(type, { type, ownerId, book, occurredAt: new Date() });
+}
+
+/**
+ * This function starts calling a listener with the book events of the
+ * given types.
+ *
+ * @param {Function} listener - Called with each event; may return a promise
+ * @param {Array<String>} [types] - The types to listen to; every type by default
+ * @returns {Function} - Stops the listener from being called again
+ */
+function subscribe(listener, types = BOOK_EVENTS) {
+  // Run the listener once the publisher is done, and log it if it fails
+  const handler = (event) => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch((error) =>
+        logger.error("A book event listener failed", {
+          event: event.type,
+          bookId: event.book.id,
+          error: logger.describeError(error),
+        })
+      );
+  };
+
+  types.forEach((type) => bus.on(type, handler));
+  return () => types.forEach((type) => bus.off(type, handler));
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  BOOK_EVENTS,
+  publish,
+  subscribe,
+};
@@ -0,0 +1,144 @@
+/**
+ * File Purpose:
+ * This file turns the reading list into the CSV and JSON files offered for
+ * download on the export links.
+ *
+ * Service Purpose:
+ * The CSV columns use the names the import page recognizes, so an exported
+ * file can be imported again without changing the column mapping. Costs are
+ * written as decimal amounts ("20.35") with their currency in the next
+ * column, dates as ISO 8601 text and tags as one comma-separated cell.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * csv - Writes the CSV text
+ */
+const { toCsv } = require("../utils/csv");
+
+/**
+ * money - Converts stored minor-unit costs into decimal text
+ */
+const { fromMinorUnits } = require("../utils/money");
+
+/**
+ * currency - Says how many decimal places each currency's costs are written with
+ */
+const { fractionDigits } = require("./currency");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * CSV_COLUMNS - The columns of the CSV export, in order, with the function
+ * that reads each one from a book
+ */
+const CSV_COLUMNS = [
+  { header: "Title", value: (book) => book.title },
+  { header: "Author", value: (book) => book.author },
+  { header: "Cost", value: (book) => fromMinorUnits(book.costMinor, fractionDigits(book.currency)) },
+  { header: "Currency", value: (book) => book.currency },
+  { header: "Shopping URL", value: (book) => book.shoppingUrl },
+  { header: "ISBN", value: (book) => book.isbn13 },
+  { header: "Publisher", value: (book) => book.publisher },
+  { header: "Page Count", value: (book) => book.pageCount },
+  { header: "Cover URL", value: (book) => book.coverUrl },
+  { header: "Status", value: (book) => book.status },
+  { header: "Tags", value: (book) => book.tags.join(", ") },
+  { header: "Started", value: (book) => toIsoDate(book.startedAt) },
+  { header: "Finished", value: (book) => toIsoDate(book.finishedAt) },
+  { header: "Rating", value: (book) => book.rating },
+  { header: "Added", value: (book) => toIsoDate(book.createdAt) },
+];
+
+/**
+ * JSON_FIELDS - The book fields included in the JSON export
+ */
+const JSON_FIELDS = [
+  "id",
+  "title",
+  "author",
+  "costMinor",
+  "currency",
+  "shoppingUrl",
+  "isbn13",
+  "publisher",
+  "pageCount",
+  "currentPage",
+  "coverUrl",
+  "targetFinishDate",
+  "status",
+  "tags",
+  "rating",
+  "review",
+  "startedAt",
+  "finishedAt",
+  "createdAt",
+  "updatedAt",
+];
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function writes a date as ISO 8601 text.
+ *
+ * @param {Date|String|null} value - The date, or null
+ * @returns {String} - The ISO 8601 text, or "" when there is no date
+ */
+function toIsoDate(value) {
+  return value ? new Date(value).toISOString() : "";
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function writes the books as CSV text with a header row.
+ *
+ * @param {Array<Object>} books - The books as returned by the Book model
+ * @returns {String} - The CSV text
+ */
+function toCsvExport(books) {
+  const header = CSV_COLUMNS.map((column) => column.header);
+  const rows = books.map((book) => CSV_COLUMNS.map((column) => column.value(book)));
+  return toCsv([header, ...rows]);
+}
+
+/**
+ * This function writes the books as a JSON document that records when it was
+ * exported and how many books it holds.
+ *
+ * @param {Array<Object>} books - The books as returned by the Book model
+ * @param {Date} [exportedAt] - The export time, now by default
+ * @returns {String} - The JSON text
+ */
+function toJsonExport(books, exportedAt = new Date()) {
+  const document = {
+    exportedAt: exportedAt.toISOString(),
+    count: books.length,
+    books: books.map((book) => {
+      const picked = {};
+      JSON_FIELDS.forEach((field) => {
+        picked[field] = book[field] === undefined ? null : book[field];
+      });
+      return picked;
+    }),
+  };
+  return JSON.stringify(document, null, 2);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  toCsvExport,
+  toJsonExport,
+};
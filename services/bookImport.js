@@ -0,0 +1,361 @@
+/**
+ * File Purpose:
+ * This file turns an uploaded CSV file into books. It is used by the import
+ * page, which works in three steps:
+ *
+ *   1. Upload   - the file is read and a column is suggested for every book
+ *                 field (guessMapping)
+ *   2. Preview  - the user confirms the column mapping and every row is
+ *                 validated and checked for duplicates without saving
+ *                 anything (buildPreview)
+ *   3. Commit   - the rows that passed the preview are added through the
+ *                 Book model in a single transaction (commitImport)
+ *
+ * Service Purpose:
+ * The CSV text travels with each step instead of being kept on the server,
+ * so the commit step validates everything again rather than trusting what
+ * the preview page sent back.
+ *
+ * Goodreads exports are recognized: their column names are mapped
+ * automatically, the ="..." wrapping Goodreads puts around ISBNs is removed,
+ * and the "Exclusive Shelf" values (to-read, currently-reading, read) become
+ * reading statuses.
+ *
+ * Costs are read in the currency column's currency, or in the user's own
+ * currency when the file has no currency column or the cell is empty.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * Book - The data model the imported books are added through
+ */
+const Book = require("../models/Book");
+
+/**
+ * ReadingStatus - The reading statuses an imported row may start in
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * User - Provides the user's currency, for rows that do not name one
+ */
+const User = require("../models/User");
+
+/**
+ * bookValidator - Validates each row exactly like the add book form
+ */
+const { validateBook } = require("../validators/bookValidator");
+
+/**
+ * csv - Parses the uploaded CSV text
+ */
+const { parseCsv } = require("../utils/csv");
+
+/**
+ * config - The import limits
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * IMPORT_FIELDS - The book fields a CSV column can be mapped to. The aliases
+ * are the column names guessMapping recognizes, compared without case,
+ * spaces or punctuation, in order of preference.
+ */
+const IMPORT_FIELDS = [
+  { name: "title", label: "Title", required: true, aliases: ["title", "booktitle", "name"] },
+  { name: "author", label: "Author", required: true, aliases: ["author", "authors", "authorname"] },
+  { name: "cost", label: "Cost", aliases: ["cost", "price", "listprice"] },
+  { name: "currency", label: "Currency", aliases: ["currency", "currencycode"] },
+  { name: "shoppingUrl", label: "Shopping URL", aliases: ["shoppingurl", "url", "link"] },
+  { name: "isbn", label: "ISBN", aliases: ["isbn13", "isbn", "isbn10"] },
+  { name: "publisher", label: "Publisher", aliases: ["publisher"] },
+  { name: "pageCount", label: "Page count", aliases: ["pagecount", "pages", "numberofpages"] },
+  { name: "coverUrl", label: "Cover image URL", aliases: ["coverurl", "coverimage", "cover"] },
+  { name: "status", label: "Reading status", aliases: ["status", "exclusiveshelf", "shelf"] },
+  { name: "tags", label: "Tags", aliases: ["tags", "tag"] },
+];
+
+/**
+ * STATUS_ALIASES - Status values accepted besides the application's own,
+ * such as the shelf names used in Goodreads exports
+ */
+const STATUS_ALIASES = {
+  "currently-reading": "reading",
+  read: "finished",
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function creates the error thrown when an uploaded file cannot
+ * be imported at all, as opposed to a single row being invalid.
+ *
+ * @param {String} message - What is wrong with the file
+ * @returns {Error} - An error with code "INVALID_IMPORT"
+ */
+function importError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_IMPORT";
+  return error;
+}
+
+/**
+ * This helper function reduces a column name to lowercase letters and digits
+ * so that "Number of Pages", "number_of_pages" and "NumberOfPages" all match.
+ *
+ * @param {String} header - A column name from the CSV header row
+ * @returns {String} - The simplified name
+ */
+function simplifyHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * This helper function reads one cell, removing the ="..." wrapping that
+ * Goodreads uses to stop spreadsheets from reformatting ISBNs.
+ *
+ * @param {Array<String>} row - The cells of one CSV row
+ * @param {Number|null} index - The mapped column, or null when not mapped
+ * @returns {String} - The cell text, or "" when the column is not mapped
+ */
+function readCell(row, index) {
+  if (index === null || index === undefined) return "";
+  const cell = (row[index] || "").trim();
+  const wrapped = /^="(.*)"$/.exec(cell);
+  return wrapped ? wrapped[1] : cell;
+}
+
+/**
+ * This helper function turns a status cell into a reading status.
+ *
+ * @param {String} text - The cell text
+ * @returns {String|null} - The reading status, "to-read" for an empty cell,
+ *                          or null when the value is not recognized
+ */
+function parseStatus(text) {
+  if (!text) return ReadingStatus.INITIAL_STATUS;
+  const value = text.toLowerCase().replace(/\s+/g, "-");
+  const status = STATUS_ALIASES[value] || value;
+  return ReadingStatus.isStatus(status) ? status : null;
+}
+
+/**
+ * This helper function builds the key two books share when they count as the
+ * same book: the title and author, ignoring case and extra spaces.
+ *
+ * @param {String} title - The book title
+ * @param {String} author - The book author
+ * @returns {String} - The duplicate detection key
+ */
+function duplicateKey(title, author) {
+  const simplify = (text) => String(text || "").trim().replace(/\s+/g, " ").toLowerCase();
+  return `${simplify(title)}\u0000${simplify(author)}`;
+}
+
+/**
+ * This helper function validates every row of a table against a mapping and
+ * marks the rows that duplicate an existing book or an earlier row.
+ *
+ * @param {Number} ownerId - The ID of the user whose list the rows go into
+ * @param {Object} table - The table returned by readTable
+ * @param {Object} mapping - The column index for each field
+ * @returns {Promise<Array>} - One { line, input, values, errors, duplicate } per row
+ */
+async function checkRows(ownerId, table, mapping) {
+  // Rows without a currency are in the user's own
+  const owner = await User.getUserById(ownerId);
+  const defaultCurrency = owner ? owner.currency : undefined;
+
+  // Remember every book already in the user's list
+  const existingBooks = await Book.getAllBooks(ownerId);
+  const existingKeys = new Set(existingBooks.map((book) => duplicateKey(book.title, book.author)));
+  const fileKeys = new Set();
+
+  return table.rows.map((row, index) => {
+    // Collect the mapped cells in the same shape as the add book form
+    const input = {};
+    IMPORT_FIELDS.forEach((field) => {
+      input[field.name] = readCell(row, mapping[field.name]);
+    });
+
+    // Validate the row exactly like a form submission
+    const { values, errors } = validateBook(input, { defaultCurrency });
+    const problems = errors ? { ...errors } : {};
+
+    // Check the reading status separately, since the form does not have one
+    const status = parseStatus(input.status);
+    if (!status) {
+      problems.status = `Reading status must be one of ${ReadingStatus.STATUSES.join(", ")}.`;
+    }
+
+    // A row matching an existing book or an earlier row is a duplicate
+    let duplicate = null;
+    const key = duplicateKey(input.title, input.author);
+    if (input.title && input.author) {
+      if (existingKeys.has(key)) duplicate = "existing";
+      else if (fileKeys.has(key)) duplicate = "file";
+      fileKeys.add(key);
+    }
+
+    return {
+      // The header is line 1, so the first book is on line 2
+      line: index + 2,
+      input,
+      values: values && status ? { ...values, status } : null,
+      errors: Object.entries(problems).map(([field, message]) => ({ field, message })),
+      duplicate,
+    };
+  });
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function reads CSV text into a header row and data rows, refusing
+ * files that cannot be imported at all.
+ *
+ * @param {String} text - The CSV text
+ * @returns {Object} - { headers, rows }: the column names and the data rows
+ * @throws {Error} - With code "INVALID_IMPORT" when the file is not usable
+ */
+function readTable(text) {
+  let rows;
+  try {
+    rows = parseCsv(text || "");
+  } catch (error) {
+    throw importError(error.message);
+  }
+
+  // The first row names the columns and at least one book must follow
+  const [headers, ...dataRows] = rows;
+  if (!headers) throw importError("The file is empty.");
+  if (!dataRows.length) throw importError("The file has a header row but no books.");
+  if (dataRows.length > config.import.maxRows) {
+    throw importError(`The file has ${dataRows.length} books; at most ${config.import.maxRows} can be imported at once.`);
+  }
+
+  return { headers: headers.map((header) => header.trim()), rows: dataRows };
+}
+
+/**
+ * This function suggests a column for every import field by comparing the
+ * column names with the field's aliases.
+ *
+ * @param {Array<String>} headers - The column names
+ * @returns {Object} - The suggested column index for each field, or null
+ */
+function guessMapping(headers) {
+  const simplified = headers.map(simplifyHeader);
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    // Take the first alias, in order of preference, that names a column
+    const alias = field.aliases.find((name) => simplified.includes(name));
+    mapping[field.name] = alias ? simplified.indexOf(alias) : null;
+  });
+
+  return mapping;
+}
+
+/**
+ * This function reads the column mapping submitted with the mapping form,
+ * checking that it only names real columns and that the required fields are
+ * mapped.
+ *
+ * @param {Object} submitted - The submitted { field: columnIndex } values,
+ *                             where an empty value means "not imported"
+ * @param {Array<String>} headers - The column names
+ * @returns {Object} - { mapping, errors }: the column index for each field
+ *                     (or null), and null or the { field: message } problems
+ */
+function parseMapping(submitted, headers) {
+  const mapping = {};
+  const errors = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    const value = String((submitted || {})[field.name] || "");
+
+    // Accept only the index of an existing column
+    const index = /^\d+$/.test(value) ? Number(value) : null;
+    mapping[field.name] = index !== null && index < headers.length ? index : null;
+
+    if (field.required && mapping[field.name] === null) {
+      errors[field.name] = `Choose the column that holds the ${field.label.toLowerCase()}.`;
+    }
+  });
+
+  return { mapping, errors: Object.keys(errors).length ? errors : null };
+}
+
+/**
+ * This function performs a dry run of the import: every row is validated and
+ * checked for duplicates, but nothing is saved.
+ *
+ * A row is a duplicate when another book with the same title and author is
+ * already in the user's list or appears earlier in the file. Duplicate and invalid
+ * rows are skipped by commitImport.
+ *
+ * @param {Number} ownerId - The ID of the user whose list the rows go into
+ * @param {Object} table - The table returned by readTable
+ * @param {Object} mapping - The column index for each field
+ * @returns {Promise<Object>} - { rows, summary }: the checked rows and the
+ *                              number of rows that will be imported, are
+ *                              invalid or are duplicates
+ */
+async function buildPreview(ownerId, table, mapping) {
+  const rows = await checkRows(ownerId, table, mapping);
+
+  const summary = { total: rows.length, importable: 0, invalid: 0, duplicates: 0 };
+  rows.forEach((row) => {
+    if (row.errors.length) summary.invalid += 1;
+    else if (row.duplicate) summary.duplicates += 1;
+    else summary.importable += 1;
+  });
+
+  return { rows, summary };
+}
+
+/**
+ * This function imports the rows that pass the preview checks. They are added
+ * in a single batch, so either all of them are saved or none are.
+ *
+ * @param {Number} ownerId - The ID of the user whose list the books go into
+ * @param {Object} table - The table returned by readTable
+ * @param {Object} mapping - The column index for each field
+ * @returns {Promise<Object>} - { books, summary }: the books that were added
+ *                              and the preview summary they were counted in
+ */
+async function commitImport(ownerId, table, mapping) {
+  // Check the rows again rather than trusting the preview page
+  const { rows, summary } = await buildPreview(ownerId, table, mapping);
+
+  // Add the valid, non-duplicate rows in one transaction
+  const entries = rows.filter((row) => !row.errors.length && !row.duplicate).map((row) => row.values);
+  const books = entries.length ? await Book.addBooks(ownerId, entries) : [];
+
+  return { books, summary };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  IMPORT_FIELDS,
+  readTable,
+  guessMapping,
+  parseMapping,
+  buildPreview,
+  commitImport,
+};
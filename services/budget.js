@@ -0,0 +1,148 @@
+/**
+ * File Purpose:
+ * This file works out the figures on the budget page: what the user has
+ * spent on books this period, what is left, what the to-read list would cost
+ * and how much of it the remaining budget covers.
+ *
+ * Service Purpose:
+ * The to-read list doubles as a wishlist: a book counts as bought once it
+ * leaves the list, on the day it was started (or finished, for a book added
+ * as already read). Every cost is converted into the user's home currency
+ * with services/currency.js before it is added up.
+ *
+ * The remaining budget is spent on the to-read list in the order the books
+ * were added, the order they are read in, stopping at the first book that no
+ * longer fits. Books without a cost are left out and counted separately.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * currency - Converts each book's cost into the user's currency
+ */
+const { convertMinor } = require("./currency");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the moment the current budget period began.
+ *
+ * @param {String} period - "monthly" or "yearly"
+ * @param {Date} now - The current moment
+ * @returns {Date} - Midnight on the first day of the month or year, local time
+ */
+function periodStart(period, now) {
+  return period === "yearly" ? new Date(now.getFullYear(), 0, 1) : new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+/**
+ * This helper function names the current budget period, e.g. "October 2026" or "2026".
+ *
+ * @param {String} period - "monthly" or "yearly"
+ * @param {Date} now - The current moment
+ * @param {String} locale - The locale to write the month name in
+ * @returns {String} - The period's name
+ */
+function periodLabel(period, now, locale) {
+  if (period === "yearly") return String(now.getFullYear());
+  return now.toLocaleDateString(locale, { month: "long", year: "numeric" });
+}
+
+/**
+ * This helper function returns when a book was bought, by the rule above.
+ *
+ * @param {Object} book - The book
+ * @returns {Date|null} - When it left the to-read list, or null while it is still on it
+ */
+function boughtAt(book) {
+  if (book.status === "to-read") return null;
+  const at = book.startedAt || book.finishedAt;
+  return at ? new Date(at) : null;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function summarizes a user's book spending against their budget.
+ *
+ * @param {Array<Object>} books - The user's books, in the order they were added
+ * @param {Object} user - The user, with currency, budgetPeriod and budgetMinor
+ * @param {Object} [options] - Optional settings
+ * @param {Date} [options.now] - The current moment, for the period boundaries
+ * @param {String} [options.locale] - The locale for the period's name
+ * @returns {Object} - { currency, budget, wishlist, fits }: budget is null
+ *                     when the user has no budget, otherwise { period, label,
+ *                     budgetMinor, spentMinor, remainingMinor, percentSpent,
+ *                     overMinor }; wishlist is { count, pricedCount, totalMinor };
+ *                     fits is { count, totalMinor, books } and is null
+ *                     without a budget
+ */
+function summarizeBudget(books, user, { now = new Date(), locale = "en-US" } = {}) {
+  const home = user.currency;
+  const inHomeCurrency = (book) => convertMinor(book.costMinor, book.currency, home);
+  const priced = (book) => book.costMinor !== null && book.costMinor !== undefined;
+
+  // The to-read list, priced in the home currency
+  const wishlist = books.filter((book) => book.status === "to-read");
+  const pricedWishlist = wishlist.filter(priced).map((book) => ({ ...book, homeCostMinor: inHomeCurrency(book) }));
+  const summary = {
+    currency: home,
+    budget: null,
+    wishlist: {
+      count: wishlist.length,
+      pricedCount: pricedWishlist.length,
+      totalMinor: pricedWishlist.reduce((total, book) => total + book.homeCostMinor, 0),
+    },
+    fits: null,
+  };
+
+  // Without a budget there is nothing to compare against
+  if (!user.budgetPeriod || user.budgetMinor === null || user.budgetMinor === undefined) return summary;
+
+  // Spending so far this period
+  const start = periodStart(user.budgetPeriod, now);
+  const spentMinor = books
+    .filter((book) => priced(book) && boughtAt(book) && boughtAt(book) >= start && boughtAt(book) <= now)
+    .reduce((total, book) => total + inHomeCurrency(book), 0);
+  const remainingMinor = user.budgetMinor - spentMinor;
+
+  summary.budget = {
+    period: user.budgetPeriod,
+    label: periodLabel(user.budgetPeriod, now, locale),
+    budgetMinor: user.budgetMinor,
+    spentMinor,
+    remainingMinor,
+    percentSpent: user.budgetMinor ? Math.min(100, Math.round((spentMinor / user.budgetMinor) * 100)) : 100,
+    overMinor: Math.max(0, -remainingMinor),
+  };
+
+  // Take books off the top of the list while the remaining budget covers them
+  const fitting = [];
+  let left = remainingMinor;
+  for (const book of pricedWishlist) {
+    if (book.homeCostMinor > left) break;
+    fitting.push(book);
+    left -= book.homeCostMinor;
+  }
+  summary.fits = {
+    count: fitting.length,
+    totalMinor: remainingMinor - left,
+    books: fitting,
+  };
+
+  return summary;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  summarizeBudget,
+};
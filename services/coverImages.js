@@ -0,0 +1,219 @@
+/**
+ * File Purpose:
+ * This file stores the cover images users upload for their books, makes a
+ * thumbnail of each, and removes both again when they are no longer needed.
+ *
+ * Service Purpose:
+ * An upload is only accepted when its content really is a JPEG, PNG, WebP or
+ * GIF image, whatever its file name or declared type says. The image is
+ * stored re-encoded in its own format, turned the right way up and without
+ * its metadata (such as the GPS position a phone camera records), next to a
+ * WebP thumbnail for the card grid. Both files live in the covers directory
+ * (COVERS_DIR) under a new random name, which is what the book stores in
+ * coverImage. As a replaced image never reuses a name, the app can serve the
+ * files under /covers with a far-future cache lifetime.
+ *
+ * A book without an uploaded image shows the image at its cover URL, and
+ * a book without either shows the placeholder cover.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * fs - Node.js built-in module used to create the covers directory and
+ * remove the image files
+ */
+const fs = require("fs");
+
+/**
+ * path - Node.js built-in module used to build the image file paths
+ */
+const path = require("path");
+
+/**
+ * crypto - Node.js built-in module used to make the random file names
+ */
+const crypto = require("crypto");
+
+/**
+ * sharp - Reads, re-encodes and resizes the uploaded images
+ */
+const sharp = require("sharp");
+
+/**
+ * config - Where the covers are stored and the size of the thumbnails
+ */
+const config = require("../config");
+
+/**
+ * logger - Logs the image files that could not be removed
+ */
+const logger = require("../utils/logger");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * COVERS_PATH - The URL path the stored images are served under
+ */
+const COVERS_PATH = "/covers";
+
+/**
+ * PLACEHOLDER_PATH - The image shown for a book without a cover
+ */
+const PLACEHOLDER_PATH = "/images/cover-placeholder.svg";
+
+/**
+ * ACCEPTED_TYPES - The image types an upload may declare
+ */
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+
+/**
+ * EXTENSIONS - The file extension an image of each accepted format is stored with
+ */
+const EXTENSIONS = {
+  jpeg: "jpg",
+  png: "png",
+  webp: "webp",
+  gif: "gif",
+};
+
+/**
+ * NAME_BYTES - The length of the random part of a stored image's name
+ */
+const NAME_BYTES = 16;
+
+/**
+ * STORED_NAME - What the name of a stored image looks like, so a name read
+ * from the database can never point outside the covers directory
+ */
+const STORED_NAME = /^([0-9a-f]{32})\.(jpg|png|webp|gif)$/;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the name of the thumbnail made from a stored
+ * image, e.g. "<key>-thumb.webp" for "<key>.jpg".
+ *
+ * @param {String} name - The stored image's name
+ * @returns {String|null} - The thumbnail's name, or null when the name is not
+ *                          one this service gave out
+ */
+function thumbnailName(name) {
+  const match = STORED_NAME.exec(name || "");
+  return match ? `${match[1]}-thumb.webp` : null;
+}
+
+/**
+ * This helper function removes one file from the covers directory. A file
+ * that is already gone is fine; any other failure is logged, as the book it
+ * belonged to has already been changed and the file is merely left behind.
+ *
+ * @param {String} file - The file's name in the covers directory
+ * @returns {Promise<void>}
+ */
+async function removeFile(file) {
+  try {
+    await fs.promises.rm(path.join(config.covers.dir, file), { force: true });
+  } catch (error) {
+    logger.warn("A cover image file could not be removed", { file, error: logger.describeError(error) });
+  }
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function checks that an uploaded file can be used as a cover: its
+ * content must be a JPEG, PNG, WebP or GIF image.
+ *
+ * @param {Object} file - The upload, as read by multer, with its content in "buffer"
+ * @returns {Promise<Boolean>} - Whether the file is such an image
+ */
+async function isCoverImage(file) {
+  try {
+    const { format } = await sharp(file.buffer).metadata();
+    return Boolean(EXTENSIONS[format]);
+  } catch (error) {
+    // Content sharp cannot read is no image, whatever its name says
+    return false;
+  }
+}
+
+/**
+ * This function stores an uploaded image and its thumbnail in the covers
+ * directory. The upload must have passed isCoverImage.
+ *
+ * @param {Object} file - The upload, as read by multer, with its content in "buffer"
+ * @returns {Promise<String>} - The stored image's name, to keep in the book's coverImage
+ */
+async function saveCover(file) {
+  const { format } = await sharp(file.buffer).metadata();
+  const name = `${crypto.randomBytes(NAME_BYTES).toString("hex")}.${EXTENSIONS[format]}`;
+  await fs.promises.mkdir(config.covers.dir, { recursive: true });
+
+  // Write the image the right way up and without its metadata, then its
+  // thumbnail; a failure part-way leaves neither behind
+  const { thumbnailWidth, thumbnailHeight } = config.covers;
+  try {
+    await sharp(file.buffer).rotate().toFile(path.join(config.covers.dir, name));
+    await sharp(file.buffer)
+      .rotate()
+      .resize(thumbnailWidth, thumbnailHeight, { fit: "inside", withoutEnlargement: true })
+      .webp()
+      .toFile(path.join(config.covers.dir, thumbnailName(name)));
+  } catch (error) {
+    await removeCover(name);
+    throw error;
+  }
+  return name;
+}
+
+/**
+ * This function removes a stored image and its thumbnail. Nothing happens
+ * for a book without an uploaded cover.
+ *
+ * @param {String|null} name - The stored image's name, from the book's coverImage
+ * @returns {Promise<void>}
+ */
+async function removeCover(name) {
+  const thumbnail = thumbnailName(name);
+  if (!thumbnail) return;
+
+  await removeFile(name);
+  await removeFile(thumbnail);
+}
+
+/**
+ * This function works out which image to show as a book's cover: the
+ * uploaded image, the image at its cover URL, or the placeholder.
+ *
+ * @param {Object} book - The book, with its coverImage and coverUrl
+ * @param {Boolean} [thumbnail] - Whether the thumbnail of an uploaded image will do
+ * @returns {String} - The address of the image
+ */
+function coverSource(book, thumbnail = false) {
+  if (thumbnailName(book.coverImage)) {
+    return `${COVERS_PATH}/${thumbnail ? thumbnailName(book.coverImage) : book.coverImage}`;
+  }
+  return book.coverUrl || PLACEHOLDER_PATH;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  COVERS_PATH,
+  ACCEPTED_TYPES,
+  isCoverImage,
+  saveCover,
+  removeCover,
+  coverSource,
+};
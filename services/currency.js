@@ -0,0 +1,195 @@
+/**
+ * File Purpose:
+ * This file knows which currencies book costs may be recorded in, converts
+ * amounts between them and writes them out for display.
+ *
+ * Service Purpose:
+ * Conversions use the local exchange-rate table in config/exchange-rates.json
+ * (or the file EXCHANGE_RATES_FILE names), never a live service, so totals
+ * do not change from one page load to the next and the app works offline.
+ * The table lists how many units of each currency one unit of its base
+ * currency buys; the currencies it lists are the ones the forms offer.
+ *
+ * Amounts are always integer minor units. How many decimal places a currency
+ * has, and so what one minor unit is worth, comes from the Intl API: two for
+ * the dollar and euro, none for the yen.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * fs - Node.js built-in module used to read the exchange-rate table
+ */
+const fs = require("fs");
+
+/**
+ * config - Where the exchange-rate table lives and the default currency and locale
+ */
+const config = require("../config");
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * rateTable - The exchange-rate table, read from disk on first use
+ */
+let rateTable = null;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function reads and checks the exchange-rate table. A broken
+ * table stops the app with a clear message rather than producing wrong totals.
+ *
+ * @returns {Object} - { base, asOf, rates }
+ * @throws {Error} - When the file is missing, is not valid JSON, has a rate
+ *                   that is not a positive number, or lacks the base or
+ *                   default currency
+ */
+function loadRates() {
+  if (rateTable) return rateTable;
+
+  // Read the table
+  const { ratesPath, defaultCurrency } = config.money;
+  let table;
+  try {
+    table = JSON.parse(fs.readFileSync(ratesPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read the exchange-rate table ${ratesPath}: ${error.message}`);
+  }
+
+  // Every rate must be usable, and the base and default currencies must be listed
+  const rates = table && table.rates;
+  if (!rates || typeof rates !== "object") {
+    throw new Error(`The exchange-rate table ${ratesPath} has no "rates" object.`);
+  }
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (!/^[A-Z]{3}$/.test(code) || !(typeof rate === "number" && rate > 0)) {
+      throw new Error(`The exchange-rate table ${ratesPath} has an invalid rate for "${code}".`);
+    }
+  });
+  [table.base, defaultCurrency].forEach((code) => {
+    if (!rates[code]) throw new Error(`The exchange-rate table ${ratesPath} has no rate for ${code}.`);
+  });
+
+  rateTable = { base: table.base, asOf: table.asOf || null, rates };
+  return rateTable;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function lists the currencies a cost may be recorded in.
+ *
+ * @returns {Array<String>} - The currency codes in alphabetical order, e.g. ["AUD", "CAD", ...]
+ */
+function listCurrencies() {
+  return Object.keys(loadRates().rates).sort();
+}
+
+/**
+ * This function checks that a currency code is one the rate table lists.
+ *
+ * @param {String} code - The currency code, e.g. "EUR"
+ * @returns {Boolean} - Whether costs may be recorded in the currency
+ */
+function isSupportedCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(loadRates().rates, code);
+}
+
+/**
+ * This function returns the currency new books and accounts use when none is chosen.
+ *
+ * @returns {String} - The currency code, e.g. "USD"
+ */
+function defaultCurrency() {
+  return config.money.defaultCurrency;
+}
+
+/**
+ * This function returns the date the exchange rates were taken on, for the
+ * note under converted totals.
+ *
+ * @returns {String|null} - The date as written in the table, e.g. "2026-10-01"
+ */
+function ratesAsOf() {
+  return loadRates().asOf;
+}
+
+/**
+ * This function returns how many decimal places a currency has.
+ *
+ * @param {String} code - The currency code, e.g. "JPY"
+ * @returns {Number} - The number of decimal places, e.g. 0 for the yen
+ */
+function fractionDigits(code) {
+  return new Intl.NumberFormat("en", { style: "currency", currency: code }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * This function converts an amount from one currency into another at the
+ * table's rates, rounded to the nearest minor unit.
+ *
+ * @param {Number} minor - The amount in minor units of the "from" currency
+ * @param {String} from - The currency the amount is in
+ * @param {String} to - The currency to convert into
+ * @returns {Number} - The amount in minor units of the "to" currency
+ */
+function convertMinor(minor, from, to) {
+  if (from === to) return minor;
+  return Math.round(minor * minorUnitRate(from, to));
+}
+
+/**
+ * This function returns what one minor unit of a currency is worth in minor
+ * units of another at the table's rates, e.g. about 0.0067 for one yen in US
+ * cents. Book.searchBooks multiplies the stored costs by it in SQL, so the
+ * list filters and sorts by the same amounts convertMinor works out.
+ *
+ * @param {String} from - The currency to convert from
+ * @param {String} to - The currency to convert into
+ * @returns {Number} - The factor, 1 when both are the same currency
+ */
+function minorUnitRate(from, to) {
+  if (from === to) return 1;
+  const { rates } = loadRates();
+
+  // Go through the base currency, then make up for the different decimal places
+  return (rates[to] / rates[from]) * 10 ** (fractionDigits(to) - fractionDigits(from));
+}
+
+/**
+ * This function writes an amount the way a locale writes prices, e.g.
+ * "$1,234.50" for en-US or "1.234,50 €" for de-DE.
+ *
+ * @param {Number} minor - The amount in minor units
+ * @param {String} [currency] - The currency code, the default currency when left out
+ * @param {String} [locale] - The locale, the configured default when left out
+ * @returns {String} - The formatted price
+ */
+function formatMoney(minor, currency = defaultCurrency(), locale = config.money.defaultLocale) {
+  const digits = fractionDigits(currency);
+  return new Intl.NumberFormat(locale, { style: "currency", currency }).format(minor / 10 ** digits);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  listCurrencies,
+  isSupportedCurrency,
+  defaultCurrency,
+  ratesAsOf,
+  fractionDigits,
+  convertMinor,
+  minorUnitRate,
+  formatMoney,
+};
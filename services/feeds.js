@@ -0,0 +1,387 @@
+/**
+ * File Purpose:
+ * This file writes the documents behind a user's feed addresses: an Atom and
+ * an RSS feed of the books they added or changed most recently, and an
+ * iCalendar file of the days they mean to finish books by and the end of
+ * their reading goal's period.
+ *
+ * Service Purpose:
+ * Every document is built from the books as the Book model returns them and
+ * from the goal progress worked out by services/readingStats.js. Feed
+ * readers and calendar clients fetch these documents on their own schedule
+ * and keep what they fetched, so each entry and event has an identifier
+ * that stays the same from one fetch to the next: a book's entry keeps its
+ * ID however often the book changes, and a calendar client moves an event
+ * rather than adding a second one when its date changes.
+ *
+ * Days are "YYYY-MM-DD" text (see utils/dates.js). Calendar events are
+ * all-day events, so they fall on the same day in every time zone.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * ReadingStatus - Names each book's status in the entries
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * dates - Finds the day after an event's day, where an all-day event ends
+ */
+const { addDays } = require("../utils/dates");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * FEED_TITLE - The title feed readers and calendar clients show
+ */
+const FEED_TITLE = "To-Read List";
+
+/**
+ * ID_PREFIX - Starts every entry and event identifier. The identifiers do
+ * not contain the server's address, so they stay the same when it changes.
+ */
+const ID_PREFIX = "urn:readinglist";
+
+/**
+ * OPEN_STATUSES - The statuses of the books whose target dates go in the
+ * calendar; a finished or abandoned book has no date left to meet
+ */
+const OPEN_STATUSES = ["to-read", "reading"];
+
+/**
+ * XML_ESCAPES - The characters that cannot appear as themselves in XML text
+ * and attribute values
+ */
+const XML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+/**
+ * ICS_LINE_OCTETS - The longest an iCalendar line may be, in bytes; longer
+ * lines are folded onto continuation lines (RFC 5545, section 3.1)
+ */
+const ICS_LINE_OCTETS = 75;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function escapes text for use in an XML document.
+ *
+ * @param {*} value - The text
+ * @returns {String} - The escaped text
+ */
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (character) => XML_ESCAPES[character]);
+}
+
+/**
+ * This helper function describes a book in one line for its feed entry,
+ * e.g. "By Frank Herbert. Reading, page 120 of 412. Tags: sci-fi.".
+ *
+ * @param {Object} book - The book, as returned by the Book model
+ * @returns {String} - The description
+ */
+function describeBook(book) {
+  const parts = [`By ${book.author}.`];
+
+  // Where the reader is with it
+  let status = ReadingStatus.LABELS[book.status] || book.status;
+  if (book.status === "reading" && book.currentPage && book.pageCount) {
+    status += `, page ${book.currentPage} of ${book.pageCount}`;
+  }
+  parts.push(`${status}.`);
+
+  // What else a dashboard might want to show
+  if (book.targetFinishDate && OPEN_STATUSES.includes(book.status)) parts.push(`Finish by ${book.targetFinishDate}.`);
+  if (book.rating) parts.push(`Rated ${book.rating} of 5.`);
+  if (book.tags.length) parts.push(`Tags: ${book.tags.join(", ")}.`);
+  return parts.join(" ");
+}
+
+/**
+ * This helper function says whether a book is unchanged since it was added.
+ * A new book's row is written once, so both of its timestamps are the same.
+ *
+ * @param {Object} book - The book, with createdAt and updatedAt
+ * @returns {Boolean} - Whether the book has not changed since it was added
+ */
+function isNewBook(book) {
+  return new Date(book.updatedAt).getTime() === new Date(book.createdAt).getTime();
+}
+
+/**
+ * This helper function turns the books into the entries both feed formats
+ * are written from.
+ *
+ * @param {Array<Object>} books - The books, most recently changed first
+ * @param {String} origin - The server's address, e.g. "https://example.com"
+ * @returns {Array<Object>} - One { id, title, url, summary, published,
+ *                            updated } per book
+ */
+function toEntries(books, origin) {
+  return books.map((book) => ({
+    id: `${ID_PREFIX}:book:${book.id}`,
+    title: `${isNewBook(book) ? "Added" : "Updated"}: ${book.title}`,
+    url: `${origin}/book/${book.id}`,
+    summary: describeBook(book),
+    published: new Date(book.createdAt),
+    updated: new Date(book.updatedAt),
+  }));
+}
+
+/**
+ * This helper function works out when a feed last changed: when its newest
+ * entry did, or now when it has none.
+ *
+ * @param {Array<Object>} entries - The feed's entries, newest first
+ * @param {Date} now - The current moment
+ * @returns {Date} - The moment the feed last changed
+ */
+function lastChanged(entries, now) {
+  return entries.length ? entries[0].updated : now;
+}
+
+/**
+ * This helper function escapes text for an iCalendar property value.
+ *
+ * @param {*} value - The text
+ * @returns {String} - The escaped text
+ */
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * This helper function folds an iCalendar line that is too long onto
+ * continuation lines, which start with a space. It never splits a character
+ * that takes more than one byte.
+ *
+ * @param {String} line - The unfolded line
+ * @returns {String} - The folded line, with CRLF between its parts
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  for (const character of line) {
+    const limit = parts.length ? ICS_LINE_OCTETS - 1 : ICS_LINE_OCTETS;
+    if (Buffer.byteLength(current + character) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += character;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * This helper function writes a day as an iCalendar date, e.g. "20261231".
+ *
+ * @param {String} day - The day as "YYYY-MM-DD"
+ * @returns {String} - The iCalendar date
+ */
+function toIcsDate(day) {
+  return day.replace(/-/g, "");
+}
+
+/**
+ * This helper function writes a moment as an iCalendar UTC time, e.g.
+ * "20261019T153000Z".
+ *
+ * @param {Date} moment - The moment
+ * @returns {String} - The iCalendar time
+ */
+function toIcsTime(moment) {
+  return moment.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * This helper function writes the lines of one all-day calendar event.
+ *
+ * @param {Object} event - The event
+ * @param {String} event.uid - Its identifier, the same on every fetch
+ * @param {String} event.day - Its day as "YYYY-MM-DD"
+ * @param {String} event.summary - Its title
+ * @param {String} event.description - Its details
+ * @param {String} [event.url] - The page it is about
+ * @param {Date} now - The moment the calendar is written
+ * @returns {Array<String>} - The event's unfolded lines
+ */
+function eventLines({ uid, day, summary, description, url }, now) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${toIcsTime(now)}`,
+    `DTSTART;VALUE=DATE:${toIcsDate(day)}`,
+    `DTEND;VALUE=DATE:${toIcsDate(addDays(day, 1))}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+  ];
+  if (url) lines.push(`URL:${url}`);
+  lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+  return lines;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function writes an Atom feed of the books a user added or changed
+ * most recently.
+ *
+ * @param {Object} feed - What goes in the feed
+ * @param {Array<Object>} feed.books - The books, most recently changed first
+ * @param {Number} feed.userId - The ID of the user whose books they are
+ * @param {String} feed.origin - The server's address, e.g. "https://example.com"
+ * @param {String} feed.selfUrl - The feed's own address
+ * @param {Date} [feed.now] - The current moment
+ * @returns {String} - The Atom XML
+ */
+function buildAtomFeed({ books, userId, origin, selfUrl, now = new Date() }) {
+  const entries = toEntries(books, origin);
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${ID_PREFIX}:user:${userId}:books</id>`,
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    "  <subtitle>Books recently added to or updated on the list</subtitle>",
+    `  <updated>${lastChanged(entries, now).toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(`${origin}/`)}"/>`,
+    `  <author><name>${escapeXml(FEED_TITLE)}</name></author>`,
+  ];
+
+  entries.forEach((entry) => {
+    lines.push(
+      "  <entry>",
+      `    <id>${entry.id}</id>`,
+      `    <title>${escapeXml(entry.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+      `    <published>${entry.published.toISOString()}</published>`,
+      `    <updated>${entry.updated.toISOString()}</updated>`,
+      `    <summary>${escapeXml(entry.summary)}</summary>`,
+      "  </entry>"
+    );
+  });
+
+  lines.push("</feed>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * This function writes an RSS 2.0 feed of the books a user added or changed
+ * most recently, for readers and dashboards that do not read Atom.
+ *
+ * @param {Object} feed - What goes in the feed, as for buildAtomFeed
+ * @returns {String} - The RSS XML
+ */
+function buildRssFeed({ books, origin, selfUrl, now = new Date() }) {
+  const entries = toEntries(books, origin);
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(FEED_TITLE)}</title>`,
+    `    <link>${escapeXml(`${origin}/`)}</link>`,
+    "    <description>Books recently added to or updated on the list</description>",
+    `    <lastBuildDate>${lastChanged(entries, now).toUTCString()}</lastBuildDate>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>`,
+  ];
+
+  entries.forEach((entry) => {
+    lines.push(
+      "    <item>",
+      `      <guid isPermaLink="false">${entry.id}</guid>`,
+      `      <title>${escapeXml(entry.title)}</title>`,
+      `      <link>${escapeXml(entry.url)}</link>`,
+      `      <pubDate>${entry.updated.toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(entry.summary)}</description>`,
+      "    </item>"
+    );
+  });
+
+  lines.push("  </channel>", "</rss>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * This function writes an iCalendar file with an all-day event on the day
+ * each open book is to be finished by, and one on the last day of the
+ * reading goal's current month or year.
+ *
+ * @param {Object} calendar - What goes in the calendar
+ * @param {Array<Object>} calendar.books - The user's books
+ * @param {Object|null} calendar.goal - The goal progress, as from
+ *                                      readingStats.goalProgress, or null
+ * @param {Number} calendar.userId - The ID of the user whose calendar it is
+ * @param {String} calendar.origin - The server's address, e.g. "https://example.com"
+ * @param {Date} [calendar.now] - The current moment
+ * @returns {String} - The iCalendar text, with CRLF line endings
+ */
+function buildCalendar({ books, goal, userId, origin, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Reading List//Reading Activity//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(FEED_TITLE)}`,
+  ];
+
+  // The day each book still being read or waiting to be read is due
+  books
+    .filter((book) => book.targetFinishDate && OPEN_STATUSES.includes(book.status))
+    .forEach((book) => {
+      const event = {
+        uid: `${ID_PREFIX}:book:${book.id}:finish-by`,
+        day: book.targetFinishDate,
+        summary: `Finish "${book.title}"`,
+        description: describeBook(book),
+        url: `${origin}/book/${book.id}`,
+      };
+      lines.push(...eventLines(event, now));
+    });
+
+  // The end of the goal's current period, with the progress so far
+  if (goal) {
+    const event = {
+      uid: `${ID_PREFIX}:user:${userId}:goal:${goal.startsOn}`,
+      day: goal.endsOn,
+      summary: `Reading goal: ${goal.goalBooks} books in ${goal.label}`,
+      description: goal.met
+        ? `Goal reached: ${goal.finished} of ${goal.goalBooks} books finished.`
+        : `${goal.finished} of ${goal.goalBooks} books finished so far, ${goal.remaining} to go.`,
+      url: `${origin}/stats`,
+    };
+    lines.push(...eventLines(event, now));
+  }
+
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  buildAtomFeed,
+  buildRssFeed,
+  buildCalendar,
+};
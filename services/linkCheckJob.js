@@ -0,0 +1,203 @@
+/**
+ * File Purpose:
+ * This file runs the shopping link checks in the background: on a timer
+ * while the server is up, and on demand from the admin page.
+ *
+ * Service Purpose:
+ * Every LINK_CHECK_INTERVAL_MINUTES the job checks the links that have not
+ * been checked in the last LINK_CHECK_MAX_AGE_HOURS, at most
+ * LINK_CHECK_BATCH_SIZE of them per run, and stores each result on its book
+ * as soon as it is known. Only one run happens at a time; asking for another
+ * while one is going returns the running one.
+ *
+ * The checker the job uses can be replaced with setLinkChecker, e.g. with one
+ * whose fetch points at a local stub server in tests.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * config - The schedule and the checker's limits
+ */
+const config = require("../config");
+
+/**
+ * createLinkChecker - Builds the checker that requests each link
+ */
+const createLinkChecker = require("./linkChecker");
+
+/**
+ * LinkCheck - Finds the links due for a check and stores the results
+ */
+const LinkCheck = require("../models/LinkCheck");
+
+/**
+ * logger - Logs a scheduled run that failed
+ */
+const logger = require("../utils/logger");
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * activeChecker - The checker runs use, created from the configuration on first use
+ */
+let activeChecker = null;
+
+/**
+ * timer - The interval timer of the scheduled runs, while they are on
+ */
+let timer = null;
+
+/**
+ * currentRun - The promise of the run in progress, if any
+ */
+let currentRun = null;
+
+/**
+ * lastRun - What the most recent finished run did, for the admin page
+ */
+let lastRun = null;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the checker runs use, creating it from the
+ * configuration the first time.
+ *
+ * @returns {Object} - The link checker
+ */
+function getLinkChecker() {
+  if (!activeChecker) activeChecker = createLinkChecker(config.linkCheck);
+  return activeChecker;
+}
+
+/**
+ * This helper function says which links a run checks: the requested books,
+ * every link, or one batch of the links that have gone stale.
+ *
+ * @param {Object} options - The options given to runChecks
+ * @returns {Object} - The query for LinkCheck.linksDueForCheck
+ */
+function selectLinks({ all, bookIds }) {
+  if (bookIds) return { bookIds };
+  if (all) return {};
+
+  const { maxAgeHours, batchSize } = config.linkCheck;
+  return { checkedBefore: new Date(Date.now() - maxAgeHours * 60 * 60 * 1000), limit: batchSize };
+}
+
+/**
+ * This helper function checks a list of links and stores the results.
+ *
+ * @param {Array<Object>} links - The links to check, each { bookId, url }
+ * @returns {Promise<Object>} - { startedAt, finishedAt, checked, ok, broken, unreachable }
+ */
+async function checkLinks(links) {
+  const summary = { startedAt: new Date(), finishedAt: null, checked: 0, ok: 0, broken: 0, unreachable: 0 };
+
+  await getLinkChecker().checkAll(links, async (link, result) => {
+    const saved = await LinkCheck.recordResult(link.bookId, link.url, result);
+    if (!saved) return;
+    summary.checked += 1;
+    summary[result.status] += 1;
+  });
+
+  summary.finishedAt = new Date();
+  return summary;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function replaces the checker runs use, e.g. with one that talks to a
+ * stub server in tests. Passing null goes back to the configured checker.
+ *
+ * @param {Object|null} checker - An object with the link checker's checkAll method
+ */
+function setLinkChecker(checker) {
+  activeChecker = checker;
+}
+
+/**
+ * This function runs a link check now, unless one is already running.
+ *
+ * @param {Object} [options] - Which links to check
+ * @param {Boolean} [options.all] - Check every link, not only the stale ones
+ * @param {Array<Number>} [options.bookIds] - Check only the links of these books
+ * @returns {Promise<Object>} - What the run did (see checkLinks)
+ */
+function runChecks({ all = false, bookIds } = {}) {
+  if (currentRun) return currentRun;
+
+  currentRun = LinkCheck.linksDueForCheck(selectLinks({ all, bookIds }))
+    .then(checkLinks)
+    .then((summary) => {
+      lastRun = summary;
+      return summary;
+    })
+    .finally(() => {
+      currentRun = null;
+    });
+  return currentRun;
+}
+
+/**
+ * This function starts the scheduled runs, with the first one straight away
+ * so links left stale while the server was down are caught up. The timer
+ * does not keep the process alive on its own, and an interval of 0 turns the
+ * schedule off.
+ */
+function start() {
+  const { intervalMinutes } = config.linkCheck;
+  if (timer || !intervalMinutes) return;
+
+  // A failed run is logged and the next one tries again
+  const scheduledRun = () =>
+    runChecks().catch((error) => logger.error("Scheduled link check failed", { error: logger.describeError(error) }));
+
+  timer = setInterval(scheduledRun, intervalMinutes * 60 * 1000);
+  timer.unref();
+  scheduledRun();
+}
+
+/**
+ * This function stops the scheduled runs. A run already in progress finishes.
+ */
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * This function describes the job for the admin page.
+ *
+ * @returns {Object} - { scheduled, intervalMinutes, running, lastRun }
+ */
+function getStatus() {
+  return {
+    scheduled: Boolean(timer),
+    intervalMinutes: config.linkCheck.intervalMinutes,
+    running: Boolean(currentRun),
+    lastRun,
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  setLinkChecker,
+  runChecks,
+  start,
+  stop,
+  getStatus,
+};
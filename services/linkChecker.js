@@ -0,0 +1,250 @@
+/**
+ * File Purpose:
+ * This file checks whether shopping links still lead somewhere. Each link is
+ * requested with HEAD, falling back to GET for stores that answer HEAD with
+ * an error, and the redirects are followed, one at a time, to the final
+ * address.
+ *
+ * Service Purpose:
+ * Stores are slow and some of them punish bursts of requests, so the checker
+ *   - gives up on a request after a timeout,
+ *   - checks only a limited number of links at the same time, and
+ *   - leaves a minimum gap between two requests to the same host, including
+ *     the hosts a redirect leads to.
+ *
+ * The links are typed in by users, so before every request, the first and
+ * each redirect, the address guard (see services/addressGuard.js) makes
+ * sure it does not go to a local or private address on the server's own
+ * network, and the request connects to the address the guard checked. Such
+ * a link is reported as broken.
+ *
+ * The fetch function and the guard are passed in, like the metadata
+ * providers' fetch (see services/metadata), so tests can point the checker
+ * at a local stub server or a fake fetch instead of the real stores.
+ *
+ * A result is one of:
+ *   ok          - the store answered with a success or redirect status
+ *   broken      - the store answered with an error status, e.g. 404 or 500, or
+ *                 the link or one of its redirects goes somewhere it may not
+ *   unreachable - there was no answer: DNS failure, refused connection or timeout
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * undici - The fetch function the checks are sent with, which takes the
+ * address guard's dispatcher
+ */
+const { fetch: undiciFetch } = require("undici");
+
+/**
+ * addressGuard - Keeps the checks off the server's own network
+ */
+const { createAddressGuard, unwrapBlocked } = require("./addressGuard");
+
+/**
+ * fetchResponse - Describes failed requests and throws away unread answers
+ */
+const { describeError, discardBody } = require("../utils/fetchResponse");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * USER_AGENT - Identifies the checker to the stores it visits
+ */
+const USER_AGENT = "to-read-list-link-checker/1.0";
+
+/**
+ * REDIRECT_STATUSES - The answers that send the checker on to another address
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * MAX_REDIRECTS - How many redirects a link may take before it counts as broken
+ */
+const MAX_REDIRECTS = 10;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function waits for a number of milliseconds.
+ *
+ * @param {Number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * This helper function creates the error for a redirect the checker will not
+ * follow, which makes the link count as broken.
+ *
+ * @param {String} message - What is wrong with the redirect
+ * @returns {Error} - An error with the code "BAD_REDIRECT"
+ */
+function badRedirectError(message) {
+  const error = new Error(message);
+  error.code = "BAD_REDIRECT";
+  return error;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function creates a link checker.
+ *
+ * @param {Object} [settings] - Checker settings
+ * @param {Function} [settings.fetch] - The fetch function to use; defaults to
+ *                                      undici's and can be replaced in tests
+ * @param {Object} [settings.addressGuard] - Checks each address before it is
+ *                                           requested and connected to; can
+ *                                           be replaced in tests
+ * @param {Number} [settings.timeoutMs] - How long to wait for each request
+ * @param {Number} [settings.concurrency] - How many links checkAll checks at once
+ * @param {Number} [settings.hostIntervalMs] - The shortest gap between two
+ *                                             requests to the same host
+ * @param {Function} [settings.wait] - Waits a number of milliseconds; can be
+ *                                     replaced in tests to avoid real delays
+ * @returns {Object} - A checker with checkUrl(url) and checkAll(items, onResult) methods
+ */
+function createLinkChecker({
+  fetch = undiciFetch,
+  addressGuard = createAddressGuard(),
+  timeoutMs = 10000,
+  concurrency = 4,
+  hostIntervalMs = 1000,
+  wait: waitFor = wait,
+} = {}) {
+  // The earliest moment the next request to each host may start
+  const nextSlot = new Map();
+
+  /**
+   * Waits until a request to the URL's host is allowed. The slot is reserved
+   * before waiting, so requests to one host queue up one interval apart.
+   *
+   * @param {URL} url - The URL about to be requested
+   * @returns {Promise<void>}
+   */
+  async function takeHostSlot(url) {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlot.get(url.host) || 0);
+    nextSlot.set(url.host, startAt + hostIntervalMs);
+    if (startAt > now) await waitFor(startAt - now);
+  }
+
+  /**
+   * Sends a request and follows its redirects one at a time, so every hop is
+   * checked by the address guard and waits for its host's slot.
+   *
+   * @param {URL} url - The URL to request
+   * @param {String} method - "HEAD" or "GET"
+   * @returns {Promise<Object>} - { response, finalUrl }: the last answer and
+   *                              the address that gave it
+   */
+  async function request(url, method) {
+    let current = url;
+    for (let redirects = 0; ; redirects += 1) {
+      await addressGuard.checkUrl(current);
+      await takeHostSlot(current);
+      const response = await fetch(current, {
+        method,
+        redirect: "manual",
+        headers: { "User-Agent": USER_AGENT, Accept: "text/html,*/*" },
+        signal: AbortSignal.timeout(timeoutMs),
+        dispatcher: addressGuard.dispatcher,
+      });
+      await discardBody(response);
+
+      // Anything but a redirect with somewhere to go is the final answer
+      const location = response.headers.get("location");
+      if (!REDIRECT_STATUSES.includes(response.status) || !location) return { response, finalUrl: current.href };
+
+      if (redirects >= MAX_REDIRECTS) throw badRedirectError(`More than ${MAX_REDIRECTS} redirects`);
+      current = new URL(location, current);
+      if (current.protocol !== "http:" && current.protocol !== "https:") {
+        throw badRedirectError("Redirects to something that is not a web link");
+      }
+    }
+  }
+
+  return {
+    /**
+     * Checks one link.
+     *
+     * @param {String} link - The URL to check
+     * @returns {Promise<Object>} - { status, httpStatus, finalUrl, error, checkedAt }
+     */
+    async checkUrl(link) {
+      const checkedAt = new Date();
+
+      // Only web links can be checked
+      let url;
+      try {
+        url = new URL(link);
+      } catch (error) {
+        return { status: "broken", httpStatus: null, finalUrl: null, error: "Not a valid URL", checkedAt };
+      }
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return { status: "broken", httpStatus: null, finalUrl: null, error: "Not a web link", checkedAt };
+      }
+
+      try {
+        // Many stores reject HEAD, so an error answer is confirmed with GET
+        let answer = await request(url, "HEAD");
+        if (answer.response.status >= 400) answer = await request(url, "GET");
+
+        const { response, finalUrl } = answer;
+        const status = response.status < 400 ? "ok" : "broken";
+        return { status, httpStatus: response.status, finalUrl, error: null, checkedAt };
+      } catch (caught) {
+        // A link to a forbidden address or a bad redirect leads nowhere usable
+        const error = unwrapBlocked(caught);
+        const status = ["BLOCKED_ADDRESS", "BAD_REDIRECT"].includes(error.code) ? "broken" : "unreachable";
+        return { status, httpStatus: null, finalUrl: null, error: describeError(error, timeoutMs), checkedAt };
+      }
+    },
+
+    /**
+     * Checks many links, no more than the concurrency limit at a time, and
+     * reports each result as soon as it is known.
+     *
+     * @param {Array<Object>} items - The things to check, each with a "url"
+     * @param {Function} [onResult] - Called with (item, result) after each
+     *                                check; may return a promise
+     * @returns {Promise<Array<Object>>} - The results, in the order of the items
+     */
+    async checkAll(items, onResult = () => {}) {
+      const results = new Array(items.length);
+      let next = 0;
+
+      // Each worker takes the next unchecked item until none are left
+      const worker = async () => {
+        while (next < items.length) {
+          const index = next;
+          next += 1;
+          results[index] = await this.checkUrl(items[index].url);
+          await onResult(items[index], results[index]);
+        }
+      };
+
+      const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker);
+      await Promise.all(workers);
+      return results;
+    },
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = createLinkChecker;
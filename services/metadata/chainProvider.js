@@ -0,0 +1,104 @@
+/**
+ * File Purpose:
+ * This file implements the provider chain: a metadata provider that asks
+ * several providers in turn, e.g. Open Library first and the local fixture
+ * file when Open Library is down. It is what METADATA_PROVIDER selects when
+ * it names more than one provider ("openlibrary,fixture").
+ *
+ * Chain Rules:
+ *   - The providers are asked in order and the first metadata found wins.
+ *   - A provider that does not know the ISBN (null) passes it on to the next.
+ *   - A provider that fails, or takes longer than the timeout, is logged and
+ *     skipped, so one broken service does not stop the lookup.
+ *   - When no provider found the book, the chain answers null if any of them
+ *     answered at all, and fails with the last error if every one failed.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * logger - Logs the providers the chain skipped
+ */
+const logger = require("../../utils/logger");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function asks one provider, giving up after a timeout.
+ *
+ * @param {Object} provider - The provider to ask
+ * @param {String} isbn13 - A valid ISBN-13
+ * @param {Number} timeoutMs - How long to wait for the answer
+ * @returns {Promise<Object|null>} - The provider's answer
+ * @throws {Error} - When the provider fails or times out
+ */
+function lookupWithTimeout(provider, isbn13, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`The "${provider.name}" provider did not answer within ${timeoutMs} ms`);
+      error.name = "TimeoutError";
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([provider.lookup(isbn13), timeout]).finally(() => clearTimeout(timer));
+}
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function creates a provider that asks several providers in turn.
+ *
+ * @param {Object} settings - Chain settings
+ * @param {Array<Object>} settings.providers - The providers, in the order to ask them
+ * @param {Number} [settings.timeoutMs] - How long to wait for each provider
+ * @returns {Object} - A provider with a name and a lookup(isbn13) method
+ */
+function createChainProvider({ providers, timeoutMs = 5000 }) {
+  return {
+    name: providers.map((provider) => provider.name).join(","),
+
+    /**
+     * Looks up a book with each provider until one knows it.
+     *
+     * @param {String} isbn13 - A valid ISBN-13
+     * @returns {Promise<Object|null>} - The first metadata found, or null
+     * @throws {Error} - The last provider's error, when every provider failed
+     */
+    async lookup(isbn13) {
+      let answered = false;
+      let lastError = null;
+
+      for (const provider of providers) {
+        try {
+          const metadata = await lookupWithTimeout(provider, isbn13, timeoutMs);
+          if (metadata) return metadata;
+          answered = true;
+        } catch (error) {
+          logger.warn("Metadata provider failed, trying the next one", {
+            provider: provider.name,
+            isbn: isbn13,
+            error: logger.describeError(error),
+          });
+          lastError = error;
+        }
+      }
+
+      if (!answered && lastError) throw lastError;
+      return null;
+    },
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = createChainProvider;
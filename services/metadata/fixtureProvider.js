@@ -0,0 +1,64 @@
+/**
+ * File Purpose:
+ * This file implements the fixture-backed ISBN metadata provider. It answers
+ * lookups from a local JSON file instead of a web service, so ISBN lookups
+ * work offline, in development and in tests.
+ *
+ * Fixture File Format:
+ * A JSON object keyed by ISBN-13, where each value holds the same fields a
+ * provider returns:
+ *   { "9780441013593": { "title": "Dune", "authors": ["Frank Herbert"],
+ *     "publisher": "Ace Books", "pageCount": 528, "coverUrl": "https://..." } }
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * fs - Node.js built-in File System module used to read the fixture file
+ */
+const fs = require("fs");
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function creates a metadata provider that reads from a fixture file.
+ *
+ * The file is read on the first lookup and kept in memory afterwards.
+ * Passing `fixtures` directly skips the file entirely, which is handy in tests.
+ *
+ * @param {Object} settings - Provider settings
+ * @param {String} [settings.fixturesPath] - Path of the JSON fixture file
+ * @param {Object} [settings.fixtures] - Fixture data to use instead of a file
+ * @returns {Object} - A provider with a name and a lookup(isbn13) method
+ */
+function createFixtureProvider({ fixturesPath, fixtures } = {}) {
+  let entries = fixtures || null;
+
+  return {
+    name: "fixture",
+
+    /**
+     * Looks up a book in the fixture data.
+     *
+     * @param {String} isbn13 - A valid ISBN-13
+     * @returns {Promise<Object|null>} - The book's metadata, or null if it is not in the fixtures
+     */
+    async lookup(isbn13) {
+      // Load the fixture file the first time it is needed
+      if (!entries) entries = JSON.parse(await fs.promises.readFile(fixturesPath, "utf-8"));
+
+      const entry = entries[isbn13];
+      return entry ? { ...entry, authors: [...(entry.authors || [])] } : null;
+    },
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = createFixtureProvider;
@@ -0,0 +1,215 @@
+/**
+ * File Purpose:
+ * This file is the entry point for ISBN metadata lookups. It picks the
+ * metadata provider named in the configuration and uses it to fill in a
+ * book's details from its ISBN.
+ *
+ * Provider Interface:
+ * A provider is any object of the form
+ *   { name: String, lookup(isbn13): Promise<Metadata|null> }
+ * where Metadata is
+ *   { title, authors: [String], publisher, pageCount, coverUrl }
+ * and any field may be missing. lookup resolves with null when the ISBN is
+ * unknown and rejects when the provider itself fails.
+ *
+ * Two providers ship with the application, "fixture" (a local JSON file) and
+ * "openlibrary" (an Open Library–style HTTP service). Others can be added
+ * with registerProvider and chosen through METADATA_PROVIDER. Naming several,
+ * e.g. "openlibrary,fixture", asks them in turn and falls back to the next
+ * one when a provider fails or times out (see chainProvider.js).
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * config - The application settings, including which provider to use
+ */
+const config = require("../../config");
+
+/**
+ * isbn - Validates ISBNs and converts them to ISBN-13
+ */
+const { parseIsbn } = require("../../utils/isbn");
+
+/**
+ * logger - Logs the lookups that failed
+ */
+const logger = require("../../utils/logger");
+
+/**
+ * Provider factories - The metadata providers that ship with the application
+ */
+const createFixtureProvider = require("./fixtureProvider");
+const createOpenLibraryProvider = require("./openLibraryProvider");
+
+/**
+ * createChainProvider - Asks several providers in turn
+ */
+const createChainProvider = require("./chainProvider");
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * providerFactories - The known providers by name. Each factory receives the
+ * metadata settings and returns a provider.
+ */
+const providerFactories = {
+  fixture: createFixtureProvider,
+  openlibrary: createOpenLibraryProvider,
+};
+
+/**
+ * activeProvider - The provider used by lookupIsbn, created on first use
+ */
+let activeProvider = null;
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function makes another provider available by name.
+ *
+ * @param {String} name - The name to select it with in METADATA_PROVIDER
+ * @param {Function} factory - Receives the metadata settings and returns a provider
+ */
+function registerProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * This function creates the provider named in the given settings. A
+ * comma-separated list of names creates a chain of those providers, asked
+ * in the order given.
+ *
+ * @param {Object} settings - The metadata settings (see config/index.js)
+ * @returns {Object} - The provider
+ * @throws {Error} - When no provider with one of the names is registered
+ */
+function createMetadataProvider(settings) {
+  const names = String(settings.provider)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  const providers = names.map((name) => {
+    const factory = providerFactories[name];
+    if (!factory) {
+      const known = Object.keys(providerFactories).join(", ");
+      throw new Error(`Unknown metadata provider "${name}" (expected one of: ${known})`);
+    }
+    return factory(settings);
+  });
+
+  if (providers.length === 1) return providers[0];
+  return createChainProvider({ providers, timeoutMs: settings.timeoutMs });
+}
+
+/**
+ * This function returns the provider lookups go to, creating it from the
+ * configuration the first time.
+ *
+ * @returns {Object} - The active provider
+ */
+function getMetadataProvider() {
+  if (!activeProvider) activeProvider = createMetadataProvider(config.metadata);
+  return activeProvider;
+}
+
+/**
+ * This function replaces the active provider, e.g. with a stub in tests.
+ * Passing null goes back to the configured provider.
+ *
+ * @param {Object|null} provider - The provider to use
+ */
+function setMetadataProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * This function validates an ISBN and looks up the book's details.
+ *
+ * @param {String} text - The ISBN as typed, in either form
+ * @returns {Promise<Object>} - { isbn, metadata }: isbn is { isbn13, isbn10 }
+ *                              or null when the text is not a valid ISBN, and
+ *                              metadata is null when the book is unknown
+ * @throws {Error} - When the provider fails
+ */
+async function lookupIsbn(text) {
+  const isbn = parseIsbn(text);
+  if (!isbn) return { isbn: null, metadata: null };
+
+  const metadata = await getMetadataProvider().lookup(isbn.isbn13);
+  return { isbn, metadata };
+}
+
+/**
+ * This function fills the empty fields of a submitted book with looked-up
+ * metadata. Fields the user already typed are left alone.
+ *
+ * @param {Object} input - The submitted book fields
+ * @param {Object} metadata - The metadata returned by a provider
+ * @returns {Object} - A copy of input with the blanks filled in
+ */
+function fillBlanks(input, metadata) {
+  const filled = { ...input };
+  const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+  const candidates = {
+    title: metadata.title,
+    author: (metadata.authors || []).join(", "),
+    publisher: metadata.publisher,
+    pageCount: metadata.pageCount,
+    coverUrl: metadata.coverUrl,
+  };
+
+  Object.entries(candidates).forEach(([field, value]) => {
+    if (isBlank(filled[field]) && !isBlank(value)) filled[field] = String(value);
+  });
+
+  return filled;
+}
+
+/**
+ * This function looks up the ISBN in a submitted book, if it has one, and
+ * fills the book's empty fields with what the provider knows. It never
+ * throws: a failed lookup is reported in the result so that the book can
+ * still be saved with whatever the user typed.
+ *
+ * @param {Object} input - The submitted book fields, with the ISBN in input.isbn
+ * @returns {Promise<Object>} - { input, outcome }: input is the (possibly
+ *                              filled-in) copy of the fields and outcome is one
+ *                              of "skipped" (no ISBN), "invalid", "not_found",
+ *                              "failed" or "found"
+ */
+async function enrichFromIsbn(input) {
+  const text = typeof input.isbn === "string" ? input.isbn.trim() : "";
+  if (!text) return { input, outcome: "skipped" };
+
+  try {
+    const { isbn, metadata } = await lookupIsbn(text);
+    if (!isbn) return { input, outcome: "invalid" };
+    if (!metadata) return { input, outcome: "not_found" };
+    return { input: fillBlanks(input, metadata), outcome: "found" };
+  } catch (error) {
+    logger.warn("ISBN lookup failed", { isbn: text, error: logger.describeError(error) });
+    return { input, outcome: "failed" };
+  }
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  registerProvider,
+  createMetadataProvider,
+  getMetadataProvider,
+  setMetadataProvider,
+  lookupIsbn,
+  fillBlanks,
+  enrichFromIsbn,
+};
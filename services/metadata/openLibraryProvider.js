@@ -0,0 +1,78 @@
+/**
+ * File Purpose:
+ * This file implements an ISBN metadata provider for Open Library–style HTTP
+ * services. It calls the Books API,
+ *   GET {baseUrl}/api/books?bibkeys=ISBN:{isbn}&format=json&jscmd=data
+ * and maps the answer onto the fields the application uses.
+ *
+ * Any service that answers that request in the same shape can be used by
+ * pointing METADATA_BASE_URL at it, for example a self-hosted mirror.
+ */
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function maps one Open Library "data" record onto the metadata shape
+ * every provider returns.
+ *
+ * @param {Object} record - The record for one ISBN
+ * @returns {Object} - { title, authors, publisher, pageCount, coverUrl }
+ */
+function toMetadata(record) {
+  const cover = record.cover || {};
+  return {
+    title: record.subtitle ? `${record.title}: ${record.subtitle}` : record.title,
+    authors: (record.authors || []).map((author) => author.name).filter(Boolean),
+    publisher: record.publishers && record.publishers.length ? record.publishers[0].name : null,
+    pageCount: Number.isInteger(record.number_of_pages) ? record.number_of_pages : null,
+    coverUrl: cover.large || cover.medium || cover.small || null,
+  };
+}
+
+/**
+ * This function creates a metadata provider for an Open Library–style service.
+ *
+ * @param {Object} settings - Provider settings
+ * @param {String} settings.baseUrl - The service's base URL, e.g. "https://openlibrary.org"
+ * @param {Number} [settings.timeoutMs] - How long to wait for an answer
+ * @param {Function} [settings.fetch] - The fetch function to use; defaults to
+ *                                      the global fetch and can be replaced in tests
+ * @returns {Object} - A provider with a name and a lookup(isbn13) method
+ */
+function createOpenLibraryProvider({ baseUrl, timeoutMs = 5000, fetch = globalThis.fetch } = {}) {
+  return {
+    name: "openlibrary",
+
+    /**
+     * Looks up a book on the HTTP service.
+     *
+     * @param {String} isbn13 - A valid ISBN-13
+     * @returns {Promise<Object|null>} - The book's metadata, or null if the service does not know it
+     * @throws {Error} - When the service cannot be reached or answers with an error status
+     */
+    async lookup(isbn13) {
+      const bibkey = `ISBN:${isbn13}`;
+      const url = new URL("/api/books", baseUrl);
+      url.searchParams.set("bibkeys", bibkey);
+      url.searchParams.set("format", "json");
+      url.searchParams.set("jscmd", "data");
+
+      const response = await fetch(url, {
+        headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) throw new Error(`Metadata lookup failed with HTTP ${response.status}`);
+
+      const body = await response.json();
+      return body && body[bibkey] ? toMetadata(body[bibkey]) : null;
+    },
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = createOpenLibraryProvider;
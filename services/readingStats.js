@@ -0,0 +1,320 @@
+/**
+ * File Purpose:
+ * This file computes the reading progress shown on the book page, the
+ * figures on the statistics page and the progress towards a reading goal.
+ *
+ * Service Purpose:
+ * Everything here is calculated on the server from the stored books and the
+ * logged reading sessions; the pages only display the results. The functions
+ * take "today" as an argument instead of reading the clock, so the same data
+ * always gives the same figures.
+ *
+ * Days are "YYYY-MM-DD" text in the server's time zone (see utils/dates.js).
+ * Weeks start on Monday. Costs are converted into the user's currency before
+ * they are averaged.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * dates - Day arithmetic on "YYYY-MM-DD" text
+ */
+const { toDateKey, toDayNumber, addDays } = require("../utils/dates");
+
+/**
+ * currency - Converts each book's cost into the user's currency
+ */
+const { convertMinor, defaultCurrency } = require("./currency");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * MONTHS_SHOWN - How many months the "finished per month" chart covers
+ */
+const MONTHS_SHOWN = 12;
+
+/**
+ * WEEKS_SHOWN - How many weeks the "pages per week" chart covers
+ */
+const WEEKS_SHOWN = 12;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function adds a bar width to each entry of a chart, as a
+ * percentage of the largest value, so the view can draw it without any
+ * arithmetic of its own.
+ *
+ * @param {Array<Object>} entries - The chart entries, each with a "value"
+ * @returns {Array<Object>} - The same entries, each with a "percent" from 0 to 100
+ */
+function withBarWidths(entries) {
+  const largest = Math.max(0, ...entries.map((entry) => entry.value));
+  return entries.map((entry) => ({
+    ...entry,
+    percent: largest ? Math.round((entry.value / largest) * 100) : 0,
+  }));
+}
+
+/**
+ * This helper function returns the Monday that starts the week of a day.
+ *
+ * @param {String} key - The day as "YYYY-MM-DD"
+ * @returns {String} - The Monday as "YYYY-MM-DD"
+ */
+function weekStart(key) {
+  // Day 0 (1970-01-01) was a Thursday, so Monday is 3 days before it
+  const dayNumber = toDayNumber(key);
+  const daysSinceMonday = (((dayNumber + 3) % 7) + 7) % 7;
+  return addDays(key, -daysSinceMonday);
+}
+
+/**
+ * This helper function counts the books finished in each of the last months.
+ *
+ * @param {Array<Object>} books - The user's books
+ * @param {String} today - Today as "YYYY-MM-DD"
+ * @returns {Array<Object>} - One { label, value, percent } per month, oldest first
+ */
+function finishedPerMonth(books, today) {
+  const [year, month] = today.split("-").map(Number);
+
+  // Start every month at zero so empty months still show
+  const months = [];
+  for (let back = MONTHS_SHOWN - 1; back >= 0; back -= 1) {
+    const first = new Date(year, month - 1 - back, 1);
+    months.push({
+      key: toDateKey(first).slice(0, 7),
+      label: first.toLocaleDateString("en-US", { month: "short", year: "numeric" }),
+      value: 0,
+    });
+  }
+
+  // Count each finished book in the month it was finished
+  const byKey = new Map(months.map((entry) => [entry.key, entry]));
+  books.forEach((book) => {
+    if (book.status !== "finished" || !book.finishedAt) return;
+    const entry = byKey.get(toDateKey(new Date(book.finishedAt)).slice(0, 7));
+    if (entry) entry.value += 1;
+  });
+
+  return withBarWidths(months);
+}
+
+/**
+ * This helper function adds up the pages logged in each of the last weeks.
+ *
+ * @param {Array<Object>} sessions - The user's reading sessions
+ * @param {String} today - Today as "YYYY-MM-DD"
+ * @returns {Array<Object>} - One { label, value, percent } per week, oldest first
+ */
+function pagesPerWeek(sessions, today) {
+  const thisWeek = weekStart(today);
+
+  // Start every week at zero so empty weeks still show
+  const weeks = [];
+  for (let back = WEEKS_SHOWN - 1; back >= 0; back -= 1) {
+    const key = addDays(thisWeek, -7 * back);
+    const [year, month, day] = key.split("-").map(Number);
+    weeks.push({
+      key,
+      label: new Date(year, month - 1, day).toLocaleDateString("en-US", { month: "short", day: "numeric" }),
+      value: 0,
+    });
+  }
+
+  // Add each session's pages to the week it falls in
+  const byKey = new Map(weeks.map((entry) => [entry.key, entry]));
+  sessions.forEach((session) => {
+    const entry = byKey.get(weekStart(session.readOn));
+    if (entry) entry.value += session.pagesRead;
+  });
+
+  return withBarWidths(weeks);
+}
+
+/**
+ * This helper function works out the current reading streak: the number of
+ * days in a row, up to today, with at least one logged session. A streak is
+ * still alive when nothing has been logged yet today but yesterday counted.
+ *
+ * @param {Array<Object>} sessions - The user's reading sessions
+ * @param {String} today - Today as "YYYY-MM-DD"
+ * @returns {Number} - The number of days in the streak
+ */
+function currentStreak(sessions, today) {
+  const readDays = new Set(sessions.map((session) => session.readOn));
+
+  // Count back from today, or from yesterday if today has no session yet
+  let day = readDays.has(today) ? today : addDays(today, -1);
+  let streak = 0;
+  while (readDays.has(day)) {
+    streak += 1;
+    day = addDays(day, -1);
+  }
+  return streak;
+}
+
+/**
+ * This helper function works out the first and last day of the month or year
+ * a day falls in.
+ *
+ * @param {String} period - "monthly" or "yearly"
+ * @param {String} today - The day as "YYYY-MM-DD"
+ * @returns {Object} - { startsOn, endsOn }, both as "YYYY-MM-DD"
+ */
+function periodBounds(period, today) {
+  const [year, month] = today.split("-").map(Number);
+  if (period === "yearly") return { startsOn: `${year}-01-01`, endsOn: `${year}-12-31` };
+
+  const startsOn = toDateKey(new Date(year, month - 1, 1));
+  return { startsOn, endsOn: addDays(toDateKey(new Date(year, month, 1)), -1) };
+}
+
+/**
+ * This helper function works out the average cost of the books that have one.
+ *
+ * @param {Array<Object>} books - The user's books
+ * @param {String} code - The currency to average in
+ * @returns {Number|null} - The average in minor units, or null when no book has a cost
+ */
+function averageCostMinor(books, code) {
+  const costs = books
+    .filter((book) => book.costMinor !== null && book.costMinor !== undefined)
+    .map((book) => convertMinor(book.costMinor, book.currency, code));
+  if (!costs.length) return null;
+  return Math.round(costs.reduce((total, cost) => total + cost, 0) / costs.length);
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function works out how far through a book the reader is and, from
+ * the pace of the sessions logged so far, when they will finish it.
+ *
+ * The pace is the pages logged divided by the days from the first session
+ * to today, so days without reading slow the estimate down.
+ *
+ * @param {Object} book - The book, with pageCount and currentPage
+ * @param {Array<Object>} sessions - The sessions logged for the book
+ * @param {String} [today] - Today as "YYYY-MM-DD"
+ * @returns {Object} - { currentPage, pageCount, percent, pagesLeft,
+ *                     pagesPerDay, estimatedFinish }; percent, pagesLeft and
+ *                     estimatedFinish are null when they cannot be known
+ */
+function bookProgress(book, sessions, today = toDateKey()) {
+  const pageCount = book.pageCount || null;
+  const currentPage = pageCount ? Math.min(book.currentPage || 0, pageCount) : book.currentPage || 0;
+
+  // Pace across every day since the first session, including today
+  let pagesPerDay = null;
+  if (sessions.length) {
+    const firstDay = sessions.reduce((earliest, session) => (session.readOn < earliest ? session.readOn : earliest), today);
+    const days = toDayNumber(today) - toDayNumber(firstDay) + 1;
+    const pages = sessions.reduce((total, session) => total + session.pagesRead, 0);
+    pagesPerDay = Math.round((pages / days) * 10) / 10;
+  }
+
+  // Percentage and estimate need to know how long the book is
+  const pagesLeft = pageCount ? pageCount - currentPage : null;
+  let estimatedFinish = null;
+  if (pagesLeft && pagesPerDay) {
+    estimatedFinish = addDays(today, Math.ceil(pagesLeft / pagesPerDay));
+  }
+
+  return {
+    currentPage,
+    pageCount,
+    percent: pageCount ? Math.floor((currentPage / pageCount) * 100) : null,
+    pagesLeft,
+    pagesPerDay,
+    estimatedFinish,
+  };
+}
+
+/**
+ * This function works out how far the reader has come towards their reading
+ * goal in the current month or year. A book counts towards the goal of the
+ * period it was finished in.
+ *
+ * @param {Array<Object>} books - The user's books
+ * @param {Object} user - The user, with goalPeriod and goalBooks
+ * @param {String} [today] - Today as "YYYY-MM-DD"
+ * @returns {Object|null} - { period, label, goalBooks, finished, remaining,
+ *                          percent, met, startsOn, endsOn }, or null when the
+ *                          user has no reading goal
+ */
+function goalProgress(books, { goalPeriod, goalBooks }, today = toDateKey()) {
+  if (!goalPeriod || !goalBooks) return null;
+
+  // Count the books finished from the first to the last day of the period
+  const { startsOn, endsOn } = periodBounds(goalPeriod, today);
+  const finished = books.filter((book) => {
+    if (book.status !== "finished" || !book.finishedAt) return false;
+    const day = toDateKey(new Date(book.finishedAt));
+    return day >= startsOn && day <= endsOn;
+  }).length;
+
+  const [year, month] = today.split("-").map(Number);
+  return {
+    period: goalPeriod,
+    label:
+      goalPeriod === "yearly"
+        ? String(year)
+        : new Date(year, month - 1, 1).toLocaleDateString("en-US", { month: "long", year: "numeric" }),
+    goalBooks,
+    finished,
+    remaining: Math.max(0, goalBooks - finished),
+    percent: Math.min(100, Math.floor((finished / goalBooks) * 100)),
+    met: finished >= goalBooks,
+    startsOn,
+    endsOn,
+  };
+}
+
+/**
+ * This function computes every figure on the statistics page.
+ *
+ * @param {Array<Object>} books - The user's books
+ * @param {Array<Object>} sessions - The user's reading sessions, as returned
+ *                                   by ReadingSession.getSessionsForUser
+ * @param {Object} [options] - Optional settings
+ * @param {String} [options.today] - Today as "YYYY-MM-DD"
+ * @param {String} [options.currency] - The currency to show the average cost in
+ * @returns {Object} - { finishedPerMonth, pagesPerWeek, averageCostMinor,
+ *                     currency, streak, totals }
+ */
+function buildDashboard(books, sessions, { today = toDateKey(), currency = defaultCurrency() } = {}) {
+  return {
+    finishedPerMonth: finishedPerMonth(books, today),
+    pagesPerWeek: pagesPerWeek(sessions, today),
+    averageCostMinor: averageCostMinor(books, currency),
+    currency,
+    streak: currentStreak(sessions, today),
+    totals: {
+      books: books.length,
+      finished: books.filter((book) => book.status === "finished").length,
+      sessions: sessions.length,
+      pages: sessions.reduce((total, session) => total + session.pagesRead, 0),
+      minutes: sessions.reduce((total, session) => total + (session.minutes || 0), 0),
+    },
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  bookProgress,
+  goalProgress,
+  buildDashboard,
+};
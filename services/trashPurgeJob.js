@@ -0,0 +1,104 @@
+/**
+ * File Purpose:
+ * This file carries out the trash retention policy: books that have been in
+ * the trash for longer than TRASH_RETENTION_DAYS are purged for good.
+ *
+ * Service Purpose:
+ * The job looks for expired books once when the server starts and then every
+ * hour while it runs. A retention of 0 days turns it off, and deleted books
+ * then stay in the trash until their owner purges them.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * config - The retention period and how often it is enforced
+ */
+const config = require("../config");
+
+/**
+ * Trash - Purges the expired books
+ */
+const Trash = require("../models/Trash");
+
+/**
+ * logger - Logs what each scheduled purge did
+ */
+const logger = require("../utils/logger");
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * timer - The interval timer of the scheduled purges, while they are on
+ */
+let timer = null;
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function returns the moment before which deleted books have expired.
+ *
+ * @param {Date} [now] - The current moment
+ * @returns {Date|null} - The cut-off, or null when books never expire
+ */
+function expiryCutoff(now = new Date()) {
+  const { retentionDays } = config.trash;
+  if (!retentionDays) return null;
+  return new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * This function purges every book that has been in the trash for longer than
+ * the retention period.
+ *
+ * @returns {Promise<Number>} - The number of books purged
+ */
+async function purgeExpired() {
+  const cutoff = expiryCutoff();
+  return cutoff ? Trash.purgeExpired(cutoff) : 0;
+}
+
+/**
+ * This function starts the scheduled purges, with the first one straight
+ * away. The timer does not keep the process alive on its own.
+ */
+function start() {
+  if (timer || !config.trash.retentionDays) return;
+
+  // A failed purge is logged and the next one tries again
+  const scheduledPurge = () =>
+    purgeExpired()
+      .then((purged) => {
+        if (purged) logger.info(`Purged ${purged} books from the trash`, { purged });
+      })
+      .catch((error) => logger.error("Trash purge failed", { error: logger.describeError(error) }));
+
+  timer = setInterval(scheduledPurge, config.trash.purgeIntervalMinutes * 60 * 1000);
+  timer.unref();
+  scheduledPurge();
+}
+
+/**
+ * This function stops the scheduled purges.
+ */
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  expiryCutoff,
+  purgeExpired,
+  start,
+  stop,
+};
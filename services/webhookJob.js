@@ -0,0 +1,329 @@
+/**
+ * File Purpose:
+ * This file sends the book events to the webhooks that want them, in the
+ * background, and retries the deliveries that fail.
+ *
+ * Service Purpose:
+ * While the job runs it listens on the book event bus (see
+ * services/bookEvents.js). Each event is queued as one delivery per webhook
+ * that wants it (see models/WebhookDelivery.js), and the queue is worked
+ * through straight away, one delivery at a time, oldest first.
+ *
+ * A delivery that fails is tried again after an exponential backoff:
+ * WEBHOOK_RETRY_BASE_SECONDS after the first attempt, twice that after the
+ * second, and so on. The retries that have come due are sent every
+ * WEBHOOK_POLL_SECONDS. After WEBHOOK_MAX_ATTEMPTS failed attempts the
+ * delivery is marked failed, which puts it in the dead-letter log: it is
+ * logged as a warning, shown on its webhook's delivery history page, and
+ * not tried again unless its owner asks for it there.
+ *
+ * The queue lives in the database, so deliveries waiting for a retry when
+ * the server stops are sent once it is back. Only one run works through the
+ * queue at a time; a delivery queued during a run is picked up by another
+ * run right after it.
+ *
+ * The sender the job uses can be replaced with setWebhookSender, e.g. with
+ * one whose fetch is a fake in tests.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * config - The timeout, the retry schedule and how often due retries are sent
+ */
+const config = require("../config");
+
+/**
+ * bookEvents - The events the webhooks are sent
+ */
+const bookEvents = require("./bookEvents");
+
+/**
+ * webhookSender - Posts each delivery, signed, to its webhook
+ */
+const { createWebhookSender } = require("./webhookSender");
+
+/**
+ * Webhook - Finds the webhooks that want an event
+ */
+const Webhook = require("../models/Webhook");
+
+/**
+ * WebhookDelivery - Queues the deliveries and records each attempt
+ */
+const WebhookDelivery = require("../models/WebhookDelivery");
+
+/**
+ * logger - Logs the deliveries that failed for good and the runs that broke
+ */
+const logger = require("../utils/logger");
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * activeSender - The sender runs use, created from the configuration on first use
+ */
+let activeSender = null;
+
+/**
+ * unsubscribe - Stops listening to the book events, while the job listens
+ */
+let unsubscribe = null;
+
+/**
+ * timer - The interval timer that sends the due retries, while it is on
+ */
+let timer = null;
+
+/**
+ * queueing - The promise of the events being queued, one after another
+ */
+let queueing = Promise.resolve();
+
+/**
+ * currentRun - The promise of the run in progress, if any
+ */
+let currentRun = null;
+
+/**
+ * runAgain - Whether another run was asked for while one was in progress
+ */
+let runAgain = false;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function returns the sender runs use, creating it from the
+ * configuration the first time.
+ *
+ * @returns {Object} - The webhook sender
+ */
+function getWebhookSender() {
+  if (!activeSender) activeSender = createWebhookSender({ timeoutMs: config.webhooks.timeoutMs });
+  return activeSender;
+}
+
+/**
+ * This helper function queues a book event for every webhook that wants it.
+ *
+ * @param {Object} event - The book event: type, ownerId, book and occurredAt
+ * @returns {Promise<Number>} - The number of deliveries queued
+ */
+async function queueEvent(event) {
+  const webhooks = await Webhook.findSubscribers(event.ownerId, event.type);
+  if (!webhooks.length) return 0;
+
+  // The body is written once, so every webhook and every attempt gets the same bytes
+  const payload = JSON.stringify({ event: event.type, occurredAt: event.occurredAt.toISOString(), book: event.book });
+  return WebhookDelivery.queueDeliveries(webhooks, event.type, payload);
+}
+
+/**
+ * This helper function makes one attempt to send a delivery and records how
+ * it went: delivered, due for another attempt later, or failed for good.
+ *
+ * @param {Object} delivery - The due delivery, with its webhook
+ * @param {Object} summary - The run's counts, updated in place
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(delivery, summary) {
+  const attemptedAt = new Date();
+  const result = await getWebhookSender().send(delivery);
+  const attempts = delivery.attempts + 1;
+
+  // Work out what happens next: nothing, another attempt, or the dead-letter log
+  let status = "delivered";
+  let nextAttemptAt = null;
+  if (!result.ok && attempts < config.webhooks.maxAttempts) {
+    status = "pending";
+    nextAttemptAt = new Date(attemptedAt.getTime() + retryDelayMs(attempts));
+  } else if (!result.ok) {
+    status = "failed";
+  }
+
+  await WebhookDelivery.recordAttempt(delivery.id, {
+    status,
+    attempts,
+    attemptedAt,
+    responseStatus: result.httpStatus,
+    error: result.error,
+    nextAttemptAt,
+  });
+  summary[status] += 1;
+
+  if (status === "failed") {
+    logger.warn("Webhook delivery failed for good", {
+      deliveryId: delivery.id,
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      attempts,
+      responseStatus: result.httpStatus,
+      error: result.error,
+    });
+  }
+}
+
+/**
+ * This helper function sends every delivery that is due, one at a time.
+ *
+ * @returns {Promise<Object>} - { attempted, delivered, pending, failed }, where
+ *                              pending counts the ones to be tried again
+ */
+async function sendDueDeliveries() {
+  const summary = { attempted: 0, delivered: 0, pending: 0, failed: 0 };
+  const deliveries = await WebhookDelivery.dueDeliveries(new Date(), config.webhooks.batchSize);
+
+  for (const delivery of deliveries) {
+    summary.attempted += 1;
+    await attemptDelivery(delivery, summary);
+  }
+  return summary;
+}
+
+/**
+ * This helper function logs a run or a queueing that broke, e.g. because the
+ * database was unavailable. The deliveries stay queued for the next run.
+ *
+ * @param {Error} error - What went wrong
+ */
+function logFailure(error) {
+  logger.error("Sending webhook deliveries failed", { error: logger.describeError(error) });
+}
+
+/**
+ * This helper function queues a book event and starts a run to send it. The
+ * events are queued one after another, in the order they happened.
+ *
+ * @param {Object} event - The book event
+ */
+function handleEvent(event) {
+  queueing = queueing
+    .then(() => queueEvent(event))
+    .then((queued) => {
+      if (queued) sendSoon();
+    })
+    .catch(logFailure);
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function works out how long to wait before the next attempt of a
+ * delivery: the base delay, doubled for every attempt after the first.
+ *
+ * @param {Number} attempts - How many attempts have failed so far, from 1
+ * @param {Number} [baseSeconds] - The wait after the first failed attempt
+ * @returns {Number} - The wait in milliseconds
+ */
+function retryDelayMs(attempts, baseSeconds = config.webhooks.retryBaseSeconds) {
+  return baseSeconds * 1000 * 2 ** (attempts - 1);
+}
+
+/**
+ * This function replaces the sender runs use, e.g. with one that has a fake
+ * fetch in tests. Passing null goes back to the configured sender.
+ *
+ * @param {Object|null} sender - An object with the webhook sender's send method
+ */
+function setWebhookSender(sender) {
+  activeSender = sender;
+}
+
+/**
+ * This function sends the deliveries that are due now. When a run is
+ * already in progress, another one follows it, so nothing queued in the
+ * meantime waits for the next scheduled run.
+ *
+ * @returns {Promise<Object>} - What the run did (see sendDueDeliveries)
+ */
+function runDeliveries() {
+  if (currentRun) {
+    runAgain = true;
+    return currentRun;
+  }
+
+  currentRun = sendDueDeliveries().finally(() => {
+    currentRun = null;
+    if (runAgain) {
+      runAgain = false;
+      sendSoon();
+    }
+  });
+  return currentRun;
+}
+
+/**
+ * This function starts a run in the background without waiting for it, e.g.
+ * after a failed delivery was put back in the queue. A failed run is logged.
+ */
+function sendSoon() {
+  runDeliveries().catch(logFailure);
+}
+
+/**
+ * This function waits until every book event heard so far has been queued
+ * and every run it started has finished, e.g. before a test looks at what
+ * was sent.
+ *
+ * @returns {Promise<void>}
+ */
+async function flush() {
+  for (;;) {
+    const queued = queueing;
+    await queued;
+    if (currentRun) await currentRun.catch(() => {});
+    if (queued === queueing && !currentRun) return;
+  }
+}
+
+/**
+ * This function starts listening to the book events and sending the due
+ * retries on a timer, with a first run straight away so the retries that
+ * came due while the server was down are sent. The timer does not keep the
+ * process alive on its own, and a poll interval of 0 turns it off.
+ */
+function start() {
+  if (unsubscribe) return;
+  unsubscribe = bookEvents.subscribe(handleEvent);
+
+  // A failed run is logged and the next one tries again
+  const { pollSeconds } = config.webhooks;
+  if (pollSeconds) {
+    timer = setInterval(sendSoon, pollSeconds * 1000);
+    timer.unref();
+  }
+  sendSoon();
+}
+
+/**
+ * This function stops listening to the book events and stops the timer. A
+ * run already in progress finishes.
+ */
+function stop() {
+  if (unsubscribe) unsubscribe();
+  if (timer) clearInterval(timer);
+  unsubscribe = null;
+  timer = null;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  retryDelayMs,
+  setWebhookSender,
+  runDeliveries,
+  sendSoon,
+  flush,
+  start,
+  stop,
+};
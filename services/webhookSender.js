@@ -0,0 +1,147 @@
+/**
+ * File Purpose:
+ * This file sends one webhook delivery: it posts the delivery's JSON body to
+ * the webhook's address, signed with the webhook's secret.
+ *
+ * Service Purpose:
+ * Every request carries these headers, so the receiver can check it and
+ * tell deliveries apart:
+ *   X-Webhook-Event      The event type, e.g. "book.created"
+ *   X-Webhook-Delivery   The delivery's ID, the same on every attempt, so a
+ *                        receiver can ignore a delivery it already handled
+ *   X-Webhook-Timestamp  When the request was signed, in seconds since 1970
+ *   X-Webhook-Signature  "sha256=" and the hex HMAC-SHA256, keyed with the
+ *                        webhook's secret, of the timestamp, a ".", and the
+ *                        body exactly as received
+ *
+ * Signing the timestamp with the body lets a receiver turn away an old
+ * request that someone captured and sent again.
+ *
+ * Only a 2xx answer counts as delivered. Redirects are not followed, so the
+ * signed body never goes anywhere but the registered address. Before each
+ * request the address guard (see services/addressGuard.js) looks the host up
+ * and refuses to post to a local or private address, and the request
+ * connects to the address the guard checked; such a delivery fails like one
+ * that got no answer.
+ *
+ * The fetch function and the guard are passed in, like the link checker's
+ * (see services/linkChecker.js), so tests can use a fake fetch and DNS
+ * instead of a server.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module used to compute the signatures
+ */
+const crypto = require("crypto");
+
+/**
+ * undici - The fetch function the deliveries are sent with, which takes the
+ * address guard's dispatcher
+ */
+const { fetch: undiciFetch } = require("undici");
+
+/**
+ * addressGuard - Keeps the deliveries off the server's own network
+ */
+const { createAddressGuard, unwrapBlocked } = require("./addressGuard");
+
+/**
+ * fetchResponse - Describes failed deliveries and throws away the receivers' answers
+ */
+const { describeError, discardBody } = require("../utils/fetchResponse");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * USER_AGENT - Identifies the sender to the receivers
+ */
+const USER_AGENT = "to-read-list-webhooks/1.0";
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function computes the signature of a request, as sent in the
+ * X-Webhook-Signature header.
+ *
+ * @param {String} secret - The webhook's secret
+ * @param {Number} timestamp - The X-Webhook-Timestamp of the request
+ * @param {String} body - The request body
+ * @returns {String} - "sha256=" followed by the hex HMAC
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+/**
+ * This function creates a webhook sender.
+ *
+ * @param {Object} [settings] - Sender settings
+ * @param {Function} [settings.fetch] - The fetch function to use; defaults to
+ *                                      undici's and can be replaced in tests
+ * @param {Object} [settings.addressGuard] - Checks each address before it is
+ *                                           posted to and connected to; can
+ *                                           be replaced in tests
+ * @param {Number} [settings.timeoutMs] - How long to wait for the receiver
+ * @returns {Object} - A sender with a send(delivery) method
+ */
+function createWebhookSender({
+  fetch = undiciFetch,
+  addressGuard = createAddressGuard(),
+  timeoutMs = 10000,
+} = {}) {
+  return {
+    /**
+     * Sends one delivery.
+     *
+     * @param {Object} delivery - The delivery: id, event, payload and its
+     *                            webhook's url and secret
+     * @returns {Promise<Object>} - { ok, httpStatus, error }
+     */
+    async send({ id, event, payload, webhook }) {
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        await addressGuard.checkUrl(webhook.url);
+        const response = await fetch(webhook.url, {
+          method: "POST",
+          redirect: "manual",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": USER_AGENT,
+            "X-Webhook-Event": event,
+            "X-Webhook-Delivery": String(id),
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": signPayload(webhook.secret, timestamp, payload),
+          },
+          body: payload,
+          signal: AbortSignal.timeout(timeoutMs),
+          dispatcher: addressGuard.dispatcher,
+        });
+        await discardBody(response);
+
+        const ok = response.status >= 200 && response.status < 300;
+        return { ok, httpStatus: response.status, error: ok ? null : `Answered with HTTP ${response.status}` };
+      } catch (error) {
+        return { ok: false, httpStatus: null, error: describeError(unwrapBlocked(error), timeoutMs) };
+      }
+    },
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  signPayload,
+  createWebhookSender,
+};
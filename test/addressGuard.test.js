@@ -0,0 +1,209 @@
+/**
+ * File Purpose:
+ * This file tests the address guard that keeps webhook deliveries and link
+ * checks off the server's own network: which addresses count as public, the
+ * check of a URL's host without a lookup, the check after a (fake) DNS
+ * lookup, and the guard's dispatcher, which connects only to the addresses
+ * it checked, so a name that changes its answer between the check and the
+ * request (DNS rebinding) reaches neither a webhook delivery nor anything else.
+ *
+ * The dispatcher tests send real requests to a local stub server, under
+ * made-up names that only the fake lookups resolve.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * http - Runs the stub server the dispatcher tests connect to
+ */
+const http = require("node:http");
+
+/**
+ * undici - The fetch function the dispatcher is made for
+ */
+const { fetch } = require("undici");
+
+/**
+ * addressGuard - The module under test
+ */
+const { isPublicAddress, isPublicHost, unwrapBlocked, createAddressGuard } = require("../services/addressGuard");
+
+/**
+ * webhookSender - Sends a delivery through the guard's dispatcher
+ */
+const { createWebhookSender } = require("../services/webhookSender");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DNS - What the fake lookup resolves each name to
+ */
+const DNS = {
+  "books.example.com": ["93.184.216.34"],
+  "intranet.example.com": ["10.0.0.5"],
+  "mixed.example.com": ["93.184.216.34", "fd12::1"],
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function stands in for dns.promises.lookup with { all: true }.
+ *
+ * @param {String} hostname - The name to resolve
+ * @returns {Promise<Array<Object>>} - Its addresses
+ */
+async function fakeLookup(hostname) {
+  if (!DNS[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: "ENOTFOUND" });
+  return DNS[hostname].map((address) => ({ address, family: address.includes(":") ? 6 : 4 }));
+}
+
+/**
+ * This helper function creates a fake lookup that answers with each of the
+ * given addresses in turn, then keeps giving the last one, like a name
+ * whose owner changes its DNS record right after the first lookup.
+ *
+ * @param {...String} answers - The address of each lookup, in order
+ * @returns {Function} - The lookup, which also counts its calls in .calls
+ */
+function changingLookup(...answers) {
+  const lookup = async () => {
+    const address = answers[Math.min(lookup.calls, answers.length - 1)];
+    lookup.calls += 1;
+    return [{ address, family: 4 }];
+  };
+  lookup.calls = 0;
+  return lookup;
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("address guard", () => {
+  it("tells public addresses from local, private and reserved ones", () => {
+    for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+
+    const refused = [
+      "127.0.0.1",
+      "10.20.30.40",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "255.255.255.255",
+      "::1",
+      "::",
+      "fe80::1",
+      "fd00::1",
+      "::ffff:127.0.0.1",
+      "::ffff:a00:1",
+      "not an address",
+    ];
+    for (const address of refused) assert.equal(isPublicAddress(address), false, address);
+  });
+
+  it("checks the host of a URL without looking it up", () => {
+    assert.equal(isPublicHost("https://books.example.com/dune"), true);
+    assert.equal(isPublicHost("http://intranet.example.com/"), true);
+
+    const refused = ["http://localhost:3000/", "http://api.localhost/", "http://LOCALHOST./", "http://0x7f.1/", "http://[::1]/"];
+    for (const link of refused) assert.equal(isPublicHost(link), false, link);
+  });
+
+  it("refuses a name when any of its addresses is private", async () => {
+    const guard = createAddressGuard({ lookup: fakeLookup });
+
+    await guard.checkUrl("https://books.example.com/dune");
+    await assert.rejects(guard.checkUrl("https://intranet.example.com/"), { code: "BLOCKED_ADDRESS" });
+    await assert.rejects(guard.checkUrl("https://mixed.example.com/"), /mixed\.example\.com \(fd12::1\)/);
+    await assert.rejects(guard.checkUrl("http://169.254.169.254/latest/"), { code: "BLOCKED_ADDRESS" });
+    await assert.rejects(guard.checkUrl("https://unknown.example.com/"), { code: "ENOTFOUND" });
+  });
+});
+
+describe("address guard dispatcher", () => {
+  let server;
+  let port;
+  let requests;
+
+  // Start the stub server on a free loopback port
+  before(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.headers.host}${req.url}`);
+      res.writeHead(200).end("ok");
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("connects to the address the guard looked up", async () => {
+    requests.length = 0;
+    const guard = createAddressGuard({ lookup: changingLookup("127.0.0.1"), isAllowed: () => true });
+
+    const response = await fetch(`http://shop.test:${port}/dune`, { dispatcher: guard.dispatcher });
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), "ok");
+    assert.deepEqual(requests, [`GET shop.test:${port}/dune`]);
+  });
+
+  it("refuses a name that turns private after it was checked", async () => {
+    requests.length = 0;
+    const lookup = changingLookup("93.184.216.34", "127.0.0.1");
+    const guard = createAddressGuard({ lookup });
+
+    await guard.checkUrl(`http://rebind.test:${port}/`);
+    const failure = await fetch(`http://rebind.test:${port}/`, { dispatcher: guard.dispatcher }).catch(unwrapBlocked);
+
+    assert.equal(failure.code, "BLOCKED_ADDRESS");
+    assert.match(failure.message, /rebind\.test \(127\.0\.0\.1\)/);
+    assert.equal(lookup.calls, 2);
+    assert.deepEqual(requests, []);
+  });
+
+  it("does not deliver a webhook to a name that turns private after it was checked", async () => {
+    requests.length = 0;
+    const sender = createWebhookSender({
+      addressGuard: createAddressGuard({ lookup: changingLookup("93.184.216.34", "127.0.0.1") }),
+      timeoutMs: 2000,
+    });
+
+    const result = await sender.send({
+      id: 1,
+      event: "book.created",
+      payload: "{}",
+      webhook: { url: `http://rebind.test:${port}/hook`, secret: "secret" },
+    });
+
+    assert.equal(result.ok, false);
+    assert.match(result.error, /private or local addresses are not allowed: rebind\.test \(127\.0\.0\.1\)/);
+    assert.deepEqual(requests, []);
+  });
+});
@@ -0,0 +1,587 @@
+/**
+ * File Purpose:
+ * This file is the HTTP integration test suite for the book pages in
+ * routes/books.js. It builds the app against an in-memory database (see
+ * helpers.js) and drives it with supertest the way a browser would: logged in
+ * through the login form, posting forms with their CSRF token and reaching
+ * PUT and DELETE through the hidden _method field.
+ *
+ * Every route is covered, along with its redirect on success and its
+ * 404 Not Found for a book (or session, note or revision) that does not
+ * exist or belongs to someone else.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * supertest - Sends requests to the Express app without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, csrfToken, logIn } = require("./helpers");
+
+/**
+ * Models - Used to set up books and to check what the pages stored
+ */
+const Book = require("../models/Book");
+const ReadingSession = require("../models/ReadingSession");
+const BookNote = require("../models/BookNote");
+const BookRevision = require("../models/BookRevision");
+const Trash = require("../models/Trash");
+
+/**
+ * bookListQuery - Builds complete search options for finding stored books
+ */
+const { parseBookListQuery } = require("../validators/bookListQuery");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * MISSING_ID - A book, session, note or revision ID that never exists
+ */
+const MISSING_ID = 999999;
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  tags: ["sci-fi"],
+};
+
+/**
+ * BOOK_FORM - The add and edit form fields for a valid book
+ */
+const BOOK_FORM = {
+  title: "Hyperion",
+  author: "Dan Simmons",
+  cost: "9.99",
+  currency: "USD",
+  pageCount: "482",
+  tags: "sci-fi, space-opera",
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function submits a form the way the browser does: as a POST
+ * with the CSRF token, and with a hidden _method field for PUT and DELETE.
+ *
+ * @param {Object} agent - The supertest agent, holding the session cookie
+ * @param {String} method - "POST", "PUT" or "DELETE"
+ * @param {String} path - Where the form is sent
+ * @param {Object} [fields] - The form fields
+ * @returns {Promise<Object>} - The supertest response
+ */
+async function submitForm(agent, method, path, fields = {}) {
+  const body = { ...fields, _csrf: await csrfToken(agent) };
+  if (method !== "POST") body._method = method;
+  return agent.post(path).type("form").send(body);
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("book routes", () => {
+  let app;
+  let owner;
+  let agent;
+  let strangersBook;
+
+  // Build the app on an empty in-memory database with two users
+  before(async () => {
+    app = await startApp();
+
+    owner = await createUser("owner@example.com");
+    const stranger = await createUser("stranger@example.com");
+    strangersBook = await Book.addBook(stranger.id, { ...BOOK, title: "A Stranger's Secret Diary" });
+    agent = await logIn(app, "owner@example.com");
+  });
+
+  after(async () => {
+    await stopApp();
+  });
+
+  describe("logging in", () => {
+    it("sends visitors who are not logged in to the login page", async () => {
+      const response = await request(app).get("/book/1");
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, "/login?next=%2Fbook%2F1");
+    });
+
+    it("refuses a form posted without its CSRF token", async () => {
+      const response = await agent.post("/add").type("form").send(BOOK_FORM);
+
+      assert.equal(response.status, 403);
+    });
+  });
+
+  describe("GET /", () => {
+    it("lists the user's books and not anyone else's", async () => {
+      await Book.addBook(owner.id, { ...BOOK, title: "The Left Hand of Darkness" });
+      const response = await agent.get("/");
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /The Left Hand of Darkness/);
+      assert.doesNotMatch(response.text, /Secret Diary/);
+    });
+
+    it("lists only the books with the requested status", async () => {
+      const reading = await Book.addBook(owner.id, { ...BOOK, title: "Anathem" });
+      await Book.changeStatus(owner.id, reading.id, "reading");
+      const response = await agent.get("/?status=reading");
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /Anathem/);
+      assert.doesNotMatch(response.text, /The Left Hand of Darkness/);
+    });
+  });
+
+  describe("GET /add and POST /add", () => {
+    it("shows the add book form", async () => {
+      const response = await agent.get("/add");
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /name="title"/);
+    });
+
+    it("adds a book and redirects to the list", async () => {
+      const response = await submitForm(agent, "POST", "/add", BOOK_FORM);
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, "/");
+      const { books } = await Book.searchBooks(owner.id, parseBookListQuery({ q: "Hyperion" }).options);
+      assert.equal(books[0].costMinor, 999);
+      assert.deepEqual(books[0].tags, ["sci-fi", "space-opera"]);
+    });
+
+    it("shows the form again with errors for an invalid book", async () => {
+      const response = await submitForm(agent, "POST", "/add", { ...BOOK_FORM, title: "" });
+
+      assert.equal(response.status, 422);
+      assert.match(response.text, /name="title"/);
+    });
+  });
+
+  describe("POST /add/lookup", () => {
+    it("fills the form from a known ISBN", async () => {
+      const response = await submitForm(agent, "POST", "/add/lookup", { isbn: "9780441013593" });
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /Ace Books/);
+    });
+
+    it("asks for an ISBN when none was entered", async () => {
+      const response = await submitForm(agent, "POST", "/add/lookup", { isbn: "" });
+
+      assert.equal(response.status, 422);
+      assert.match(response.text, /Enter an ISBN to look up/);
+    });
+  });
+
+  describe("GET /book/:id", () => {
+    it("shows one of the user's books", async () => {
+      const book = await Book.addBook(owner.id, { ...BOOK, title: "Solaris" });
+      const response = await agent.get(`/book/${book.id}`);
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /Solaris/);
+    });
+
+    it("answers 404 for a missing book and for someone else's", async () => {
+      assert.equal((await agent.get(`/book/${MISSING_ID}`)).status, 404);
+      assert.equal((await agent.get(`/book/${strangersBook.id}`)).status, 404);
+    });
+  });
+
+  describe("GET /edit/:id", () => {
+    it("shows the edit form filled in with the book", async () => {
+      const book = await Book.addBook(owner.id, { ...BOOK, title: "Ubik" });
+      const response = await agent.get(`/edit/${book.id}`);
+
+      assert.equal(response.status, 200);
+      assert.match(response.text, /value="Ubik"/);
+    });
+
+    it("answers 404 for a missing book and for someone else's", async () => {
+      assert.equal((await agent.get(`/edit/${MISSING_ID}`)).status, 404);
+      assert.equal((await agent.get(`/edit/${strangersBook.id}`)).status, 404);
+    });
+  });
+
+  describe("PUT /book/:id and POST /edit/:id", () => {
+    it("updates a book and redirects to its page", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "PUT", `/book/${book.id}`, { ...BOOK_FORM, title: "Dune Messiah" });
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, `/book/${book.id}`);
+      assert.equal((await Book.getBookById(owner.id, book.id)).title, "Dune Messiah");
+    });
+
+    it("updates a book through the legacy edit route", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", `/edit/${book.id}`, { ...BOOK_FORM, title: "Children of Dune" });
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, `/book/${book.id}`);
+      assert.equal((await Book.getBookById(owner.id, book.id)).title, "Children of Dune");
+    });
+
+    it("shows the form again with errors for invalid details", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "PUT", `/book/${book.id}`, { ...BOOK_FORM, cost: "lots" });
+
+      assert.equal(response.status, 422);
+      assert.equal((await Book.getBookById(owner.id, book.id)).costMinor, 1299);
+    });
+
+    it("answers 404 for a missing book and for someone else's", async () => {
+      assert.equal((await submitForm(agent, "PUT", `/book/${MISSING_ID}`, BOOK_FORM)).status, 404);
+      assert.equal((await submitForm(agent, "PUT", `/book/${strangersBook.id}`, BOOK_FORM)).status, 404);
+      assert.equal((await submitForm(agent, "POST", `/edit/${strangersBook.id}`, BOOK_FORM)).status, 404);
+    });
+  });
+
+  describe("DELETE /book/:id and POST /delete/:id", () => {
+    it("moves a book to the trash and redirects to the list", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "DELETE", `/book/${book.id}`);
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, "/");
+      assert.ok((await Trash.listTrash(owner.id)).some((trashed) => trashed.id === book.id));
+    });
+
+    it("moves a book to the trash through the legacy delete route", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", `/delete/${book.id}`);
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, "/");
+      assert.equal(await Book.getBookById(owner.id, book.id), undefined);
+    });
+
+    it("answers 404 for a missing book and for someone else's", async () => {
+      assert.equal((await submitForm(agent, "DELETE", `/book/${MISSING_ID}`)).status, 404);
+      assert.equal((await submitForm(agent, "POST", `/delete/${strangersBook.id}`)).status, 404);
+      assert.ok(await Book.getBookById(strangersBook.ownerId, strangersBook.id));
+    });
+  });
+
+  describe("POST /book/:id/status", () => {
+    it("moves a book to another status and redirects to its page", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", `/book/${book.id}/status`, { status: "reading" });
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, `/book/${book.id}`);
+      assert.equal((await Book.getBookById(owner.id, book.id)).status, "reading");
+
+      const page = await agent.get(`/book/${book.id}`);
+      assert.match(page.text, /<strong>Status changed<\/strong>/);
+      assert.match(page.text, /Status:\s+To Read &rarr; Reading/);
+    });
+
+    it("answers 409 for a move the workflow does not allow", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", `/book/${book.id}/status`, { status: "finished" });
+
+      assert.equal(response.status, 409);
+      assert.equal((await Book.getBookById(owner.id, book.id)).status, "to-read");
+    });
+
+    it("answers 404 for a missing book and for someone else's", async () => {
+      const status = { status: "reading" };
+      assert.equal((await submitForm(agent, "POST", `/book/${MISSING_ID}/status`, status)).status, 404);
+      assert.equal((await submitForm(agent, "POST", `/book/${strangersBook.id}/status`, status)).status, 404);
+    });
+  });
+
+  describe("POST /book/:id/sessions and DELETE /book/:id/sessions/:sessionId", () => {
+    it("logs a reading session, then deletes it", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      await Book.changeStatus(owner.id, book.id, "reading");
+
+      const logged = await submitForm(agent, "POST", `/book/${book.id}/sessions`, { pagesRead: "30" });
+      assert.equal(logged.status, 302);
+      assert.equal(logged.headers.location, `/book/${book.id}`);
+
+      const [session] = await ReadingSession.getSessionsForBook(owner.id, book.id);
+      assert.equal(session.pagesRead, 30);
+      const page = await agent.get(`/book/${book.id}`);
+      assert.match(page.text, /<strong>Progress updated<\/strong>/);
+      assert.match(page.text, /Current page:\s+0 &rarr; 30/);
+
+      const deleted = await submitForm(agent, "DELETE", `/book/${book.id}/sessions/${session.id}`);
+      assert.equal(deleted.status, 302);
+      assert.equal(deleted.headers.location, `/book/${book.id}`);
+      assert.deepEqual(await ReadingSession.getSessionsForBook(owner.id, book.id), []);
+    });
+
+    it("shows the book page again with errors for an invalid session", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", `/book/${book.id}/sessions`, { pagesRead: "-3" });
+
+      assert.equal(response.status, 422);
+      assert.deepEqual(await ReadingSession.getSessionsForBook(owner.id, book.id), []);
+    });
+
+    it("answers 404 for a missing book, someone else's book and a missing session", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const session = { pagesRead: "10" };
+
+      assert.equal((await submitForm(agent, "POST", `/book/${MISSING_ID}/sessions`, session)).status, 404);
+      assert.equal((await submitForm(agent, "POST", `/book/${strangersBook.id}/sessions`, session)).status, 404);
+      assert.equal((await submitForm(agent, "DELETE", `/book/${book.id}/sessions/${MISSING_ID}`)).status, 404);
+    });
+  });
+
+  describe("PUT /book/:id/review", () => {
+    it("saves the rating and review of a finished book", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      await Book.changeStatus(owner.id, book.id, "reading");
+      await Book.changeStatus(owner.id, book.id, "finished");
+
+      const response = await submitForm(agent, "PUT", `/book/${book.id}/review`, { rating: "4", review: "Spice!" });
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, `/book/${book.id}`);
+      const reviewed = await Book.getBookById(owner.id, book.id);
+      assert.equal(reviewed.rating, 4);
+      assert.equal(reviewed.review, "Spice!");
+    });
+
+    it("answers 409 for a book that is not finished", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "PUT", `/book/${book.id}/review`, { rating: "4" });
+
+      assert.equal(response.status, 409);
+      assert.equal((await Book.getBookById(owner.id, book.id)).rating, null);
+    });
+
+    it("answers 404 for a missing book and for someone else's", async () => {
+      const review = { rating: "5" };
+      assert.equal((await submitForm(agent, "PUT", `/book/${MISSING_ID}/review`, review)).status, 404);
+      assert.equal((await submitForm(agent, "PUT", `/book/${strangersBook.id}/review`, review)).status, 404);
+    });
+  });
+
+  describe("POST /book/:id/notes and DELETE /book/:id/notes/:noteId", () => {
+    it("adds a note, then deletes it, returning to the notes each time", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const quote = { kind: "quote", body: "Fear is the mind-killer." };
+      const added = await submitForm(agent, "POST", `/book/${book.id}/notes`, quote);
+      assert.equal(added.status, 302);
+      assert.equal(added.headers.location, `/book/${book.id}#notes`);
+
+      const [note] = await BookNote.getNotesForBook(owner.id, book.id);
+      assert.equal(note.kind, "quote");
+
+      const deleted = await submitForm(agent, "DELETE", `/book/${book.id}/notes/${note.id}`);
+      assert.equal(deleted.status, 302);
+      assert.equal(deleted.headers.location, `/book/${book.id}#notes`);
+      assert.deepEqual(await BookNote.getNotesForBook(owner.id, book.id), []);
+    });
+
+    it("shows the book page again with errors for an empty note", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", `/book/${book.id}/notes`, { kind: "note", body: "" });
+
+      assert.equal(response.status, 422);
+    });
+
+    it("answers 404 for a missing book, someone else's book and a missing note", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const note = { kind: "note", body: "Hello" };
+
+      assert.equal((await submitForm(agent, "POST", `/book/${MISSING_ID}/notes`, note)).status, 404);
+      assert.equal((await submitForm(agent, "POST", `/book/${strangersBook.id}/notes`, note)).status, 404);
+      assert.equal((await submitForm(agent, "DELETE", `/book/${book.id}/notes/${MISSING_ID}`)).status, 404);
+    });
+  });
+
+  describe("POST /book/:id/revisions/:revisionId/revert", () => {
+    it("brings back an earlier revision and redirects to the history", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      await Book.updateBook(owner.id, book.id, { title: "Dune (2nd edition)" });
+      const [, created] = await BookRevision.getRevisions(owner.id, book.id);
+
+      const response = await submitForm(agent, "POST", `/book/${book.id}/revisions/${created.id}/revert`);
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, `/book/${book.id}#history`);
+      assert.equal((await Book.getBookById(owner.id, book.id)).title, "Dune");
+    });
+
+    it("answers 404 for a missing revision and for someone else's book", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const [strangersRevision] = await BookRevision.getRevisions(strangersBook.ownerId, strangersBook.id);
+
+      const missing = await submitForm(agent, "POST", `/book/${book.id}/revisions/${MISSING_ID}/revert`);
+      const foreign = await submitForm(
+        agent,
+        "POST",
+        `/book/${strangersBook.id}/revisions/${strangersRevision.id}/revert`
+      );
+      assert.equal(missing.status, 404);
+      assert.equal(foreign.status, 404);
+    });
+  });
+
+  describe("POST /books/bulk", () => {
+    it("shows a checkbox on each card for the bulk action bar", async () => {
+      const book = await Book.addBook(owner.id, { ...BOOK, title: "Ubik" });
+      const response = await agent.get("/?q=Ubik");
+
+      assert.match(response.text, /id="bulk-form"/);
+      assert.match(response.text, new RegExp(`name="ids" value="${book.id}" form="bulk-form"`));
+    });
+
+    it("moves the ticked books to the trash and returns to the list", async () => {
+      const first = await Book.addBook(owner.id, BOOK);
+      const second = await Book.addBook(owner.id, BOOK);
+
+      const response = await submitForm(agent, "POST", "/books/bulk", {
+        ids: [first.id, second.id],
+        action: "delete",
+        returnTo: "/?status=to-read",
+      });
+
+      assert.equal(response.status, 302);
+      assert.equal(response.headers.location, "/?status=to-read");
+      assert.equal(await Book.getBookById(owner.id, first.id), undefined);
+      assert.equal(await Book.getBookById(owner.id, second.id), undefined);
+      assert.match((await agent.get("/")).text, /2 books were moved to the trash/);
+    });
+
+    it("moves the ticked books to another status", async () => {
+      const first = await Book.addBook(owner.id, BOOK);
+      const second = await Book.addBook(owner.id, BOOK);
+
+      const ids = [first.id, second.id];
+      await submitForm(agent, "POST", "/books/bulk", { ids, action: "status", status: "reading" });
+
+      assert.equal((await Book.getBookById(owner.id, first.id)).status, "reading");
+      assert.equal((await Book.getBookById(owner.id, second.id)).status, "reading");
+    });
+
+    it("adds a tag to the ticked books and takes it off again, keeping their other tags", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      await submitForm(agent, "POST", "/books/bulk", { ids: [book.id], action: "add-tag", tag: " Book Club " });
+      assert.deepEqual((await Book.getBookById(owner.id, book.id)).tags, ["book club", "sci-fi"]);
+
+      await submitForm(agent, "POST", "/books/bulk", { ids: [book.id], action: "remove-tag", tag: "book club" });
+      assert.deepEqual((await Book.getBookById(owner.id, book.id)).tags, ["sci-fi"]);
+    });
+
+    it("adjusts the cost of each ticked book in its own currency", async () => {
+      const dollars = await Book.addBook(owner.id, BOOK);
+      const yen = await Book.addBook(owner.id, { ...BOOK, costMinor: 1500, currency: "JPY" });
+
+      await submitForm(agent, "POST", "/books/bulk", {
+        ids: [dollars.id, yen.id],
+        action: "cost",
+        costMode: "percent",
+        amount: "-10",
+      });
+      assert.equal((await Book.getBookById(owner.id, dollars.id)).costMinor, 1169);
+      assert.equal((await Book.getBookById(owner.id, yen.id)).costMinor, 1350);
+
+      const setCost = { ids: [dollars.id], action: "cost", costMode: "set", amount: "5" };
+      await submitForm(agent, "POST", "/books/bulk", setCost);
+      assert.equal((await Book.getBookById(owner.id, dollars.id)).costMinor, 500);
+    });
+
+    it("changes no book when any of them fails, and lists each failure", async () => {
+      const ready = await Book.addBook(owner.id, BOOK);
+      const finished = await Book.addBook(owner.id, { ...BOOK, title: "Hyperion" });
+      await Book.changeStatus(owner.id, finished.id, "reading");
+      await Book.changeStatus(owner.id, finished.id, "finished");
+
+      const response = await submitForm(agent, "POST", "/books/bulk", {
+        ids: [ready.id, finished.id, strangersBook.id],
+        action: "status",
+        status: "abandoned",
+      });
+      const page = await agent.get(response.headers.location);
+
+      assert.equal(response.status, 302);
+      assert.equal((await Book.getBookById(owner.id, ready.id)).status, "to-read");
+      assert.equal((await Book.getBookById(strangersBook.ownerId, strangersBook.id)).status, "to-read");
+      assert.match(page.text, /Nothing was changed, because 2 of the 3 selected books could not be/);
+      assert.match(page.text, /Hyperion&quot;: A book that is Finished cannot be moved to Abandoned/);
+      assert.match(page.text, new RegExp(`Book ${strangersBook.id}: Book not found`));
+    });
+
+    it("rolls back the books already changed when a later one fails", async () => {
+      const cheap = await Book.addBook(owner.id, { ...BOOK, costMinor: 100 });
+      const free = await Book.addBook(owner.id, { ...BOOK, costMinor: null });
+
+      await submitForm(agent, "POST", "/books/bulk", {
+        ids: [cheap.id, free.id],
+        action: "cost",
+        costMode: "increase",
+        amount: "1",
+      });
+
+      assert.equal((await Book.getBookById(owner.id, cheap.id)).costMinor, 100);
+      assert.equal((await BookRevision.getRevisions(owner.id, cheap.id)).length, 1);
+    });
+
+    it("explains a submission without books or without a valid action", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const unticked = await submitForm(agent, "POST", "/books/bulk", { action: "delete" });
+      assert.match((await agent.get(unticked.headers.location)).text, /Select at least one book/);
+
+      const unknown = await submitForm(agent, "POST", "/books/bulk", { ids: [book.id], action: "burn" });
+      assert.match((await agent.get(unknown.headers.location)).text, /Choose what to do with the selected books/);
+      assert.ok(await Book.getBookById(owner.id, book.id));
+    });
+
+    it("only returns to a page on this site", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+      const response = await submitForm(agent, "POST", "/books/bulk", {
+        ids: [book.id],
+        action: "delete",
+        returnTo: "https://evil.example.com/",
+      });
+
+      assert.equal(response.headers.location, "/");
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * File Purpose:
+ * This file is the HTTP integration test suite for the books routes of the
+ * JSON API in routes/api/v1.js. It builds the app against an in-memory
+ * database (see helpers.js) and drives it with supertest as an API client
+ * would, logged in with the session cookie and sending JSON bodies.
+ *
+ * It covers the status of each kind of answer (201 Created, 404 Not Found,
+ * 415 Unsupported Media Type, 422 Unprocessable Entity) and the error
+ * envelope every failure is sent in, along with PATCH changing only the
+ * fields it was sent.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * supertest - Sends requests to the Express app without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, logIn } = require("./helpers");
+
+/**
+ * Book - Sets up books and checks what the API stored
+ */
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * MISSING_ID - A book ID that never exists
+ */
+const MISSING_ID = 999999;
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  tags: ["sci-fi"],
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function checks that a response carries the API's error
+ * envelope with the given status and code.
+ *
+ * @param {Object} response - The supertest response
+ * @param {Number} status - The expected HTTP status
+ * @param {String} code - The expected error code
+ */
+function assertError(response, status, code) {
+  assert.equal(response.status, status);
+  assert.match(response.headers["content-type"], /application\/json/);
+  assert.deepEqual(Object.keys(response.body), ["error"]);
+  assert.equal(response.body.error.status, status);
+  assert.equal(response.body.error.code, code);
+  assert.equal(typeof response.body.error.message, "string");
+  assert.equal(typeof response.body.error.requestId, "string");
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("books API", () => {
+  let app;
+  let agent;
+  let owner;
+  let stranger;
+
+  before(async () => {
+    app = await startApp();
+    owner = await createUser("reader@example.com");
+    stranger = await createUser("stranger@example.com");
+    agent = await logIn(app, "reader@example.com");
+  });
+
+  after(stopApp);
+
+  describe("POST /api/v1/books", () => {
+    it("creates the book and answers 201 with its location", async () => {
+      const response = await agent
+        .post("/api/v1/books")
+        .send({ title: "Kindred", author: "Octavia E. Butler", cost: "9.50", tags: ["time-travel"] });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.headers.location, `/api/v1/books/${response.body.data.id}`);
+      assert.equal(response.body.data.title, "Kindred");
+      assert.equal(response.body.data.costMinor, 950);
+      assert.equal(response.body.data.currency, "USD");
+      assert.deepEqual(response.body.data.tags, ["time-travel"]);
+      assert.equal((await Book.getBookById(owner.id, response.body.data.id)).author, "Octavia E. Butler");
+    });
+
+    it("answers 422 with a detail for each invalid field", async () => {
+      const response = await agent.post("/api/v1/books").send({ title: "", author: "Someone", cost: "1.234" });
+
+      assertError(response, 422, "validation_failed");
+      assert.deepEqual(response.body.error.details.map((detail) => detail.field).sort(), ["cost", "title"]);
+      response.body.error.details.forEach((detail) => assert.equal(typeof detail.message, "string"));
+    });
+
+    it("answers 415 to a body that is not JSON", async () => {
+      const response = await agent.post("/api/v1/books").type("form").send({ title: "Kindred", author: "Butler" });
+
+      assertError(response, 415, "unsupported_media_type");
+      assert.equal(response.body.error.details, undefined);
+    });
+  });
+
+  describe("GET, PUT, PATCH and DELETE /api/v1/books/:id", () => {
+    it("answers 404 for a book that does not exist", async () => {
+      assertError(await agent.get(`/api/v1/books/${MISSING_ID}`), 404, "book_not_found");
+      assertError(await agent.patch(`/api/v1/books/${MISSING_ID}`).send({ title: "Gone" }), 404, "book_not_found");
+      assertError(await agent.delete(`/api/v1/books/${MISSING_ID}`), 404, "book_not_found");
+      assertError(await agent.get("/api/v1/books/not-a-number"), 404, "book_not_found");
+    });
+
+    it("answers 404 for another user's book and leaves it alone", async () => {
+      const theirs = await Book.addBook(stranger.id, BOOK);
+      const replaced = await agent.put(`/api/v1/books/${theirs.id}`).send({ title: "Taken", author: "Me" });
+
+      assertError(await agent.get(`/api/v1/books/${theirs.id}`), 404, "book_not_found");
+      assertError(replaced, 404, "book_not_found");
+      assert.equal((await Book.getBookById(stranger.id, theirs.id)).title, "Dune");
+    });
+
+    it("answers 415 to a PATCH body that is not JSON", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const response = await agent.patch(`/api/v1/books/${book.id}`).type("form").send({ title: "Changed" });
+
+      assertError(response, 415, "unsupported_media_type");
+      assert.equal((await Book.getBookById(owner.id, book.id)).title, "Dune");
+    });
+
+    it("changes only the fields a PATCH sends", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const response = await agent.patch(`/api/v1/books/${book.id}`).send({ title: "Dune Messiah" });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.title, "Dune Messiah");
+      assert.equal(response.body.data.author, "Frank Herbert");
+      assert.equal(response.body.data.costMinor, 1299);
+      assert.deepEqual(response.body.data.tags, ["sci-fi"]);
+    });
+
+    it("converts the stored cost when a PATCH changes only the currency", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const response = await agent.patch(`/api/v1/books/${book.id}`).send({ currency: "JPY" });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.currency, "JPY");
+      assert.equal(response.body.data.costMinor, 1942); // $12.99 at 149.5 yen to the dollar
+    });
+
+    it("reads a cost sent with a new currency in that currency", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const response = await agent.patch(`/api/v1/books/${book.id}`).send({ currency: "JPY", cost: "2000" });
+      const invalid = await agent.patch(`/api/v1/books/${book.id}`).send({ currency: "JPY", cost: "19.99" });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.costMinor, 2000);
+      assertError(invalid, 422, "validation_failed");
+      assert.deepEqual(invalid.body.error.details.map((detail) => detail.field), ["cost"]);
+    });
+
+    it("answers 422 to a PATCH with an unknown currency", async () => {
+      const book = await Book.addBook(owner.id, BOOK);
+
+      const response = await agent.patch(`/api/v1/books/${book.id}`).send({ currency: "XYZ" });
+
+      assertError(response, 422, "validation_failed");
+      assert.deepEqual(response.body.error.details.map((detail) => detail.field), ["currency"]);
+      assert.equal((await Book.getBookById(owner.id, book.id)).currency, "USD");
+    });
+  });
+
+  it("answers 401 in the error envelope without a login", async () => {
+    const response = await request(app).get("/api/v1/books");
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error.status, 401);
+    assert.equal(typeof response.body.error.code, "string");
+  });
+});
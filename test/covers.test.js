@@ -0,0 +1,274 @@
+/**
+ * File Purpose:
+ * This file tests the cover images: uploading one on the add and edit forms,
+ * the checks on its type and size, the stored image and thumbnail and how
+ * they are served, the placeholder cover, and that the files are removed
+ * when a cover is replaced or removed or its book is purged from the trash.
+ *
+ * It builds the app against an in-memory database (see helpers.js), with the
+ * covers stored in a temporary directory, and drives it with supertest. The
+ * test images are made with sharp.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * fs, os, path - Make the temporary covers directory and look at its files
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * sharp - Makes the test images and measures the thumbnails
+ */
+const sharp = require("sharp");
+
+/**
+ * supertest - Sends requests to the Express app without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, csrfToken, logIn } = require("./helpers");
+
+/**
+ * Models - Used to look at and purge the books
+ */
+const Book = require("../models/Book");
+const Trash = require("../models/Trash");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK_FORM - The add and edit form fields for a valid book
+ */
+const BOOK_FORM = {
+  title: "Hyperion",
+  author: "Dan Simmons",
+  cost: "9.99",
+  currency: "USD",
+};
+
+/**
+ * MAX_BYTES - The largest cover the tests allow, 0.1 MB
+ */
+const MAX_BYTES = 100 * 1024;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function makes a plain image of one colour.
+ *
+ * @param {String} format - "png" or "jpeg"
+ * @param {Number} [width] - Its width in pixels
+ * @param {Number} [height] - Its height in pixels
+ * @returns {Promise<Buffer>} - The encoded image
+ */
+function makeImage(format, width = 400, height = 600) {
+  return sharp({ create: { width, height, channels: 3, background: "#336699" } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+/**
+ * This helper function submits the add or edit form as the browser does:
+ * multipart, with the CSRF token as its first field and the cover image, if
+ * any, after the other fields.
+ *
+ * @param {Object} agent - The supertest agent of the user
+ * @param {String} action - The form's address, e.g. "/add" or "/book/1?_method=PUT"
+ * @param {Object} fields - The text fields
+ * @param {Object} [cover] - { buffer, filename, contentType } of the upload
+ * @returns {Promise<Object>} - The supertest response
+ */
+async function submitBookForm(agent, action, fields, cover) {
+  const token = await csrfToken(agent, "/add");
+  const form = agent.post(action).field("_csrf", token);
+  Object.entries(fields).forEach(([name, value]) => form.field(name, value));
+  if (cover) form.attach("cover", cover.buffer, { filename: cover.filename, contentType: cover.contentType });
+  return form;
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("cover images", () => {
+  let app;
+  let owner;
+  let agent;
+  let coversDir;
+  let png;
+
+  /**
+   * This helper function tells whether a file is in the covers directory.
+   *
+   * @param {String} file - The file's name
+   * @returns {Boolean} - Whether it exists
+   */
+  function stored(file) {
+    return fs.existsSync(path.join(coversDir, file));
+  }
+
+  /**
+   * This helper function adds a book with a PNG cover through the add form.
+   *
+   * @param {String} title - The book's title
+   * @returns {Promise<Object>} - The added book
+   */
+  async function addBookWithCover(title) {
+    const response = await submitBookForm(agent, "/add", { ...BOOK_FORM, title }, {
+      buffer: png,
+      filename: "cover.png",
+      contentType: "image/png",
+    });
+    assert.equal(response.status, 302);
+    const { books } = await Book.searchBooks(owner.id, { q: title });
+    return books[0];
+  }
+
+  // Build the app with its covers in a temporary directory and log a user in
+  before(async () => {
+    coversDir = fs.mkdtempSync(path.join(os.tmpdir(), "covers-"));
+    app = await startApp({ covers: { dir: coversDir, maxBytes: MAX_BYTES } });
+
+    owner = await createUser("reader@example.com");
+    agent = await logIn(app, "reader@example.com");
+    png = await makeImage("png");
+  });
+
+  after(async () => {
+    await stopApp();
+    fs.rmSync(coversDir, { recursive: true, force: true });
+  });
+
+  it("stores an uploaded cover with a thumbnail and shows it on the card and the book page", async () => {
+    const book = await addBookWithCover("Hyperion");
+
+    assert.match(book.coverImage, /^[0-9a-f]{32}\.png$/);
+    const thumbnail = book.coverImage.replace(".png", "-thumb.webp");
+    assert.ok(stored(book.coverImage));
+    const { width, height, format } = await sharp(path.join(coversDir, thumbnail)).metadata();
+    assert.deepEqual({ width, height, format }, { width: 240, height: 360, format: "webp" });
+
+    const list = await agent.get("/");
+    assert.match(list.text, new RegExp(`src="/covers/${thumbnail}"`));
+    const page = await agent.get(`/book/${book.id}`);
+    assert.match(page.text, new RegExp(`src="/covers/${book.coverImage}"`));
+
+    // The files are served with a far-future cache lifetime
+    const image = await request(app).get(`/covers/${book.coverImage}`);
+    assert.equal(image.status, 200);
+    assert.equal(image.headers["content-type"], "image/png");
+    assert.match(image.headers["cache-control"], /max-age=31536000, immutable/);
+  });
+
+  it("shows the placeholder cover for a book without one", async () => {
+    const response = await submitBookForm(agent, "/add", { ...BOOK_FORM, title: "Coverless" });
+    assert.equal(response.status, 302);
+
+    const list = await agent.get("/?q=Coverless");
+    assert.match(list.text, /src="\/images\/cover-placeholder.svg"/);
+    assert.equal((await request(app).get("/images/cover-placeholder.svg")).status, 200);
+  });
+
+  it("refuses files that are not images or are too large and shows the form again", async () => {
+    const filesBefore = fs.readdirSync(coversDir).length;
+    const booksBefore = (await Book.searchBooks(owner.id, {})).total;
+
+    const fake = { buffer: Buffer.from("not an image"), filename: "cover.png", contentType: "image/png" };
+    const notImage = await submitBookForm(agent, "/add", { ...BOOK_FORM, title: "Fake Cover" }, fake);
+    assert.equal(notImage.status, 422);
+    assert.match(notImage.text, /Cover image must be a JPEG, PNG, WebP or GIF image\./);
+    assert.match(notImage.text, /value="Fake Cover"/);
+
+    const pdf = { buffer: png, filename: "cover.pdf", contentType: "application/pdf" };
+    const wrongType = await submitBookForm(agent, "/add", { ...BOOK_FORM, title: "PDF Cover" }, pdf);
+    assert.equal(wrongType.status, 422);
+    assert.match(wrongType.text, /Cover image must be a JPEG, PNG, WebP or GIF image\./);
+
+    const large = { buffer: Buffer.alloc(MAX_BYTES + 1), filename: "cover.png", contentType: "image/png" };
+    const tooLarge = await submitBookForm(agent, "/add", { ...BOOK_FORM, title: "Huge Cover" }, large);
+    assert.equal(tooLarge.status, 422);
+    assert.match(tooLarge.text, /Cover image must be 0\.1 MB or smaller\./);
+    assert.match(tooLarge.text, /value="Huge Cover"/);
+
+    // Nothing was added and nothing was stored
+    assert.equal((await Book.searchBooks(owner.id, {})).total, booksBefore);
+    assert.equal(fs.readdirSync(coversDir).length, filesBefore);
+  });
+
+  it("refuses an upload without the form's token and keeps the token out of the address", async () => {
+    const filesBefore = fs.readdirSync(coversDir).length;
+
+    const forged = await agent
+      .post("/add")
+      .field("title", "Forged")
+      .field("author", "Nobody")
+      .attach("cover", png, { filename: "cover.png", contentType: "image/png" });
+    assert.equal(forged.status, 403);
+    assert.equal(fs.readdirSync(coversDir).length, filesBefore);
+
+    const form = await agent.get("/add");
+    assert.doesNotMatch(form.text, /\?_csrf=/);
+  });
+
+  it("replaces and removes the cover on the edit form, removing the old files", async () => {
+    const book = await addBookWithCover("The Fall of Hyperion");
+    const jpeg = { buffer: await makeImage("jpeg"), filename: "new.jpg", contentType: "image/jpeg" };
+
+    const replaced = await submitBookForm(agent, `/book/${book.id}?_method=PUT`, BOOK_FORM, jpeg);
+    assert.equal(replaced.status, 302);
+    const updated = await Book.getBookById(owner.id, book.id);
+    assert.match(updated.coverImage, /^[0-9a-f]{32}\.jpg$/);
+    assert.ok(stored(updated.coverImage));
+    assert.ok(!stored(book.coverImage));
+    assert.ok(!stored(book.coverImage.replace(".png", "-thumb.webp")));
+
+    // The edit form offers to remove it
+    const form = await agent.get(`/edit/${book.id}`);
+    assert.match(form.text, /name="removeCover"/);
+
+    const removed = await submitBookForm(agent, `/book/${book.id}?_method=PUT`, { ...BOOK_FORM, removeCover: "1" });
+    assert.equal(removed.status, 302);
+    assert.equal((await Book.getBookById(owner.id, book.id)).coverImage, null);
+    assert.ok(!stored(updated.coverImage));
+  });
+
+  it("keeps the cover while the book is in the trash and removes its files when it is purged", async () => {
+    const purgedByHand = await addBookWithCover("Endymion");
+    const expired = await addBookWithCover("The Rise of Endymion");
+    await Book.deleteBook(owner.id, purgedByHand.id);
+    await Book.deleteBook(owner.id, expired.id);
+    assert.ok(stored(purgedByHand.coverImage));
+
+    await Trash.purgeBook(owner.id, purgedByHand.id);
+    assert.ok(!stored(purgedByHand.coverImage));
+    assert.ok(stored(expired.coverImage));
+
+    await Trash.purgeExpired(new Date(Date.now() + 1000));
+    assert.ok(!stored(expired.coverImage));
+    assert.ok(!stored(expired.coverImage.replace(".png", "-thumb.webp")));
+  });
+});
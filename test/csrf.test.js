@@ -0,0 +1,129 @@
+/**
+ * File Purpose:
+ * This file tests the protection against forged requests from other sites:
+ * the pages refuse a form post without its CSRF token, even one that asks for
+ * DELETE through the hidden _method field, and the JSON API, which has no
+ * token, refuses a form post that asks for DELETE with _method in the body
+ * or in the query string.
+ *
+ * The app runs against an in-memory database (see helpers.js).
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the user and log them in
+ */
+const { startApp, stopApp, createUser, logIn } = require("./helpers");
+
+/**
+ * requireJson - The API middleware whose method check is tested on its own
+ */
+const requireJson = require("../middleware/requireJson");
+
+/**
+ * Book - Sets up the book the forged requests try to delete
+ */
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK - The details of the book the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+};
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("forged requests", () => {
+  let agent;
+  let owner;
+  let book;
+
+  before(async () => {
+    const app = await startApp();
+    owner = await createUser("reader@example.com");
+    agent = await logIn(app, "reader@example.com");
+  });
+
+  after(stopApp);
+
+  it("refuses a page form that asks for DELETE without the CSRF token", async () => {
+    book = await Book.addBook(owner.id, BOOK);
+
+    const response = await agent.post(`/books/${book.id}`).type("form").send({ _method: "DELETE" });
+
+    assert.equal(response.status, 403);
+    assert.equal((await Book.getBookById(owner.id, book.id)).title, "Dune");
+  });
+
+  it("refuses a form post to the API that asks for DELETE in the body", async () => {
+    book = await Book.addBook(owner.id, BOOK);
+
+    const response = await agent.post(`/api/v1/books/${book.id}`).type("form").send({ _method: "DELETE" });
+
+    assert.equal(response.status, 415);
+    assert.equal(response.body.error.code, "unsupported_media_type");
+    assert.equal((await Book.getBookById(owner.id, book.id)).title, "Dune");
+  });
+
+  it("refuses a post to the API that asks for DELETE in the query string", async () => {
+    book = await Book.addBook(owner.id, BOOK);
+
+    const response = await agent.post(`/api/v1/books/${book.id}?_method=DELETE`);
+
+    assert.equal(response.status, 415);
+    assert.equal((await Book.getBookById(owner.id, book.id)).title, "Dune");
+  });
+
+  it("refuses an API request whose method was overridden, whatever its body", () => {
+    let status = null;
+    let passed = false;
+    const res = {
+      locals: {},
+      status(code) {
+        status = code;
+        return this;
+      },
+      json() {
+        return this;
+      },
+    };
+    const overridden = { method: "DELETE", originalMethod: "POST", is: () => false };
+
+    requireJson(overridden, res, () => {
+      passed = true;
+    });
+
+    assert.equal(status, 400);
+    assert.equal(passed, false);
+  });
+});
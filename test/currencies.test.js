@@ -0,0 +1,161 @@
+/**
+ * File Purpose:
+ * This file tests how the book list compares costs recorded in different
+ * currencies: the conversion at the exchange-rate table's rates, the cost
+ * range read in the user's currency, and the cost filter and sort working
+ * on the converted amounts, through the model and through the JSON API.
+ *
+ * The app runs against an in-memory database (see helpers.js) with the
+ * shipped exchange-rate table, where one US dollar buys 83.2 rupees and
+ * 149.5 yen.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, logIn } = require("./helpers");
+
+/**
+ * currency - The conversions under test
+ */
+const { convertMinor, minorUnitRate } = require("../services/currency");
+
+/**
+ * bookListQuery - Reads the cost range in the user's currency
+ */
+const { parseBookListQuery } = require("../validators/bookListQuery");
+
+/**
+ * Models - Set up the books and the user's currency, and search the books
+ */
+const Book = require("../models/Book");
+const User = require("../models/User");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOKS - Books in four currencies, with what each costs in US dollars
+ */
+const BOOKS = [
+  { title: "Dollar Fifteen", costMinor: 1500, currency: "USD" }, // $15.00
+  { title: "Rupee Thousand", costMinor: 100000, currency: "INR" }, // ₹1000.00, about $12.02
+  { title: "Yen Two Thousand", costMinor: 2000, currency: "JPY" }, // ¥2000, about $13.38
+  { title: "Euro Twenty-Five", costMinor: 2500, currency: "EUR" }, // €25.00, about $27.17
+  { title: "Dollar Five", costMinor: 500, currency: "USD" }, // $5.00
+  { title: "No Cost", costMinor: null, currency: "USD" },
+];
+
+/**
+ * BOOK - The fields of the books above that do not matter here
+ */
+const BOOK = {
+  author: "Someone",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: null,
+  coverUrl: null,
+};
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("costs in several currencies", () => {
+  let app;
+  let owner;
+
+  /**
+   * This helper function lists the titles of the owner's books that match a
+   * query string, read in the given currency.
+   *
+   * @param {Object} query - The query string values, e.g. { minCost: "10" }
+   * @param {String} [code] - The user's currency
+   * @returns {Promise<Array<String>>} - The matching titles, in list order
+   */
+  async function titles(query, code = "USD") {
+    const { options, errors } = parseBookListQuery(query, { currency: code });
+    assert.deepEqual(errors, []);
+    const { books } = await Book.searchBooks(owner.id, options);
+    return books.map((book) => book.title);
+  }
+
+  before(async () => {
+    app = await startApp();
+    owner = await createUser("reader@example.com");
+    for (const book of BOOKS) await Book.addBook(owner.id, { ...BOOK, ...book });
+  });
+
+  after(stopApp);
+
+  it("converts between currencies with different decimal places", () => {
+    assert.equal(convertMinor(100000, "INR", "USD"), 1202);
+    assert.equal(convertMinor(2000, "JPY", "USD"), 1338);
+    assert.equal(convertMinor(1500, "USD", "JPY"), 2243);
+    assert.equal(minorUnitRate("EUR", "EUR"), 1);
+    assert.equal(Math.round(100000 * minorUnitRate("INR", "USD")), convertMinor(100000, "INR", "USD"));
+  });
+
+  it("filters by cost after converting every cost into the user's currency", async () => {
+    assert.deepEqual(await titles({ minCost: "10", maxCost: "20", sort: "cost" }), [
+      "Rupee Thousand",
+      "Yen Two Thousand",
+      "Dollar Fifteen",
+    ]);
+  });
+
+  it("sorts by the converted cost, with books without a cost first", async () => {
+    assert.deepEqual(await titles({ sort: "cost" }), [
+      "No Cost",
+      "Dollar Five",
+      "Rupee Thousand",
+      "Yen Two Thousand",
+      "Dollar Fifteen",
+      "Euro Twenty-Five",
+    ]);
+  });
+
+  it("reads the cost range with the decimal places of the user's currency", async () => {
+    assert.deepEqual(await titles({ minCost: "2000", maxCost: "2243", sort: "cost" }, "JPY"), [
+      "Yen Two Thousand",
+      "Dollar Fifteen",
+    ]);
+
+    const { errors } = parseBookListQuery({ minCost: "19.99" }, { currency: "JPY" });
+    assert.deepEqual(errors, [
+      { field: "minCost", message: "minCost must be an amount in JPY with no decimal places" },
+    ]);
+    assert.equal(parseBookListQuery({ maxCost: "12.345" }).errors[0].field, "maxCost");
+  });
+
+  it("filters the API's list in the logged-in user's currency", async () => {
+    await User.updatePreferences(owner.id, { currency: "INR", locale: "en-IN" });
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/api/v1/books?minCost=900&maxCost=1200&sort=cost");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((book) => book.title),
+      ["Rupee Thousand", "Yen Two Thousand"]
+    );
+  });
+});
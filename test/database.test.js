@@ -0,0 +1,280 @@
+/**
+ * File Purpose:
+ * This file tests how the SQLite database survives trouble: the startup
+ * recovery of a damaged, missing or locked database file, the rotation of
+ * the backups, and the write queue that keeps simultaneous writes from
+ * competing for SQLite's write lock.
+ *
+ * Every test works on a database file and a backup directory in a temporary
+ * directory; the real data in data/ is never touched.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * fs, os, path - Used to make, damage and remove the temporary database files
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * sqlite3 - Opens a second connection that holds the database's lock
+ */
+const sqlite3 = require("sqlite3");
+
+/**
+ * config - The storage and backup settings the tests point at the temporary directory
+ */
+const config = require("../config");
+
+/**
+ * db - The database module whose write queue is under test
+ */
+const db = require("../db");
+
+/**
+ * backup - The recovery and the backups under test
+ */
+const { recover, backup, listBackups } = require("../db/backup");
+
+/**
+ * Models - Write to the database
+ */
+const User = require("../models/User");
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK - The details of the books the tests add
+ */
+const BOOK = {
+  author: "Someone",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: null,
+  coverUrl: null,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function runs one statement on a plain sqlite3 connection.
+ *
+ * @param {Object} connection - The sqlite3 connection
+ * @param {String} sql - The statement
+ * @returns {Promise<void>}
+ */
+function run(connection, sql) {
+  return new Promise((resolve, reject) => connection.run(sql, (error) => (error ? reject(error) : resolve())));
+}
+
+/**
+ * This helper function waits a little.
+ *
+ * @param {Number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("database recovery and backups", () => {
+  const savedStorage = config.storage;
+  const savedBackup = config.backup;
+  let dir;
+  let file;
+
+  /**
+   * This helper function creates the database file with one user in it and
+   * closes it again.
+   *
+   * @returns {Promise<void>}
+   */
+  async function createDatabase() {
+    db.connect();
+    await db.migrate();
+    await User.createUser({ email: "reader@example.com", password: "password123" });
+  }
+
+  /**
+   * This helper function opens the database file and tells whether the user
+   * created by createDatabase() is in it.
+   *
+   * @returns {Promise<Boolean>} - true when the user is there
+   */
+  async function hasReader() {
+    db.connect();
+    await db.migrate();
+    return Boolean(await User.authenticate("reader@example.com", "password123"));
+  }
+
+  beforeEach(async () => {
+    await db.close();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "readinglist-test-"));
+    file = path.join(dir, "readinglist.sqlite");
+    config.storage = { ...savedStorage, driver: "sqlite", path: file };
+    config.backup = { ...savedBackup, dir: path.join(dir, "backups"), keep: 3 };
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  after(() => {
+    config.storage = savedStorage;
+    config.backup = savedBackup;
+  });
+
+  it("leaves a healthy database as it is", async () => {
+    await createDatabase();
+    await db.close();
+
+    assert.deepEqual(await recover(), { status: "ok", file, backup: null, setAside: null });
+  });
+
+  it("sets a corrupt database aside and restores the newest healthy backup", async () => {
+    await createDatabase();
+    const good = await backup(new Date("2026-10-18T10:00:00Z"));
+    await db.close();
+
+    // A newer backup that is damaged too must be passed over
+    fs.writeFileSync(path.join(config.backup.dir, "readinglist-20261019-100000-000.sqlite"), "not a database");
+    fs.writeFileSync(file, "not a database either");
+
+    const result = await recover();
+
+    assert.equal(result.status, "restored");
+    assert.equal(result.backup, good);
+    assert.match(result.setAside, /readinglist\.sqlite\.corrupt-\d{8}-\d{6}-\d{3}$/);
+    assert.equal(fs.readFileSync(result.setAside, "utf8"), "not a database either");
+    assert.equal(await hasReader(), true);
+  });
+
+  it("restores a missing database from the newest backup", async () => {
+    await createDatabase();
+    const good = await backup();
+    await db.close();
+    fs.rmSync(file);
+    ["-wal", "-shm"].forEach((suffix) => fs.rmSync(file + suffix, { force: true }));
+
+    const result = await recover();
+
+    assert.deepEqual(result, { status: "restored", file, backup: good, setAside: null });
+    assert.equal(await hasReader(), true);
+  });
+
+  it("starts a new database when a missing one has no backup", async () => {
+    assert.deepEqual(await recover(), { status: "new", file, backup: null, setAside: null });
+    assert.equal(await hasReader(), false);
+  });
+
+  it("leaves a locked database alone instead of replacing it with a backup", async () => {
+    await createDatabase();
+    await backup();
+    await db.close();
+
+    // Another process holds the lock, without write-ahead logging, so even reading has to wait
+    const other = new sqlite3.Database(file);
+    try {
+      await run(other, "PRAGMA journal_mode = DELETE");
+      await run(other, "BEGIN EXCLUSIVE");
+      await run(other, "DELETE FROM sessions");
+
+      await assert.rejects(recover(), { code: "SQLITE_BUSY" });
+      assert.deepEqual(
+        fs.readdirSync(dir).filter((name) => name.includes(".corrupt-")),
+        []
+      );
+    } finally {
+      await run(other, "ROLLBACK");
+      await new Promise((resolve) => other.close(resolve));
+    }
+
+    assert.equal((await recover()).status, "ok");
+  });
+
+  it("keeps only the newest BACKUP_KEEP backups", async () => {
+    await createDatabase();
+    const made = [];
+    for (let hour = 10; hour < 15; hour += 1) made.push(await backup(new Date(`2026-10-19T${hour}:00:00Z`)));
+
+    assert.deepEqual(listBackups(file), made.slice(2).reverse());
+    assert.deepEqual(fs.readdirSync(config.backup.dir).sort(), made.slice(2).map((kept) => path.basename(kept)));
+  });
+});
+
+describe("simultaneous writes", () => {
+  let dir;
+  let owner;
+
+  before(async () => {
+    await db.close();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "readinglist-test-"));
+    db.connect({ driver: "sqlite", path: path.join(dir, "readinglist.sqlite") });
+    await db.migrate();
+    owner = await User.createUser({ email: "reader@example.com", password: "password123" });
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("adds many books at once, alongside plain writes, without any failing", async () => {
+    const currencies = ["EUR", "GBP", "USD"];
+    const adds = Array.from({ length: 20 }, (unused, index) =>
+      Book.addBook(owner.id, { ...BOOK, title: `Book ${index}` })
+    );
+    const updates = currencies.map((currency) => User.updatePreferences(owner.id, { currency }));
+
+    const results = await Promise.allSettled([...adds, ...updates]);
+
+    assert.deepEqual(
+      results.filter((result) => result.status === "rejected"),
+      []
+    );
+    assert.equal((await Book.getAllBooks(owner.id)).length, 20);
+    assert.ok(currencies.includes((await User.getUserById(owner.id)).currency));
+  });
+
+  it("holds a write made outside a transaction until the running transaction ends", async () => {
+    const order = [];
+
+    const running = db.transaction(async () => {
+      await delay(50);
+      order.push("transaction");
+    });
+    const write = User.updatePreferences(owner.id, { currency: "EUR" }).then(() => order.push("write"));
+    await Promise.all([running, write]);
+
+    assert.deepEqual(order, ["transaction", "write"]);
+  });
+});
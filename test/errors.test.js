@@ -0,0 +1,256 @@
+/**
+ * File Purpose:
+ * This file tests the error handling and request logging: the 404 and 500
+ * pages, the JSON errors sent to JSON clients and the API, the request IDs
+ * and the structured request log lines.
+ *
+ * The app-wide behaviour runs against an app built with createApp on an
+ * in-memory database. The error handler on its own is mounted in a small
+ * Express app with a route that fails, since no real route fails on purpose.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * path - Node.js built-in module used to find the views
+ */
+const path = require("path");
+
+/**
+ * express, express-handlebars - Build the small app the error handler is mounted in
+ */
+const express = require("express");
+const exphbs = require("express-handlebars");
+
+/**
+ * supertest - Sends requests to the Express apps without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * createApp - Builds the Express application under test
+ */
+const { createApp } = require("../app");
+
+/**
+ * User - Creates the user the tests log in as
+ */
+const User = require("../models/User");
+
+/**
+ * db - The database module, to migrate and close the test database
+ */
+const db = require("../db");
+
+/**
+ * config - The log level, raised while the tests collect log lines
+ */
+const config = require("../config");
+
+/**
+ * Middleware - The request logger and the error handler under test
+ */
+const { requestLogger } = require("../middleware/requestLogger");
+const { notFound, handleError } = require("../middleware/errorHandler");
+
+/**
+ * viewHelpers - The Handlebars helpers the layout needs
+ */
+const viewHelpers = require("../utils/viewHelpers");
+
+/**
+ * logger - Collects the log lines the tests look at
+ */
+const logger = require("../utils/logger");
+
+/**
+ * httpError - Raises the errors a handler answers with on purpose
+ */
+const httpError = require("../utils/httpError");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function collects the log entries written while a function runs.
+ *
+ * @param {Function} work - Runs the requests; may return a promise
+ * @returns {Promise<Array<Object>>} - The log entries
+ */
+async function captureLogs(work) {
+  const entries = [];
+  const level = config.logging.level;
+  logger.setOutput((entry) => entries.push(entry));
+  config.logging.level = "info";
+
+  try {
+    await work();
+  } finally {
+    logger.setOutput(null);
+    config.logging.level = level;
+  }
+  return entries;
+}
+
+/**
+ * This helper function logs a new user in through the login form.
+ *
+ * @param {Object} app - The Express application
+ * @returns {Promise<Object>} - A supertest agent holding the login session
+ */
+async function logIn(app) {
+  await User.createUser({ email: "reader@example.com", password: "password123" });
+  const agent = request.agent(app);
+  const form = await agent.get("/login");
+  const token = form.text.match(/name="_csrf" value="([^"]+)"/)[1];
+  await agent.post("/login").type("form").send({ email: "reader@example.com", password: "password123", _csrf: token });
+  return agent;
+}
+
+/**
+ * This helper function builds a small app with the request logger, a route
+ * that fails with a bug, one that raises a 403 and the error handler.
+ *
+ * @returns {Object} - The Express application
+ */
+function createFailingApp() {
+  const app = express();
+  app.engine("hbs", exphbs.engine({ extname: ".hbs", helpers: viewHelpers }));
+  app.set("view engine", "hbs");
+  app.set("views", path.join(__dirname, "..", "views"));
+
+  app.use(requestLogger);
+  app.get("/broken", () => {
+    throw new Error("database is on fire");
+  });
+  app.get("/forbidden", (req, res, next) => next(httpError(403, "Not for you")));
+  app.use(notFound);
+  app.use(handleError);
+  return app;
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("error handling in the app", () => {
+  let app;
+  let agent;
+
+  before(async () => {
+    await db.close();
+    app = createApp({ storage: { driver: "memory" }, config: { logging: { level: "silent" } } });
+    await db.migrate();
+    agent = await logIn(app);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it("shows the 404 page for an unknown path", async () => {
+    const response = await agent.get("/no/such/page").set("Accept", "text/html");
+
+    assert.equal(response.status, 404);
+    assert.match(response.headers["content-type"], /html/);
+    assert.match(response.text, /Nothing was found at \/no\/such\/page/);
+    assert.match(response.text, new RegExp(response.headers["x-request-id"]));
+  });
+
+  it("answers a JSON client with the JSON error envelope", async () => {
+    const response = await agent.get("/no/such/page").set("Accept", "application/json");
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(response.body.error, {
+      status: 404,
+      code: "not_found",
+      message: "Nothing was found at /no/such/page",
+      requestId: response.headers["x-request-id"],
+    });
+  });
+
+  it("answers the API in JSON whatever the Accept header says", async () => {
+    const unknown = await request(app).get("/api/v1/nothing").set("Accept", "text/html");
+    const malformed = await request(app).post("/api/v1/session").type("json").send("{not json");
+
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error.code, "not_found");
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.error.code, "invalid_json");
+  });
+
+  it("keeps the request ID a client sends and makes one up otherwise", async () => {
+    const sent = await request(app).get("/login").set("X-Request-Id", "trace-123");
+    const made = await request(app).get("/login");
+    const refused = await request(app).get("/login").set("X-Request-Id", "<script>");
+
+    assert.equal(sent.headers["x-request-id"], "trace-123");
+    assert.match(made.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+    assert.notEqual(refused.headers["x-request-id"], "<script>");
+  });
+
+  it("logs every request as one JSON line with its status and latency", async () => {
+    const lines = await captureLogs(() => request(app).get("/login").set("X-Request-Id", "log-test"));
+    const line = lines.find((entry) => entry.requestId === "log-test");
+
+    assert.equal(line.level, "info");
+    assert.equal(line.message, "request");
+    assert.equal(line.method, "GET");
+    assert.equal(line.path, "/login");
+    assert.equal(line.status, 200);
+    assert.equal(typeof line.durationMs, "number");
+    assert.equal(line.userId, null);
+  });
+});
+
+describe("the error handler", () => {
+  const app = createFailingApp();
+
+  it("shows the 500 page without the error's details, and logs them", async () => {
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await request(app).get("/broken");
+    });
+
+    assert.equal(response.status, 500);
+    assert.match(response.text, /Something went wrong/);
+    assert.doesNotMatch(response.text, /database is on fire/);
+
+    const failure = lines.find((entry) => entry.message === "request failed");
+    assert.equal(failure.requestId, response.headers["x-request-id"]);
+    assert.equal(failure.error.message, "database is on fire");
+    assert.match(failure.error.stack, /errors\.test\.js/);
+    assert.equal(lines.find((entry) => entry.message === "request").level, "error");
+  });
+
+  it("sends a JSON client a 500 error without the error's details", async () => {
+    const response = await request(app).get("/broken").set("Accept", "application/json");
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error.code, "internal_error");
+    assert.equal(response.body.error.message, "Something went wrong");
+  });
+
+  it("shows the general error page with the message of an error raised on purpose", async () => {
+    const response = await request(app).get("/forbidden");
+
+    assert.equal(response.status, 403);
+    assert.match(response.text, /403 Forbidden/);
+    assert.match(response.text, /Not for you/);
+  });
+});
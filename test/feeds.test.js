@@ -0,0 +1,216 @@
+/**
+ * File Purpose:
+ * This file tests the feeds: the page where users turn them on and off, the
+ * Atom and RSS feeds of recently added and updated books, and the iCalendar
+ * feed of finish-by dates and the reading goal set on the statistics page.
+ *
+ * It builds the app against an in-memory database (see helpers.js) and drives
+ * it with supertest, the owner through the forms and the feed reader with
+ * plain requests and no session.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * supertest - Sends requests to the Express app without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, csrfToken, logIn } = require("./helpers");
+
+/**
+ * Book - Used to set up the books
+ */
+const Book = require("../models/Book");
+
+/**
+ * dates - Works out the days the tests set as finish-by dates
+ */
+const { toDateKey, addDays } = require("../utils/dates");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  targetFinishDate: null,
+  tags: ["sci-fi"],
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function submits one of the forms on the feeds page.
+ *
+ * @param {Object} agent - The supertest agent of the owner
+ * @param {Object} [fields] - Extra form fields, e.g. { _method: "DELETE" }
+ * @returns {Promise<Object>} - The supertest response
+ */
+async function submitFeeds(agent, fields = {}) {
+  const token = await csrfToken(agent, "/feeds");
+  return agent.post("/feeds").type("form").send({ ...fields, _csrf: token });
+}
+
+/**
+ * This helper function reads the path of one of the feeds from the feeds page.
+ *
+ * @param {Object} agent - The supertest agent of the owner
+ * @param {String} file - The feed's file name, e.g. "books.atom"
+ * @returns {Promise<String>} - The feed's path, e.g. "/feeds/<token>/books.atom"
+ */
+async function feedPath(agent, file) {
+  const page = await agent.get("/feeds");
+  return page.text.match(new RegExp(`https?://[^/"]+(/feeds/[\\w-]+/${file.replace(".", "\\.")})`))[1];
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("feeds", () => {
+  let app;
+  let owner;
+  let agent;
+  let dune;
+
+  // Build the app with a user who has a few books and their feeds turned on
+  before(async () => {
+    app = await startApp();
+
+    owner = await createUser("owner@example.com");
+    dune = await Book.addBook(owner.id, { ...BOOK, targetFinishDate: addDays(toDateKey(), 14) });
+    await Book.addBook(owner.id, { ...BOOK, title: "Pride & Prejudice", author: "Jane Austen", tags: [] });
+    const finished = await Book.addBook(owner.id, { ...BOOK, title: "Emma", targetFinishDate: "2026-01-31" });
+    await Book.changeStatus(owner.id, finished.id, "reading");
+    await Book.changeStatus(owner.id, finished.id, "finished");
+    agent = await logIn(app, "owner@example.com");
+    await submitFeeds(agent);
+  });
+
+  after(async () => {
+    await stopApp();
+  });
+
+  it("lists the books most recently added or updated in an Atom feed", async () => {
+    const { targetFinishDate } = dune;
+    await Book.updateBook(owner.id, dune.id, { ...BOOK, title: "Dune Messiah", targetFinishDate });
+
+    const response = await request(app).get(await feedPath(agent, "books.atom"));
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /^application\/atom\+xml/);
+    assert.equal(response.headers["x-robots-tag"], "noindex, nofollow");
+    assert.match(response.text, /<title>Updated: Dune Messiah<\/title>/);
+    assert.match(response.text, /<title>Added: Pride &amp; Prejudice<\/title>/);
+    assert.ok(response.text.indexOf("Dune Messiah") < response.text.indexOf("Pride &amp; Prejudice"));
+    assert.match(response.text, new RegExp(`<link rel="alternate" type="text/html" href="[^"]+/book/${dune.id}"`));
+  });
+
+  it("offers the same books as an RSS feed", async () => {
+    const response = await request(app).get(await feedPath(agent, "books.rss"));
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /^application\/rss\+xml/);
+    assert.match(response.text, /<rss version="2.0"/);
+    assert.match(response.text, new RegExp(`<guid isPermaLink="false">urn:readinglist:book:${dune.id}</guid>`));
+  });
+
+  it("does not start a session for feed readers", async () => {
+    for (const file of ["books.atom", "books.rss", "reading.ics"]) {
+      const response = await request(app).get(await feedPath(agent, file));
+      assert.equal(response.status, 200);
+      assert.equal(response.headers["set-cookie"], undefined);
+    }
+  });
+
+  it("puts open books' finish-by dates and the reading goal in the calendar", async () => {
+    const token = await csrfToken(agent, "/stats");
+    const goal = { _method: "PUT", goalPeriod: "yearly", goalBooks: "12", _csrf: token };
+    await agent.post("/stats").type("form").send(goal);
+
+    const response = await request(app).get(await feedPath(agent, "reading.ics"));
+    const dueDay = addDays(toDateKey(), 14).replace(/-/g, "");
+    const year = new Date().getFullYear();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /^text\/calendar/);
+    assert.match(response.text, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(response.text, new RegExp(`DTSTART;VALUE=DATE:${dueDay}\r\n`));
+    assert.match(response.text, /SUMMARY:Finish "Dune Messiah"/);
+    assert.doesNotMatch(response.text, /Finish "Emma"/);
+    assert.match(response.text, new RegExp(`SUMMARY:Reading goal: 12 books in ${year}\r\nDESCRIPTION:1 of 12`));
+    assert.match(response.text, new RegExp(`DTSTART;VALUE=DATE:${year}1231`));
+    assert.ok(response.text.split("\r\n").every((line) => Buffer.byteLength(line) <= 75));
+  });
+
+  it("shows the goal on the statistics page and rejects an invalid one", async () => {
+    const page = await agent.get("/stats");
+    const token = await csrfToken(agent, "/stats");
+    const goal = { _method: "PUT", goalPeriod: "yearly", goalBooks: "0", _csrf: token };
+    const response = await agent.post("/stats").type("form").send(goal);
+
+    assert.match(page.text, /Finished 1 of 12 books/);
+    assert.equal(response.status, 422);
+    assert.match(response.text, /Goal must be a whole number of books from 1 to 1000/);
+  });
+
+  it("saves a finish-by date from the book form and rejects an impossible one", async () => {
+    const token = await csrfToken(agent, `/edit/${dune.id}`);
+    const fields = { title: "Dune", author: "Frank Herbert", _method: "PUT", _csrf: token };
+
+    const submit = (date) => agent.post(`/book/${dune.id}`).type("form").send({ ...fields, targetFinishDate: date });
+    const rejected = await submit("2026-02-30");
+    const saved = await submit("2030-06-01");
+
+    assert.equal(rejected.status, 422);
+    assert.match(rejected.text, /Finish-by date must be a date/);
+    assert.equal(saved.status, 302);
+    assert.equal((await Book.getBookById(owner.id, dune.id)).targetFinishDate, "2030-06-01");
+  });
+
+  it("stops the old addresses working when the feeds are reset or turned off", async () => {
+    const oldPath = await feedPath(agent, "books.atom");
+    await submitFeeds(agent);
+    const newPath = await feedPath(agent, "books.atom");
+
+    assert.notEqual(newPath, oldPath);
+    assert.equal((await request(app).get(oldPath)).status, 404);
+    assert.equal((await request(app).get(newPath)).status, 200);
+
+    await submitFeeds(agent, { _method: "DELETE" });
+    assert.equal((await request(app).get(newPath)).status, 404);
+    assert.match((await agent.get("/feeds")).text, /Your feeds are off/);
+    assert.equal((await request(app).get("/feeds/not-a-token/books.atom")).status, 404);
+  });
+});
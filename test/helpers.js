@@ -0,0 +1,131 @@
+/**
+ * File Purpose:
+ * This file holds what the HTTP test suites share: building the app on an
+ * empty in-memory database, creating users, reading the CSRF token from a
+ * page and logging in through the login form.
+ *
+ * It contains no tests itself. Each suite calls startApp in its before hook
+ * and stopApp in its after hook.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * supertest - Sends requests to the Express app without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * createApp - Builds the Express application under test
+ */
+const { createApp } = require("../app");
+
+/**
+ * db - The database module, to migrate and close the test database
+ */
+const db = require("../db");
+
+/**
+ * User - Creates the test users
+ */
+const User = require("../models/User");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * PASSWORD - The password of every test user
+ */
+const PASSWORD = "password123";
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function builds the app on an empty, migrated in-memory database,
+ * with a fixed session secret and without request logs.
+ *
+ * @param {Object} [config] - Further settings to replace, grouped by section,
+ *                            e.g. { covers: { dir: "..." } }
+ * @returns {Promise<Object>} - The Express application
+ */
+async function startApp(config = {}) {
+  await db.close();
+  const app = createApp({
+    storage: { driver: "memory" },
+    config: { session: { secret: "test-secret" }, logging: { level: "silent" }, ...config },
+  });
+  await db.migrate();
+  return app;
+}
+
+/**
+ * This function closes the test database again.
+ *
+ * @returns {Promise<void>}
+ */
+function stopApp() {
+  return db.close();
+}
+
+/**
+ * This function creates a user who logs in with PASSWORD.
+ *
+ * @param {String} email - The user's email address
+ * @returns {Promise<Object>} - The new user
+ */
+function createUser(email) {
+  return User.createUser({ email, password: PASSWORD });
+}
+
+/**
+ * This function reads the CSRF token from the form on a page. Every page
+ * has one for a logged-in user, in the navbar's logout form.
+ *
+ * @param {Object} agent - The supertest agent, holding the session cookie
+ * @param {String} [path] - The page to read the token from
+ * @returns {Promise<String>} - The token
+ */
+async function csrfToken(agent, path = "/") {
+  const response = await agent.get(path);
+  const match = response.text.match(/name="_csrf" value="([^"]+)"/);
+  assert.ok(match, `no CSRF token on ${path}`);
+  return match[1];
+}
+
+/**
+ * This function logs a user in through the login form.
+ *
+ * @param {Object} app - The Express application
+ * @param {String} email - The user's email address
+ * @returns {Promise<Object>} - A supertest agent holding the login session
+ */
+async function logIn(app, email) {
+  const agent = request.agent(app);
+  const token = await csrfToken(agent, "/login");
+  const response = await agent.post("/login").type("form").send({ email, password: PASSWORD, _csrf: token });
+  assert.equal(response.status, 302);
+  return agent;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  PASSWORD,
+  startApp,
+  stopApp,
+  createUser,
+  csrfToken,
+  logIn,
+};
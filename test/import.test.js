@@ -0,0 +1,103 @@
+/**
+ * File Purpose:
+ * This file tests the upload step of the CSV import: that the form sends its
+ * CSRF token in the multipart body rather than in the address, that an
+ * upload without the token is refused, and that a file that is too large
+ * shows the form again with a working token.
+ *
+ * It builds the app against an in-memory database (see helpers.js) and
+ * drives it with supertest.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the user and log them in
+ */
+const { startApp, stopApp, createUser, csrfToken, logIn } = require("./helpers");
+
+/**
+ * config - The largest CSV file the upload accepts
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * CSV - A small file with a header row and two books
+ */
+const CSV = "Title,Author,Price\nDune,Frank Herbert,12.99\nEmma,Jane Austen,7.50\n";
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("import upload", () => {
+  let agent;
+
+  /**
+   * This helper function sends the upload form with a file, the token first
+   * as the browser does.
+   *
+   * @param {Buffer|String} content - The file's content
+   * @param {Boolean} [withToken] - Whether to send the CSRF token
+   * @returns {Promise<Object>} - The supertest response
+   */
+  async function uploadCsv(content, withToken = true) {
+    const token = await csrfToken(agent, "/import");
+    const form = agent.post("/import/upload");
+    if (withToken) form.field("_csrf", token);
+    return form.attach("file", Buffer.from(content), { filename: "books.csv", contentType: "text/csv" });
+  }
+
+  // Build the app with a logged-in user
+  before(async () => {
+    const app = await startApp();
+    await createUser("reader@example.com");
+    agent = await logIn(app, "reader@example.com");
+  });
+
+  after(async () => {
+    await stopApp();
+  });
+
+  it("reads the token from the multipart body and keeps it out of the form's address", async () => {
+    const form = await agent.get("/import");
+    assert.match(form.text, /action="\/import\/upload"/);
+    assert.doesNotMatch(form.text, /\?_csrf=/);
+
+    const response = await uploadCsv(CSV);
+    assert.equal(response.status, 200);
+    assert.match(response.text, /The file has 2 book rows/);
+  });
+
+  it("refuses an upload without the token", async () => {
+    const response = await uploadCsv(CSV, false);
+
+    assert.equal(response.status, 403);
+  });
+
+  it("shows the form again, with its token, for a file that is too large", async () => {
+    const response = await uploadCsv(Buffer.alloc(config.import.maxBytes + 1, "a"));
+
+    assert.equal(response.status, 413);
+    assert.match(response.text, /The file is too large/);
+    assert.match(response.text, /name="_csrf" value="[^"]+"/);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * File Purpose:
+ * This file tests the one-time import of the old books.json file: that the
+ * books keep their IDs and creation dates, get a status timeline and the
+ * first entry of their history like a book added in the app, are not
+ * imported twice, and that a file with an invalid book imports nothing.
+ *
+ * The script runs as its own process, the way it is run by hand, against a
+ * database file in a temporary directory. The real database in data/ is
+ * never touched.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after, beforeEach } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * child_process - Runs the import script
+ */
+const { execFile } = require("node:child_process");
+
+/**
+ * fs, os, path - Used to write the JSON files and hold the temporary database
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * db - Opens the imported database to read what the script stored
+ */
+const db = require("../db");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SCRIPT_PATH - The script under test
+ */
+const SCRIPT_PATH = path.join(__dirname, "..", "scripts", "import-books-json.js");
+
+/**
+ * LEGACY_BOOKS - Books in the old format, with Date.now() IDs
+ */
+const LEGACY_BOOKS = [
+  { id: 1740920290188, title: "Dune", author: "Frank Herbert", cost: "20.35", shoppingUrl: "https://example.com/dune" },
+  { id: 1740920299999, title: "Emma", author: "Jane Austen", cost: "", shoppingUrl: "" },
+];
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("books.json import script", () => {
+  let dir;
+  let databasePath;
+
+  /**
+   * This helper function writes a books file and runs the script on it.
+   *
+   * @param {Array<Object>} books - The books to put in the file
+   * @returns {Promise<Object>} - { code, stdout, stderr } of the script
+   */
+  function runImport(books) {
+    const sourcePath = path.join(dir, "books.json");
+    fs.writeFileSync(sourcePath, JSON.stringify(books));
+
+    const env = { ...process.env, STORAGE_DRIVER: "sqlite", DB_STORAGE: databasePath };
+    return new Promise((resolve) => {
+      execFile(process.execPath, [SCRIPT_PATH, sourcePath], { env, timeout: 60000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  /**
+   * This helper function reads every row of a table of the imported database,
+   * creating the tables first when the script did not get that far.
+   *
+   * @param {String} modelName - The Sequelize model of the table
+   * @returns {Promise<Array<Object>>} - The rows as plain objects, oldest ID first
+   */
+  async function rowsOf(modelName) {
+    db.connect({ driver: "sqlite", path: databasePath });
+    await db.migrate();
+    const rows = await db.model(modelName).findAll({ order: [["id", "ASC"]] });
+    await db.close();
+    return rows.map((row) => row.get({ plain: true }));
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "readinglist-import-"));
+  });
+
+  after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Every test starts from a database that does not exist yet
+  beforeEach(() => {
+    databasePath = path.join(dir, `test-${Date.now()}.sqlite`);
+  });
+
+  it("adds the books like the app does, keeping their IDs and creation dates, and only once", async () => {
+    const first = await runImport(LEGACY_BOOKS);
+    assert.equal(first.code, 0, first.stderr);
+    assert.match(first.stdout, /Imported 2 book\(s\)/);
+
+    const [dune, emma] = await rowsOf("Book");
+    assert.equal(dune.id, 1740920290188);
+    assert.equal(new Date(dune.createdAt).getTime(), 1740920290188);
+    assert.equal(dune.costMinor, 2035);
+    assert.equal(dune.shoppingUrl, "https://example.com/dune");
+    assert.equal(dune.status, "to-read");
+    assert.equal(emma.costMinor, null);
+    assert.equal(emma.shoppingUrl, null);
+
+    const timeline = await rowsOf("StatusChange");
+    assert.deepEqual(
+      timeline.map(({ bookId, toStatus }) => [bookId, toStatus]),
+      [
+        [dune.id, "to-read"],
+        [emma.id, "to-read"],
+      ]
+    );
+    const revisions = await rowsOf("BookRevision");
+    assert.deepEqual(
+      revisions.map(({ bookId, action }) => [bookId, action]),
+      [
+        [dune.id, "create"],
+        [emma.id, "create"],
+      ]
+    );
+
+    const second = await runImport(LEGACY_BOOKS);
+    assert.equal(second.code, 0, second.stderr);
+    assert.match(second.stdout, /Imported 0 book\(s\) .*, skipped 2 already present/);
+    assert.equal((await rowsOf("Book")).length, 2);
+  });
+
+  it("imports nothing and lists the problems when a book is invalid", async () => {
+    const books = [
+      ...LEGACY_BOOKS,
+      { id: 1740920300000, title: "Ubik", author: "Philip K. Dick", cost: "4.99", shoppingUrl: "javascript:alert(1)" },
+      { id: 1740920300001, title: "", author: "Nobody", cost: "abc" },
+    ];
+
+    const result = await runImport(books);
+
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Book 3 \(ID 1740920300000\): Shopping URL must start with http:\/\/ or https:\/\//);
+    assert.match(result.stderr, /Book 4 \(ID 1740920300001\): Title/);
+    assert.deepEqual(await rowsOf("Book"), []);
+  });
+});
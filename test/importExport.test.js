@@ -0,0 +1,288 @@
+/**
+ * File Purpose:
+ * This file tests moving a reading list in and out as files: the CSV reader
+ * and writer in utils/csv.js, the column mapping and dry run of the import in
+ * services/bookImport.js, the import's preview and commit steps, and the CSV
+ * and JSON downloads.
+ *
+ * The app runs against an in-memory database (see helpers.js). The upload
+ * step itself is covered by import.test.js.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the users, log them in and read CSRF tokens
+ */
+const { startApp, stopApp, createUser, logIn, csrfToken } = require("./helpers");
+
+/**
+ * csv - The CSV reader and writer under test
+ */
+const { parseCsv, toCsv } = require("../utils/csv");
+
+/**
+ * bookImport - The column mapping and the dry run under test
+ */
+const bookImport = require("../services/bookImport");
+
+/**
+ * config - The import limits
+ */
+const config = require("../config");
+
+/**
+ * Book - Sets up the books and checks what the import added
+ */
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * GOODREADS_HEADERS - The first columns of a Goodreads library export
+ */
+const GOODREADS_HEADERS = ["Book Id", "Title", "Author", "ISBN13", "My Rating", "Exclusive Shelf", "Number of Pages"];
+
+/**
+ * CSV - A file with a duplicate of a book already in the list, a valid row,
+ * a duplicate of that row, a row without a title and a row with an unknown
+ * status
+ */
+const CSV = [
+  "Title,Author,Price,Status",
+  "Dune,Frank Herbert,12.99,",
+  "Kindred,Octavia E. Butler,9.50,read",
+  " kindred ,OCTAVIA E.  BUTLER,,",
+  ",Nobody,,",
+  "Emma,Jane Austen,,borrowed",
+  "",
+].join("\n");
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  tags: ["classic", "sci-fi"],
+};
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("reading and writing CSV", () => {
+  it("reads quoted fields, doubled quotes and every kind of line ending", () => {
+    const text = '\uFEFFTitle,Author\r\n"Dune, Deluxe","Say ""hi"""\r\n\r\n"Two\nlines",x\rLast,Line';
+
+    assert.deepEqual(parseCsv(text), [
+      ["Title", "Author"],
+      ["Dune, Deluxe", 'Say "hi"'],
+      ["Two\nlines", "x"],
+      ["Last", "Line"],
+    ]);
+  });
+
+  it("refuses a quoted field that is never closed", () => {
+    assert.throws(() => parseCsv('Title\n"Dune'), /quoted field that is never closed/);
+  });
+
+  it("quotes the fields that need it and defuses spreadsheet formulas", () => {
+    const text = toCsv([
+      ["=SUM(A1)", "@cmd", "plain"],
+      ["a,b", 'say "hi"', null],
+    ]);
+
+    assert.equal(text, "'=SUM(A1),'@cmd,plain\r\n\"a,b\",\"say \"\"hi\"\"\",\r\n");
+    assert.deepEqual(parseCsv(text), [
+      ["'=SUM(A1)", "'@cmd", "plain"],
+      ["a,b", 'say "hi"', ""],
+    ]);
+  });
+});
+
+describe("mapping the import's columns", () => {
+  it("guesses the columns of a Goodreads export", () => {
+    assert.deepEqual(bookImport.guessMapping(GOODREADS_HEADERS), {
+      title: 1,
+      author: 2,
+      cost: null,
+      currency: null,
+      shoppingUrl: null,
+      isbn: 3,
+      publisher: null,
+      pageCount: 6,
+      coverUrl: null,
+      status: 5,
+      tags: null,
+    });
+  });
+
+  it("accepts only real columns and requires the title and author", () => {
+    const { mapping, errors } = bookImport.parseMapping({ title: "", author: "1", cost: "9", tags: "x" }, [
+      "Name",
+      "Writer",
+    ]);
+
+    assert.equal(mapping.title, null);
+    assert.equal(mapping.author, 1);
+    assert.equal(mapping.cost, null);
+    assert.equal(mapping.tags, null);
+    assert.deepEqual(errors, { title: "Choose the column that holds the title." });
+    assert.equal(bookImport.parseMapping({ title: "0", author: "1" }, ["Name", "Writer"]).errors, null);
+  });
+
+  it("refuses files that cannot be imported at all", () => {
+    const tooMany = "Title,Author\n" + "Dune,Frank Herbert\n".repeat(config.import.maxRows + 1);
+
+    assert.throws(() => bookImport.readTable(""), { code: "INVALID_IMPORT", message: "The file is empty." });
+    assert.throws(() => bookImport.readTable("Title,Author\n"), {
+      code: "INVALID_IMPORT",
+      message: "The file has a header row but no books.",
+    });
+    assert.throws(() => bookImport.readTable('Title\n"Dune'), { code: "INVALID_IMPORT" });
+    assert.throws(() => bookImport.readTable(tooMany), { code: "INVALID_IMPORT", message: /at most/ });
+    assert.deepEqual(bookImport.readTable(" Title , Author\nDune,Frank Herbert").headers, ["Title", "Author"]);
+  });
+});
+
+describe("importing and exporting books", () => {
+  let app;
+  let owner;
+
+  before(async () => {
+    app = await startApp();
+    owner = await createUser("reader@example.com");
+    const stranger = await createUser("stranger@example.com");
+    await Book.addBook(owner.id, BOOK);
+    await Book.addBook(stranger.id, { ...BOOK, title: "Not Mine" });
+  });
+
+  after(stopApp);
+
+  it("checks every row in the dry run and marks the duplicates", async () => {
+    const table = bookImport.readTable(CSV);
+    const mapping = bookImport.guessMapping(table.headers);
+
+    const { rows, summary } = await bookImport.buildPreview(owner.id, table, mapping);
+
+    assert.deepEqual(summary, { total: 5, importable: 1, invalid: 2, duplicates: 2 });
+    assert.deepEqual(
+      rows.map((row) => [row.line, row.duplicate, row.errors.map((error) => error.field)]),
+      [
+        [2, "existing", []],
+        [3, null, []],
+        [4, "file", []],
+        [5, null, ["title"]],
+        [6, null, ["status"]],
+      ]
+    );
+    assert.equal(rows[1].values.status, "finished");
+    assert.equal(rows[1].values.costMinor, 950);
+    assert.equal((await Book.getAllBooks(owner.id)).length, 1);
+  });
+
+  it("unwraps the ISBNs of a Goodreads export", async () => {
+    const text = `${GOODREADS_HEADERS.join(",")}\n1,Anathem,Neal Stephenson,="9780061474095",0,currently-reading,937\n`;
+    const table = bookImport.readTable(text);
+
+    const { rows } = await bookImport.buildPreview(owner.id, table, bookImport.guessMapping(table.headers));
+
+    assert.deepEqual(rows[0].errors, []);
+    assert.equal(rows[0].values.isbn13, "9780061474095");
+    assert.equal(rows[0].values.pageCount, 937);
+    assert.equal(rows[0].values.status, "reading");
+  });
+
+  it("previews and commits an import, adding only the valid new rows", async () => {
+    const agent = await logIn(app, "reader@example.com");
+    const form = { csv: CSV, "mapping[title]": "0", "mapping[author]": "1", "mapping[cost]": "2" };
+    form["mapping[status]"] = "3";
+
+    /**
+     * This helper function sends one step of the import form with its token.
+     *
+     * @param {String} path - The step's address
+     * @param {Object} fields - The form fields
+     * @returns {Promise<Object>} - The supertest response
+     */
+    async function submit(path, fields) {
+      const token = await csrfToken(agent, "/import");
+      return agent.post(path).type("form").send({ ...fields, _csrf: token });
+    }
+
+    const unmapped = await submit("/import/preview", { ...form, "mapping[title]": "" });
+    assert.equal(unmapped.status, 422);
+    assert.match(unmapped.text, /Choose the column that holds the title\./);
+
+    const preview = await submit("/import/preview", form);
+    assert.equal(preview.status, 200);
+    assert.match(preview.text, /1 of 5 books will be imported\./);
+
+    const done = await submit("/import/commit", form);
+    assert.equal(done.status, 200);
+    assert.match(done.text, /1 of 5 books were imported\./);
+
+    const kindred = (await Book.getAllBooks(owner.id)).find((book) => book.title === "Kindred");
+    assert.equal(kindred.status, "finished");
+    assert.equal(kindred.costMinor, 950);
+    assert.equal((await Book.getAllBooks(owner.id)).length, 2);
+  });
+
+  it("downloads the user's books as CSV", async () => {
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/export.csv").expect(200);
+    const [headers, ...rows] = parseCsv(response.text);
+
+    assert.match(response.headers["content-type"], /^text\/csv/);
+    assert.match(response.headers["content-disposition"], /^attachment; filename="reading-list-[\d-]{10}\.csv"$/);
+    assert.deepEqual(headers.slice(0, 4), ["Title", "Author", "Cost", "Currency"]);
+    assert.equal(headers.length, 15);
+    assert.deepEqual(
+      rows.map((row) => row[0]),
+      ["Dune", "Kindred"]
+    );
+    assert.deepEqual(rows[0].slice(0, 4), ["Dune", "Frank Herbert", "12.99", "USD"]);
+    assert.equal(rows[0][headers.indexOf("Tags")], "classic, sci-fi");
+  });
+
+  it("downloads the user's books as JSON", async () => {
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/export.json").expect(200);
+
+    assert.match(response.headers["content-disposition"], /^attachment; filename="reading-list-.*\.json"$/);
+    assert.equal(response.body.count, 2);
+    assert.ok(!Number.isNaN(Date.parse(response.body.exportedAt)));
+    assert.deepEqual(
+      response.body.books.map((book) => book.title),
+      ["Dune", "Kindred"]
+    );
+    assert.deepEqual(response.body.books[0].tags, ["classic", "sci-fi"]);
+    assert.equal(response.body.books[0].costMinor, 1299);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * File Purpose:
+ * This file tests the ISBN utilities: cleaning up what people type, the
+ * ISBN-10 and ISBN-13 check digits, and the conversion between both forms.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * isbn - The module under test
+ */
+const { normalizeIsbn, isValidIsbn10, isValidIsbn13, isbn10To13, isbn13To10, parseIsbn } = require("../utils/isbn");
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("ISBN utilities", () => {
+  it("removes hyphens and spaces and upper-cases a trailing x", () => {
+    assert.equal(normalizeIsbn("0-8044-2957-x"), "080442957X");
+    assert.equal(normalizeIsbn(" 978 0 441 01359 3 "), "9780441013593");
+    assert.equal(normalizeIsbn(null), "");
+  });
+
+  it("checks the ISBN-10 check digit, including X for ten", () => {
+    assert.equal(isValidIsbn10("0441013597"), true);
+    assert.equal(isValidIsbn10("080442957X"), true);
+
+    for (const isbn of ["0441013598", "0804429570", "044101359", "X441013597", "04410135977"]) {
+      assert.equal(isValidIsbn10(isbn), false, isbn);
+    }
+  });
+
+  it("checks the ISBN-13 check digit and prefix", () => {
+    assert.equal(isValidIsbn13("9780441013593"), true);
+    assert.equal(isValidIsbn13("9791090636071"), true);
+
+    for (const isbn of ["9780441013594", "1234567890128", "978044101359", "978044101359X"]) {
+      assert.equal(isValidIsbn13(isbn), false, isbn);
+    }
+  });
+
+  it("converts between the two forms", () => {
+    assert.equal(isbn10To13("0441013597"), "9780441013593");
+    assert.equal(isbn10To13("080442957X"), "9780804429573");
+    assert.equal(isbn13To10("9780441013593"), "0441013597");
+    assert.equal(isbn13To10("9780804429573"), "080442957X");
+    assert.equal(isbn13To10("9791090636071"), null);
+  });
+
+  it("parses either form as typed into both forms", () => {
+    const dune = { isbn13: "9780441013593", isbn10: "0441013597" };
+    assert.deepEqual(parseIsbn("0-441-01359-7"), dune);
+    assert.deepEqual(parseIsbn("978-0-441-01359-3"), dune);
+    assert.deepEqual(parseIsbn("0-8044-2957-x"), { isbn13: "9780804429573", isbn10: "080442957X" });
+    assert.deepEqual(parseIsbn("979-10-90636-07-1"), { isbn13: "9791090636071", isbn10: null });
+
+    for (const text of ["", "0441013598", "9780441013594", "not an isbn", undefined]) {
+      assert.equal(parseIsbn(text), null, String(text));
+    }
+  });
+});
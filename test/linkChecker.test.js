@@ -0,0 +1,310 @@
+/**
+ * File Purpose:
+ * This file tests the shopping link checks: the checker's verdict on a link
+ * that works, one that is broken, one that redirects and one that does not
+ * answer in time, the address guard and the per-host rate limit on every
+ * redirect, a name that turns private between the check and the request, and
+ * the background job storing the results on the books.
+ *
+ * The checker talks to a local stub server, which the tests' address guard
+ * lets it reach, or to a fake fetch for hosts that do not exist. The job runs
+ * against an in-memory database (see helpers.js).
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * http - Runs the stub store the links point at
+ */
+const http = require("node:http");
+
+/**
+ * helpers - Build the app and create the user whose books are checked
+ */
+const { startApp, stopApp, createUser } = require("./helpers");
+
+/**
+ * createLinkChecker - The checker under test
+ */
+const createLinkChecker = require("../services/linkChecker");
+
+/**
+ * createAddressGuard - Builds a guard that lets the checker reach the stub server
+ */
+const { createAddressGuard } = require("../services/addressGuard");
+
+/**
+ * linkCheckJob - The background job under test
+ */
+const linkCheckJob = require("../services/linkCheckJob");
+
+/**
+ * Book - Adds the books with links and reads the stored results
+ */
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * TIMEOUT_MS - How long the checker waits for the stub server
+ */
+const TIMEOUT_MS = 200;
+
+/**
+ * STUB_ROUTES - How the stub server answers each path
+ */
+const STUB_ROUTES = {
+  "/ok": (req, res) => res.writeHead(200).end("In stock"),
+  "/missing": (req, res) => res.writeHead(404).end("Not found"),
+  "/no-head": (req, res) => res.writeHead(req.method === "HEAD" ? 405 : 200).end(),
+  "/moved": (req, res) => res.writeHead(301, { Location: "/ok" }).end(),
+  "/to-intranet": (req, res) => res.writeHead(302, { Location: "http://192.168.1.1/admin" }).end(),
+  "/loop": (req, res) => res.writeHead(302, { Location: "/loop" }).end(),
+  "/slow": (req, res) => setTimeout(() => res.writeHead(200).end(), TIMEOUT_MS * 5),
+};
+
+/**
+ * BOOK - A book with every field addBook needs apart from the link
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function creates an address guard that allows the stub server
+ * on the loopback address and nothing else that is not public.
+ *
+ * @returns {Object} - The address guard
+ */
+function stubGuard() {
+  return createAddressGuard({ isAllowed: (address) => address === "127.0.0.1" });
+}
+
+/**
+ * This helper function stands in for fetch for the made-up stores of the
+ * rate limit test: a.example.com redirects to b.example.com, which answers.
+ *
+ * @param {URL} url - The URL requested
+ * @returns {Promise<Object>} - A response with a status and headers
+ */
+async function fakeStoreFetch(url) {
+  if (url.host === "a.example.com") {
+    return { status: 302, headers: new Headers({ Location: `https://b.example.com${url.pathname}` }), body: null };
+  }
+  return { status: 200, headers: new Headers(), body: null };
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("link checks", () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  // Start the stub store on a free port
+  before(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url}`);
+      const route = STUB_ROUTES[req.url];
+      if (route) route(req, res);
+      else res.writeHead(404).end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe("checker", () => {
+    let checker;
+
+    before(() => {
+      checker = createLinkChecker({ addressGuard: stubGuard(), timeoutMs: TIMEOUT_MS, hostIntervalMs: 0 });
+    });
+
+    it("reports a link that answers as ok", async () => {
+      const result = await checker.checkUrl(`${baseUrl}/ok`);
+
+      assert.equal(result.status, "ok");
+      assert.equal(result.httpStatus, 200);
+      assert.equal(result.finalUrl, `${baseUrl}/ok`);
+      assert.equal(result.error, null);
+    });
+
+    it("reports an error answer as broken, after confirming it with GET", async () => {
+      requests.length = 0;
+      const result = await checker.checkUrl(`${baseUrl}/missing`);
+
+      assert.equal(result.status, "broken");
+      assert.equal(result.httpStatus, 404);
+      assert.deepEqual(requests, ["HEAD /missing", "GET /missing"]);
+
+      const fallback = await checker.checkUrl(`${baseUrl}/no-head`);
+      assert.equal(fallback.status, "ok");
+      assert.equal(fallback.httpStatus, 200);
+    });
+
+    it("follows a redirect and reports where it ends", async () => {
+      const result = await checker.checkUrl(`${baseUrl}/moved`);
+
+      assert.equal(result.status, "ok");
+      assert.equal(result.httpStatus, 200);
+      assert.equal(result.finalUrl, `${baseUrl}/ok`);
+    });
+
+    it("reports a link that does not answer in time as unreachable", async () => {
+      const result = await checker.checkUrl(`${baseUrl}/slow`);
+
+      assert.equal(result.status, "unreachable");
+      assert.equal(result.httpStatus, null);
+      assert.equal(result.error, `Timed out after ${TIMEOUT_MS} ms`);
+    });
+
+    it("reports a redirect to a private address, or an endless one, as broken", async () => {
+      const intranet = await checker.checkUrl(`${baseUrl}/to-intranet`);
+      assert.equal(intranet.status, "broken");
+      assert.match(intranet.error, /private or local addresses are not allowed: 192\.168\.1\.1/);
+
+      const loop = await checker.checkUrl(`${baseUrl}/loop`);
+      assert.equal(loop.status, "broken");
+      assert.match(loop.error, /More than \d+ redirects/);
+    });
+
+    it("does not request a name that turns private after it was checked", async () => {
+      requests.length = 0;
+      let lookups = 0;
+      const rebinding = createLinkChecker({
+        addressGuard: createAddressGuard({
+          lookup: async () => [{ address: lookups++ === 0 ? "93.184.216.34" : "127.0.0.1", family: 4 }],
+        }),
+        timeoutMs: TIMEOUT_MS,
+        hostIntervalMs: 0,
+      });
+
+      const result = await rebinding.checkUrl(`http://rebind.test:${new URL(baseUrl).port}/ok`);
+
+      assert.equal(result.status, "broken");
+      assert.match(result.error, /private or local addresses are not allowed: rebind\.test \(127\.0\.0\.1\)/);
+      assert.equal(lookups, 2);
+      assert.deepEqual(requests, []);
+    });
+
+    it("does not request a local address with the default guard", async () => {
+      requests.length = 0;
+      const guarded = createLinkChecker({ timeoutMs: TIMEOUT_MS, hostIntervalMs: 0 });
+      const result = await guarded.checkUrl(`${baseUrl}/ok`);
+
+      assert.equal(result.status, "broken");
+      assert.match(result.error, /private or local addresses are not allowed/);
+      assert.deepEqual(requests, []);
+    });
+
+    it("keeps the gap between requests to a host that a redirect leads to", async () => {
+      const waits = [];
+      const fetched = [];
+      const rateLimited = createLinkChecker({
+        fetch: async (url, options) => {
+          fetched.push(`${options.method} ${url.href}`);
+          return fakeStoreFetch(url);
+        },
+        addressGuard: createAddressGuard({ lookup: async () => [{ address: "93.184.216.34", family: 4 }] }),
+        hostIntervalMs: 60000,
+        wait: async (ms) => waits.push(ms),
+      });
+
+      const redirected = await rateLimited.checkUrl("https://a.example.com/dune");
+      assert.equal(redirected.finalUrl, "https://b.example.com/dune");
+      assert.deepEqual(waits, []);
+
+      // b.example.com was just reached through the redirect, so it has to wait
+      await rateLimited.checkUrl("https://b.example.com/emma");
+      assert.equal(waits.length, 1);
+      assert.ok(waits[0] > 59000 && waits[0] <= 60000, `waited ${waits[0]} ms`);
+      assert.deepEqual(fetched, [
+        "HEAD https://a.example.com/dune",
+        "HEAD https://b.example.com/dune",
+        "HEAD https://b.example.com/emma",
+      ]);
+    });
+  });
+
+  describe("job", () => {
+    let owner;
+
+    before(async () => {
+      await startApp();
+      owner = await createUser("reader@example.com");
+      linkCheckJob.setLinkChecker(
+        createLinkChecker({ addressGuard: stubGuard(), timeoutMs: TIMEOUT_MS, hostIntervalMs: 0 })
+      );
+    });
+
+    after(async () => {
+      linkCheckJob.setLinkChecker(null);
+      await stopApp();
+    });
+
+    it("checks the books' links and stores each result on its book", async () => {
+      const working = await Book.addBook(owner.id, { ...BOOK, shoppingUrl: `${baseUrl}/moved` });
+      const broken = await Book.addBook(owner.id, { ...BOOK, title: "Emma", shoppingUrl: `${baseUrl}/missing` });
+      const slow = await Book.addBook(owner.id, { ...BOOK, title: "Ubik", shoppingUrl: `${baseUrl}/slow` });
+      await Book.addBook(owner.id, { ...BOOK, title: "Solaris", shoppingUrl: null });
+
+      const summary = await linkCheckJob.runChecks({ all: true });
+
+      assert.equal(summary.checked, 3);
+      assert.equal(summary.ok, 1);
+      assert.equal(summary.broken, 1);
+      assert.equal(summary.unreachable, 1);
+      assert.deepEqual(linkCheckJob.getStatus().lastRun, summary);
+
+      const stored = await Book.getBookById(owner.id, working.id);
+      assert.equal(stored.linkStatus, "ok");
+      assert.equal(stored.linkFinalUrl, `${baseUrl}/ok`);
+      assert.equal((await Book.getBookById(owner.id, broken.id)).linkHttpStatus, 404);
+      assert.equal((await Book.getBookById(owner.id, slow.id)).linkStatus, "unreachable");
+    });
+
+    it("checks only the requested books", async () => {
+      const book = await Book.addBook(owner.id, { ...BOOK, title: "Kindred", shoppingUrl: `${baseUrl}/ok` });
+
+      const summary = await linkCheckJob.runChecks({ bookIds: [book.id] });
+
+      assert.equal(summary.checked, 1);
+      assert.equal((await Book.getBookById(owner.id, book.id)).linkStatus, "ok");
+    });
+  });
+});
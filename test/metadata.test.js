@@ -0,0 +1,267 @@
+/**
+ * File Purpose:
+ * This file tests the ISBN metadata service with the fixture provider:
+ * looking books up, filling in the blanks of a submitted book, choosing the
+ * providers from the settings, and the provider chain falling back to the
+ * next provider when one fails or does not answer in time.
+ *
+ * Nothing here goes to the network: the fixture provider reads
+ * data/isbn-fixtures.json and the other providers are stubs.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after, beforeEach } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * config - The path of the fixture file
+ */
+const config = require("../config");
+
+/**
+ * metadata - The service under test
+ */
+const metadata = require("../services/metadata");
+
+/**
+ * createFixtureProvider - The offline provider the lookups are tested with
+ */
+const createFixtureProvider = require("../services/metadata/fixtureProvider");
+
+/**
+ * createChainProvider - The provider chain under test
+ */
+const createChainProvider = require("../services/metadata/chainProvider");
+
+/**
+ * logger - Collects the warnings about failed providers
+ */
+const logger = require("../utils/logger");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DUNE - The ISBN-13 of a book in the fixture file
+ */
+const DUNE = "9780441013593";
+
+/**
+ * UNKNOWN - A valid ISBN-13 that is not in the fixture file
+ */
+const UNKNOWN = "9780804429573";
+
+/**
+ * TIMEOUT_MS - How long the chain waits for each provider in these tests
+ */
+const TIMEOUT_MS = 50;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function creates the fixture provider on the shipped fixture file.
+ *
+ * @returns {Object} - The provider
+ */
+function fixtureProvider() {
+  return createFixtureProvider({ fixturesPath: config.metadata.fixturesPath });
+}
+
+/**
+ * This helper function creates a provider that always fails, like a service
+ * that cannot be reached.
+ *
+ * @returns {Object} - The provider
+ */
+function failingProvider() {
+  return {
+    name: "down",
+    lookup: async () => {
+      throw new Error("Metadata lookup failed with HTTP 503");
+    },
+  };
+}
+
+/**
+ * This helper function creates a provider that never answers.
+ *
+ * @returns {Object} - The provider
+ */
+function hangingProvider() {
+  return { name: "hanging", lookup: () => new Promise(() => {}) };
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("ISBN metadata", () => {
+  const entries = [];
+
+  // Keep the warnings out of the test output and available to the tests
+  before(() => {
+    logger.setOutput((entry) => entries.push(entry));
+  });
+
+  after(() => {
+    logger.setOutput(null);
+    metadata.setMetadataProvider(null);
+  });
+
+  beforeEach(() => {
+    entries.length = 0;
+    metadata.setMetadataProvider(fixtureProvider());
+  });
+
+  describe("fixture provider", () => {
+    it("answers from the fixture file, and null for books it does not have", async () => {
+      const provider = fixtureProvider();
+
+      const dune = await provider.lookup(DUNE);
+      assert.equal(dune.title, "Dune");
+      assert.deepEqual(dune.authors, ["Frank Herbert"]);
+      assert.equal(dune.publisher, "Ace Books");
+      assert.equal(dune.pageCount, 528);
+      assert.equal(await provider.lookup(UNKNOWN), null);
+    });
+
+    it("hands out copies that callers cannot change", async () => {
+      const provider = createFixtureProvider({ fixtures: { [DUNE]: { title: "Dune", authors: ["Frank Herbert"] } } });
+
+      (await provider.lookup(DUNE)).authors.push("Someone Else");
+      assert.deepEqual((await provider.lookup(DUNE)).authors, ["Frank Herbert"]);
+    });
+  });
+
+  describe("lookups", () => {
+    it("looks a book up by either form of its ISBN", async () => {
+      const byIsbn10 = await metadata.lookupIsbn("0-441-01359-7");
+
+      assert.deepEqual(byIsbn10.isbn, { isbn13: DUNE, isbn10: "0441013597" });
+      assert.equal(byIsbn10.metadata.title, "Dune");
+      assert.equal((await metadata.lookupIsbn("978-0-441-01359-3")).metadata.title, "Dune");
+    });
+
+    it("does not ask the provider about an invalid ISBN", async () => {
+      metadata.setMetadataProvider(failingProvider());
+
+      assert.deepEqual(await metadata.lookupIsbn("0441013598"), { isbn: null, metadata: null });
+    });
+
+    it("fills only the blank fields of a submitted book", async () => {
+      const { input, outcome } = await metadata.enrichFromIsbn({ isbn: DUNE, title: "Dune (Deluxe)", author: "" });
+
+      assert.equal(outcome, "found");
+      assert.equal(input.title, "Dune (Deluxe)");
+      assert.equal(input.author, "Frank Herbert");
+      assert.equal(input.publisher, "Ace Books");
+      assert.equal(input.pageCount, "528");
+    });
+
+    it("reports what happened when nothing could be filled in", async () => {
+      assert.equal((await metadata.enrichFromIsbn({ isbn: "" })).outcome, "skipped");
+      assert.equal((await metadata.enrichFromIsbn({ isbn: "12345" })).outcome, "invalid");
+      assert.equal((await metadata.enrichFromIsbn({ isbn: UNKNOWN })).outcome, "not_found");
+
+      metadata.setMetadataProvider(failingProvider());
+      const failed = await metadata.enrichFromIsbn({ isbn: DUNE, title: "Dune" });
+      assert.equal(failed.outcome, "failed");
+      assert.deepEqual(failed.input, { isbn: DUNE, title: "Dune" });
+      assert.equal(entries[0].message, "ISBN lookup failed");
+    });
+  });
+
+  describe("provider settings", () => {
+    it("creates the provider, or the chain of providers, named in the settings", () => {
+      const settings = { ...config.metadata, provider: "fixture" };
+
+      assert.equal(metadata.createMetadataProvider(settings).name, "fixture");
+      const chain = metadata.createMetadataProvider({ ...settings, provider: "openlibrary, fixture" });
+      assert.equal(chain.name, "openlibrary,fixture");
+      assert.throws(() => metadata.createMetadataProvider({ ...settings, provider: "fixture,nowhere" }), /"nowhere"/);
+    });
+
+    it("falls back to the fixture file when the HTTP service cannot be reached", async () => {
+      const provider = metadata.createMetadataProvider({
+        ...config.metadata,
+        provider: "openlibrary,fixture",
+        timeoutMs: TIMEOUT_MS,
+        fetch: async () => {
+          throw new TypeError("fetch failed");
+        },
+      });
+
+      assert.equal((await provider.lookup(DUNE)).title, "Dune");
+      assert.equal(entries[0].provider, "openlibrary");
+      assert.equal(entries[0].error.message, "fetch failed");
+    });
+  });
+
+  describe("provider chain", () => {
+    it("returns the first provider's answer without asking the others", async () => {
+      let asked = false;
+      const second = {
+        name: "second",
+        lookup: async () => {
+          asked = true;
+          return null;
+        },
+      };
+      const chain = createChainProvider({ providers: [fixtureProvider(), second], timeoutMs: TIMEOUT_MS });
+
+      assert.equal((await chain.lookup(DUNE)).title, "Dune");
+      assert.equal(asked, false);
+    });
+
+    it("asks the next provider when one does not know the book", async () => {
+      const empty = { name: "empty", lookup: async () => null };
+      const chain = createChainProvider({ providers: [empty, fixtureProvider()], timeoutMs: TIMEOUT_MS });
+
+      assert.equal((await chain.lookup(DUNE)).title, "Dune");
+      assert.equal(await chain.lookup(UNKNOWN), null);
+      assert.deepEqual(entries, []);
+    });
+
+    it("falls back to the next provider when one fails", async () => {
+      const chain = createChainProvider({ providers: [failingProvider(), fixtureProvider()], timeoutMs: TIMEOUT_MS });
+
+      assert.equal((await chain.lookup(DUNE)).title, "Dune");
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].level, "warn");
+      assert.equal(entries[0].provider, "down");
+    });
+
+    it("falls back to the next provider when one does not answer in time", async () => {
+      const chain = createChainProvider({ providers: [hangingProvider(), fixtureProvider()], timeoutMs: TIMEOUT_MS });
+
+      assert.equal((await chain.lookup(DUNE)).title, "Dune");
+      assert.equal(entries[0].error.name, "TimeoutError");
+      assert.match(entries[0].error.message, /"hanging" provider did not answer within 50 ms/);
+    });
+
+    it("fails only when every provider failed", async () => {
+      const empty = { name: "empty", lookup: async () => null };
+
+      const allDown = createChainProvider({ providers: [hangingProvider(), failingProvider()], timeoutMs: TIMEOUT_MS });
+      await assert.rejects(allDown.lookup(DUNE), /HTTP 503/);
+
+      const oneAnswered = createChainProvider({ providers: [failingProvider(), empty], timeoutMs: TIMEOUT_MS });
+      assert.equal(await oneAnswered.lookup(DUNE), null);
+    });
+  });
+});
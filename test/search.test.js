@@ -0,0 +1,257 @@
+/**
+ * File Purpose:
+ * This file tests the search, sort and pagination of the book list: reading
+ * the options out of a query string, Book.searchBooks applying them, the
+ * home page's pagination links keeping the current search, and the JSON
+ * API describing the pages in its meta object.
+ *
+ * The app runs against an in-memory database (see helpers.js).
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, logIn } = require("./helpers");
+
+/**
+ * bookListQuery - The query string reader under test
+ */
+const { parseBookListQuery, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require("../validators/bookListQuery");
+
+/**
+ * Book - Sets up the books and searches them
+ */
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOKS - The books the tests search, in the order they are added
+ */
+const BOOKS = [
+  { title: "Dune", author: "Frank Herbert" },
+  { title: "Dune Messiah", author: "Frank Herbert" },
+  { title: "Children of Dune", author: "Frank Herbert" },
+  { title: "The Left Hand of Darkness", author: "Ursula K. Le Guin" },
+  { title: "100% Pure", author: "Ann Example" },
+  { title: "Anathem", author: "Neal Stephenson" },
+];
+
+/**
+ * BOOK - The fields of the books above that do not matter here
+ */
+const BOOK = {
+  costMinor: null,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: null,
+  coverUrl: null,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function lists the book titles shown on a page, in order.
+ *
+ * @param {String} html - The page
+ * @returns {Array<String>} - The titles
+ */
+function titlesOnPage(html) {
+  return [...html.matchAll(/<p class="text-title">([^<]*)<\/p>/g)].map((match) => match[1]);
+}
+
+/**
+ * This helper function lists the addresses of the pagination links on a
+ * page, with the HTML escapes of "&" and "=" undone.
+ *
+ * @param {String} html - The page
+ * @returns {Array<String>} - The link addresses, e.g. "/?q=dune&page=2"
+ */
+function pageLinks(html) {
+  const nav = html.slice(html.indexOf('<ul class="pagination'));
+  return [...nav.matchAll(/class="page-link" href="([^"]*)"/g)].map((match) =>
+    match[1].replace(/&amp;/g, "&").replace(/&#x3D;/g, "=")
+  );
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("reading the list options", () => {
+  it("fills in the defaults for an empty query string", () => {
+    const { options, errors } = parseBookListQuery({});
+
+    assert.deepEqual(errors, []);
+    assert.equal(options.q, "");
+    assert.equal(options.sort, "added");
+    assert.equal(options.order, "asc");
+    assert.equal(options.page, 1);
+    assert.equal(options.pageSize, DEFAULT_PAGE_SIZE);
+  });
+
+  it("reads valid options, trimming the search text and taking the last of repeated values", () => {
+    const { options, errors } = parseBookListQuery({
+      q: "  dune  ",
+      sort: "title",
+      order: "DESC",
+      page: ["1", "3"],
+      pageSize: "24",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(options.q, "dune");
+    assert.equal(options.sort, "title");
+    assert.equal(options.order, "desc");
+    assert.equal(options.page, 3);
+    assert.equal(options.pageSize, 24);
+  });
+
+  it("rejects invalid options and keeps the defaults in their place", () => {
+    const { options, errors } = parseBookListQuery({
+      sort: "price",
+      order: "sideways",
+      page: "0",
+      pageSize: String(MAX_PAGE_SIZE + 1),
+      q: "x".repeat(201),
+    });
+
+    assert.deepEqual(errors.map((error) => error.field).sort(), ["order", "page", "pageSize", "q", "sort"]);
+    assert.equal(options.sort, "added");
+    assert.equal(options.order, "asc");
+    assert.equal(options.page, 1);
+    assert.equal(options.pageSize, DEFAULT_PAGE_SIZE);
+    assert.equal(options.q, "");
+  });
+});
+
+describe("searching and paging the book list", () => {
+  let app;
+  let owner;
+  let stranger;
+
+  /**
+   * This helper function lists the titles of the owner's books that match a
+   * query string.
+   *
+   * @param {Object} query - The query string values, e.g. { q: "dune" }
+   * @returns {Promise<Array<String>>} - The matching titles, in list order
+   */
+  async function titles(query) {
+    const { books } = await Book.searchBooks(owner.id, parseBookListQuery(query).options);
+    return books.map((book) => book.title);
+  }
+
+  before(async () => {
+    app = await startApp();
+    owner = await createUser("reader@example.com");
+    stranger = await createUser("stranger@example.com");
+    for (const book of BOOKS) await Book.addBook(owner.id, { ...BOOK, ...book });
+    await Book.addBook(stranger.id, { ...BOOK, title: "Dune", author: "Frank Herbert" });
+  });
+
+  after(stopApp);
+
+  it("matches every search word in the title or the author, ignoring case", async () => {
+    assert.deepEqual(await titles({ q: "DUNE" }), ["Dune", "Dune Messiah", "Children of Dune"]);
+    assert.deepEqual(await titles({ q: "dune children" }), ["Children of Dune"]);
+    assert.deepEqual(await titles({ q: "herbert messiah" }), ["Dune Messiah"]);
+    assert.deepEqual(await titles({ q: "le guin" }), ["The Left Hand of Darkness"]);
+  });
+
+  it("matches % and _ literally rather than as wildcards", async () => {
+    assert.deepEqual(await titles({ q: "100%" }), ["100% Pure"]);
+    assert.deepEqual(await titles({ q: "%" }), ["100% Pure"]);
+    assert.deepEqual(await titles({ q: "_" }), []);
+  });
+
+  it("sorts by title, by author and by date added, either way round", async () => {
+    assert.deepEqual(await titles({ sort: "title", pageSize: "3" }), ["100% Pure", "Anathem", "Children of Dune"]);
+    assert.deepEqual(await titles({ sort: "title", order: "desc", pageSize: "2" }), [
+      "The Left Hand of Darkness",
+      "Dune Messiah",
+    ]);
+    assert.deepEqual(await titles({ sort: "author", pageSize: "2" }), ["100% Pure", "Dune"]);
+    assert.deepEqual(await titles({ order: "desc", pageSize: "2" }), ["Anathem", "100% Pure"]);
+  });
+
+  it("returns the requested page and the number of matches on all pages", async () => {
+    const options = parseBookListQuery({ sort: "title", pageSize: "4", page: "2" }).options;
+    const { books, total } = await Book.searchBooks(owner.id, options);
+
+    assert.equal(total, 6);
+    assert.deepEqual(
+      books.map((book) => book.title),
+      ["Dune Messiah", "The Left Hand of Darkness"]
+    );
+    assert.deepEqual(await titles({ pageSize: "4", page: "3" }), []);
+  });
+
+  it("keeps the search in the home page's pagination links", async () => {
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/?q=dune&sort=title&pageSize=12&page=1").expect(200);
+    assert.deepEqual(titlesOnPage(response.text), ["Children of Dune", "Dune", "Dune Messiah"]);
+    assert.equal(pageLinks(response.text).length, 0);
+
+    const { text } = await agent.get("/?sort=author&pageSize=2&page=2").expect(200);
+    // Books by the same author keep the order they were added in
+    assert.deepEqual(titlesOnPage(text), ["Dune Messiah", "Children of Dune"]);
+    assert.deepEqual(pageLinks(text), [
+      "/?sort=author&pageSize=2",
+      "/?sort=author&pageSize=2",
+      "/?sort=author&pageSize=2&page=2",
+      "/?sort=author&pageSize=2&page=3",
+      "/?sort=author&pageSize=2&page=3",
+    ]);
+    assert.match(text, /Page 2 of 3/);
+  });
+
+  it("falls back to the defaults on the home page for invalid options", async () => {
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/?sort=price&page=zero").expect(200);
+
+    assert.deepEqual(titlesOnPage(response.text), BOOKS.map((book) => book.title));
+  });
+
+  it("describes the pages in the API's meta object and rejects invalid options", async () => {
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/api/v1/books?sort=title&pageSize=4&page=2").expect(200);
+    assert.deepEqual(response.body.meta, { total: 6, page: 2, pageSize: 4, pageCount: 2 });
+    assert.deepEqual(
+      response.body.data.map((book) => book.title),
+      ["Dune Messiah", "The Left Hand of Darkness"]
+    );
+
+    const invalid = await agent.get("/api/v1/books?pageSize=1000").expect(422);
+    assert.equal(invalid.body.error.code, "validation_failed");
+    assert.deepEqual(
+      invalid.body.error.details.map((detail) => detail.field),
+      ["pageSize"]
+    );
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * File Purpose:
+ * This file tests share links: the page where users create and revoke them,
+ * and the read-only pages a link opens for visitors who are not logged in.
+ *
+ * It builds the app against an in-memory database (see helpers.js) and drives
+ * it with supertest, the owner through the forms and the visitor with plain
+ * requests and no session.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * supertest - Sends requests to the Express app without a listening server
+ */
+const request = require("supertest");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, csrfToken, logIn } = require("./helpers");
+
+/**
+ * Models - Used to set up books and links
+ */
+const Book = require("../models/Book");
+const BookNote = require("../models/BookNote");
+const ShareLink = require("../models/ShareLink");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  tags: ["sci-fi"],
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function creates a share link through the form.
+ *
+ * @param {Object} agent - The supertest agent of the owner
+ * @param {Object} fields - The form fields
+ * @returns {Promise<Object>} - The supertest response
+ */
+async function submitShare(agent, fields) {
+  const token = await csrfToken(agent, "/shares");
+  return agent.post("/shares").type("form").send({ ...fields, _csrf: token });
+}
+
+/**
+ * This helper function creates a share link directly through the model.
+ *
+ * @param {Number} ownerId - The ID of the user whose books the link shows
+ * @param {Object} [overrides] - The label, status, tags or expiresAt to use
+ * @returns {Promise<Object>} - The new link
+ */
+function createLink(ownerId, overrides = {}) {
+  return ShareLink.createShareLink(ownerId, { label: null, status: null, tags: [], expiresAt: null, ...overrides });
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("share links", () => {
+  let app;
+  let owner;
+  let agent;
+  let dune;
+  let hyperion;
+
+  // Build the app with a user who has a few books
+  before(async () => {
+    app = await startApp();
+
+    owner = await createUser("owner@example.com");
+    dune = await Book.addBook(owner.id, { ...BOOK, shoppingUrl: "https://books.example.com/dune" });
+    hyperion = await Book.addBook(owner.id, { ...BOOK, title: "Hyperion", tags: ["sci-fi", "book club"] });
+    await Book.addBook(owner.id, { ...BOOK, title: "Emma", tags: ["classics"] });
+    await BookNote.addNote(owner.id, dune.id, { kind: "note", body: "Private thoughts on spice", page: null });
+    agent = await logIn(app, "owner@example.com");
+  });
+
+  after(async () => {
+    await stopApp();
+  });
+
+  it("creates a link from the form and lists its address", async () => {
+    const response = await submitShare(agent, { label: "For the book club", tags: "Book Club", expiresIn: "7" });
+    const [link] = await ShareLink.listShareLinks(owner.id);
+    const page = await agent.get("/shares");
+
+    assert.equal(response.status, 302);
+    assert.equal(response.headers.location, "/shares");
+    assert.deepEqual(link.tags, ["book club"]);
+    assert.ok(link.expiresAt > new Date());
+    assert.match(link.token, /^[\w-]{43}$/);
+    assert.match(page.text, new RegExp(`/s/${link.token}`));
+  });
+
+  it("shows the form again with errors for an invalid link", async () => {
+    const response = await submitShare(agent, { status: "lost", expiresIn: "forever" });
+
+    assert.equal(response.status, 422);
+    assert.match(response.text, /Choose one of the listed statuses/);
+    assert.match(response.text, /Choose one of the listed lifetimes/);
+  });
+
+  it("shows visitors the selected books without any controls or private details", async () => {
+    const link = await createLink(owner.id, { tags: ["sci-fi"] });
+
+    const list = await request(app).get(`/s/${link.token}`);
+    const book = await request(app).get(`/s/${link.token}/book/${dune.id}`);
+
+    assert.equal(list.status, 200);
+    assert.match(list.text, /Dune/);
+    assert.match(list.text, /Hyperion/);
+    assert.doesNotMatch(list.text, /Emma/);
+    assert.equal(list.headers["x-robots-tag"], "noindex, nofollow");
+    assert.equal(list.headers["referrer-policy"], "no-referrer");
+
+    assert.equal(book.status, 200);
+    assert.match(book.text, /books\.example\.com\/dune/);
+    assert.doesNotMatch(book.text, /Private thoughts/);
+    for (const page of [list, book]) {
+      assert.doesNotMatch(page.text, /<form/);
+      assert.doesNotMatch(page.text, /\/edit\/|_method/);
+    }
+  });
+
+  it("does not start a session for visitors", async () => {
+    const link = await createLink(owner.id);
+
+    for (let visit = 0; visit < 3; visit += 1) {
+      const response = await request(app).get(`/s/${link.token}`);
+      assert.equal(response.status, 200);
+      assert.equal(response.headers["set-cookie"], undefined);
+    }
+
+    // A logged-in user still gets the token for the navbar's logout form
+    const page = await agent.get(`/s/${link.token}`);
+    assert.match(page.text, /name="_csrf" value="[^"]+"/);
+  });
+
+  it("hides books outside the link's selection from visitors", async () => {
+    const link = await createLink(owner.id, { tags: ["book club"] });
+
+    assert.equal((await request(app).get(`/s/${link.token}/book/${hyperion.id}`)).status, 200);
+    assert.equal((await request(app).get(`/s/${link.token}/book/${dune.id}`)).status, 404);
+  });
+
+  it("stops working once it has expired or been revoked", async () => {
+    const expired = await createLink(owner.id, { expiresAt: new Date(Date.now() - 1000) });
+    const revoked = await createLink(owner.id, { label: "Old" });
+
+    const token = await csrfToken(agent, "/shares");
+    const response = await agent.post(`/shares/${revoked.id}`).type("form").send({ _method: "DELETE", _csrf: token });
+
+    assert.equal(response.status, 302);
+    assert.equal((await request(app).get(`/s/${expired.token}`)).status, 404);
+    assert.equal((await request(app).get(`/s/${revoked.token}`)).status, 404);
+    assert.equal((await request(app).get("/s/not-a-token")).status, 404);
+  });
+
+  it("only lets the owner revoke a link", async () => {
+    const link = await createLink(owner.id);
+    await createUser("stranger@example.com");
+    const stranger = await logIn(app, "stranger@example.com");
+
+    const token = await csrfToken(stranger, "/shares");
+    const response = await stranger.post(`/shares/${link.id}`).type("form").send({ _method: "DELETE", _csrf: token });
+
+    assert.equal(response.status, 404);
+    assert.equal((await request(app).get(`/s/${link.token}`)).status, 200);
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * File Purpose:
+ * This file tests the shelves a user sorts their books onto: the Shelf model
+ * keeping names unique per user, counting and listing the books on each
+ * shelf, and the pages and forms in routes/shelves.js that create, rename
+ * and delete shelves and put books on them, including the 404 answered for
+ * another user's shelf.
+ *
+ * The app runs against an in-memory database (see helpers.js).
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the users, log them in and read CSRF tokens
+ */
+const { startApp, stopApp, createUser, logIn, csrfToken } = require("./helpers");
+
+/**
+ * shelfValidator - The shelf name check under test
+ */
+const { LIMITS, validateShelf } = require("../validators/shelfValidator");
+
+/**
+ * Models - Set up the shelves and books and check what the forms changed
+ */
+const Shelf = require("../models/Shelf");
+const Book = require("../models/Book");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+};
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("checking shelf names", () => {
+  it("trims the name and squeezes its spaces", () => {
+    assert.deepEqual(validateShelf({ name: "  Summer   2026 " }), { values: { name: "Summer 2026" }, errors: null });
+  });
+
+  it("refuses a missing, blank or overlong name", () => {
+    assert.deepEqual(validateShelf({}).errors, { name: "Name is required." });
+    assert.deepEqual(validateShelf({ name: "   " }).errors, { name: "Name is required." });
+    assert.equal(validateShelf({ name: "x".repeat(LIMITS.nameLength) }).errors, null);
+    assert.match(validateShelf({ name: "x".repeat(LIMITS.nameLength + 1) }).errors.name, /at most 60 characters/);
+  });
+});
+
+describe("shelves", () => {
+  let app;
+  let owner;
+  let stranger;
+
+  before(async () => {
+    app = await startApp();
+    owner = await createUser("reader@example.com");
+    stranger = await createUser("stranger@example.com");
+  });
+
+  after(stopApp);
+
+  describe("the Shelf model", () => {
+    it("keeps each user's shelf names unique, ignoring case", async () => {
+      const summer = await Shelf.createShelf(owner.id, "Summer");
+      await Shelf.createShelf(stranger.id, "Summer");
+
+      await assert.rejects(Shelf.createShelf(owner.id, "SUMMER"), {
+        code: "SHELF_NAME_TAKEN",
+        message: 'You already have a shelf called "SUMMER".',
+      });
+
+      const winter = await Shelf.createShelf(owner.id, "Winter");
+      await assert.rejects(Shelf.renameShelf(owner.id, winter.id, "summer"), { code: "SHELF_NAME_TAKEN" });
+      assert.equal((await Shelf.renameShelf(owner.id, summer.id, "summer")).name, "summer");
+      assert.equal(await Shelf.renameShelf(stranger.id, summer.id, "Mine now"), null);
+    });
+
+    it("lists the shelves alphabetically with the number of books on each, leaving out the trash", async () => {
+      const shelf = await Shelf.createShelf(owner.id, "archive");
+      const kept = await Book.addBook(owner.id, BOOK);
+      const trashed = await Book.addBook(owner.id, { ...BOOK, title: "Dune Messiah" });
+      assert.equal(await Shelf.addBookToShelf(owner.id, shelf.id, kept.id), true);
+      assert.equal(await Shelf.addBookToShelf(owner.id, shelf.id, kept.id), true);
+      assert.equal(await Shelf.addBookToShelf(owner.id, shelf.id, trashed.id), true);
+      await Book.deleteBook(owner.id, trashed.id);
+
+      const shelves = await Shelf.listShelves(owner.id);
+
+      assert.deepEqual(
+        shelves.map(({ name, bookCount }) => [name, bookCount]),
+        [
+          ["archive", 1],
+          ["summer", 0],
+          ["Winter", 0],
+        ]
+      );
+      assert.deepEqual(
+        (await Shelf.getShelfBooks(owner.id, shelf.id)).map((book) => book.title),
+        ["Dune"]
+      );
+      assert.deepEqual(
+        (await Shelf.getShelvesForBook(owner.id, kept.id)).map((found) => found.name),
+        ["archive"]
+      );
+    });
+
+    it("puts only the user's own books on the user's own shelves", async () => {
+      const mine = await Shelf.createShelf(owner.id, "Mine");
+      const theirs = await Shelf.createShelf(stranger.id, "Theirs");
+      const myBook = await Book.addBook(owner.id, BOOK);
+      const theirBook = await Book.addBook(stranger.id, BOOK);
+
+      assert.equal(await Shelf.addBookToShelf(owner.id, mine.id, theirBook.id), false);
+      assert.equal(await Shelf.addBookToShelf(owner.id, theirs.id, myBook.id), false);
+      assert.equal(await Shelf.removeBookFromShelf(owner.id, theirs.id, theirBook.id), false);
+      assert.deepEqual(await Shelf.getShelfBooks(owner.id, mine.id), []);
+      assert.deepEqual(await Shelf.getShelfBooks(owner.id, theirs.id), []);
+    });
+
+    it("leaves the books on the list when their shelf is deleted", async () => {
+      const shelf = await Shelf.createShelf(owner.id, "Short-lived");
+      const book = await Book.addBook(owner.id, { ...BOOK, title: "Kept" });
+      await Shelf.addBookToShelf(owner.id, shelf.id, book.id);
+
+      assert.equal((await Shelf.deleteShelf(owner.id, shelf.id)).name, "Short-lived");
+
+      assert.equal(await Shelf.getShelfById(owner.id, shelf.id), null);
+      assert.equal((await Book.getBookById(owner.id, book.id)).title, "Kept");
+      assert.deepEqual(await Shelf.getShelvesForBook(owner.id, book.id), []);
+      assert.equal(await Shelf.deleteShelf(owner.id, shelf.id), null);
+    });
+  });
+
+  describe("the shelf pages", () => {
+    let agent;
+
+    /**
+     * This helper function sends a shelf form with its token, the way the
+     * pages do, with the method in the hidden _method field.
+     *
+     * @param {String} path - The form's address
+     * @param {Object} [fields] - The form fields
+     * @returns {Promise<Object>} - The supertest response
+     */
+    async function submit(path, fields = {}) {
+      const token = await csrfToken(agent, "/shelves");
+      return agent.post(path).type("form").send({ ...fields, _csrf: token });
+    }
+
+    before(async () => {
+      agent = await logIn(app, "reader@example.com");
+    });
+
+    it("creates a shelf and shows it", async () => {
+      const response = await submit("/shelves", { name: "  To   lend " });
+
+      assert.equal(response.status, 302);
+      const shelf = (await Shelf.listShelves(owner.id)).find((found) => found.name === "To lend");
+      assert.equal(response.headers.location, `/shelves/${shelf.id}`);
+
+      const page = await agent.get(response.headers.location).expect(200);
+      assert.match(page.text, /<h1>To lend<\/h1>/);
+      assert.match(page.text, /This shelf is empty\./);
+    });
+
+    it("shows the form again for a blank name or one the user already has", async () => {
+      const blank = await submit("/shelves", { name: " " });
+      assert.equal(blank.status, 422);
+      assert.match(blank.text, /Name is required\./);
+
+      const taken = await submit("/shelves", { name: "to LEND" });
+      assert.equal(taken.status, 422);
+      assert.match(taken.text, /You already have a shelf called &quot;to LEND&quot;\./);
+      assert.match(taken.text, /name="name" value="to LEND"/);
+    });
+
+    it("renames a shelf, and puts a book on it and takes it off again", async () => {
+      const shelf = await Shelf.createShelf(owner.id, "Rename me");
+      const book = await Book.addBook(owner.id, { ...BOOK, title: "Shelved" });
+
+      const renamed = await submit(`/shelves/${shelf.id}`, { _method: "PUT", name: "Renamed" });
+      assert.equal(renamed.status, 302);
+      assert.equal((await Shelf.getShelfById(owner.id, shelf.id)).name, "Renamed");
+
+      const added = await submit(`/shelves/${shelf.id}/books`, { bookId: String(book.id) });
+      assert.equal(added.status, 302);
+      assert.equal(added.headers.location, `/book/${book.id}`);
+      const page = await agent.get(`/shelves/${shelf.id}`).expect(200);
+      assert.match(page.text, /<p class="text-title">Shelved<\/p>/);
+
+      const removed = await submit(`/shelves/${shelf.id}/books/${book.id}`, {
+        _method: "DELETE",
+        next: "https://elsewhere.example/",
+      });
+      assert.equal(removed.status, 302);
+      assert.equal(removed.headers.location, "/");
+      assert.deepEqual(await Shelf.getShelfBooks(owner.id, shelf.id), []);
+
+      const deleted = await submit(`/shelves/${shelf.id}`, { _method: "DELETE" });
+      assert.equal(deleted.headers.location, "/shelves");
+      assert.equal(await Shelf.getShelfById(owner.id, shelf.id), null);
+    });
+
+    it("answers 404 for another user's shelf and leaves it alone", async () => {
+      const theirs = await Shelf.createShelf(stranger.id, "Private");
+      const myBook = await Book.addBook(owner.id, BOOK);
+
+      assert.equal((await agent.get(`/shelves/${theirs.id}`)).status, 404);
+      assert.equal((await agent.get("/shelves/not-a-number")).status, 404);
+      assert.equal((await submit(`/shelves/${theirs.id}`, { _method: "PUT", name: "Taken" })).status, 404);
+      assert.equal((await submit(`/shelves/${theirs.id}/books`, { bookId: String(myBook.id) })).status, 404);
+      assert.equal((await submit(`/shelves/${theirs.id}`, { _method: "DELETE" })).status, 404);
+      assert.equal((await Shelf.getShelfById(stranger.id, theirs.id)).name, "Private");
+      assert.deepEqual(await Shelf.getShelfBooks(stranger.id, theirs.id), []);
+    });
+
+    it("refuses a shelf form without the CSRF token", async () => {
+      const response = await agent.post("/shelves").type("form").send({ name: "Forged" });
+
+      assert.equal(response.status, 403);
+      assert.equal((await Shelf.listShelves(owner.id)).some((shelf) => shelf.name === "Forged"), false);
+    });
+  });
+});
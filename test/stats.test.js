@@ -0,0 +1,277 @@
+/**
+ * File Purpose:
+ * This file tests the reading figures worked out by services/readingStats.js:
+ * a book's progress and estimated finish date, the progress towards a
+ * monthly or yearly reading goal, and the charts, streak, average cost and
+ * totals on the statistics page, along with the page itself and its goal
+ * form.
+ *
+ * The calculations are given a fixed "today" (Wednesday 14 October 2026),
+ * and finish times are built in the server's time zone, so the figures do
+ * not depend on when or where the tests run. The page runs against an
+ * in-memory database (see helpers.js).
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the user, log them in and read CSRF tokens
+ */
+const { startApp, stopApp, createUser, logIn, csrfToken } = require("./helpers");
+
+/**
+ * readingStats - The calculations under test
+ */
+const { bookProgress, goalProgress, buildDashboard } = require("../services/readingStats");
+
+/**
+ * dates - Writes today's date for the sessions logged through the models
+ */
+const { toDateKey } = require("../utils/dates");
+
+/**
+ * Models - Set up the books and sessions shown on the statistics page
+ */
+const Book = require("../models/Book");
+const ReadingSession = require("../models/ReadingSession");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * TODAY - The day the calculations are run on, a Wednesday
+ */
+const TODAY = "2026-10-14";
+
+/**
+ * BOOKS - Books finished on the first and last evening of October, one
+ * finished in September, one still being read and one not started, with
+ * costs in two currencies
+ */
+const BOOKS = [
+  { status: "finished", finishedAt: new Date(2026, 9, 1, 9), costMinor: 1500, currency: "USD" },
+  { status: "finished", finishedAt: new Date(2026, 9, 31, 23), costMinor: 2000, currency: "JPY" },
+  { status: "finished", finishedAt: new Date(2026, 8, 30, 20), costMinor: null, currency: "USD" },
+  { status: "reading", finishedAt: new Date(2026, 9, 2), costMinor: null, currency: "USD" },
+  { status: "to-read", finishedAt: null, costMinor: null, currency: "USD" },
+];
+
+/**
+ * SESSIONS - Sessions on three days in a row up to yesterday, one the week
+ * before, and one too old for the chart
+ */
+const SESSIONS = [
+  { readOn: "2026-10-13", pagesRead: 10, minutes: 20 },
+  { readOn: "2026-10-12", pagesRead: 20, minutes: null },
+  { readOn: "2026-10-11", pagesRead: 15, minutes: 30 },
+  { readOn: "2026-10-09", pagesRead: 5, minutes: 10 },
+  { readOn: "2025-01-01", pagesRead: 100, minutes: 60 },
+];
+
+/**
+ * BOOK - The details of the books the statistics page test sets up
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+};
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("a book's progress", () => {
+  it("estimates the finish date from the pace since the first session", () => {
+    const sessions = [
+      { readOn: "2026-10-10", pagesRead: 60 },
+      { readOn: "2026-10-13", pagesRead: 60 },
+    ];
+
+    // 120 pages over the 5 days from the 10th to today is 24 a day; 180 pages left take 8 more days
+    assert.deepEqual(bookProgress({ pageCount: 300, currentPage: 120 }, sessions, TODAY), {
+      currentPage: 120,
+      pageCount: 300,
+      percent: 40,
+      pagesLeft: 180,
+      pagesPerDay: 24,
+      estimatedFinish: "2026-10-22",
+    });
+  });
+
+  it("leaves out what cannot be known without a page count or any sessions", () => {
+    assert.deepEqual(bookProgress({ pageCount: null, currentPage: 50 }, [], TODAY), {
+      currentPage: 50,
+      pageCount: null,
+      percent: null,
+      pagesLeft: null,
+      pagesPerDay: null,
+      estimatedFinish: null,
+    });
+    assert.equal(bookProgress({ pageCount: 300, currentPage: 30 }, [], TODAY).estimatedFinish, null);
+  });
+
+  it("stops at the last page", () => {
+    const progress = bookProgress({ pageCount: 100, currentPage: 150 }, [{ readOn: TODAY, pagesRead: 150 }], TODAY);
+
+    assert.equal(progress.currentPage, 100);
+    assert.equal(progress.percent, 100);
+    assert.equal(progress.pagesLeft, 0);
+    assert.equal(progress.estimatedFinish, null);
+  });
+});
+
+describe("progress towards a reading goal", () => {
+  it("counts the books finished in the current month, from its first to its last day", () => {
+    assert.deepEqual(goalProgress(BOOKS, { goalPeriod: "monthly", goalBooks: 3 }, TODAY), {
+      period: "monthly",
+      label: "October 2026",
+      goalBooks: 3,
+      finished: 2,
+      remaining: 1,
+      percent: 66,
+      met: false,
+      startsOn: "2026-10-01",
+      endsOn: "2026-10-31",
+    });
+  });
+
+  it("counts the whole year for a yearly goal and stops the bar at 100%", () => {
+    const progress = goalProgress(BOOKS, { goalPeriod: "yearly", goalBooks: 2 }, TODAY);
+
+    assert.equal(progress.label, "2026");
+    assert.equal(progress.finished, 3);
+    assert.equal(progress.remaining, 0);
+    assert.equal(progress.percent, 100);
+    assert.equal(progress.met, true);
+    assert.deepEqual([progress.startsOn, progress.endsOn], ["2026-01-01", "2026-12-31"]);
+  });
+
+  it("ends a February goal on the leap day and has no progress without a goal", () => {
+    assert.equal(goalProgress([], { goalPeriod: "monthly", goalBooks: 1 }, "2028-02-10").endsOn, "2028-02-29");
+    assert.equal(goalProgress(BOOKS, { goalPeriod: null, goalBooks: null }, TODAY), null);
+    assert.equal(goalProgress(BOOKS, { goalPeriod: "monthly", goalBooks: 0 }, TODAY), null);
+  });
+});
+
+describe("the statistics dashboard", () => {
+  const stats = buildDashboard(BOOKS, SESSIONS, { today: TODAY, currency: "USD" });
+
+  it("counts the finished books in each of the last twelve months", () => {
+    const months = stats.finishedPerMonth;
+
+    assert.equal(months.length, 12);
+    assert.equal(months[0].label, "Nov 2025");
+    assert.deepEqual(months.slice(-2), [
+      { key: "2026-09", label: "Sep 2026", value: 1, percent: 50 },
+      { key: "2026-10", label: "Oct 2026", value: 2, percent: 100 },
+    ]);
+  });
+
+  it("adds up the pages in each of the last twelve weeks, starting on Monday", () => {
+    const weeks = stats.pagesPerWeek;
+
+    assert.equal(weeks.length, 12);
+    assert.deepEqual(weeks.slice(-2), [
+      { key: "2026-10-05", label: "Oct 5", value: 20, percent: 67 },
+      { key: "2026-10-12", label: "Oct 12", value: 30, percent: 100 },
+    ]);
+    assert.equal(
+      weeks.reduce((total, week) => total + week.value, 0),
+      50
+    );
+  });
+
+  it("keeps a streak alive until a day is missed", () => {
+    assert.equal(stats.streak, 3);
+    assert.equal(buildDashboard([], [...SESSIONS, { readOn: TODAY, pagesRead: 1 }], { today: TODAY }).streak, 4);
+    assert.equal(buildDashboard([], SESSIONS, { today: "2026-10-15" }).streak, 0);
+  });
+
+  it("averages the costs that are known, in the user's currency", () => {
+    // $15.00 and ¥2000 (about $13.38)
+    assert.equal(stats.averageCostMinor, 1419);
+    assert.equal(stats.currency, "USD");
+    assert.equal(buildDashboard(BOOKS.slice(2), [], { today: TODAY }).averageCostMinor, null);
+  });
+
+  it("adds up the totals", () => {
+    assert.deepEqual(stats.totals, { books: 5, finished: 3, sessions: 5, pages: 150, minutes: 120 });
+  });
+});
+
+describe("the statistics page", () => {
+  let agent;
+
+  /**
+   * This helper function sends the goal form with its token, the way the
+   * page does, as PUT through the hidden _method field.
+   *
+   * @param {Object} fields - The form fields
+   * @returns {Promise<Object>} - The supertest response
+   */
+  async function saveGoal(fields) {
+    const token = await csrfToken(agent, "/stats");
+    return agent.post("/stats").type("form").send({ ...fields, _method: "PUT", _csrf: token });
+  }
+
+  before(async () => {
+    const app = await startApp();
+    const owner = await createUser("reader@example.com");
+    const finished = await Book.addBook(owner.id, BOOK);
+    const reading = await Book.addBook(owner.id, { ...BOOK, title: "Dune Messiah" });
+    await Book.changeStatus(owner.id, finished.id, "reading");
+    await Book.changeStatus(owner.id, finished.id, "finished");
+    await ReadingSession.logSession(owner.id, reading.id, { readOn: toDateKey(), pagesRead: 30, minutes: 45 });
+    agent = await logIn(app, "reader@example.com");
+  });
+
+  after(stopApp);
+
+  it("shows the figures worked out from the user's books and sessions", async () => {
+    const response = await agent.get("/stats").expect(200);
+
+    assert.match(response.text, /<div class="stat-value">1 \/ 2<\/div>/);
+    assert.match(response.text, /<div class="stat-value">30<\/div>\s*<div class="text-muted">pages logged in 1 sess/);
+    assert.doesNotMatch(response.text, /aria-label="Reading goal"/);
+  });
+
+  it("saves a reading goal and shows the progress towards it", async () => {
+    const saved = await saveGoal({ goalPeriod: "monthly", goalBooks: "2" });
+    assert.equal(saved.status, 302);
+    assert.equal(saved.headers.location, "/stats");
+
+    const response = await agent.get("/stats").expect(200);
+    assert.match(response.text, /Finished 1 of 2 books by/);
+    assert.match(response.text, /1 to go\./);
+  });
+
+  it("shows the form again for a goal that is not a whole number of books", async () => {
+    const response = await saveGoal({ goalPeriod: "yearly", goalBooks: "2.5" });
+
+    assert.equal(response.status, 422);
+    assert.match(response.text, /Goal must be a whole number of books from 1 to 1000\./);
+    assert.match(response.text, /Finished 1 of 2 books by/);
+  });
+});
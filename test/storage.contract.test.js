@@ -0,0 +1,463 @@
+/**
+ * File Purpose:
+ * This file is the contract test suite for the storage drivers. The same
+ * tests run against every driver db/index.js offers, so the models behave
+ * the same whichever one a deployment chooses.
+ *
+ * Each driver starts from an empty database of its own: the "sqlite" and
+ * "json" drivers in a file in a temporary directory, the "memory" driver in
+ * memory. The real data in data/ is never touched. The last contract test
+ * reopens the database, which the file drivers must keep and the "memory"
+ * driver must empty; the tests after the contract check the JSON file itself.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after, beforeEach } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * fs, os, path - Used to make and remove the temporary database directory
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * config - The backup settings the JSON file tests point at the temporary directory
+ */
+const config = require("../config");
+
+/**
+ * db - The database module whose storage drivers are under test
+ */
+const db = require("../db");
+
+/**
+ * backup - Backs up and recovers the JSON file
+ */
+const { recover, backup, listBackups } = require("../db/backup");
+
+/**
+ * Models - The data access modules the contract is written against
+ */
+const User = require("../models/User");
+const Book = require("../models/Book");
+const Trash = require("../models/Trash");
+const BookRevision = require("../models/BookRevision");
+const ReadingSession = require("../models/ReadingSession");
+
+/**
+ * bookListQuery - Builds complete search options from a query string
+ */
+const { parseBookListQuery } = require("../validators/bookListQuery");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DRIVERS - The storage drivers the contract runs against, each with a
+ * function that sets up its storage settings, one that cleans up after it,
+ * and whether its data outlives the connection
+ */
+const DRIVERS = [
+  {
+    name: "sqlite",
+    persistent: true,
+    setUp() {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "readinglist-test-"));
+      return { driver: "sqlite", path: path.join(this.dir, "test.sqlite") };
+    },
+    tearDown() {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    },
+  },
+  {
+    name: "memory",
+    persistent: false,
+    setUp() {
+      return { driver: "memory" };
+    },
+    tearDown() {},
+  },
+  {
+    name: "json",
+    persistent: true,
+    setUp() {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "readinglist-test-"));
+      return { driver: "json", jsonPath: path.join(this.dir, "test.json") };
+    },
+    tearDown() {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    },
+  },
+];
+
+/**
+ * DUNE - The details of a book the tests add
+ */
+const DUNE = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  tags: ["classic", "sci-fi"],
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function searches a user's books with the home page's options.
+ *
+ * @param {Number} ownerId - The user whose books are searched
+ * @param {Object} query - The query string values, e.g. { q: "dune" }
+ * @returns {Promise<Array<Object>>} - The matching books
+ */
+async function search(ownerId, query) {
+  const { books } = await Book.searchBooks(ownerId, parseBookListQuery(query).options);
+  return books;
+}
+
+/**
+ * This helper function waits a little.
+ *
+ * @param {Number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * This helper function registers the contract tests for one storage driver.
+ *
+ * @param {Object} driver - One of DRIVERS
+ */
+function storageContract(driver) {
+  describe(`${driver.name} storage`, () => {
+    let settings;
+    let owner;
+    let stranger;
+
+    // Start from an empty database of the driver's own
+    before(async () => {
+      await db.close();
+      settings = driver.setUp();
+      db.connect(settings);
+      await db.migrate();
+      owner = await User.createUser({ email: "owner@example.com", password: "password123" });
+      stranger = await User.createUser({ email: "stranger@example.com", password: "password123" });
+    });
+
+    after(async () => {
+      await db.close();
+      driver.tearDown();
+    });
+
+    it("stores a book and reads it back with its tags", async () => {
+      const added = await Book.addBook(owner.id, DUNE);
+      const found = await Book.getBookById(owner.id, added.id);
+
+      assert.equal(found.title, "Dune");
+      assert.equal(found.costMinor, 1299);
+      assert.equal(found.status, "to-read");
+      assert.deepEqual(found.tags, ["classic", "sci-fi"]);
+    });
+
+    it("gives every book its own ID, even when many are added at once", async () => {
+      const added = await Promise.all(
+        Array.from({ length: 25 }, (unused, index) => Book.addBook(owner.id, { ...DUNE, title: `Copy ${index}` }))
+      );
+
+      assert.equal(new Set(added.map((book) => book.id)).size, 25);
+    });
+
+    it("updates only the given fields and keeps the tags without a tags list", async () => {
+      const added = await Book.addBook(owner.id, DUNE);
+      const updated = await Book.updateBook(owner.id, added.id, { title: "Dune Messiah" });
+
+      assert.equal(updated.title, "Dune Messiah");
+      assert.equal(updated.author, "Frank Herbert");
+      assert.deepEqual(updated.tags, ["classic", "sci-fi"]);
+    });
+
+    it("keeps each user's books out of reach of other users", async () => {
+      const added = await Book.addBook(owner.id, DUNE);
+
+      assert.equal(await Book.getBookById(stranger.id, added.id), undefined);
+      assert.equal(await Book.updateBook(stranger.id, added.id, { title: "Taken" }), null);
+      assert.equal(await Book.deleteBook(stranger.id, added.id), null);
+      assert.equal((await Book.getBookById(owner.id, added.id)).title, "Dune");
+    });
+
+    it("keeps a write made while another request's transaction rolls back", async () => {
+      const failing = db.transaction(async (transaction) => {
+        await db.connect().query("UPDATE users SET currency = 'JPY' WHERE id = ?", {
+          replacements: [stranger.id],
+          transaction,
+        });
+        await delay(20);
+        throw new Error("Changed my mind");
+      });
+      const write = User.updatePreferences(stranger.id, { currency: "EUR", locale: "de-DE" });
+
+      await assert.rejects(failing, /Changed my mind/);
+      await write;
+      assert.equal((await User.getUserById(stranger.id)).currency, "EUR");
+    });
+
+    it("finds books by words in the title and by tag", async () => {
+      await Book.addBook(owner.id, { ...DUNE, title: "Hyperion", author: "Dan Simmons", tags: ["space-opera"] });
+
+      const byWord = await search(owner.id, { q: "hyperion" });
+      const byTag = await search(owner.id, { tag: "space-opera" });
+
+      assert.deepEqual(byWord.map((book) => book.title), ["Hyperion"]);
+      assert.deepEqual(byTag.map((book) => book.title), ["Hyperion"]);
+      assert.deepEqual(await search(stranger.id, { q: "hyperion" }), []);
+    });
+
+    it("moves a deleted book to the trash and restores it", async () => {
+      const added = await Book.addBook(owner.id, { ...DUNE, title: "Solaris" });
+      await Book.deleteBook(owner.id, added.id);
+
+      assert.equal(await Book.getBookById(owner.id, added.id), undefined);
+      assert.ok((await Trash.listTrash(owner.id)).some((book) => book.id === added.id));
+
+      await Trash.restoreBook(owner.id, added.id);
+      assert.equal((await Book.getBookById(owner.id, added.id)).title, "Solaris");
+    });
+
+    it("purges a book in the trash for good", async () => {
+      const added = await Book.addBook(owner.id, { ...DUNE, title: "Ubik" });
+      await Book.deleteBook(owner.id, added.id);
+      await Trash.purgeBook(owner.id, added.id);
+
+      assert.equal(await Trash.restoreBook(owner.id, added.id), null);
+      assert.deepEqual(await BookRevision.getRevisions(owner.id, added.id), []);
+    });
+
+    it("moves books through the status workflow and refuses moves it does not allow", async () => {
+      const added = await Book.addBook(owner.id, DUNE);
+
+      const reading = await Book.changeStatus(owner.id, added.id, "reading");
+      assert.equal(reading.status, "reading");
+      assert.ok(reading.startedAt);
+
+      await assert.rejects(Book.changeStatus(owner.id, added.id, "bogus"), { code: "INVALID_STATUS_TRANSITION" });
+      const history = await Book.getStatusHistory(owner.id, added.id);
+      assert.deepEqual(history.map((change) => change.toStatus), ["to-read", "reading"]);
+    });
+
+    it("records every change as a revision and reverts to an earlier one", async () => {
+      const added = await Book.addBook(owner.id, DUNE);
+      await Book.updateBook(owner.id, added.id, { title: "Children of Dune", costMinor: 1599 });
+
+      const revisions = await BookRevision.getRevisions(owner.id, added.id);
+      assert.deepEqual(revisions.map((revision) => revision.action), ["update", "create"]);
+      assert.deepEqual(revisions[0].changes.costMinor, { from: 1299, to: 1599 });
+      assert.equal(revisions[0].actorEmail, "owner@example.com");
+
+      const reverted = await Book.revertBook(owner.id, added.id, revisions[1].id);
+      assert.equal(reverted.title, "Dune");
+      assert.equal(reverted.costMinor, 1299);
+    });
+
+    it("records status changes and reading progress as revisions, which a revert leaves alone", async () => {
+      const added = await Book.addBook(owner.id, DUNE);
+      await Book.changeStatus(owner.id, added.id, "reading");
+      await ReadingSession.logSession(owner.id, added.id, { readOn: "2026-10-18", pagesRead: 40, minutes: 30 });
+      await ReadingSession.logSession(owner.id, added.id, { readOn: "2026-10-19", pagesRead: 500, minutes: 90 });
+
+      const revisions = await BookRevision.getRevisions(owner.id, added.id);
+      assert.deepEqual(
+        revisions.map((revision) => revision.action),
+        ["progress", "progress", "status", "create"]
+      );
+      assert.deepEqual(revisions[0].changes, { currentPage: { from: 40, to: 412 } });
+      assert.deepEqual(revisions[2].changes, { status: { from: "to-read", to: "reading" } });
+      assert.deepEqual(revisions[3].changes.status, { from: null, to: "to-read" });
+      assert.equal(revisions[3].changes.currentPage, undefined);
+
+      // A session that does not move the current page past the page count is not recorded
+      await ReadingSession.logSession(owner.id, added.id, { readOn: "2026-10-19", pagesRead: 5, minutes: 5 });
+      assert.equal((await BookRevision.getRevisions(owner.id, added.id)).length, 4);
+
+      const reverted = await Book.revertBook(owner.id, added.id, revisions[3].id);
+      assert.equal(reverted.status, "reading");
+      assert.equal(reverted.currentPage, 412);
+    });
+
+    it(`${driver.persistent ? "keeps" : "drops"} the data when the database is closed and opened again`, async () => {
+      const added = await Book.addBook(owner.id, { ...DUNE, title: "Kindred", tags: ["time-travel"] });
+      await Book.changeStatus(owner.id, added.id, "reading");
+
+      await db.close();
+      db.connect(settings);
+      await db.migrate();
+
+      const found = await Book.getBookById(owner.id, added.id);
+      if (!driver.persistent) {
+        assert.equal(found, undefined);
+        assert.equal(await User.getUserById(owner.id), null);
+        return;
+      }
+      assert.equal(found.title, "Kindred");
+      assert.equal(found.status, "reading");
+      assert.deepEqual(found.tags, ["time-travel"]);
+      assert.deepEqual(
+        (await Book.getStatusHistory(owner.id, added.id)).map((change) => change.toStatus),
+        ["to-read", "reading"]
+      );
+      assert.equal((await User.getUserById(owner.id)).email, "owner@example.com");
+
+      // The reopened database goes on giving out new IDs after the old ones
+      const next = await Book.addBook(owner.id, DUNE);
+      assert.ok(next.id > added.id);
+    });
+  });
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+DRIVERS.forEach(storageContract);
+
+describe("json storage file", () => {
+  const savedStorage = config.storage;
+  const savedBackup = config.backup;
+  let dir;
+  let settings;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "readinglist-test-"));
+  });
+
+  after(async () => {
+    await db.close();
+    config.storage = savedStorage;
+    config.backup = savedBackup;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await db.close();
+    settings = { driver: "json", jsonPath: path.join(dir, `test-${Date.now()}.json`) };
+    config.storage = { ...savedStorage, ...settings };
+    config.backup = { ...savedBackup, dir: path.join(dir, `backups-${Date.now()}`), keep: 2 };
+  });
+
+  it("writes the data to the file after each change, and leaves no temporary file", async () => {
+    db.connect(settings);
+    await db.migrate();
+    const owner = await User.createUser({ email: "owner@example.com", password: "password123" });
+    await Book.addBook(owner.id, DUNE);
+    await db.close();
+
+    const saved = JSON.parse(fs.readFileSync(settings.jsonPath, "utf8"));
+    assert.equal(saved.format, 1);
+    assert.ok(saved.migrations.includes("20261019000001-create-books.js"));
+    assert.deepEqual(saved.tables.users.map((user) => user.email), ["owner@example.com"]);
+    assert.deepEqual(saved.tables.books.map((book) => book.title), ["Dune"]);
+    assert.deepEqual(saved.tables.tags.map((tag) => tag.name).sort(), ["classic", "sci-fi"]);
+    assert.equal(fs.existsSync(`${settings.jsonPath}.tmp`), false);
+  });
+
+  it("backs up the file and keeps only the newest BACKUP_KEEP copies", async () => {
+    assert.equal(await backup(), null);
+
+    db.connect(settings);
+    await db.migrate();
+    await User.createUser({ email: "owner@example.com", password: "password123" });
+    const made = [];
+    for (let hour = 10; hour < 13; hour += 1) made.push(await backup(new Date(`2026-10-19T${hour}:00:00Z`)));
+    await db.close();
+
+    assert.equal(db.storagePath(), ":memory:");
+    assert.deepEqual(listBackups(settings.jsonPath), made.slice(1).reverse());
+    assert.match(made[2], /test-\d+-20261019-120000-000\.json$/);
+    assert.deepEqual(fs.readFileSync(made[2], "utf8"), fs.readFileSync(settings.jsonPath, "utf8"));
+  });
+
+  it("sets a damaged file aside at startup and restores the newest good backup", async () => {
+    db.connect(settings);
+    await db.migrate();
+    await User.createUser({ email: "owner@example.com", password: "password123" });
+    const good = await backup(new Date("2026-10-18T10:00:00Z"));
+    await db.close();
+    fs.writeFileSync(good.replace("20261018", "20261019"), JSON.stringify({ format: 99 }));
+    fs.writeFileSync(settings.jsonPath, "{ not json");
+
+    const result = await recover();
+
+    assert.equal(result.status, "restored");
+    assert.equal(result.backup, good);
+    assert.equal(fs.readFileSync(result.setAside, "utf8"), "{ not json");
+    db.connect(settings);
+    await db.migrate();
+    assert.ok(await User.authenticate("owner@example.com", "password123"));
+  });
+
+  it("starts empty at startup when a damaged file has no backup", async () => {
+    fs.writeFileSync(settings.jsonPath, "{ not json");
+
+    const result = await recover();
+
+    assert.equal(result.status, "new");
+    assert.equal(fs.existsSync(settings.jsonPath), false);
+    db.connect(settings);
+    await db.migrate();
+    assert.equal(await User.authenticate("owner@example.com", "password123"), null);
+  });
+
+  it("leaves a good file alone at startup", async () => {
+    db.connect(settings);
+    await db.migrate();
+    await db.close();
+
+    assert.deepEqual(await recover(), { status: "ok", file: settings.jsonPath, backup: null, setAside: null });
+  });
+
+  it("refuses to open a file it cannot read, and leaves the file as it was", async () => {
+    fs.writeFileSync(settings.jsonPath, "{ not json");
+    db.connect(settings);
+
+    await assert.rejects(db.migrate(), /is not valid JSON/);
+    await db.close();
+    assert.equal(fs.readFileSync(settings.jsonPath, "utf8"), "{ not json");
+
+    fs.writeFileSync(settings.jsonPath, JSON.stringify({ format: 99, migrations: [], tables: {} }));
+    db.connect(settings);
+    await assert.rejects(db.migrate(), /not a reading list data file of format 1/);
+  });
+});
+
+describe("storage configuration", () => {
+  it("refuses a storage driver it does not know", async () => {
+    await db.close();
+    assert.throws(
+      () => db.connect({ driver: "floppy" }),
+      /Unknown storage driver "floppy"; use one of: sqlite, memory, json/
+    );
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * File Purpose:
+ * This file tests the trash retention policy carried out by
+ * services/trashPurgeJob.js: the cut-off before which deleted books have
+ * expired, the purge removing only those books (for every user) along with
+ * the tags nothing else uses, a retention of 0 days keeping the trash as it
+ * is, and the scheduled job purging straight away when it starts.
+ *
+ * The app runs against an in-memory database (see helpers.js). Books are
+ * made to look deleted long ago by moving their deletion time back.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after, afterEach } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, logIn } = require("./helpers");
+
+/**
+ * config - The retention period the tests change
+ */
+const config = require("../config");
+
+/**
+ * db - Moves the deletion time of trashed books back
+ */
+const db = require("../db");
+
+/**
+ * trashPurgeJob - The retention policy under test
+ */
+const trashPurgeJob = require("../services/trashPurgeJob");
+
+/**
+ * Models - Set up, delete and look for the books and their tags
+ */
+const Book = require("../models/Book");
+const Tag = require("../models/Tag");
+const Trash = require("../models/Trash");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DAY_MS - One day in milliseconds
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * BOOK - The details of the books the tests set up
+ */
+const BOOK = {
+  author: "Someone",
+  costMinor: null,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: null,
+  coverUrl: null,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function adds a book and moves it to the trash some days ago.
+ *
+ * @param {Number} ownerId - The ID of the user the book belongs to
+ * @param {String} title - The book title
+ * @param {Number} daysAgo - How many days ago it was deleted
+ * @param {Array<String>} [tags] - The book's tags
+ * @returns {Promise<Object>} - The book
+ */
+async function trashBook(ownerId, title, daysAgo, tags = []) {
+  const book = await Book.addBook(ownerId, { ...BOOK, title, tags });
+  await Book.deleteBook(ownerId, book.id);
+  await db
+    .model("Book")
+    .update({ deletedAt: new Date(Date.now() - daysAgo * DAY_MS) }, { where: { id: book.id }, paranoid: false });
+  return book;
+}
+
+/**
+ * This helper function lists the titles in a user's trash.
+ *
+ * @param {Number} ownerId - The ID of the user
+ * @returns {Promise<Array<String>>} - The titles, most recently deleted first
+ */
+async function trashTitles(ownerId) {
+  return (await Trash.listTrash(ownerId)).map((book) => book.title);
+}
+
+/**
+ * This helper function waits a little.
+ *
+ * @param {Number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("the trash purge job", () => {
+  const savedTrash = config.trash;
+  let app;
+  let owner;
+  let stranger;
+
+  before(async () => {
+    app = await startApp();
+    owner = await createUser("reader@example.com");
+    stranger = await createUser("stranger@example.com");
+  });
+
+  afterEach(() => {
+    trashPurgeJob.stop();
+    config.trash = savedTrash;
+  });
+
+  after(stopApp);
+
+  it("works out the cut-off from the retention period, or none for 0 days", () => {
+    const now = new Date("2026-10-19T12:00:00Z");
+
+    config.trash = { ...savedTrash, retentionDays: 30 };
+    assert.equal(trashPurgeJob.expiryCutoff(now).toISOString(), "2026-09-19T12:00:00.000Z");
+
+    config.trash = { ...savedTrash, retentionDays: 0 };
+    assert.equal(trashPurgeJob.expiryCutoff(now), null);
+  });
+
+  it("purges every user's expired books and their unused tags, and nothing else", async () => {
+    config.trash = { ...savedTrash, retentionDays: 30 };
+    await Book.addBook(owner.id, { ...BOOK, title: "On the list", tags: ["kept"] });
+    await trashBook(owner.id, "Long gone", 31, ["kept", "orphaned"]);
+    await trashBook(owner.id, "Recently deleted", 29);
+    await trashBook(stranger.id, "Theirs, long gone", 45);
+
+    assert.equal(await trashPurgeJob.purgeExpired(), 2);
+
+    assert.deepEqual(await trashTitles(owner.id), ["Recently deleted"]);
+    assert.deepEqual(await trashTitles(stranger.id), []);
+    assert.deepEqual(
+      (await Book.getAllBooks(owner.id)).map((book) => book.title),
+      ["On the list"]
+    );
+    assert.deepEqual(
+      (await Tag.listTags(owner.id)).map((tag) => tag.name),
+      ["kept"]
+    );
+    assert.equal(await trashPurgeJob.purgeExpired(), 0);
+  });
+
+  it("keeps the trash as it is when the retention is 0 days", async () => {
+    config.trash = { ...savedTrash, retentionDays: 0 };
+    await trashBook(stranger.id, "Kept forever", 3650);
+
+    assert.equal(await trashPurgeJob.purgeExpired(), 0);
+
+    trashPurgeJob.start();
+    await delay(50);
+    assert.deepEqual(await trashTitles(stranger.id), ["Kept forever"]);
+  });
+
+  it("purges straight away when the scheduled job starts, even if it is started twice", async () => {
+    config.trash = { ...savedTrash, retentionDays: 7, purgeIntervalMinutes: 60 };
+    await trashBook(stranger.id, "Expired at startup", 8);
+
+    trashPurgeJob.start();
+    trashPurgeJob.start();
+
+    // The first purge is not awaited by start(), so wait for the trash to empty
+    for (let tries = 0; tries < 50 && (await trashTitles(stranger.id)).length; tries += 1) await delay(20);
+    assert.deepEqual(await trashTitles(stranger.id), []);
+  });
+
+  it("no longer shows a purged book on the trash page", async () => {
+    config.trash = { ...savedTrash, retentionDays: 30 };
+    await trashBook(owner.id, "Shown in the trash", 1);
+    await trashBook(owner.id, "Purged from the trash", 60);
+    await trashPurgeJob.purgeExpired();
+    const agent = await logIn(app, "reader@example.com");
+
+    const response = await agent.get("/trash").expect(200);
+
+    assert.match(response.text, /<strong>Shown in the trash<\/strong>/);
+    assert.doesNotMatch(response.text, /Purged from the trash/);
+  });
+});
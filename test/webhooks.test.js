@@ -0,0 +1,322 @@
+/**
+ * File Purpose:
+ * This file tests the webhooks: that the book events are posted, signed, to
+ * the webhooks that want them, that failed deliveries are retried and end up
+ * in the dead-letter log from where they can be sent again, and that the
+ * webhooks API and pages only ever show a user their own webhooks.
+ *
+ * It builds the app against an in-memory database (see helpers.js), starts the
+ * webhook job with a fake fetch that records the requests, and drives the
+ * app with supertest.
+ *
+ * Run with: npm test
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * node:test - The test runner built into Node.js
+ */
+const { describe, it, before, after, beforeEach } = require("node:test");
+
+/**
+ * assert - Node.js built-in assertions, in strict mode
+ */
+const assert = require("node:assert/strict");
+
+/**
+ * crypto - Checks the signatures the way a receiver would
+ */
+const crypto = require("node:crypto");
+
+/**
+ * helpers - Build the app, create the users and log them in
+ */
+const { startApp, stopApp, createUser, csrfToken, logIn } = require("./helpers");
+
+/**
+ * Book - Used to change books
+ */
+const Book = require("../models/Book");
+
+/**
+ * webhookJob - Sends the deliveries, with the fake fetch swapped in
+ */
+const webhookJob = require("../services/webhookJob");
+
+/**
+ * webhookSender - Builds the sender around the fake fetch
+ */
+const { createWebhookSender } = require("../services/webhookSender");
+
+/**
+ * addressGuard - Built around the fake DNS lookup
+ */
+const { createAddressGuard } = require("../services/addressGuard");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BOOK - The details of the books the tests add
+ */
+const BOOK = {
+  title: "Dune",
+  author: "Frank Herbert",
+  costMinor: 1299,
+  currency: "USD",
+  shoppingUrl: null,
+  isbn13: null,
+  publisher: null,
+  pageCount: 412,
+  coverUrl: null,
+  targetFinishDate: null,
+  tags: [],
+};
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * sent - The requests the fake fetch received: { url, headers, body }
+ */
+let sent = [];
+
+/**
+ * answerStatus - The HTTP status the fake fetch answers with
+ */
+let answerStatus = 204;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function stands in for fetch: it records the request and
+ * answers with answerStatus.
+ *
+ * @param {String} url - The webhook's address
+ * @param {Object} options - The request options
+ * @returns {Promise<Response>} - An empty response
+ */
+async function fakeFetch(url, options) {
+  sent.push({ url, headers: options.headers, body: options.body });
+  return new Response(null, { status: answerStatus });
+}
+
+/**
+ * This helper function registers a webhook through the API.
+ *
+ * @param {Object} agent - The supertest agent of the owner
+ * @param {String} url - The webhook's address
+ * @param {Array<String>} events - The events it wants
+ * @returns {Promise<Object>} - The webhook, with its secret
+ */
+async function addWebhook(agent, url, events) {
+  const response = await agent.post("/api/v1/webhooks").send({ url, events });
+  assert.equal(response.status, 201);
+  return response.body.data;
+}
+
+/**
+ * This helper function stands in for the DNS lookup: every name resolves to
+ * a public address, except the ones under internal.example.com.
+ *
+ * @param {String} hostname - The name to resolve
+ * @returns {Promise<Array<Object>>} - Its addresses, as dns.promises.lookup returns them
+ */
+async function fakeLookup(hostname) {
+  const address = hostname.endsWith("internal.example.com") ? "10.0.0.5" : "93.184.216.34";
+  return [{ address, family: 4 }];
+}
+
+/**
+ * This helper function returns the requests sent to one address.
+ *
+ * @param {String} url - The webhook's address
+ * @returns {Array<Object>} - The recorded requests
+ */
+function sentTo(url) {
+  return sent.filter((entry) => entry.url === url);
+}
+
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+// MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION -- MAIN PROGRAM EXECUTION
+
+describe("webhooks", () => {
+  let app;
+  let owner;
+  let agent;
+  let stranger;
+
+  // Build the app with two users and the webhook job sending through the fake fetch
+  before(async () => {
+    app = await startApp({ webhooks: { pollSeconds: 0, retryBaseSeconds: 0, maxAttempts: 3 } });
+
+    owner = await createUser("owner@example.com");
+    await createUser("stranger@example.com");
+    agent = await logIn(app, "owner@example.com");
+    stranger = await logIn(app, "stranger@example.com");
+
+    const addressGuard = createAddressGuard({ lookup: fakeLookup });
+    webhookJob.setWebhookSender(createWebhookSender({ fetch: fakeFetch, addressGuard }));
+    webhookJob.start();
+  });
+
+  beforeEach(() => {
+    sent = [];
+    answerStatus = 204;
+  });
+
+  after(async () => {
+    webhookJob.stop();
+    await webhookJob.flush();
+    webhookJob.setWebhookSender(null);
+    await stopApp();
+  });
+
+  it("posts a signed event to the webhook when a book is added", async () => {
+    const webhook = await addWebhook(agent, "https://hooks.example.com/added", ["book.created"]);
+
+    const book = await Book.addBook(owner.id, BOOK);
+    await webhookJob.flush();
+
+    const [delivery] = sentTo(webhook.url);
+    assert.equal(sentTo(webhook.url).length, 1);
+    assert.equal(delivery.headers["X-Webhook-Event"], "book.created");
+    const body = JSON.parse(delivery.body);
+    assert.equal(body.event, "book.created");
+    assert.equal(body.book.id, book.id);
+    assert.equal(body.book.title, "Dune");
+
+    // The receiver can check the signature with the secret it was given
+    const signed = `${delivery.headers["X-Webhook-Timestamp"]}.${delivery.body}`;
+    const expected = crypto.createHmac("sha256", webhook.secret).update(signed).digest("hex");
+    assert.equal(delivery.headers["X-Webhook-Signature"], `sha256=${expected}`);
+
+    const history = await agent.get(`/webhooks/${webhook.id}/deliveries`);
+    assert.equal(history.status, 200);
+    assert.match(history.text, /Book added:<\/strong> Dune/);
+    assert.match(history.text, /Delivered/);
+  });
+
+  it("only sends the events a webhook asked for", async () => {
+    const webhook = await addWebhook(agent, "https://hooks.example.com/deleted", ["book.deleted"]);
+    const book = await Book.addBook(owner.id, { ...BOOK, title: "Emma" });
+    await Book.updateBook(owner.id, book.id, { ...BOOK, title: "Emma (annotated)" });
+    await webhookJob.flush();
+    assert.equal(sentTo(webhook.url).length, 0);
+
+    await Book.deleteBook(owner.id, book.id);
+    await webhookJob.flush();
+
+    const [delivery] = sentTo(webhook.url);
+    assert.equal(sentTo(webhook.url).length, 1);
+    assert.equal(JSON.parse(delivery.body).event, "book.deleted");
+  });
+
+  it("retries a failing delivery, gives up after the last attempt and sends it again on request", async () => {
+    const webhook = await addWebhook(agent, "https://hooks.example.com/failing", ["book.created"]);
+    answerStatus = 500;
+
+    await Book.addBook(owner.id, { ...BOOK, title: "Middlemarch" });
+    await webhookJob.flush();
+    await webhookJob.runDeliveries();
+    await webhookJob.runDeliveries();
+    assert.equal(sentTo(webhook.url).length, 3);
+
+    // The delivery is in the dead-letter log and no longer tried
+    await webhookJob.runDeliveries();
+    assert.equal(sentTo(webhook.url).length, 3);
+    const failed = await agent.get(`/api/v1/webhooks/${webhook.id}/deliveries?status=failed`);
+    assert.equal(failed.body.data.length, 1);
+    const [delivery] = failed.body.data;
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.responseStatus, 500);
+    assert.equal(delivery.error, "Answered with HTTP 500");
+    assert.equal(delivery.payload.book.title, "Middlemarch");
+
+    // Retrying it from the delivery history sends it again
+    answerStatus = 200;
+    const path = `/webhooks/${webhook.id}/deliveries`;
+    const token = await csrfToken(agent, path);
+    const retried = await agent.post(`${path}/${delivery.id}/retry`).type("form").send({ _csrf: token });
+    assert.equal(retried.status, 302);
+    await webhookJob.flush();
+
+    assert.equal(sentTo(webhook.url).length, 4);
+    const delivered = await agent.get(`/api/v1/webhooks/${webhook.id}/deliveries?status=delivered`);
+    assert.deepEqual(
+      delivered.body.data.map((entry) => entry.id),
+      [delivery.id]
+    );
+  });
+
+  it("doubles the wait before each retry", () => {
+    assert.equal(webhookJob.retryDelayMs(1, 30), 30000);
+    assert.equal(webhookJob.retryDelayMs(2, 30), 60000);
+    assert.equal(webhookJob.retryDelayMs(3, 30), 120000);
+  });
+
+  it("rejects webhooks without a usable address or any events", async () => {
+    const response = await agent.post("/api/v1/webhooks").send({ url: "ftp://example.com", events: [] });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.error.code, "validation_failed");
+    const fields = response.body.error.details.map((detail) => detail.field).sort();
+    assert.deepEqual(fields, ["events", "url"]);
+
+    const deliveries = await agent.get("/api/v1/webhooks/1/deliveries?status=sent");
+    assert.equal(deliveries.status, 422);
+  });
+
+  it("refuses webhooks on local or private network addresses", async () => {
+    const addresses = [
+      "http://127.0.0.1:6379/",
+      "http://localhost/hook",
+      "http://169.254.169.254/latest/meta-data/",
+      "https://10.1.2.3/hook",
+      "http://192.168.0.10/hook",
+      "http://[::1]/hook",
+      "http://[fd00::1]/hook",
+      "http://[::ffff:127.0.0.1]/hook",
+      "http://2130706433/hook",
+    ];
+
+    for (const url of addresses) {
+      const response = await agent.post("/api/v1/webhooks").send({ url, events: ["book.created"] });
+      assert.equal(response.status, 422, url);
+      assert.equal(response.body.error.details[0].field, "url");
+    }
+  });
+
+  it("does not post to a name that resolves to a private address", async () => {
+    const webhook = await addWebhook(agent, "https://hooks.internal.example.com/", ["book.created"]);
+
+    await Book.addBook(owner.id, { ...BOOK, title: "Persuasion" });
+    await webhookJob.flush();
+
+    assert.equal(sentTo(webhook.url).length, 0);
+    const history = await agent.get(`/api/v1/webhooks/${webhook.id}/deliveries`);
+    assert.match(history.body.data[0].error, /private or local addresses are not allowed/);
+  });
+
+  it("keeps each user's webhooks to themselves", async () => {
+    const webhook = await addWebhook(agent, "https://hooks.example.com/private", ["book.updated"]);
+
+    const listed = await stranger.get("/api/v1/webhooks");
+    assert.deepEqual(listed.body.data, []);
+    assert.equal((await stranger.get(`/api/v1/webhooks/${webhook.id}`)).status, 404);
+    assert.equal((await stranger.delete(`/api/v1/webhooks/${webhook.id}`)).status, 404);
+    assert.equal((await stranger.get(`/webhooks/${webhook.id}/deliveries`)).status, 404);
+
+    // The owner can delete it, after which it is gone
+    assert.equal((await agent.delete(`/api/v1/webhooks/${webhook.id}`)).status, 204);
+    assert.equal((await agent.get(`/api/v1/webhooks/${webhook.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * File Purpose:
+ * This file provides a small wrapper for async route handlers.
+ *
+ * Utility Purpose:
+ * Express 4 does not notice when an async handler's Promise rejects, so a
+ * failed database call would leave the request hanging. Wrapping a handler
+ * with asyncHandler forwards any rejection to next(), where Express's error
+ * handling takes over.
+ */
+
+/**
+ * This function wraps an async Express handler so that a rejected Promise is
+ * passed to next() instead of being silently dropped.
+ *
+ * @param {Function} handler - An Express handler that may return a Promise
+ * @returns {Function} - An Express handler that forwards rejections to next()
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = asyncHandler;
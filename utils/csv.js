@@ -0,0 +1,123 @@
+/**
+ * File Purpose:
+ * This file reads and writes CSV (comma-separated values) text, the format
+ * spreadsheets and Goodreads use for exports.
+ *
+ * Utility Purpose:
+ * parseCsv follows RFC 4180: fields may be wrapped in double quotes, a quoted
+ * field may contain commas, line breaks and doubled quotes (""), and lines may
+ * end in CRLF or LF. toCsv produces the same format.
+ *
+ * toCsv also defuses "formula injection": spreadsheet programs run a cell
+ * that starts with =, +, - or @ as a formula, so such cells are prefixed
+ * with an apostrophe, which spreadsheets treat as "show this as text".
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * FORMULA_PREFIX - Characters that make a spreadsheet treat a cell as a formula
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function parses CSV text into rows of fields.
+ *
+ * A leading byte order mark is ignored, and lines that are completely empty
+ * are skipped.
+ *
+ * @param {String} text - The CSV text
+ * @returns {Array<Array<String>>} - One array of field values per row
+ * @throws {Error} - When a quoted field is never closed
+ */
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Close the current field and, optionally, the current row
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      // Inside quotes, only a quote is special: "" is a literal quote
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n") {
+      endRow();
+    } else if (char === "\r") {
+      // A CR is a line ending on its own or as part of CRLF
+      if (input[i + 1] === "\n") i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error("The CSV file has a quoted field that is never closed.");
+
+  // The last line may not end with a line break
+  if (field !== "" || row.length) endRow();
+
+  return rows;
+}
+
+/**
+ * This function turns one value into a CSV field, quoting it when needed and
+ * defusing values a spreadsheet would run as a formula.
+ *
+ * @param {*} value - The value to write
+ * @returns {String} - The CSV field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * This function turns rows of values into CSV text with CRLF line endings.
+ *
+ * @param {Array<Array>} rows - The rows to write, the header row first
+ * @returns {String} - The CSV text
+ */
+function toCsv(rows) {
+  return rows.map((row) => row.map(toCsvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  parseCsv,
+  toCsv,
+};
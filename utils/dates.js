@@ -0,0 +1,100 @@
+/**
+ * File Purpose:
+ * This file works with calendar days written as "YYYY-MM-DD" text, the form
+ * reading sessions are logged and stored in.
+ *
+ * Utility Purpose:
+ * A reading session belongs to a day, not to a moment, so the statistics
+ * count days rather than hours. Days are taken in the server's time zone and
+ * turned into plain day numbers for arithmetic, which avoids the hour that
+ * goes missing or repeats when daylight saving time starts or ends.
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * DATE_KEY_PATTERN - A day written as "YYYY-MM-DD"
+ */
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * MS_PER_DAY - The number of milliseconds in a day
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function writes the local calendar day of a moment as "YYYY-MM-DD".
+ *
+ * @param {Date} [date] - The moment, now by default
+ * @returns {String} - The day, e.g. "2026-10-19"
+ */
+function toDateKey(date = new Date()) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * This function checks that text is a real day written as "YYYY-MM-DD",
+ * which rules out days such as "2026-02-30".
+ *
+ * @param {String} text - The text to check
+ * @returns {Boolean} - Whether the text is a valid day
+ */
+function isDateKey(text) {
+  const match = DATE_KEY_PATTERN.exec(String(text));
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * This function turns a day into a day number, so that the number of days
+ * between two days is a plain subtraction.
+ *
+ * @param {String} key - The day as "YYYY-MM-DD"
+ * @returns {Number} - The number of days since 1970-01-01
+ */
+function toDayNumber(key) {
+  const [, year, month, day] = DATE_KEY_PATTERN.exec(key).map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+}
+
+/**
+ * This function turns a day number back into a day.
+ *
+ * @param {Number} dayNumber - The number of days since 1970-01-01
+ * @returns {String} - The day as "YYYY-MM-DD"
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * This function adds a number of days to a day.
+ *
+ * @param {String} key - The day as "YYYY-MM-DD"
+ * @param {Number} days - The number of days to add, which may be negative
+ * @returns {String} - The resulting day as "YYYY-MM-DD"
+ */
+function addDays(key, days) {
+  return fromDayNumber(toDayNumber(key) + days);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  toDateKey,
+  isDateKey,
+  toDayNumber,
+  fromDayNumber,
+  addDays,
+};
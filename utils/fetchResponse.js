@@ -0,0 +1,61 @@
+/**
+ * File Purpose:
+ * This file holds what the services that make outgoing HTTP requests share:
+ * the link checker (services/linkChecker.js) and the webhook sender
+ * (services/webhookSender.js).
+ *
+ * Utility Purpose:
+ * Both record why a request failed in a short text column, and both throw
+ * away answers they do not read, so an unread body never keeps a connection
+ * busy or downloads a whole page.
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * ERROR_LENGTH - The longest error text kept, matching the books' linkError
+ * column and the webhook deliveries' error column
+ */
+const ERROR_LENGTH = 200;
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function describes why a request got no answer.
+ *
+ * @param {Error} error - The error fetch rejected with
+ * @param {Number} timeoutMs - The timeout that was in force
+ * @returns {String} - A short description, e.g. "Timed out after 10000 ms"
+ */
+function describeError(error, timeoutMs) {
+  if (error.name === "TimeoutError" || error.name === "AbortError") return `Timed out after ${timeoutMs} ms`;
+  const cause = error.cause && (error.cause.code || error.cause.message);
+  return String(cause ? `${error.message}: ${cause}` : error.message).slice(0, ERROR_LENGTH);
+}
+
+/**
+ * This function throws away a response body that will not be read.
+ *
+ * @param {Object} response - The fetch response
+ * @returns {Promise<void>}
+ */
+async function discardBody(response) {
+  try {
+    if (response.body && typeof response.body.cancel === "function") await response.body.cancel();
+  } catch (error) {
+    // The body is not needed, so a failure to cancel it does not matter
+  }
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  describeError,
+  discardBody,
+};
@@ -0,0 +1,32 @@
+/**
+ * File Purpose:
+ * This file creates the errors a handler raises to answer with an HTTP error
+ * status, such as 404 Not Found for a book that does not exist.
+ *
+ * Utility Purpose:
+ * A handler throws (or passes to next()) the error, and the application's
+ * error middleware (see middleware/errorHandler.js) answers with the matching
+ * error page, or with the JSON error envelope for JSON clients. The message
+ * is meant for the user and is shown as it is.
+ */
+
+/**
+ * This function creates an error that answers the request with an HTTP
+ * error status.
+ *
+ * @param {Number} status - The HTTP status code, e.g. 404
+ * @param {String} message - What went wrong, shown to the user
+ * @returns {Error} - The error, with "status" and "expose" set
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.expose = true;
+  return error;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = httpError;
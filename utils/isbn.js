@@ -0,0 +1,137 @@
+/**
+ * File Purpose:
+ * This file validates ISBNs and converts between the 10-digit and 13-digit
+ * forms.
+ *
+ * Utility Purpose:
+ * People type ISBNs with hyphens and spaces, and either form may be printed on
+ * a book. parseIsbn accepts both, checks the check digit, and always returns
+ * the ISBN-13 (which is what the database stores and the metadata providers
+ * look up) together with the ISBN-10 when one exists.
+ *
+ * ISBN-10 check digit: the digits weighted 10 down to 1 must sum to a
+ * multiple of 11, with "X" standing for 10 in the last position.
+ * ISBN-13 check digit: the digits weighted alternately 1 and 3 must sum to a
+ * multiple of 10. Only ISBN-13s starting with 978 have an ISBN-10 form.
+ */
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function computes the check digit of the first nine digits of
+ * an ISBN-10.
+ *
+ * @param {String} digits - Nine digits
+ * @returns {String} - The check digit, "0" to "9" or "X"
+ */
+function isbn10CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 9; i += 1) sum += Number(digits[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+}
+
+/**
+ * This helper function computes the check digit of the first twelve digits
+ * of an ISBN-13.
+ *
+ * @param {String} digits - Twelve digits
+ * @returns {String} - The check digit, "0" to "9"
+ */
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i += 1) sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function removes the hyphens and spaces people type in ISBNs and
+ * upper-cases a trailing "x".
+ *
+ * @param {String} text - The ISBN as typed
+ * @returns {String} - The bare digits (and possibly a final "X")
+ */
+function normalizeIsbn(text) {
+  return String(text || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+}
+
+/**
+ * This function checks an ISBN-10, including its check digit.
+ *
+ * @param {String} isbn - A normalized ISBN
+ * @returns {Boolean} - True when it is a valid ISBN-10
+ */
+function isValidIsbn10(isbn) {
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+}
+
+/**
+ * This function checks an ISBN-13, including its check digit.
+ *
+ * @param {String} isbn - A normalized ISBN
+ * @returns {Boolean} - True when it is a valid ISBN-13
+ */
+function isValidIsbn13(isbn) {
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+}
+
+/**
+ * This function converts a valid ISBN-10 into its ISBN-13 form.
+ *
+ * @param {String} isbn10 - A valid, normalized ISBN-10
+ * @returns {String} - The matching ISBN-13
+ */
+function isbn10To13(isbn10) {
+  const body = `978${isbn10.slice(0, 9)}`;
+  return body + isbn13CheckDigit(body);
+}
+
+/**
+ * This function converts a valid ISBN-13 into its ISBN-10 form. Only
+ * ISBN-13s in the 978 range have one.
+ *
+ * @param {String} isbn13 - A valid, normalized ISBN-13
+ * @returns {String|null} - The matching ISBN-10, or null for 979 ISBNs
+ */
+function isbn13To10(isbn13) {
+  if (!isbn13.startsWith("978")) return null;
+  const body = isbn13.slice(3, 12);
+  return body + isbn10CheckDigit(body);
+}
+
+/**
+ * This function reads an ISBN in either form.
+ *
+ * @param {String} text - The ISBN as typed, e.g. "0-441-01359-7"
+ * @returns {Object|null} - { isbn13, isbn10 } (isbn10 is null for 979 ISBNs),
+ *                          or null when the text is not a valid ISBN
+ */
+function parseIsbn(text) {
+  const isbn = normalizeIsbn(text);
+
+  if (isValidIsbn13(isbn)) return { isbn13: isbn, isbn10: isbn13To10(isbn) };
+  if (isValidIsbn10(isbn)) return { isbn13: isbn10To13(isbn), isbn10: isbn };
+
+  return null;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  parseIsbn,
+};
@@ -0,0 +1,109 @@
+/**
+ * File Purpose:
+ * This file writes the application's structured logs.
+ *
+ * Utility Purpose:
+ * Every log line is a single JSON object, so the logs can be searched and
+ * filtered by field rather than by text, e.g.
+ *
+ *   {"time":"2026-10-19T17:25:00.123Z","level":"info","message":"request",
+ *    "requestId":"...","method":"GET","path":"/","status":200,"durationMs":4.2}
+ *
+ * Lines at "warn" and "error" go to stderr and the rest to stdout, unless
+ * setOutput sends them somewhere else, e.g. to a list in tests. Lines less
+ * severe than the LOG_LEVEL setting are not written at all.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * config - The least severe level that is written
+ */
+const config = require("../config");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LEVELS - The log levels from least to most severe; "silent" is above all
+ * of them, so it writes nothing
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * output - Receives each log entry instead of stdout and stderr, while set
+ */
+let output = null;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function writes one log line, unless its level is below the
+ * configured one. An unknown configured level counts as "info".
+ *
+ * @param {String} level - "debug", "info", "warn" or "error"
+ * @param {String} message - What happened, e.g. "request"
+ * @param {Object} [fields] - Details to include in the line
+ */
+function write(level, message, fields = {}) {
+  const threshold = LEVELS[config.logging.level] ?? LEVELS.info;
+  if (LEVELS[level] < threshold) return;
+
+  const entry = { time: new Date().toISOString(), level, message, ...fields };
+  if (output) return output(entry);
+
+  const line = JSON.stringify(entry);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function sends the log entries somewhere else than stdout and stderr,
+ * e.g. to a list in tests. Passing null goes back to stdout and stderr.
+ *
+ * @param {Function|null} receive - Called with each entry as an object
+ */
+function setOutput(receive) {
+  output = receive;
+}
+
+/**
+ * This function describes an error for a log line: its message, code and
+ * stack trace.
+ *
+ * @param {Error} error - The error
+ * @returns {Object} - { name, message, code, stack }
+ */
+function describeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+/**
+ * Export one function per level, each taking (message, fields), the function
+ * that redirects the output and the helper that turns an error into log fields
+ */
+module.exports = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+  setOutput,
+  describeError,
+};
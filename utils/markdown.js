@@ -0,0 +1,93 @@
+/**
+ * File Purpose:
+ * This file turns the Markdown users write, such as book reviews, into HTML
+ * that is safe to put into a page.
+ *
+ * Utility Purpose:
+ * Users write the text, so it must never be able to run script in the page.
+ * Two layers make sure of that: markdown-it is set not to pass raw HTML
+ * through, and its output is then cleaned by sanitize-html, which keeps only
+ * the formatting tags below and only web and mail links. Views show the
+ * result with a triple-stash ({{{ }}}), so nothing else may be passed to them
+ * that way.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * markdown-it - Converts Markdown into HTML
+ */
+const MarkdownIt = require("markdown-it");
+
+/**
+ * sanitize-html - Removes every tag and attribute that is not on the allow list
+ */
+const sanitizeHtml = require("sanitize-html");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SANITIZE_OPTIONS - The tags and attributes rendered Markdown may keep.
+ * Headings are shifted down so a review cannot add a bigger heading than the
+ * page's own, and links open in a new tab without passing on the page.
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p", "br", "hr", "strong", "em", "del", "code", "pre", "blockquote",
+    "ul", "ol", "li", "a", "h4", "h5", "h6",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    ol: ["start"],
+    th: ["style"],
+    td: ["style"],
+  },
+  allowedStyles: {
+    "*": { "text-align": [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    h1: "h4",
+    h2: "h4",
+    h3: "h5",
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener noreferrer", target: "_blank" }),
+  },
+};
+
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+// VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES -- VARIABLES
+
+/**
+ * markdown - The Markdown renderer, with raw HTML turned off and plain web
+ * addresses turned into links
+ */
+const markdown = new MarkdownIt({ html: false, linkify: true, breaks: true });
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function renders Markdown as sanitized HTML.
+ *
+ * @param {String|null} text - The Markdown text
+ * @returns {String} - The safe HTML, or "" when there is no text
+ */
+function renderMarkdown(text) {
+  if (!text) return "";
+  return sanitizeHtml(markdown.render(text), SANITIZE_OPTIONS);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  renderMarkdown,
+};
@@ -0,0 +1,91 @@
+/**
+ * File Purpose:
+ * This file converts book costs between the decimal text people type, such as
+ * "20.35", and the integer minor units (cents) the database stores, such as 2035.
+ *
+ * Utility Purpose:
+ * Working in whole minor units keeps prices exact. The conversion is done on
+ * the digits of the text rather than by multiplying by 100, because floating
+ * point arithmetic turns 20.35 * 100 into 2034.9999999999998.
+ *
+ * Most currencies have two decimal places, which is the default. Currencies
+ * such as the Japanese yen have none; services/currency.js knows how many
+ * each currency uses and passes that number in.
+ */
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function converts a decimal amount into minor units.
+ *
+ * @param {String|Number} value - The amount, e.g. "20.35" or 20.35
+ * @param {Number} [fractionDigits] - The decimal places of the currency, 2 by default
+ * @returns {Number} - The amount in minor units, or NaN if it is not a valid
+ *                     amount or has more decimal places than the currency
+ */
+function toMinorUnits(value, fractionDigits = 2) {
+  // Work on the text form so that numbers and strings are handled alike
+  const pattern = fractionDigits > 0 ? new RegExp(`^(\\d+)(?:\\.(\\d{1,${fractionDigits}}))?$`) : /^(\d+)$/;
+  const match = pattern.exec(String(value).trim());
+  if (!match) return NaN;
+
+  // Combine the whole part and the (right-padded) fractional part
+  const [, whole, fraction = ""] = match;
+  return Number(whole) * 10 ** fractionDigits + Number(fraction.padEnd(fractionDigits, "0") || 0);
+}
+
+/**
+ * This function converts minor units back into a decimal amount with the
+ * currency's number of decimal places.
+ *
+ * @param {Number|null} minor - The amount in minor units
+ * @param {Number} [fractionDigits] - The decimal places of the currency, 2 by default
+ * @returns {String} - The amount as text, e.g. "20.35", or "" when there is no amount
+ */
+function fromMinorUnits(minor, fractionDigits = 2) {
+  // A missing cost is shown as an empty value
+  if (minor === null || minor === undefined) return "";
+  if (fractionDigits === 0) return String(minor);
+
+  // Split into whole and fractional parts without floating point arithmetic
+  const scale = 10 ** fractionDigits;
+  const whole = Math.floor(minor / scale);
+  const fraction = String(minor % scale).padStart(fractionDigits, "0");
+  return `${whole}.${fraction}`;
+}
+
+/**
+ * This function works out a new amount in minor units from an adjustment: a
+ * new amount, an amount added or taken away, or a change by a percentage.
+ * A percentage change is rounded to the nearest minor unit.
+ *
+ * @param {Number} minor - The current amount in minor units
+ * @param {Object} adjustment - { mode, amount }: mode is "set", "increase",
+ *                              "decrease" or "percent", and amount the decimal
+ *                              amount, or the percentage, as text
+ * @param {Number} [fractionDigits] - The decimal places of the currency, 2 by default
+ * @returns {Number} - The new amount in minor units, which may be negative, or
+ *                     NaN if the amount has more decimal places than the currency
+ */
+function adjustMinorUnits(minor, { mode, amount }, fractionDigits = 2) {
+  // A percentage scales the amount, whatever the currency
+  if (mode === "percent") return Math.round((minor * (100 + Number(amount))) / 100);
+
+  // Any other amount is in the currency itself
+  const delta = toMinorUnits(amount, fractionDigits);
+  if (mode === "increase") return minor + delta;
+  if (mode === "decrease") return minor - delta;
+  return delta;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  toMinorUnits,
+  fromMinorUnits,
+  adjustMinorUnits,
+};
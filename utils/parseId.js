@@ -0,0 +1,25 @@
+/**
+ * File Purpose:
+ * This file reads the numeric IDs sent in URL parameters and form fields.
+ *
+ * Utility Purpose:
+ * A value that is not made of digits alone, such as "12abc" or "-1", is read
+ * as NaN rather than as part of a number. No record has NaN for an ID, so the
+ * model lookups find nothing and the handler answers 404 Not Found.
+ */
+
+/**
+ * This function parses an ID from the URL parameters or a form field.
+ *
+ * @param {String} value - The submitted ID
+ * @returns {Number} - The parsed ID, which is NaN when it is not a number
+ */
+function parseId(value) {
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = parseId;
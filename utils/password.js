@@ -0,0 +1,96 @@
+/**
+ * File Purpose:
+ * This file hashes and checks passwords. Passwords are never stored; only a
+ * salted hash made with scrypt, Node's built-in memory-hard key derivation
+ * function, is kept in the users table.
+ *
+ * Hash Format:
+ * A stored hash looks like "scrypt$<salt>$<key>", with the salt and derived
+ * key in base64. The "scrypt" prefix leaves room to change the algorithm
+ * later without breaking existing accounts.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * crypto - Node.js built-in module that provides scrypt, random bytes and a
+ * constant-time comparison
+ */
+const crypto = require("crypto");
+
+/**
+ * util - Node.js built-in module used to turn scrypt into a Promise function
+ */
+const { promisify } = require("util");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * ALGORITHM - The prefix that marks a hash made by this module
+ */
+const ALGORITHM = "scrypt";
+
+/**
+ * SALT_BYTES - The length of the random salt
+ */
+const SALT_BYTES = 16;
+
+/**
+ * KEY_BYTES - The length of the derived key
+ */
+const KEY_BYTES = 64;
+
+/**
+ * scrypt - crypto.scrypt as a Promise function, so hashing does not block
+ * the event loop
+ */
+const scrypt = promisify(crypto.scrypt);
+
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+// METHODS/FUNCTIONS -- METHODS/FUNCTIONS -- METHODS/FUNCTIONS
+
+/**
+ * This function hashes a password with a new random salt.
+ *
+ * @param {String} password - The password to hash
+ * @returns {Promise<String>} - The hash to store, e.g. "scrypt$...$..."
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(String(password), salt, KEY_BYTES);
+  return [ALGORITHM, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+/**
+ * This function checks a password against a stored hash. The keys are
+ * compared in constant time so the comparison leaks nothing about the hash.
+ *
+ * @param {String} password - The password that was entered
+ * @param {String} storedHash - The hash saved by hashPassword
+ * @returns {Promise<Boolean>} - Whether the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  // Refuse hashes this module did not make
+  const [algorithm, salt, expected] = String(storedHash || "").split("$");
+  if (algorithm !== ALGORITHM || !salt || !expected) return false;
+
+  // Derive the key from the entered password and the stored salt
+  const expectedKey = Buffer.from(expected, "base64");
+  const key = await scrypt(String(password), Buffer.from(salt, "base64"), expectedKey.length);
+
+  return crypto.timingSafeEqual(key, expectedKey);
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,228 @@
+/**
+ * File Purpose:
+ * This file holds the Handlebars helpers that the views can call. They are
+ * registered with the view engine in app.js.
+ *
+ * Helper Purpose:
+ * Helpers keep formatting decisions, such as how a cost is displayed, in one
+ * place instead of repeating them in every template.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * currency - Writes prices for the viewer's locale and converts them into
+ * the viewer's currency
+ */
+const currency = require("../services/currency");
+
+/**
+ * config - The locale used for visitors and users who have not chosen one
+ */
+const config = require("../config");
+
+/**
+ * ReadingStatus - Provides the display label of each reading status
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * coverImages - Works out which image to show as a book's cover
+ */
+const coverImages = require("../services/coverImages");
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function finds the logged-in user of the page being rendered.
+ * Handlebars passes an options object as every helper's last argument, and
+ * its data.root holds the render context, which includes res.locals.
+ *
+ * @param {Object} options - The Handlebars options object
+ * @returns {Object|null} - The current user, or null for a visitor
+ */
+function viewer(options) {
+  return (options && options.data && options.data.root && options.data.root.currentUser) || null;
+}
+
+/**
+ * This helper function returns the locale prices are written in for the
+ * page being rendered.
+ *
+ * @param {Object} options - The Handlebars options object
+ * @returns {String} - The viewer's locale, or the configured default
+ */
+function viewerLocale(options) {
+  const user = viewer(options);
+  return (user && user.locale) || config.money.defaultLocale;
+}
+
+// HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS
+// HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS
+// HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS -- HELPERS
+
+/**
+ * This helper formats a cost stored in minor units for display, the way the
+ * viewer's locale writes prices.
+ *
+ * Usage: {{money book.costMinor book.currency}}
+ *
+ * @param {Number|null} minor - The cost in minor units
+ * @param {String} [code] - The currency of the cost, the default currency when left out
+ * @returns {String} - The cost, e.g. "$20.35" or "20,35 €", or "—" when there is no cost
+ */
+function money(minor, ...rest) {
+  const options = rest.pop();
+  if (minor === null || minor === undefined) return "—";
+  return currency.formatMoney(minor, rest[0] || currency.defaultCurrency(), viewerLocale(options));
+}
+
+/**
+ * This helper shows what a cost comes to in the viewer's own currency, for
+ * books priced in another one. It shows nothing when the currencies match.
+ *
+ * Usage: {{approxMoney book.costMinor book.currency}}
+ *
+ * @param {Number|null} minor - The cost in minor units
+ * @param {String} code - The currency of the cost
+ * @returns {String} - E.g. "(about $19.57)", or "" when there is nothing to convert
+ */
+function approxMoney(minor, code, options) {
+  const user = viewer(options);
+  if (minor === null || minor === undefined || !user || user.currency === code) return "";
+  const converted = currency.convertMinor(minor, code, user.currency);
+  return `(about ${currency.formatMoney(converted, user.currency, viewerLocale(options))})`;
+}
+
+/**
+ * This helper shows the display label of a reading status.
+ *
+ * Usage: {{statusLabel book.status}}
+ *
+ * @param {String} status - A reading status, e.g. "to-read"
+ * @returns {String} - The label, e.g. "To Read"
+ */
+function statusLabel(status) {
+  return ReadingStatus.LABELS[status] || status;
+}
+
+/**
+ * This helper formats a date for display, e.g. "Oct 19, 2026". A day written
+ * as "YYYY-MM-DD", such as a reading session's date, is read as that day in
+ * the server's time zone rather than as midnight UTC, so it never shows as
+ * the day before.
+ *
+ * Usage: {{date book.startedAt}}
+ *
+ * @param {Date|String|null} value - The date to format
+ * @returns {String} - The formatted date, or "" when there is no date
+ */
+function date(value) {
+  if (!value) return "";
+  const day = typeof value === "string" && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const moment = day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(value);
+  return moment.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" });
+}
+
+/**
+ * This helper formats a moment with its time of day, e.g.
+ * "Oct 19, 2026, 5:30 PM", for things that happen more than once a day.
+ *
+ * Usage: {{dateTime note.createdAt}}
+ *
+ * @param {Date|String|null} value - The moment to format
+ * @returns {String} - The formatted date and time, or "" when there is none
+ */
+function dateTime(value) {
+  if (!value) return "";
+  return new Date(value).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+}
+
+/**
+ * This helper shows a rating as a row of five stars, e.g. "★★★★☆".
+ *
+ * Usage: {{stars book.rating}}
+ *
+ * @param {Number|null} rating - The rating from 1 to 5
+ * @returns {String} - The stars, or "" when the book is not rated
+ */
+function stars(rating) {
+  const filled = Number(rating);
+  if (!filled) return "";
+  return "★".repeat(filled) + "☆".repeat(Math.max(0, 5 - filled));
+}
+
+/**
+ * This helper tells whether a note is a quote from the book rather than the
+ * reader's own note.
+ *
+ * Usage: {{#if (isQuote note.kind)}}
+ *
+ * @param {String} kind - The note's kind
+ * @returns {Boolean} - true for "quote"
+ */
+function isQuote(kind) {
+  return kind === "quote";
+}
+
+/**
+ * This helper builds the link to the home page filtered by one tag. The tag
+ * is URL-encoded, so tags containing "&" or "#" still link correctly.
+ *
+ * Usage: <a href="{{tagUrl this}}">
+ *
+ * @param {String} tag - A tag name
+ * @returns {String} - The URL, e.g. "/?tag=sci-fi"
+ */
+function tagUrl(tag) {
+  return `/?tag=${encodeURIComponent(tag)}`;
+}
+
+/**
+ * This helper tells whether the last check of a shopping link failed, either
+ * because the store answered with an error or because it did not answer.
+ *
+ * Usage: {{#if (isBrokenLink linkStatus)}}
+ *
+ * @param {String|null} linkStatus - The book's linkStatus
+ * @returns {Boolean} - true for "broken" and "unreachable"
+ */
+function isBrokenLink(linkStatus) {
+  return linkStatus === "broken" || linkStatus === "unreachable";
+}
+
+/**
+ * This helper gives the address of the image to show as a book's cover: its
+ * uploaded image, the image at its cover URL, or the placeholder cover.
+ * With "thumbnail", an uploaded image's thumbnail is used instead.
+ *
+ * Usage: <img src="{{coverSource book}}"> or {{coverSource this "thumbnail"}}
+ *
+ * @param {Object} book - The book
+ * @param {String} [size] - "thumbnail" for the card grid
+ * @returns {String} - The image's address
+ */
+function coverSource(book, size) {
+  return coverImages.coverSource(book, size === "thumbnail");
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  money,
+  approxMoney,
+  statusLabel,
+  date,
+  dateTime,
+  stars,
+  isQuote,
+  tagUrl,
+  isBrokenLink,
+  coverSource,
+};
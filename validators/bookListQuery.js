@@ -0,0 +1,242 @@
+/**
+ * File Purpose:
+ * This file reads the search, filter, sort and pagination options for the
+ * book list out of a query string. The home page and the JSON API share it.
+ *
+ * Validator Purpose:
+ * Query strings are typed by hand and bookmarked, so every option is checked
+ * and given a sensible default here. The result is a clean options object
+ * for Book.searchBooks plus a list of the options that had to be rejected;
+ * the home page quietly falls back to the defaults, while the API reports
+ * them as a 422 error.
+ *
+ * Supported options:
+ *   q         Words that must all appear in the title or author
+ *   status    to-read, reading, finished or abandoned
+ *   tag       A tag the books must carry; repeat it (?tag=a&tag=b) to
+ *             require several tags at once
+ *   minCost   Lowest cost to include, e.g. 5 or 12.50, in the user's
+ *             currency; books in other currencies are converted to compare
+ *   maxCost   Highest cost to include
+ *   sort      title, author, cost, rating or added (the default); books
+ *             without a rating always come last
+ *   order     asc (the default) or desc
+ *   page      The page number, starting at 1
+ *   pageSize  Books per page, 1 to MAX_PAGE_SIZE
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * money - Converts the cost range into minor units
+ */
+const { toMinorUnits } = require("../utils/money");
+
+/**
+ * currency - Says how many decimal places the cost range's currency has
+ */
+const { fractionDigits, defaultCurrency } = require("../services/currency");
+
+/**
+ * ReadingStatus - Provides the list of valid status filters
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * bookValidator - Normalizes tag names the same way they are stored
+ */
+const { LIMITS, normalizeTag } = require("./bookValidator");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * SORT_FIELDS - The fields the list can be sorted by, with their labels
+ */
+const SORT_FIELDS = {
+  added: "Date added",
+  title: "Title",
+  author: "Author",
+  cost: "Cost",
+  rating: "Rating",
+};
+
+/**
+ * DEFAULT_PAGE_SIZE - How many books a page shows when pageSize is not given
+ */
+const DEFAULT_PAGE_SIZE = 12;
+
+/**
+ * MAX_PAGE_SIZE - The largest page size a request may ask for
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * MAX_QUERY_LENGTH - The longest search text that is accepted
+ */
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * MAX_TAG_FILTERS - The most tags one list request may filter by
+ */
+const MAX_TAG_FILTERS = 10;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function reads a single query string value. Express turns a
+ * repeated parameter into an array, in which case the last value wins.
+ *
+ * @param {*} value - The raw query string value
+ * @returns {String} - The trimmed value, or "" when it is missing
+ */
+function single(value) {
+  if (Array.isArray(value)) value = value[value.length - 1];
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * This helper function reads a positive whole number.
+ *
+ * @param {String} text - The text to read
+ * @returns {Number} - The number, or NaN when the text is not a positive integer
+ */
+function positiveInteger(text) {
+  return /^\d+$/.test(text) && Number(text) > 0 ? Number(text) : NaN;
+}
+
+/**
+ * This helper function reads every value of a parameter that may be
+ * repeated, such as tag.
+ *
+ * @param {*} value - The raw query string value
+ * @returns {Array<String>} - The values, or an empty list when it is missing
+ */
+function every(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.filter((item) => typeof item === "string");
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function reads the list options out of a parsed query string.
+ *
+ * @param {Object} query - The parsed query string (req.query)
+ * @param {Object} [context] - What the options are read for
+ * @param {String} [context.currency] - The currency the cost range is given
+ *                                      in, the user's own; the default
+ *                                      currency when left out
+ * @returns {Object} - { options, errors }: options holds every option with
+ *                     invalid or missing values replaced by their defaults,
+ *                     and errors lists a { field, message } for each value
+ *                     that was rejected
+ */
+function parseBookListQuery(query = {}, { currency = defaultCurrency() } = {}) {
+  const errors = [];
+  const options = {
+    q: "",
+    status: "",
+    tags: [],
+    minCostMinor: null,
+    maxCostMinor: null,
+    currency,
+    sort: "added",
+    order: "asc",
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+  };
+
+  // Search text
+  const q = single(query.q);
+  if (q.length > MAX_QUERY_LENGTH) {
+    errors.push({ field: "q", message: `q must be at most ${MAX_QUERY_LENGTH} characters` });
+  } else {
+    options.q = q;
+  }
+
+  // Reading status
+  const status = single(query.status);
+  if (status && !ReadingStatus.isStatus(status)) {
+    errors.push({ field: "status", message: `status must be one of ${ReadingStatus.STATUSES.join(", ")}` });
+  } else {
+    options.status = status;
+  }
+
+  // Tags, normalized like the stored tag names
+  const tags = [...new Set(every(query.tag).map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAG_FILTERS) {
+    errors.push({ field: "tag", message: `at most ${MAX_TAG_FILTERS} tags can be filtered by at once` });
+  } else if (tags.some((tag) => tag.length > LIMITS.tagLength)) {
+    errors.push({ field: "tag", message: `each tag must be at most ${LIMITS.tagLength} characters` });
+  } else {
+    options.tags = tags;
+  }
+
+  // Cost range, converted to minor units of its currency like the stored costs
+  const digits = fractionDigits(currency);
+  ["minCost", "maxCost"].forEach((field) => {
+    const text = single(query[field]);
+    if (!text) return;
+    const minor = toMinorUnits(text, digits);
+    if (Number.isNaN(minor)) {
+      const places = digits === 0 ? "no decimal places" : `at most ${digits} decimal places`;
+      errors.push({ field, message: `${field} must be an amount in ${currency} with ${places}` });
+    } else {
+      options[`${field}Minor`] = minor;
+    }
+  });
+
+  // Sorting
+  const sort = single(query.sort);
+  if (sort && !Object.prototype.hasOwnProperty.call(SORT_FIELDS, sort)) {
+    errors.push({ field: "sort", message: `sort must be one of ${Object.keys(SORT_FIELDS).join(", ")}` });
+  } else if (sort) {
+    options.sort = sort;
+  }
+
+  const order = single(query.order).toLowerCase();
+  if (order && order !== "asc" && order !== "desc") {
+    errors.push({ field: "order", message: "order must be asc or desc" });
+  } else if (order) {
+    options.order = order;
+  }
+
+  // Pagination
+  const page = single(query.page);
+  if (page) {
+    const number = positiveInteger(page);
+    if (Number.isNaN(number)) errors.push({ field: "page", message: "page must be a positive whole number" });
+    else options.page = number;
+  }
+
+  const pageSize = single(query.pageSize);
+  if (pageSize) {
+    const number = positiveInteger(pageSize);
+    if (Number.isNaN(number) || number > MAX_PAGE_SIZE) {
+      errors.push({ field: "pageSize", message: `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}` });
+    } else {
+      options.pageSize = number;
+    }
+  }
+
+  return { options, errors };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseBookListQuery,
+};
@@ -0,0 +1,312 @@
+/**
+ * File Purpose:
+ * This file validates and normalizes the book details that arrive from the
+ * add/edit forms and the JSON API before they reach the Book model.
+ *
+ * Validator Purpose:
+ * The HTML forms carry "required" and "type" attributes, but any client can
+ * skip them. Every book therefore passes through validateBook on the server,
+ * which trims text, enforces length limits, turns the cost into minor units,
+ * checks the ISBN's check digit and accepts only http and https links. The
+ * model only ever receives the normalized values.
+ *
+ * A cost is recorded in one of the currencies the exchange-rate table lists
+ * (see services/currency.js), and is read with that currency's number of
+ * decimal places: "12.99" in euros, but "1200" in yen.
+ *
+ * Tags arrive either as one comma-separated string (the form field) or as an
+ * array (the JSON API). normalizeTag gives every tag the one spelling it is
+ * stored and searched under, so "Sci-Fi " and "sci-fi" are the same tag.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * money - Converts the typed cost into integer minor units
+ */
+const { toMinorUnits } = require("../utils/money");
+
+/**
+ * isbn - Validates ISBN-10/13 check digits and converts to ISBN-13
+ */
+const { parseIsbn } = require("../utils/isbn");
+
+/**
+ * currency - Checks the currency code and says how many decimal places it has
+ */
+const currency = require("../services/currency");
+
+/**
+ * dates - Checks that the target finish date is a real day
+ */
+const { isDateKey } = require("../utils/dates");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LIMITS - The maximum lengths and amounts a book may have. The forms use the
+ * same numbers for their maxlength attributes.
+ */
+const LIMITS = {
+  titleLength: 200,
+  authorLength: 120,
+  shoppingUrlLength: 2048,
+  publisherLength: 200,
+  pageCount: 100000,
+  costMinor: 99999999, // 999,999.99 in a currency with two decimal places
+  tagLength: 40,
+  tagsPerBook: 20,
+};
+
+/**
+ * ALLOWED_URL_PROTOCOLS - The only URL schemes a shopping link may use
+ */
+const ALLOWED_URL_PROTOCOLS = ["http:", "https:"];
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function turns a submitted value into trimmed text. Numbers are
+ * accepted too (JSON clients send them); anything else becomes "".
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text
+ */
+function toText(value) {
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  return "";
+}
+
+/**
+ * This helper function checks a required text field.
+ *
+ * @param {String} text - The trimmed text
+ * @param {String} label - The field name shown in messages
+ * @param {Number} maxLength - The maximum allowed length
+ * @returns {String|null} - An error message, or null when the text is valid
+ */
+function checkRequiredText(text, label, maxLength) {
+  if (!text) return `${label} is required.`;
+  if (text.length > maxLength) return `${label} must be at most ${maxLength} characters.`;
+  return null;
+}
+
+/**
+ * This helper function checks that a link is an absolute http or https URL,
+ * which rules out javascript:, data: and similar schemes.
+ *
+ * @param {String} text - The trimmed URL text
+ * @param {String} label - The field name shown in messages
+ * @returns {String|null} - An error message, or null when the URL is valid
+ */
+function checkWebUrl(text, label) {
+  if (text.length > LIMITS.shoppingUrlLength) {
+    return `${label} must be at most ${LIMITS.shoppingUrlLength} characters.`;
+  }
+
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return `${label} must be a full web address, like https://example.com/book.`;
+  }
+
+  if (!ALLOWED_URL_PROTOCOLS.includes(url.protocol)) {
+    return `${label} must start with http:// or https://.`;
+  }
+
+  return null;
+}
+
+/**
+ * This helper function reads the submitted tags into a list of distinct,
+ * normalized tag names.
+ *
+ * @param {String|Array} value - "sci-fi, classics" or ["sci-fi", "classics"]
+ * @returns {Object} - { tags, error }: the tag names, and an error message or null
+ */
+function parseTags(value) {
+  const pieces = Array.isArray(value) ? value.map(toText) : toText(value).split(",");
+  const tags = [...new Set(pieces.map(normalizeTag).filter(Boolean))];
+
+  if (tags.some((tag) => tag.length > LIMITS.tagLength)) {
+    return { tags, error: `Each tag must be at most ${LIMITS.tagLength} characters.` };
+  }
+  if (tags.length > LIMITS.tagsPerBook) {
+    return { tags, error: `A book can have at most ${LIMITS.tagsPerBook} tags.` };
+  }
+  return { tags, error: null };
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function gives a tag the spelling it is stored under: trimmed,
+ * lowercase, with runs of spaces collapsed into one.
+ *
+ * @param {String} text - The tag as typed
+ * @returns {String} - The normalized tag, or "" when nothing is left
+ */
+function normalizeTag(text) {
+  return toText(text).replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * This helper function describes the amounts a currency accepts, for the
+ * message shown under an invalid cost.
+ *
+ * @param {Number} digits - The currency's number of decimal places
+ * @returns {String} - The error message
+ */
+function costFormatMessage(digits) {
+  if (digits === 0) return "Cost must be a whole amount like 1200, with no decimal places in this currency.";
+  const example = `12.${"99".padEnd(digits, "0")}`;
+  return `Cost must be an amount like ${example}, with at most ${digits === 2 ? "two" : digits} decimal places.`;
+}
+
+/**
+ * This function validates submitted book details and normalizes them into the
+ * shape the Book model stores.
+ *
+ * Title and author are required. Every other field is optional; when it is
+ * left empty it is stored as null. Tags are only included in the values when
+ * they were submitted, so a client that does not know about tags leaves a
+ * book's tags as they are. A book submitted without a currency is in the
+ * default currency given in the options, usually the user's own.
+ *
+ * @param {Object} input - The submitted fields (title, author, cost,
+ *                         currency, shoppingUrl, isbn, publisher, pageCount,
+ *                         coverUrl, targetFinishDate, tags)
+ * @param {Object} [options] - Optional settings
+ * @param {String} [options.defaultCurrency] - The currency used when none was
+ *                                             submitted; the configured default
+ *                                             when left out
+ * @returns {Object} - { values, errors }: values holds the normalized book
+ *                     (with costMinor instead of cost, isbn13 instead of
+ *                     isbn and tags as a list) and errors is null when
+ *                     everything is valid, or an object mapping each invalid
+ *                     field to its message
+ */
+function validateBook(input = {}, options = {}) {
+  const errors = {};
+
+  // Trim every text field
+  const title = toText(input.title);
+  const author = toText(input.author);
+  const cost = toText(input.cost);
+  const currencyCode = toText(input.currency).toUpperCase() || options.defaultCurrency || currency.defaultCurrency();
+  const shoppingUrl = toText(input.shoppingUrl);
+  const isbn = toText(input.isbn);
+  const publisher = toText(input.publisher);
+  const pageCount = toText(input.pageCount);
+  const coverUrl = toText(input.coverUrl);
+  const targetFinishDate = toText(input.targetFinishDate);
+
+  // Title and author are required and length-limited
+  const titleError = checkRequiredText(title, "Title", LIMITS.titleLength);
+  if (titleError) errors.title = titleError;
+
+  const authorError = checkRequiredText(author, "Author", LIMITS.authorLength);
+  if (authorError) errors.author = authorError;
+
+  // The currency must be one the exchange-rate table knows
+  const knownCurrency = currency.isSupportedCurrency(currencyCode);
+  if (!knownCurrency) errors.currency = "Currency must be one of the listed currencies.";
+
+  // Cost is converted to minor units of its currency when present
+  let costMinor = null;
+  if (cost && knownCurrency) {
+    const digits = currency.fractionDigits(currencyCode);
+    costMinor = toMinorUnits(cost, digits);
+    if (Number.isNaN(costMinor)) {
+      errors.cost = costFormatMessage(digits);
+    } else if (costMinor > LIMITS.costMinor) {
+      errors.cost = "Cost is too large.";
+    }
+  }
+
+  // The shopping URL must be http or https when present
+  if (shoppingUrl) {
+    const urlError = checkWebUrl(shoppingUrl, "Shopping URL");
+    if (urlError) errors.shoppingUrl = urlError;
+  }
+
+  // The ISBN may be typed in either form but is stored as an ISBN-13
+  let isbn13 = null;
+  if (isbn) {
+    const parsed = parseIsbn(isbn);
+    if (parsed) isbn13 = parsed.isbn13;
+    else errors.isbn = "ISBN must be a valid ISBN-10 or ISBN-13; check for a mistyped digit.";
+  }
+
+  // The publisher is length-limited like the other text fields
+  if (publisher.length > LIMITS.publisherLength) {
+    errors.publisher = `Publisher must be at most ${LIMITS.publisherLength} characters.`;
+  }
+
+  // The page count must be a whole number of pages
+  let pages = null;
+  if (pageCount) {
+    pages = /^\d+$/.test(pageCount) ? Number(pageCount) : NaN;
+    if (!(pages >= 1 && pages <= LIMITS.pageCount)) {
+      errors.pageCount = `Page count must be a whole number from 1 to ${LIMITS.pageCount}.`;
+    }
+  }
+
+  // The cover image URL must be http or https when present
+  if (coverUrl) {
+    const urlError = checkWebUrl(coverUrl, "Cover image URL");
+    if (urlError) errors.coverUrl = urlError;
+  }
+
+  // The target finish date is a day written as YYYY-MM-DD, as date inputs send it
+  if (targetFinishDate && !isDateKey(targetFinishDate)) {
+    errors.targetFinishDate = "Finish-by date must be a date like 2026-12-31.";
+  }
+
+  // Tags are split, normalized and limited when they were submitted
+  let tags;
+  if (input.tags !== undefined && input.tags !== null) {
+    const parsed = parseTags(input.tags);
+    if (parsed.error) errors.tags = parsed.error;
+    else tags = parsed.tags;
+  }
+
+  // Report the errors, or hand back the normalized values
+  if (Object.keys(errors).length) return { values: null, errors };
+
+  const values = {
+    title,
+    author,
+    costMinor,
+    currency: currencyCode,
+    shoppingUrl: shoppingUrl || null,
+    isbn13,
+    publisher: publisher || null,
+    pageCount: pages,
+    coverUrl: coverUrl || null,
+    targetFinishDate: targetFinishDate || null,
+  };
+  if (tags) values.tags = tags;
+
+  return { values, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  LIMITS,
+  normalizeTag,
+  validateBook,
+};
@@ -0,0 +1,137 @@
+/**
+ * File Purpose:
+ * This file validates the money preferences submitted from the budget page:
+ * the home currency, the locale prices are written in and the book budget.
+ *
+ * Validator Purpose:
+ * The budget amount is read in the submitted home currency, so "1200" is a
+ * valid yen budget but "12.50" is not. Leaving the period empty turns the
+ * budget off, and leaving the locale empty falls back to the server default.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * money - Converts the typed budget into integer minor units
+ */
+const { toMinorUnits } = require("../utils/money");
+
+/**
+ * currency - Checks the currency code and says how many decimal places it has
+ */
+const currency = require("../services/currency");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BUDGET_PERIODS - The periods a budget can cover, with their labels
+ */
+const BUDGET_PERIODS = {
+  monthly: "Monthly",
+  yearly: "Yearly",
+};
+
+/**
+ * LIMITS - The largest budget and the longest locale tag accepted
+ */
+const LIMITS = {
+  budgetMinor: 99999999,
+  localeLength: 35,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function turns a submitted value into trimmed text.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text, or "" when it is missing
+ */
+function toText(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * This helper function checks a locale tag and returns it in its canonical
+ * spelling, e.g. "en-gb" becomes "en-GB".
+ *
+ * @param {String} text - The locale tag as typed
+ * @returns {String|null} - The canonical tag, or null when it is not a locale
+ *                          the server can format prices for
+ */
+function canonicalLocale(text) {
+  try {
+    const [tag] = Intl.getCanonicalLocales(text);
+    return Intl.NumberFormat.supportedLocalesOf(tag).length ? tag : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates the budget page's settings form.
+ *
+ * @param {Object} input - The submitted fields: currency, locale,
+ *                         budgetPeriod and budget (a decimal amount)
+ * @returns {Object} - { values, errors }: values holds { currency, locale,
+ *                     budgetPeriod, budgetMinor } and errors is null when
+ *                     everything is valid, or an object mapping each invalid
+ *                     field to its message
+ */
+function validateBudgetSettings(input = {}) {
+  const errors = {};
+  const currencyCode = toText(input.currency).toUpperCase();
+  const localeText = toText(input.locale);
+  const budgetPeriod = toText(input.budgetPeriod);
+  const budget = toText(input.budget);
+
+  // The home currency must be one the exchange-rate table knows
+  if (!currency.isSupportedCurrency(currencyCode)) {
+    errors.currency = "Currency must be one of the listed currencies.";
+  }
+
+  // The locale is optional but must be one prices can be written in
+  let locale = null;
+  if (localeText) {
+    locale = localeText.length <= LIMITS.localeLength ? canonicalLocale(localeText) : null;
+    if (!locale) errors.locale = "Locale must be a language tag such as en-US, en-GB or de-DE.";
+  }
+
+  // An empty period turns the budget off; otherwise an amount is required
+  let budgetMinor = null;
+  if (budgetPeriod && !BUDGET_PERIODS[budgetPeriod]) {
+    errors.budgetPeriod = "Choose a monthly or yearly budget, or none.";
+  } else if (budgetPeriod && !errors.currency) {
+    budgetMinor = toMinorUnits(budget, currency.fractionDigits(currencyCode));
+    if (!budget || Number.isNaN(budgetMinor) || budgetMinor > LIMITS.budgetMinor) {
+      errors.budget = "Budget must be an amount in your currency, like 50 or 49.99.";
+    }
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return {
+    values: { currency: currencyCode, locale, budgetPeriod: budgetPeriod || null, budgetMinor },
+    errors: null,
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  BUDGET_PERIODS,
+  LIMITS,
+  validateBudgetSettings,
+};
@@ -0,0 +1,200 @@
+/**
+ * File Purpose:
+ * This file validates the bulk action bar on the home page: the books ticked
+ * in the card grid and the one action to apply to all of them.
+ *
+ * Validator Purpose:
+ * The bar offers five actions, each with its own fields:
+ *   delete     - moves the books to the trash
+ *   status     - moves the books to another reading status (status)
+ *   add-tag    - tags the books (tag)
+ *   remove-tag - takes a tag off the books (tag)
+ *   cost       - changes the books' costs (costMode and amount)
+ * Only the fields of the chosen action are checked, so the bar can send all
+ * of them at once. Whether the action suits each book, e.g. whether its
+ * status may move or its cost may go down, is up to Book.bulkUpdate.
+ *
+ * A cost amount is checked for its shape only. It is read in each book's own
+ * currency, so "12.50" adds 12.50 euros to a book in euros and 12.50 pounds to
+ * one in pounds.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * ReadingStatus - The statuses a book can be moved to
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * bookValidator - Normalizes tags and limits their length
+ */
+const { LIMITS: BOOK_LIMITS, normalizeTag } = require("./bookValidator");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * BULK_ACTIONS - The actions the bar offers, in the order it lists them, with
+ * the label of each
+ */
+const BULK_ACTIONS = [
+  { value: "delete", label: "Move to the trash" },
+  { value: "status", label: "Change status" },
+  { value: "add-tag", label: "Add tag" },
+  { value: "remove-tag", label: "Remove tag" },
+  { value: "cost", label: "Adjust cost" },
+];
+
+/**
+ * COST_MODES - The ways the bar can change a cost, with the label of each
+ */
+const COST_MODES = [
+  { value: "set", label: "Set to" },
+  { value: "increase", label: "Increase by" },
+  { value: "decrease", label: "Decrease by" },
+  { value: "percent", label: "Change by %" },
+];
+
+/**
+ * LIMITS - How many books one action may change, and how far a percentage
+ * may change a cost
+ */
+const LIMITS = {
+  booksPerAction: 200,
+  minPercent: -100,
+  maxPercent: 1000,
+};
+
+/**
+ * AMOUNT_PATTERN - A decimal amount, e.g. "12" or "12.50"
+ */
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * PERCENT_PATTERN - A percentage that may be negative, e.g. "10" or "-12.5"
+ */
+const PERCENT_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function trims a submitted field, treating anything that is
+ * not text as empty.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text
+ */
+function toText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * This helper function reads the ticked book IDs. A single checkbox arrives
+ * as a string and several as an array; IDs that are not whole numbers are
+ * dropped, and so are repeats.
+ *
+ * @param {String|Array|undefined} ids - The submitted "ids" field
+ * @returns {Array<Number>} - The book IDs, in the order they were sent
+ */
+function parseIds(ids) {
+  const list = Array.isArray(ids) ? ids : [ids];
+  const parsed = list.map(toText).filter((id) => /^\d+$/.test(id)).map(Number);
+  return [...new Set(parsed)];
+}
+
+/**
+ * This helper function checks the cost fields of the "cost" action.
+ *
+ * @param {String} costMode - The submitted mode
+ * @param {String} amount - The submitted amount, trimmed
+ * @returns {Object} - { costMode, amount } when valid, or { errors } mapping
+ *                     each invalid field to its message
+ */
+function checkCostAdjustment(costMode, amount) {
+  if (!COST_MODES.some((mode) => mode.value === costMode)) {
+    return { errors: { costMode: "Choose how to adjust the cost." } };
+  }
+
+  // A percentage may be negative, within limits
+  if (costMode === "percent") {
+    const percent = Number(amount);
+    if (!PERCENT_PATTERN.test(amount) || percent < LIMITS.minPercent || percent > LIMITS.maxPercent) {
+      return {
+        errors: { amount: `Percentage must be a number from ${LIMITS.minPercent} to ${LIMITS.maxPercent}.` },
+      };
+    }
+    return { costMode, amount };
+  }
+
+  // Any other amount is a plain decimal amount
+  if (!AMOUNT_PATTERN.test(amount)) return { errors: { amount: "Amount must be an amount like 12.99." } };
+  return { costMode, amount };
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates a submission of the bulk action bar.
+ *
+ * @param {Object} input - The submitted fields: ids, action, status, tag,
+ *                         costMode and amount
+ * @returns {Object} - { values, errors }: values holds { ids, action } plus
+ *                     the chosen action's own fields (status; tag; or
+ *                     costMode and amount), and errors is null when
+ *                     everything is valid, or an object mapping each
+ *                     invalid field to its message
+ */
+function validateBulkAction(input = {}) {
+  const errors = {};
+  const ids = parseIds(input.ids);
+  const action = toText(input.action);
+
+  // At least one book must be ticked, and not too many
+  if (!ids.length) {
+    errors.ids = "Select at least one book.";
+  } else if (ids.length > LIMITS.booksPerAction) {
+    errors.ids = `Select at most ${LIMITS.booksPerAction} books at a time.`;
+  }
+
+  // Check the fields of the chosen action
+  const values = { ids, action };
+  if (action === "status") {
+    values.status = toText(input.status);
+    if (!ReadingStatus.isStatus(values.status)) errors.status = "Choose the status to move the books to.";
+  } else if (action === "add-tag" || action === "remove-tag") {
+    values.tag = normalizeTag(input.tag);
+    if (!values.tag) {
+      errors.tag = "Enter the tag.";
+    } else if (values.tag.length > BOOK_LIMITS.tagLength) {
+      errors.tag = `Tag must be at most ${BOOK_LIMITS.tagLength} characters.`;
+    }
+  } else if (action === "cost") {
+    const cost = checkCostAdjustment(toText(input.costMode), toText(input.amount));
+    if (cost.errors) Object.assign(errors, cost.errors);
+    else Object.assign(values, cost);
+  } else if (action !== "delete") {
+    errors.action = "Choose what to do with the selected books.";
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return { values, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  BULK_ACTIONS,
+  COST_MODES,
+  LIMITS,
+  validateBulkAction,
+};
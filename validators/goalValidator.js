@@ -0,0 +1,86 @@
+/**
+ * File Purpose:
+ * This file validates the reading goal submitted from the statistics page:
+ * how many books the user means to finish each month or each year.
+ *
+ * Validator Purpose:
+ * Leaving the period empty turns the goal off, in which case the number of
+ * books is ignored. Otherwise the number must be a whole number of books.
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * GOAL_PERIODS - The periods a reading goal can cover, with their labels
+ */
+const GOAL_PERIODS = {
+  monthly: "Monthly",
+  yearly: "Yearly",
+};
+
+/**
+ * LIMITS - The largest number of books a goal may ask for
+ */
+const LIMITS = {
+  goalBooks: 1000,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function turns a submitted value into trimmed text.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text, or "" when it is missing
+ */
+function toText(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates the statistics page's reading goal form.
+ *
+ * @param {Object} input - The submitted fields: goalPeriod and goalBooks
+ * @returns {Object} - { values, errors }: values holds { goalPeriod,
+ *                     goalBooks }, both null when the goal is off, and
+ *                     errors is null when everything is valid, or an object
+ *                     mapping each invalid field to its message
+ */
+function validateReadingGoal(input = {}) {
+  const errors = {};
+  const goalPeriod = toText(input.goalPeriod);
+  const goalBooksText = toText(input.goalBooks);
+
+  // An empty period turns the goal off; otherwise a number of books is required
+  let goalBooks = null;
+  if (goalPeriod && !GOAL_PERIODS[goalPeriod]) {
+    errors.goalPeriod = "Choose a monthly or yearly goal, or none.";
+  } else if (goalPeriod) {
+    goalBooks = /^\d+$/.test(goalBooksText) ? Number(goalBooksText) : NaN;
+    if (!(goalBooks >= 1 && goalBooks <= LIMITS.goalBooks)) {
+      errors.goalBooks = `Goal must be a whole number of books from 1 to ${LIMITS.goalBooks}.`;
+    }
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return { values: { goalPeriod: goalPeriod || null, goalBooks }, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  GOAL_PERIODS,
+  LIMITS,
+  validateReadingGoal,
+};
@@ -0,0 +1,111 @@
+/**
+ * File Purpose:
+ * This file validates the reading sessions logged from the form on the book
+ * page.
+ *
+ * Validator Purpose:
+ * A session records the day it happened, the pages read and, optionally, the
+ * minutes spent. The day defaults to today and may not lie in the future,
+ * since a session that has not happened yet cannot have been read.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * dates - Checks the submitted day and provides today's date
+ */
+const { toDateKey, isDateKey } = require("../utils/dates");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LIMITS - The largest values one session may have. The form uses the same
+ * numbers for its max attributes.
+ */
+const LIMITS = {
+  pagesRead: 5000,
+  minutes: 24 * 60,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function turns a submitted value into trimmed text.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text, or "" when it is missing
+ */
+function toText(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * This helper function reads a whole number within a range.
+ *
+ * @param {String} text - The trimmed text
+ * @param {Number} min - The smallest allowed value
+ * @param {Number} max - The largest allowed value
+ * @returns {Number} - The number, or NaN when it is not a whole number in range
+ */
+function wholeNumber(text, min, max) {
+  const number = /^\d+$/.test(text) ? Number(text) : NaN;
+  return number >= min && number <= max ? number : NaN;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates a logged reading session.
+ *
+ * @param {Object} input - The submitted fields: readOn ("YYYY-MM-DD"),
+ *                         pagesRead and minutes
+ * @param {String} [today] - Today as "YYYY-MM-DD", for the future check
+ * @returns {Object} - { values, errors }: values holds { readOn, pagesRead,
+ *                     minutes } and errors is null when everything is valid,
+ *                     or an object mapping each invalid field to its message
+ */
+function validateReadingSession(input = {}, today = toDateKey()) {
+  const errors = {};
+  const readOnText = toText(input.readOn);
+  const pagesText = toText(input.pagesRead);
+  const minutesText = toText(input.minutes);
+
+  // The day defaults to today and cannot be in the future
+  const readOn = readOnText || today;
+  if (!isDateKey(readOn)) errors.readOn = "Date must be a real day, like 2026-10-19.";
+  else if (readOn > today) errors.readOn = "Date cannot be in the future.";
+
+  // At least one page must have been read
+  const pagesRead = wholeNumber(pagesText, 1, LIMITS.pagesRead);
+  if (Number.isNaN(pagesRead)) {
+    errors.pagesRead = `Pages read must be a whole number from 1 to ${LIMITS.pagesRead}.`;
+  }
+
+  // The minutes are optional
+  let minutes = null;
+  if (minutesText) {
+    minutes = wholeNumber(minutesText, 1, LIMITS.minutes);
+    if (Number.isNaN(minutes)) errors.minutes = `Minutes must be a whole number from 1 to ${LIMITS.minutes}.`;
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return { values: { readOn, pagesRead, minutes }, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  LIMITS,
+  validateReadingSession,
+};
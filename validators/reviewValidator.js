@@ -0,0 +1,143 @@
+/**
+ * File Purpose:
+ * This file validates the review form and the note form on the book page.
+ *
+ * Validator Purpose:
+ * A review is a rating from 1 to 5 stars and a Markdown text; either may be
+ * left empty, and leaving both empty removes the review. A note is a piece of
+ * text, marked as the reader's own note or as a quote from the book, with the
+ * page it refers to when there is one.
+ *
+ * The review is stored exactly as typed; it is turned into safe HTML only
+ * when the page is rendered (see utils/markdown.js).
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * NOTE_KINDS - The kinds of note, with their labels
+ */
+const NOTE_KINDS = {
+  note: "Note",
+  quote: "Quote",
+};
+
+/**
+ * LIMITS - The longest review and note and the highest page number accepted.
+ * The forms use the same numbers for their maxlength and max attributes.
+ */
+const LIMITS = {
+  maxRating: 5,
+  reviewLength: 20000,
+  noteLength: 2000,
+  page: 100000,
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function turns a submitted value into trimmed text.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text, or "" when it is missing
+ */
+function toText(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * This helper function reads a whole number within a range.
+ *
+ * @param {String} text - The trimmed text
+ * @param {Number} min - The smallest allowed value
+ * @param {Number} max - The largest allowed value
+ * @returns {Number} - The number, or NaN when it is not a whole number in range
+ */
+function wholeNumber(text, min, max) {
+  const number = /^\d+$/.test(text) ? Number(text) : NaN;
+  return number >= min && number <= max ? number : NaN;
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates the review form.
+ *
+ * @param {Object} input - The submitted fields: rating and review
+ * @returns {Object} - { values, errors }: values holds { rating, review },
+ *                     each null when left empty, and errors is null when
+ *                     everything is valid, or an object mapping each invalid
+ *                     field to its message
+ */
+function validateReview(input = {}) {
+  const errors = {};
+  const ratingText = toText(input.rating);
+  const review = typeof input.review === "string" ? input.review.trim() : "";
+
+  // The rating is optional, but must be a whole number of stars
+  let rating = null;
+  if (ratingText) {
+    rating = wholeNumber(ratingText, 1, LIMITS.maxRating);
+    if (Number.isNaN(rating)) errors.rating = `Rating must be from 1 to ${LIMITS.maxRating} stars.`;
+  }
+
+  // The review is optional, up to a length that still fits on one page
+  if (review.length > LIMITS.reviewLength) {
+    errors.review = `Review must be ${LIMITS.reviewLength} characters or fewer.`;
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return { values: { rating, review: review || null }, errors: null };
+}
+
+/**
+ * This function validates the note form.
+ *
+ * @param {Object} input - The submitted fields: kind, body and page
+ * @returns {Object} - { values, errors }: values holds { kind, body, page }
+ *                     and errors is null when everything is valid, or an
+ *                     object mapping each invalid field to its message
+ */
+function validateNote(input = {}) {
+  const errors = {};
+  const kind = toText(input.kind) || "note";
+  const body = typeof input.body === "string" ? input.body.trim() : "";
+  const pageText = toText(input.page);
+
+  // The kind must be one of the known ones
+  if (!Object.prototype.hasOwnProperty.call(NOTE_KINDS, kind)) {
+    errors.kind = "Choose whether this is a note or a quote.";
+  }
+
+  // The text is required
+  if (!body) errors.body = "Write something in the note.";
+  else if (body.length > LIMITS.noteLength) errors.body = `Notes must be ${LIMITS.noteLength} characters or fewer.`;
+
+  // The page is optional
+  let page = null;
+  if (pageText) {
+    page = wholeNumber(pageText, 1, LIMITS.page);
+    if (Number.isNaN(page)) errors.page = `Page must be a whole number from 1 to ${LIMITS.page}.`;
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return { values: { kind, body, page }, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  NOTE_KINDS,
+  LIMITS,
+  validateReview,
+  validateNote,
+};
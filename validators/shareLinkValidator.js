@@ -0,0 +1,131 @@
+/**
+ * File Purpose:
+ * This file validates the form that creates a share link: its label, the
+ * books it shows and how long it works.
+ *
+ * Validator Purpose:
+ * A link can be narrowed to one reading status and to the books carrying
+ * every one of a few tags, typed comma-separated like on the book form. Its
+ * lifetime is picked from a short list of choices rather than typed as a
+ * date, so it means the same whatever the visitor's time zone; the chosen
+ * number of days becomes the time the link expires.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * ReadingStatus - The statuses a link can be narrowed to
+ */
+const ReadingStatus = require("../models/ReadingStatus");
+
+/**
+ * bookValidator - Normalizes tags and limits their length
+ */
+const { LIMITS: BOOK_LIMITS, normalizeTag } = require("./bookValidator");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LIMITS - The length limit for labels and the most tags a link may filter
+ * by. The form uses the same numbers for its maxlength attributes.
+ */
+const LIMITS = {
+  labelLength: 60,
+  tags: 10,
+};
+
+/**
+ * EXPIRY_CHOICES - How long a new link can work, as offered by the form;
+ * "never" keeps it working until it is revoked
+ */
+const EXPIRY_CHOICES = [
+  { value: "never", label: "Until I revoke it", days: null },
+  { value: "1", label: "1 day", days: 1 },
+  { value: "7", label: "1 week", days: 7 },
+  { value: "30", label: "30 days", days: 30 },
+  { value: "90", label: "90 days", days: 90 },
+];
+
+/**
+ * DAY_MS - The length of a day in milliseconds
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function trims a submitted field, treating anything that is
+ * not text as empty.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text
+ */
+function toText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates a new share link.
+ *
+ * @param {Object} input - The submitted fields: label, status, tags and expiresIn
+ * @param {Date} [now] - The time the link's lifetime starts from
+ * @returns {Object} - { values, errors }: values holds { label, status, tags,
+ *                     expiresAt }, with null for an empty label, for every
+ *                     status and for no expiry, and errors is null when
+ *                     everything is valid, or an object mapping each
+ *                     invalid field to its message
+ */
+function validateShareLink(input = {}, now = new Date()) {
+  const errors = {};
+
+  // The label is optional and only helps the owner tell links apart
+  const label = toText(input.label).replace(/\s+/g, " ");
+  if (label.length > LIMITS.labelLength) errors.label = `Label must be at most ${LIMITS.labelLength} characters.`;
+
+  // An empty status shows books of every status
+  const status = toText(input.status);
+  if (status && !ReadingStatus.isStatus(status)) errors.status = "Choose one of the listed statuses.";
+
+  // Tags arrive comma-separated and are stored the way books carry them
+  const tags = [...new Set(toText(input.tags).split(",").map(normalizeTag).filter(Boolean))];
+  if (tags.length > LIMITS.tags) {
+    errors.tags = `A link can filter by at most ${LIMITS.tags} tags.`;
+  } else if (tags.some((tag) => tag.length > BOOK_LIMITS.tagLength)) {
+    errors.tags = `Each tag must be at most ${BOOK_LIMITS.tagLength} characters.`;
+  }
+
+  // The lifetime is one of the offered choices
+  const expiry = EXPIRY_CHOICES.find((choice) => choice.value === (toText(input.expiresIn) || "never"));
+  if (!expiry) errors.expiresIn = "Choose one of the listed lifetimes.";
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return {
+    values: {
+      label: label || null,
+      status: status || null,
+      tags,
+      expiresAt: expiry.days ? new Date(now.getTime() + expiry.days * DAY_MS) : null,
+    },
+    errors: null,
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  LIMITS,
+  EXPIRY_CHOICES,
+  validateShareLink,
+};
@@ -0,0 +1,52 @@
+/**
+ * File Purpose:
+ * This file validates the shelf names that arrive from the create and rename
+ * forms.
+ *
+ * Validator Purpose:
+ * Names are trimmed and their inner spaces collapsed, but their case is kept
+ * as typed ("Summer 2026"). Whether a name is already used is up to the
+ * Shelf model, which compares names without case.
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LIMITS - The length limit for shelf names. The forms use the same number
+ * for their maxlength attributes.
+ */
+const LIMITS = {
+  nameLength: 60,
+};
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates a shelf name.
+ *
+ * @param {Object} input - The submitted fields: name
+ * @returns {Object} - { values, errors }: values holds { name } and errors is
+ *                     null when the name is valid, or { name: message }
+ */
+function validateShelf(input = {}) {
+  const name = typeof input.name === "string" ? input.name.trim().replace(/\s+/g, " ") : "";
+
+  if (!name) return { values: null, errors: { name: "Name is required." } };
+  if (name.length > LIMITS.nameLength) {
+    return { values: null, errors: { name: `Name must be at most ${LIMITS.nameLength} characters.` } };
+  }
+  return { values: { name }, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  LIMITS,
+  validateShelf,
+};
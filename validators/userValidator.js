@@ -0,0 +1,111 @@
+/**
+ * File Purpose:
+ * This file validates and normalizes the account details that arrive from
+ * the registration and login forms and the JSON API.
+ *
+ * Validator Purpose:
+ * Email addresses are trimmed and lowercased so the same address always
+ * finds the same account. Passwords are never trimmed or changed; they are
+ * only checked for length.
+ */
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LIMITS - The length limits for account details. The forms use the same
+ * numbers for their minlength and maxlength attributes.
+ */
+const LIMITS = {
+  emailLength: 254,
+  passwordMinLength: 8,
+  passwordMaxLength: 200,
+};
+
+/**
+ * EMAIL_PATTERN - A deliberately loose email check: something, an @, and a
+ * domain with a dot. Whether the address really works is not checked.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function normalizes a submitted email address.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed, lowercased address, or "" when missing
+ */
+function normalizeEmail(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates a registration.
+ *
+ * @param {Object} input - The submitted fields: email, password and
+ *                         confirmPassword (confirmPassword is only checked
+ *                         when it is present, so JSON clients may leave it out)
+ * @returns {Object} - { values, errors }: values holds { email, password }
+ *                     and errors is null when everything is valid, or an
+ *                     object mapping each invalid field to its message
+ */
+function validateRegistration(input = {}) {
+  const errors = {};
+  const email = normalizeEmail(input.email);
+  const password = typeof input.password === "string" ? input.password : "";
+
+  // The email must look like an address
+  if (!email) errors.email = "Email is required.";
+  else if (email.length > LIMITS.emailLength) errors.email = `Email must be at most ${LIMITS.emailLength} characters.`;
+  else if (!EMAIL_PATTERN.test(email)) errors.email = "Email must be an address like name@example.com.";
+
+  // The password must be long enough to be hard to guess
+  if (password.length < LIMITS.passwordMinLength) {
+    errors.password = `Password must be at least ${LIMITS.passwordMinLength} characters.`;
+  } else if (password.length > LIMITS.passwordMaxLength) {
+    errors.password = `Password must be at most ${LIMITS.passwordMaxLength} characters.`;
+  }
+
+  // The confirmation, when sent, must repeat the password
+  if (input.confirmPassword !== undefined && input.confirmPassword !== password) {
+    errors.confirmPassword = "The passwords do not match.";
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return { values: { email, password }, errors: null };
+}
+
+/**
+ * This function reads the fields of a login. Only their presence is checked;
+ * whether they are right is up to the User model.
+ *
+ * @param {Object} input - The submitted fields: email and password
+ * @returns {Object} - { values, errors }, in the same shape as validateRegistration
+ */
+function validateLogin(input = {}) {
+  const email = normalizeEmail(input.email);
+  const password = typeof input.password === "string" ? input.password : "";
+
+  if (!email || !password) {
+    return { values: null, errors: { email: "Enter your email and password." } };
+  }
+  return { values: { email, password }, errors: null };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  LIMITS,
+  validateRegistration,
+  validateLogin,
+};
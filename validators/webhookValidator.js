@@ -0,0 +1,141 @@
+/**
+ * File Purpose:
+ * This file validates a new webhook, from the webhooks page or the JSON API:
+ * the address the events are posted to, an optional label and the events it
+ * wants.
+ *
+ * Validator Purpose:
+ * The address must be a complete http or https URL, and not a local or
+ * private one (see services/addressGuard.js), which the server would
+ * otherwise post to from inside its own network. The events arrive as a
+ * list from the API, or from the page's checkboxes as a single value when
+ * only one is ticked; either way at least one known event is required.
+ */
+
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+// DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES -- DEPENDENCIES
+
+/**
+ * bookEvents - The event types a webhook can be sent
+ */
+const { BOOK_EVENTS } = require("../services/bookEvents");
+
+/**
+ * addressGuard - Refuses addresses on the server's own network
+ */
+const { isPublicHost } = require("../services/addressGuard");
+
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+// CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS -- CONSTANTS
+
+/**
+ * LIMITS - The length limits for addresses and labels. The form uses the same
+ * numbers for its maxlength attributes.
+ */
+const LIMITS = {
+  urlLength: 2000,
+  labelLength: 60,
+};
+
+/**
+ * EVENT_LABELS - What each event type is called on the webhooks page
+ */
+const EVENT_LABELS = {
+  "book.created": "Book added",
+  "book.updated": "Book updated",
+  "book.deleted": "Book deleted",
+};
+
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+// HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS -- HELPER FUNCTIONS
+
+/**
+ * This helper function trims a submitted field, treating anything that is
+ * not text as empty.
+ *
+ * @param {*} value - The submitted value
+ * @returns {String} - The trimmed text
+ */
+function toText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+/**
+ * This helper function checks that an address is a complete web URL.
+ *
+ * @param {String} value - The address
+ * @returns {Boolean} - Whether it is an http or https URL with a host
+ */
+function isWebUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === "http:" || url.protocol === "https:") && Boolean(url.hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+// PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS -- PUBLIC METHODS
+
+/**
+ * This function validates a new webhook.
+ *
+ * @param {Object} input - The submitted fields: url, label and events
+ * @returns {Object} - { values, errors }: values holds { url, label, events },
+ *                     with null for an empty label and the events in the
+ *                     order of BOOK_EVENTS, and errors is null when
+ *                     everything is valid, or an object mapping each
+ *                     invalid field to its message
+ */
+function validateWebhook(input = {}) {
+  const errors = {};
+
+  // The address the events are posted to
+  const url = toText(input.url);
+  if (!url) {
+    errors.url = "URL is required.";
+  } else if (url.length > LIMITS.urlLength) {
+    errors.url = `URL must be at most ${LIMITS.urlLength} characters.`;
+  } else if (!isWebUrl(url)) {
+    errors.url = "URL must be a complete web address starting with http:// or https://.";
+  } else if (!isPublicHost(url)) {
+    errors.url = "URL must not point to a local or private network address.";
+  }
+
+  // The label is optional and only helps the owner tell webhooks apart
+  const label = toText(input.label).replace(/\s+/g, " ");
+  if (label.length > LIMITS.labelLength) errors.label = `Label must be at most ${LIMITS.labelLength} characters.`;
+
+  // One ticked checkbox arrives as text, several as a list
+  const submitted = [].concat(input.events ?? []).map(toText);
+  if (submitted.some((event) => !BOOK_EVENTS.includes(event))) {
+    errors.events = `Events must be chosen from ${BOOK_EVENTS.join(", ")}.`;
+  } else if (!submitted.length) {
+    errors.events = "Choose at least one event.";
+  }
+
+  if (Object.keys(errors).length) return { values: null, errors };
+  return {
+    values: {
+      url,
+      label: label || null,
+      events: BOOK_EVENTS.filter((event) => submitted.includes(event)),
+    },
+    errors: null,
+  };
+}
+
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+// MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS -- MODULE EXPORTS
+
+module.exports = {
+  LIMITS,
+  EVENT_LABELS,
+  validateWebhook,
+};